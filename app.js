@@ -22,6 +22,12 @@ if (process.env.NODE_ENV !== 'test' && !process.env.JEST_WORKER_ID) {
       try { await require('./scripts/autoBackup')(); } catch (e) { /* ignore */ }
     }
     await ensurePaymentsIdempotencyIndex();
+    if (process.env.ENABLE_DUNNING_JOB === 'true') {
+      require('./services/dunningService').startDunningJob();
+    }
+    if (process.env.ENABLE_RECURRING_TRANSACTIONS_JOB === 'true') {
+      require('./services/recurringTransactionService').startRecurringTransactionJob();
+    }
   });
 }
 
@@ -65,6 +71,18 @@ app.use('/api/classes', require('./routes/classResourceRoutes'));
 app.use('/api/classes', require('./routes/classRoutes'));
 app.use('/api/enrollments', require('./routes/enrollmentRoutes'));
 app.use('/api/payments', require('./routes/paymentRoutes'));
+app.use('/api/discounts', require('./routes/discountRoutes'));
+app.use('/api/installments', require('./routes/installmentRoutes'));
+app.use('/api/dunning', require('./routes/dunningRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
+app.use('/api/budgets', require('./routes/budgetRoutes'));
+app.use('/api/recurring-transactions', require('./routes/recurringTransactionRoutes'));
+app.use('/api/timesheets', require('./routes/timesheetRoutes'));
+app.use('/api/payslips', require('./routes/payslipRoutes'));
+app.use('/api/teacher-statements', require('./routes/teacherStatementRoutes'));
+app.use('/api/leave', require('./routes/leaveRoutes'));
+app.use('/api/holidays', require('./routes/holidayRoutes'));
+app.use('/api/kiosk', require('./routes/kioskRoutes'));
 app.use('/api/attendance', require('./routes/attendanceRoutes'));
 app.use('/api/rooms', require('./routes/roomRoutes'));
 app.use('/api/equipment', require('./routes/equipmentRoutes'));
@@ -5,9 +5,24 @@ const Enrollment = require('../models/Enrollment');
 const Class = require('../models/Class');
 const { buildClassEnrollmentSummaries } = require('./enrollmentController');
 const LoggingService = require('../services/loggingService');
+const { findHeldSession, completeSession, reopenSessionsIfEmpty } = require('../services/classSessionService');
+const { attendanceDeltas, chargeFor, attendanceTimes, enrollmentIncrements, rechargeLaterAbsences, markAttendanceBatch } = require('../services/attendanceService');
 const { Types } = mongoose;
 
-// GET /api/attendance/history?enrollmentId=...&status=present|absent
+const ATTENDANCE_STATUSES = Attendance.STATUSES;
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Arrival (late) and departure (left_early) times must be HH:MM when given
+const hasInvalidTimes = ({ arrivalTime, departureTime } = {}) =>
+  [arrivalTime, departureTime].some(t => t !== undefined && t !== null && t !== '' && !TIME_PATTERN.test(t));
+
+const NO_SESSION_MESSAGES = {
+  cancelled: 'The session of this day is cancelled',
+  rescheduled: 'The session of this day was rescheduled to another date',
+  no_session: 'The class has no session on this day',
+};
+
+// GET /api/attendance/history?enrollmentId=...&status=present|late|left_early|excused|absent
 const history = asyncHandler(async (req, res) => {
   const { enrollmentId, status } = req.query || {};
   if (!enrollmentId) {
@@ -49,7 +64,7 @@ const history = asyncHandler(async (req, res) => {
   }
 
   const q = { enrollmentId: new Types.ObjectId(enrollmentId) };
-  if (status && ['present','absent'].includes(status)) q.status = status;
+  if (status && ATTENDANCE_STATUSES.includes(status)) q.status = status;
   const items = await Attendance.find(q).sort({ date: -1 });
   res.json({ items });
 });
@@ -60,12 +75,17 @@ function toUtcDateOnly(dateStr) {
   return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
 }
 
-// POST /api/attendance/mark
+// POST /api/attendance/mark { enrollmentId, date, status, startTime?, arrivalTime?, departureTime? }
+// Attendance is taken on a session of the class calendar; startTime picks one of several sessions of the day
 const mark = asyncHandler(async (req, res) => {
-  const { enrollmentId, date, status } = req.body || {};
-  if (!enrollmentId || !date || !['present', 'absent'].includes(status)) {
+  const { enrollmentId, date, status, startTime, arrivalTime, departureTime } = req.body || {};
+  if (!enrollmentId || !date || !ATTENDANCE_STATUSES.includes(status)) {
     res.status(400);
-    throw new Error('enrollmentId, date (YYYY-MM-DD) and valid status are required');
+    throw new Error(`enrollmentId, date (YYYY-MM-DD) and a status (${ATTENDANCE_STATUSES.join(', ')}) are required`);
+  }
+  if (hasInvalidTimes({ arrivalTime, departureTime })) {
+    res.status(400);
+    throw new Error('arrivalTime and departureTime must be HH:MM');
   }
   if (!mongoose.isValidObjectId(enrollmentId)) {
     res.status(400);
@@ -88,7 +108,7 @@ const mark = asyncHandler(async (req, res) => {
     throw new Error('Enrollment is not active');
   }
 
-  const klass = await Class.findById(enrollment.classId).select('schoolId absenceRule');
+  const klass = await Class.findById(enrollment.classId).select('schoolId absenceRule billingPolicy teacherId schedules sessionOverrides enrollmentPeriod');
   if (!klass || klass.schoolId.toString() !== schoolId) {
     res.status(403);
     throw new Error('Class access denied');
@@ -99,16 +119,29 @@ const mark = asyncHandler(async (req, res) => {
     res.status(400);
     throw new Error('Invalid date. Use YYYY-MM-DD');
   }
+  const { session, reason } = await findHeldSession(klass, dateOnly, startTime);
+  if (!session) {
+    res.status(409);
+    throw new Error(NO_SESSION_MESSAGES[reason]);
+  }
 
   // Upsert one record per (enrollmentId, date) using a single atomic operation
   const prev = await Attendance.findOne({ enrollmentId, date: dateOnly });
+  // The class billing policy decides whether this mark consumes a session
+  const charged = chargeFor(klass, enrollment, prev, status);
+  const times = attendanceTimes(status, { arrivalTime, departureTime });
   const updateDoc = {
     $set: {
       schoolId,
       classId: enrollment.classId,
       studentId: enrollment.studentId,
       status,
+      charged,
+      teacherId: klass.teacherForDate(dateOnly),
+      sessionId: session._id,
+      ...times.set,
     },
+    $unset: times.unset,
     $setOnInsert: {
       enrollmentId: new Types.ObjectId(enrollmentId),
       date: dateOnly,
@@ -122,40 +155,19 @@ const mark = asyncHandler(async (req, res) => {
     { upsert: true, new: true, runValidators: true }
   );
 
-  // Compute counter deltas
-  let countersDelta = { attended: 0, absent: 0 };
-  if (!prev) {
-    countersDelta[status === 'present' ? 'attended' : 'absent'] += 1;
-  } else if (prev.status !== status) {
-    countersDelta[prev.status === 'present' ? 'attended' : 'absent'] -= 1;
-    countersDelta[status === 'present' ? 'attended' : 'absent'] += 1;
-  }
-
-  // Update enrollment counters atomically
-  const inc = {};
-  if (countersDelta.attended) inc['sessionCounters.attended'] = countersDelta.attended;
-  if (countersDelta.absent) inc['sessionCounters.absent'] = countersDelta.absent;
-
-  const update = Object.keys(inc).length
-    ? { $inc: inc, $max: { 'sessionCounters.lastAttendanceDate': dateOnly } }
-    : { $max: { 'sessionCounters.lastAttendanceDate': dateOnly } };
-
-  if (Object.keys(update).length) {
-    await Enrollment.updateOne({ _id: enrollmentId }, update);
-  }
+  // Counter and balance deltas: a charged mark uses one session of balance, refunded when the mark changes
+  const delta = attendanceDeltas(prev, { status, charged });
+  const countersDelta = delta.counters;
+  let balanceDelta = delta.balance;
+  const inc = enrollmentIncrements(delta);
+  await Enrollment.updateOne(
+    { _id: enrollmentId },
+    { ...(Object.keys(inc).length && { $inc: inc }), $max: { 'sessionCounters.lastAttendanceDate': dateOnly } }
+  );
+  // Adding or removing an absence moves the free absences of the later ones
+  if ((prev?.status === 'absent') !== (status === 'absent')) balanceDelta += await rechargeLaterAbsences(klass, enrollment._id, dateOnly);
 
-  // Consume balance on 'present' and refund on change/undo logic here
-  // Compute balance delta: present => -1 session, absent => 0
-  let balanceDelta = 0;
-  if (!prev) {
-    if (status === 'present') balanceDelta = -1;
-  } else if (prev.status !== status) {
-    if (prev.status === 'present' && status === 'absent') balanceDelta = +1; // refund
-    if (prev.status === 'absent' && status === 'present') balanceDelta = -1; // consume
-  }
-  if (balanceDelta !== 0) {
-    await Enrollment.updateOne({ _id: enrollmentId }, { $inc: { balance: balanceDelta } });
-  }
+  await completeSession(session);
 
   const attendance = attendanceUpserted;
   // Return fresh roster for this class and date so client doesn't need a separate GET
@@ -177,6 +189,109 @@ const mark = asyncHandler(async (req, res) => {
   res.status(prev ? 200 : 201).json({ success: true, classId: enrollment.classId, date: dateOnly, items, attendance, countersDelta, balanceDelta });
 });
 
+// POST /api/attendance/bulk { classId, date, startTime?, entries: [{ enrollmentId, status, arrivalTime?, departureTime? }], defaultStatus? }
+// Marks a whole session at once; with defaultStatus every other active enrollment of the class gets that
+// status ("all present except..."). The batch is validated as a whole before anything is written.
+const bulkMark = asyncHandler(async (req, res) => {
+  const { classId, date, startTime, defaultStatus } = req.body || {};
+  const entries = req.body?.entries || [];
+  if (!classId || !date || !Array.isArray(entries)) {
+    res.status(400);
+    throw new Error('classId, date (YYYY-MM-DD) and entries are required');
+  }
+  if (!mongoose.isValidObjectId(classId)) {
+    res.status(400);
+    throw new Error('Invalid classId');
+  }
+  if (defaultStatus !== undefined && !ATTENDANCE_STATUSES.includes(defaultStatus)) {
+    res.status(400);
+    throw new Error(`defaultStatus must be one of: ${ATTENDANCE_STATUSES.join(', ')}`);
+  }
+  const invalidEntry = entries.find(e => !e || !mongoose.isValidObjectId(e.enrollmentId) || !ATTENDANCE_STATUSES.includes(e.status) || hasInvalidTimes(e));
+  if (invalidEntry) {
+    res.status(400);
+    throw new Error('Each entry needs a valid enrollmentId and status');
+  }
+  const entryIds = entries.map(e => String(e.enrollmentId));
+  if (new Set(entryIds).size !== entryIds.length) {
+    res.status(400);
+    throw new Error('An enrollment appears more than once in entries');
+  }
+
+  const schoolId = (req.user.school?._id || req.user.school || '').toString();
+  if (!mongoose.isValidObjectId(schoolId)) {
+    res.status(400);
+    throw new Error('User is not assigned to a valid school');
+  }
+  const klass = await Class.findOne({ _id: classId, schoolId }).select('schoolId absenceRule billingPolicy teacherId schedules sessionOverrides enrollmentPeriod');
+  if (!klass) {
+    res.status(404);
+    throw new Error('Class not found');
+  }
+  const dateOnly = toUtcDateOnly(date);
+  if (isNaN(dateOnly.getTime())) {
+    res.status(400);
+    throw new Error('Invalid date. Use YYYY-MM-DD');
+  }
+  const { session, reason } = await findHeldSession(klass, dateOnly, startTime);
+  if (!session) {
+    res.status(409);
+    throw new Error(NO_SESSION_MESSAGES[reason]);
+  }
+
+  const enrollments = await Enrollment.find({ classId: klass._id, schoolId, status: 'active' }).select('classId studentId sessionCounters');
+  const byId = new Map(enrollments.map(e => [e._id.toString(), e]));
+  const unknown = entryIds.filter(id => !byId.has(id));
+  if (unknown.length > 0) {
+    res.status(400);
+    throw new Error(`Not active enrollments of this class: ${unknown.join(', ')}`);
+  }
+  const entryById = new Map(entries.map(e => [String(e.enrollmentId), e]));
+  const batch = enrollments
+    .filter(e => entryById.has(e._id.toString()) || defaultStatus)
+    .map(e => {
+      const entry = entryById.get(e._id.toString());
+      return entry
+        ? { enrollment: e, status: entry.status, arrivalTime: entry.arrivalTime, departureTime: entry.departureTime }
+        : { enrollment: e, status: defaultStatus };
+    });
+  if (batch.length === 0) {
+    res.status(400);
+    throw new Error('Nothing to mark: provide entries or a defaultStatus');
+  }
+
+  const result = await markAttendanceBatch({ schoolId, klass, session, date: dateOnly, entries: batch, userId: req.user._id });
+
+  let items = [];
+  try {
+    const built = await buildClassEnrollmentSummaries(schoolId, klass._id.toString(), dateOnly);
+    items = Array.isArray(built) ? built : [];
+  } catch (e) {
+    items = [];
+  }
+  const counts = ATTENDANCE_STATUSES
+    .map(s => [s, batch.filter(b => b.status === s).length])
+    .filter(([, n]) => n > 0)
+    .map(([s, n]) => `${n} ${s}`)
+    .join(', ');
+  await LoggingService.logManagerActivity(req, 'manager_attendance_override',
+    `Marked class attendance for ${dateOnly.toISOString().split('T')[0]}: ${counts}`,
+    { classId: klass._id, sessionId: session._id, date: dateOnly, marked: batch.length, created: result.created, updated: result.updated },
+    { entityType: 'class', entityId: klass._id }
+  );
+
+  res.json({
+    success: true,
+    classId: klass._id,
+    date: dateOnly,
+    sessionId: session._id,
+    items,
+    summary: { marked: batch.length, created: result.created, updated: result.updated, unchanged: result.unchanged },
+    countersDelta: result.countersDelta,
+    balanceDelta: result.balanceDelta,
+  });
+});
+
 // POST /api/attendance/undo
 const undo = asyncHandler(async (req, res) => {
   const { enrollmentId, date } = req.body || {};
@@ -203,13 +318,13 @@ const undo = asyncHandler(async (req, res) => {
   if (!existing) return res.status(204).send();
 
   await Attendance.deleteOne({ _id: existing._id });
-  const inc = {};
-  inc[existing.status === 'present' ? 'sessionCounters.attended' : 'sessionCounters.absent'] = -1;
-  // Also refund balance if present was undone
-  if (existing.status === 'present') {
-    inc['balance'] = (inc['balance'] || 0) + 1;
+  // Reverse the counters, and refund the balance if the record was charged
+  await Enrollment.updateOne({ _id: enrollmentId }, { $inc: enrollmentIncrements(attendanceDeltas(existing, null)) });
+  if (existing.status === 'absent') {
+    const klass = await Class.findById(enrollment.classId).select('absenceRule billingPolicy');
+    if (klass) await rechargeLaterAbsences(klass, enrollment._id, dateOnly);
   }
-  await Enrollment.updateOne({ _id: enrollmentId }, { $inc: inc });
+  await reopenSessionsIfEmpty(enrollment.classId, dateOnly);
   // Return fresh roster for this class and date
   let items = [];
   try {
@@ -259,4 +374,4 @@ const roster = asyncHandler(async (req, res) => {
   res.json({ classId, date: dateOnly, items });
 });
 
-module.exports = { mark, undo, roster, history };
+module.exports = { mark, bulkMark, undo, roster, history };
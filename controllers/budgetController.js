@@ -0,0 +1,138 @@
+// server/controllers/budgetController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Budget = require('../models/Budget');
+const LoggingService = require('../services/loggingService');
+const { getBudgetVsActual } = require('../services/budgetService');
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+function requireSchoolId(req, res) {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  return schoolId;
+}
+
+// Copy editable fields from the request body onto a budget
+function applyBudgetFields(budget, body) {
+  for (const key of ['scope', 'category', 'costType', 'period', 'notes']) {
+    if (body[key] !== undefined) budget[key] = body[key];
+  }
+  for (const key of ['year', 'month', 'amount', 'alertThreshold']) {
+    if (body[key] !== undefined) budget[key] = body[key] === null ? null : Number(body[key]);
+  }
+}
+
+// @desc    List budgets of a year
+// @route   GET /api/budgets?year=&scope=
+// @access  Private (Manager)
+const getBudgets = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const year = Number.parseInt(req.query.year, 10) || new Date().getFullYear();
+  const query = { schoolId, year };
+  if (req.query.scope) query.scope = req.query.scope;
+  const items = await Budget.find(query).sort({ scope: 1, key: 1, period: 1, month: 1 }).lean();
+  res.json({ items });
+});
+
+// @desc    Create a budget for an expense category or a staff cost type
+// @route   POST /api/budgets
+// @access  Private (Manager)
+const createBudget = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const budget = new Budget({ schoolId, createdBy: req.user._id });
+  applyBudgetFields(budget, req.body || {});
+  try {
+    await budget.save();
+  } catch (err) {
+    res.status(err?.code === 11000 ? 409 : 400);
+    throw new Error(err?.code === 11000 ? 'A budget already exists for this category and period' : (err?.message || 'Invalid budget'));
+  }
+
+  await LoggingService.logManagerActivity(req, 'manager_budget_update',
+    `Set ${budget.period} budget of ${budget.amount} DZD for ${budget.category || budget.costType} (${budget.year}${budget.month ? '-' + budget.month : ''})`,
+    { budgetId: budget._id, amount: budget.amount, period: budget.period, year: budget.year, month: budget.month },
+    null
+  );
+  res.status(201).json({ success: true, data: budget });
+});
+
+// @desc    Update a budget (amount, threshold, notes...)
+// @route   PUT /api/budgets/:id
+// @access  Private (Manager)
+const updateBudget = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { id } = req.params;
+  const budget = mongoose.isValidObjectId(id) ? await Budget.findOne({ _id: id, schoolId }) : null;
+  if (!budget) {
+    res.status(404);
+    throw new Error('Budget not found');
+  }
+  const previousAmount = budget.amount;
+  applyBudgetFields(budget, req.body || {});
+  // A raised budget or threshold may need to alert again
+  if (budget.isModified('amount') || budget.isModified('alertThreshold')) budget.alertsSent = [];
+  try {
+    await budget.save();
+  } catch (err) {
+    res.status(err?.code === 11000 ? 409 : 400);
+    throw new Error(err?.code === 11000 ? 'A budget already exists for this category and period' : (err?.message || 'Invalid budget'));
+  }
+
+  await LoggingService.logManagerActivity(req, 'manager_budget_update',
+    `Updated budget for ${budget.category || budget.costType}: ${previousAmount} -> ${budget.amount} DZD`,
+    { budgetId: budget._id, previousAmount, amount: budget.amount },
+    null
+  );
+  res.json({ success: true, data: budget });
+});
+
+// @desc    Delete a budget
+// @route   DELETE /api/budgets/:id
+// @access  Private (Manager)
+const deleteBudget = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { id } = req.params;
+  const budget = mongoose.isValidObjectId(id) ? await Budget.findOneAndDelete({ _id: id, schoolId }) : null;
+  if (!budget) {
+    res.status(404);
+    throw new Error('Budget not found');
+  }
+
+  await LoggingService.logManagerActivity(req, 'manager_budget_update',
+    `Deleted ${budget.period} budget for ${budget.category || budget.costType} (${budget.year})`,
+    { budgetId: budget._id, amount: budget.amount },
+    null
+  );
+  res.json({ success: true });
+});
+
+// @desc    Budget vs actual with variance, burn rate and month-end forecast
+// @route   GET /api/budgets/vs-actual/:year/:month
+// @access  Private (Manager)
+const getBudgetReport = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const year = Number.parseInt(req.params.year, 10);
+  const month = Number.parseInt(req.params.month, 10);
+  if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+    res.status(400);
+    throw new Error('Invalid year or month');
+  }
+  const report = await getBudgetVsActual(schoolId, year, month);
+  res.json({ success: true, data: report });
+});
+
+module.exports = {
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetReport,
+};
@@ -1,5 +1,6 @@
 // server/controllers/classController.js
 
+const mongoose = require('mongoose');
 const Class = require('../models/Class');
 const Room = require('../models/Room');
 const User = require('../models/User');
@@ -8,6 +9,90 @@ const asyncHandler = require('express-async-handler');
 const path = require('path');
 const fs = require('fs-extra');
 const ClassResource = require('../models/ClassResource');
+const Attendance = require('../models/Attendance');
+const Notification = require('../models/Notification');
+const ClassSession = require('../models/ClassSession');
+const SchoolHoliday = require('../models/SchoolHoliday');
+const LoggingService = require('../services/loggingService');
+const classSessionService = require('../services/classSessionService');
+const timetableService = require('../services/timetableService');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Normalize YYYY-MM-DD to UTC date-only
+function toUtcDateOnly(dateStr) {
+  const d = new Date(String(dateStr).slice(0, 10) + 'T00:00:00.000Z');
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+// Error message of a session override conflict returned by hasConflict/overrideConflict
+function overrideConflictMessage(conflict) {
+  const { override } = conflict;
+  const sessionInfo = `${new Date(override.date).toISOString().slice(0, 10)} ${override.startTime}-${override.endTime}`;
+  if (conflict.type === 'substitute_leave') return `Substitute teacher is on leave on ${sessionInfo}`;
+  if (conflict.type === 'substitute') return `Substitute teacher is already booked during ${sessionInfo} by class: ${conflict.conflict.name}`;
+  return `Room is already booked during ${sessionInfo} by class: ${conflict.conflict.name}`;
+}
+
+// Error message of a conflict returned by classSessionService.extraSessionConflict
+function sessionConflictMessage(conflict, sessionInfo) {
+  if (conflict.type === 'class') return `The class already has a session during ${sessionInfo}`;
+  if (conflict.type === 'slot') return `The class already has a ${conflict.conflict.status} session at ${sessionInfo}`;
+  if (conflict.type === 'teacher_leave') return `The teacher is on leave on ${sessionInfo}`;
+  const who = conflict.type === 'room' ? 'Room' : 'Teacher';
+  return `${who} is already booked during ${sessionInfo} by class: ${conflict.conflict.name}`;
+}
+
+// Pricing fields of a new class: without a paymentModel, the legacy price/paymentCycle pair maps to per_cycle
+function classPricing(body) {
+  const { paymentModel, sessionPrice, cycleSize, cyclePrice, price, paymentCycle } = body || {};
+  if (!paymentModel && typeof price === 'number' && typeof paymentCycle === 'number') {
+    return { paymentModel: 'per_cycle', sessionPrice, cycleSize: paymentCycle, cyclePrice: price };
+  }
+  return { paymentModel, sessionPrice, cycleSize, cyclePrice };
+}
+
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+const fromMinutes = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Validate the date and times of an extra session; the end time defaults to the given duration
+function parseSessionSlot(body, res, durationMinutes) {
+  const { date, startTime } = body || {};
+  const dateOnly = date ? toUtcDateOnly(date) : null;
+  if (!dateOnly || isNaN(dateOnly.getTime())) {
+    res.status(400);
+    throw new Error('date is required (YYYY-MM-DD)');
+  }
+  const endTime = body.endTime || (startTime && TIME_PATTERN.test(startTime) && durationMinutes ? fromMinutes(toMinutes(startTime) + durationMinutes) : undefined);
+  if (!TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '') || endTime <= startTime) {
+    res.status(400);
+    throw new Error('startTime and endTime are required (HH:MM) and the session must end after it starts');
+  }
+  return { date: dateOnly, startTime, endTime, sessionInfo: `${dateOnly.toISOString().slice(0, 10)} ${startTime}-${endTime}` };
+}
+
+// A school holiday or closure on a date blocks extra sessions
+async function assertNoHoliday(schoolId, date, res) {
+  const [holiday] = await SchoolHoliday.findInRange(schoolId, date, date);
+  if (holiday) {
+    res.status(409);
+    throw new Error(`The school is closed on ${date.toISOString().slice(0, 10)} (${holiday.name})`);
+  }
+}
+
+async function findClassSession(req, res) {
+  const { school: schoolId } = req.user;
+  const classItem = await Class.findOne({ _id: req.params.id, schoolId });
+  const session = classItem && mongoose.isValidObjectId(req.params.sessionId)
+    ? await ClassSession.findOne({ _id: req.params.sessionId, classId: classItem._id })
+    : null;
+  if (!session) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+  return { classItem, session };
+}
 
 // @desc    Get all classes for a school
 // @route   GET /api/classes
@@ -69,12 +154,9 @@ const createClass = asyncHandler(async (req, res) => {
     enrollmentPeriod,
   paymentCycle,
   price,
-  paymentModel: bodyPaymentModel,
-  sessionPrice: bodySessionPrice,
-  cycleSize: bodyCycleSize,
-  cyclePrice: bodyCyclePrice,
     teacherCut,
     absenceRule,
+    billingPolicy,
     description
   } = req.body;
   
@@ -127,19 +209,7 @@ const createClass = asyncHandler(async (req, res) => {
   }
   
   // Derive pricing fields (support new model and legacy alias)
-  let paymentModel = bodyPaymentModel;
-  let sessionPrice = bodySessionPrice;
-  let cycleSize = bodyCycleSize;
-  let cyclePrice = bodyCyclePrice;
-
-  if (!paymentModel) {
-    // Map legacy fields to per_cycle by default
-    if (typeof price === 'number' && typeof paymentCycle === 'number') {
-      paymentModel = 'per_cycle';
-      cyclePrice = price;
-      cycleSize = paymentCycle;
-    }
-  }
+  const { paymentModel, sessionPrice, cycleSize, cyclePrice } = classPricing(req.body);
 
   // Basic validation for pricing
   if (!paymentModel) {
@@ -182,11 +252,16 @@ const createClass = asyncHandler(async (req, res) => {
     price,
     teacherCut,
     absenceRule,
+    billingPolicy,
     description
   });
   
   // Check for scheduling conflicts
   const conflict = await newClass.hasConflict();
+  if (conflict?.override) {
+    res.status(409);
+    throw new Error(overrideConflictMessage(conflict));
+  }
   if (conflict) {
     const scheduleInfo = `${conflict.schedule.dayOfWeek} ${conflict.schedule.startTime}-${conflict.schedule.endTime}`;
     if (conflict.type === 'room') {
@@ -198,8 +273,9 @@ const createClass = asyncHandler(async (req, res) => {
     }
   }
   
-  // Save the class
+  // Save the class and generate its session calendar
   const savedClass = await newClass.save();
+  await classSessionService.syncClassCalendar(savedClass);
   
   // Populate references for response
   const populatedClass = await Class.findById(savedClass._id)
@@ -241,6 +317,7 @@ const updateClass = asyncHandler(async (req, res) => {
   cyclePrice: bodyCyclePrice,
     teacherCut,
     absenceRule,
+    billingPolicy,
     description,
     status
   } = req.body;
@@ -335,12 +412,18 @@ const updateClass = asyncHandler(async (req, res) => {
   if (price !== undefined) classItem.price = price;
   if (teacherCut !== undefined) classItem.teacherCut = teacherCut;
   if (absenceRule !== undefined) classItem.absenceRule = absenceRule;
+  // Billing policy fields not given keep their value
+  if (billingPolicy !== undefined) classItem.billingPolicy = { ...classItem.toObject().billingPolicy, ...billingPolicy };
   if (description !== undefined) classItem.description = description;
   if (status !== undefined) classItem.status = status;
   
   // Check for conflicts if schedules, teacher, or room changed
   if (schedules || teacherId || roomId) {
     const conflict = await classItem.hasConflict();
+    if (conflict?.override) {
+      res.status(409);
+      throw new Error(overrideConflictMessage(conflict));
+    }
     if (conflict) {
       const scheduleInfo = `${conflict.schedule.dayOfWeek} ${conflict.schedule.startTime}-${conflict.schedule.endTime}`;
       if (conflict.type === 'room') {
@@ -354,6 +437,7 @@ const updateClass = asyncHandler(async (req, res) => {
   }
   
   const updatedClass = await classItem.save();
+  await classSessionService.syncClassCalendar(updatedClass);
   
   const populatedClass = await Class.findById(updatedClass._id)
     .populate('teacherId', 'firstName lastName')
@@ -402,6 +486,7 @@ const deleteClass = asyncHandler(async (req, res) => {
   } catch (_) { /* ignore */ }
 
   await classItem.deleteOne();
+  await ClassSession.deleteMany({ classId: classItem._id });
   
   res.json({
     success: true,
@@ -650,7 +735,604 @@ const checkConflicts = asyncHandler(async (req, res) => {
   });
 });
 
+// Fields of a new class taken from a timetable entry (as in createClass); the solver sets the rest
+const TIMETABLE_CLASS_FIELDS = [
+  'name', 'catalogItem', 'capacity', 'enrollmentPeriod', 'paymentModel', 'sessionPrice', 'cycleSize', 'cyclePrice',
+  'paymentCycle', 'price', 'teacherCut', 'absenceRule', 'billingPolicy', 'description',
+];
+const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Validate the classes to schedule; classId entries reschedule an existing class and default to its
+// teacher, capacity, session length and number of sessions
+async function parseTimetableEntries(classes, schoolId, res) {
+  if (!Array.isArray(classes) || classes.length === 0 || classes.length > 30) {
+    res.status(400);
+    throw new Error('classes must list 1 to 30 classes to schedule');
+  }
+  const entries = [];
+  for (const [index, raw] of classes.entries()) {
+    const fail = (message) => {
+      res.status(400);
+      throw new Error(`Class ${raw?.name || index + 1}: ${message}`);
+    };
+    let existing = null;
+    if (raw.classId) {
+      existing = mongoose.isValidObjectId(raw.classId) ? await Class.findOne({ _id: raw.classId, schoolId }) : null;
+      if (!existing) {
+        res.status(404);
+        throw new Error(`Class ${raw.classId} not found`);
+      }
+    }
+    const firstSlot = existing?.schedules?.[0];
+    const entry = {
+      key: String(raw.key || raw.classId || `class-${index + 1}`),
+      classId: existing?._id,
+      name: raw.name || existing?.name,
+      teacherId: raw.teacherId || existing?.teacherId,
+      capacity: raw.capacity ?? existing?.capacity,
+      durationMinutes: raw.durationMinutes ?? (firstSlot ? toMinutes(firstSlot.endTime) - toMinutes(firstSlot.startTime) : undefined),
+      sessionsPerWeek: raw.sessionsPerWeek ?? existing?.schedules?.length,
+      activityType: raw.activityType,
+      roomId: raw.roomId,
+      days: raw.days,
+    };
+    if (!entry.name) fail('name is required');
+    if (!mongoose.isValidObjectId(entry.teacherId)) fail('teacherId is required');
+    if (!isWholeNumber(entry.capacity, 1, 1000)) fail('capacity must be a whole number of seats');
+    if (!isWholeNumber(entry.durationMinutes, 15, 12 * 60)) fail('durationMinutes must be between 15 and 720');
+    if (!isWholeNumber(entry.sessionsPerWeek, 1, 7)) fail('sessionsPerWeek must be between 1 and 7');
+    if (entry.roomId !== undefined && !mongoose.isValidObjectId(entry.roomId)) fail('roomId is invalid');
+    if (entry.days !== undefined && (!Array.isArray(entry.days) || entry.days.some(d => !timetableService.WEEK_DAYS.includes(d)))) {
+      fail('days must be days of the week (monday ... sunday)');
+    }
+    const period = raw.enrollmentPeriod || existing?.enrollmentPeriod;
+    if (period?.startDate && period?.endDate) {
+      const from = new Date(period.startDate);
+      const to = new Date(period.endDate);
+      if (!isNaN(from) && !isNaN(to)) entry.period = { from: new Date(from.getFullYear(), from.getMonth(), from.getDate()), to };
+    }
+    if (entries.some(e => e.key === entry.key)) fail(`key ${entry.key} is used twice`);
+    entries.push({ entry, raw });
+  }
+  return entries;
+}
+
+// @desc    Solve weekly timetables for a set of classes, around the school's existing classes
+// @route   POST /api/classes/timetable/solve
+//          { classes: [{ key?, classId?, name, teacherId, durationMinutes, sessionsPerWeek, capacity, activityType?, roomId?, days?, ...class fields }],
+//            days?, dayStart?, dayEnd?, step?, limit? }
+// @access  Private (Manager)
+const solveTimetable = asyncHandler(async (req, res) => {
+  const { school: schoolId } = req.user;
+  const { classes, days, dayStart, dayEnd, step, limit } = req.body || {};
+  const parsed = await parseTimetableEntries(classes, schoolId, res);
+
+  const options = { ...timetableService.DEFAULT_OPTIONS };
+  if (days !== undefined) {
+    if (!Array.isArray(days) || days.length === 0 || days.some(d => !timetableService.WEEK_DAYS.includes(d))) {
+      res.status(400);
+      throw new Error('days must be days of the week (monday ... sunday)');
+    }
+    options.days = days;
+  }
+  if (dayStart !== undefined) options.dayStart = dayStart;
+  if (dayEnd !== undefined) options.dayEnd = dayEnd;
+  if (!TIME_PATTERN.test(options.dayStart) || !TIME_PATTERN.test(options.dayEnd) || options.dayEnd <= options.dayStart) {
+    res.status(400);
+    throw new Error('dayStart and dayEnd must be HH:MM times and the day must end after it starts');
+  }
+  if (step !== undefined) {
+    if (!isWholeNumber(step, 5, 120)) {
+      res.status(400);
+      throw new Error('step must be between 5 and 120 minutes');
+    }
+    options.step = step;
+  }
+  if (limit !== undefined) {
+    if (!isWholeNumber(limit, 1, 10)) {
+      res.status(400);
+      throw new Error('limit must be between 1 and 10');
+    }
+    options.limit = limit;
+  }
+
+  const entries = parsed.map(p => p.entry);
+  const { timetables, issues } = await timetableService.solveTimetable(schoolId, entries, options);
+  if (timetables.length === 0) {
+    return res.status(409).json({ message: issues.map(i => (i.name ? `${i.name}: ${i.message}` : i.message)).join('; '), issues });
+  }
+
+  // Each timetable lists the classes with their class fields, ready for /timetable/apply
+  res.json({
+    timetables: timetables.map((timetable, index) => {
+      const placed = timetableService.timetableClasses(entries, timetable.placements);
+      return {
+        rank: index + 1,
+        score: timetable.score,
+        penalties: timetable.penalties,
+        classes: parsed.map(({ entry, raw }, i) => ({
+          ...raw,
+          key: entry.key,
+          classId: entry.classId,
+          name: entry.name,
+          teacherId: entry.teacherId,
+          capacity: entry.capacity,
+          durationMinutes: entry.durationMinutes,
+          sessionsPerWeek: entry.sessionsPerWeek,
+          ...placed[i],
+        })),
+      };
+    }),
+  });
+});
+
+// Roll back a partly applied timetable: remove the created classes and their sessions, put the
+// rescheduled ones back on their previous teacher, room and schedules
+async function undoTimetable(created, updated) {
+  for (const { doc } of created) {
+    await ClassSession.deleteMany({ classId: doc._id });
+    await Class.deleteOne({ _id: doc._id });
+  }
+  for (const { doc, previous } of updated) {
+    Object.assign(doc, previous);
+    await doc.save();
+    await classSessionService.syncClassCalendar(doc);
+  }
+}
+
+// @desc    Apply a solved timetable: create the new classes and reschedule the existing ones
+// @route   POST /api/classes/timetable/apply { classes } (the classes of a timetable from /timetable/solve)
+// @access  Private (Manager)
+const applyTimetable = asyncHandler(async (req, res) => {
+  const { school: schoolId } = req.user;
+  const { classes } = req.body || {};
+  if (!Array.isArray(classes) || classes.length === 0) {
+    res.status(400);
+    throw new Error('classes is required');
+  }
+
+  // Build every class first so nothing is written unless the whole timetable is valid
+  const items = [];
+  for (const [index, raw] of classes.entries()) {
+    const label = raw?.name || `Class ${index + 1}`;
+    const schedules = Array.isArray(raw.schedules) ? raw.schedules.map(s => ({ dayOfWeek: s.dayOfWeek, startTime: s.startTime, endTime: s.endTime })) : [];
+    if (schedules.length === 0 || schedules.some(s => !TIME_PATTERN.test(s.startTime || '') || !TIME_PATTERN.test(s.endTime || '') || s.startTime >= s.endTime)) {
+      res.status(400);
+      throw new Error(`${label}: schedules are required (HH:MM, ending after they start)`);
+    }
+    if (!mongoose.isValidObjectId(raw.roomId) || !mongoose.isValidObjectId(raw.teacherId)) {
+      res.status(400);
+      throw new Error(`${label}: teacherId and roomId are required`);
+    }
+
+    let doc;
+    let previous = null;
+    if (raw.classId) {
+      doc = mongoose.isValidObjectId(raw.classId) ? await Class.findOne({ _id: raw.classId, schoolId }) : null;
+      if (!doc) {
+        res.status(404);
+        throw new Error(`Class ${raw.classId} not found`);
+      }
+      previous = { teacherId: doc.teacherId, roomId: doc.roomId, schedules: doc.schedules.map(s => ({ dayOfWeek: s.dayOfWeek, startTime: s.startTime, endTime: s.endTime })) };
+      Object.assign(doc, { teacherId: raw.teacherId, roomId: raw.roomId, schedules });
+    } else {
+      const fields = Object.fromEntries(Object.entries(raw).filter(([key]) => TIMETABLE_CLASS_FIELDS.includes(key)));
+      doc = new Class({ ...fields, ...classPricing(fields), schoolId, teacherId: raw.teacherId, roomId: raw.roomId, schedules });
+    }
+    try {
+      await doc.validate();
+    } catch (err) {
+      res.status(400);
+      throw new Error(`${label}: ${err.message}`);
+    }
+    items.push({
+      doc,
+      previous,
+      check: { key: String(raw.key || index + 1), classId: doc.isNew ? undefined : doc._id, name: doc.name, teacherId: doc.teacherId, roomId: doc.roomId, capacity: doc.capacity, activityType: raw.activityType, schedules },
+    });
+  }
+
+  // The school may have changed since the timetable was solved
+  const issues = await timetableService.checkTimetable(schoolId, items.map(i => i.check));
+  if (issues.length > 0) {
+    return res.status(409).json({ message: issues.map(i => `${i.name}: ${i.message}`).join('; '), issues });
+  }
+
+  // Undo the classes already written if one of them fails, so the timetable is applied whole or not at all
+  const created = [];
+  const updated = [];
+  try {
+    for (const { doc, previous } of items) {
+      const isNew = doc.isNew;
+      await doc.save();
+      (isNew ? created : updated).push({ doc, previous });
+      await classSessionService.syncClassCalendar(doc);
+    }
+  } catch (err) {
+    await undoTimetable(created, updated);
+    throw err;
+  }
+
+  for (const { doc } of created) {
+    await LoggingService.logManagerActivity(req, 'manager_class_create', `Created class ${doc.name} from a timetable`,
+      { classId: doc._id, roomId: doc.roomId, schedules: doc.schedules },
+      { entityType: 'class', entityId: doc._id }
+    );
+  }
+  for (const { doc } of updated) {
+    await LoggingService.logManagerActivity(req, 'manager_class_update', `Rescheduled class ${doc.name} from a timetable`,
+      { classId: doc._id, roomId: doc.roomId, schedules: doc.schedules },
+      { entityType: 'class', entityId: doc._id }
+    );
+  }
+
+  res.status(201).json({
+    success: true,
+    created: created.map(c => c.doc),
+    updated: updated.map(c => c.doc),
+    message: `Timetable applied: ${created.length} class(es) created, ${updated.length} rescheduled`
+  });
+});
+
+// @desc    Session overrides of a class (substitute teacher, room change, cancellation)
+// @route   GET /api/classes/:id/overrides?from=&to=
+// @access  Private (Manager)
+const getSessionOverrides = asyncHandler(async (req, res) => {
+  const { school: schoolId } = req.user;
+  const classItem = await Class.findOne({ _id: req.params.id, schoolId })
+    .populate('sessionOverrides.substituteTeacherId', 'firstName lastName')
+    .populate('sessionOverrides.roomId', 'name capacity');
+  if (!classItem) {
+    res.status(404);
+    throw new Error('Class not found');
+  }
+  const from = req.query.from ? toUtcDateOnly(req.query.from) : null;
+  const to = req.query.to ? toUtcDateOnly(req.query.to) : null;
+  const items = classItem.sessionOverrides
+    .filter(o => (!from || o.date >= from) && (!to || o.date <= to))
+    .sort((a, b) => a.date - b.date || a.startTime.localeCompare(b.startTime));
+  res.json({ classId: classItem._id, items, flaggedSessions: classItem.flaggedSessions });
+});
+
+// @desc    Set the substitute teacher, room or cancellation of one dated session
+// @route   POST /api/classes/:id/overrides
+// @access  Private (Manager)
+const setSessionOverride = asyncHandler(async (req, res) => {
+  const { school: schoolId } = req.user;
+  const { date, startTime, substituteTeacherId, roomId, cancelled, reason } = req.body || {};
+  const classItem = await Class.findOne({ _id: req.params.id, schoolId });
+  if (!classItem) {
+    res.status(404);
+    throw new Error('Class not found');
+  }
+
+  const dateOnly = date ? toUtcDateOnly(date) : null;
+  if (!dateOnly || isNaN(dateOnly.getTime())) {
+    res.status(400);
+    throw new Error('date is required (YYYY-MM-DD)');
+  }
+  // The session must be one of the class schedule slots of that weekday
+  const slots = classItem.schedules.filter(s => s.dayOfWeek === DAY_NAMES[dateOnly.getUTCDay()]);
+  const slot = startTime ? slots.find(s => s.startTime === startTime) : (slots.length === 1 ? slots[0] : null);
+  if (!slot) {
+    res.status(400);
+    throw new Error(slots.length > 1 ? 'startTime is required: the class has several sessions that day' : 'The class has no session at that date and time');
+  }
+  const isCancelled = cancelled === true || cancelled === 'true';
+  if (!isCancelled && !substituteTeacherId && !roomId) {
+    res.status(400);
+    throw new Error('Provide a substitute teacher, a room or a cancellation');
+  }
+
+  if (substituteTeacherId && !isCancelled) {
+    if (String(substituteTeacherId) === String(classItem.teacherId)) {
+      res.status(400);
+      throw new Error('The substitute must be another teacher');
+    }
+    const substitute = await User.findOne({ _id: substituteTeacherId, role: 'teacher', school: schoolId });
+    if (!substitute) {
+      res.status(404);
+      throw new Error('Substitute teacher not found');
+    }
+  }
+  if (roomId && !isCancelled) {
+    const room = await Room.findOne({ _id: roomId, schoolId });
+    if (!room) {
+      res.status(404);
+      throw new Error('Room not found');
+    }
+  }
+  if (isCancelled && await Attendance.exists({ classId: classItem._id, date: dateOnly })) {
+    res.status(409);
+    throw new Error('Attendance has already been taken for this session; undo it before cancelling');
+  }
+
+  const override = {
+    date: dateOnly,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    substituteTeacherId: isCancelled ? undefined : substituteTeacherId || undefined,
+    roomId: isCancelled ? undefined : roomId || undefined,
+    cancelled: isCancelled,
+    reason,
+    createdBy: req.user._id,
+  };
+  const conflict = await classItem.overrideConflict(override);
+  if (conflict) {
+    res.status(409);
+    throw new Error(overrideConflictMessage(conflict));
+  }
+
+  // One override per session: replace the previous one
+  classItem.sessionOverrides = classItem.sessionOverrides.filter(o => !(o.date.getTime() === dateOnly.getTime() && o.startTime === slot.startTime));
+  classItem.sessionOverrides.push(override);
+  // A covered or cancelled session no longer needs attention
+  if (override.substituteTeacherId || isCancelled) {
+    classItem.flaggedSessions = classItem.flaggedSessions.filter(f => !(f.date.getTime() === dateOnly.getTime() && f.startTime === slot.startTime));
+  }
+  await classItem.save();
+
+  // Attendance already taken that day belongs to whoever teaches it now
+  await Attendance.updateMany({ classId: classItem._id, date: dateOnly }, { $set: { teacherId: classItem.teacherForDate(dateOnly) } });
+  // Keep the session calendar in step with the cancellation
+  const session = (await classSessionService.sessionsOn(classItem, dateOnly)).find(s => s.startTime === slot.startTime);
+  if (session && isCancelled && session.status === 'scheduled') {
+    await classSessionService.cancelSession(session, { reason });
+  } else if (session && !isCancelled && session.status === 'cancelled' && session.cancelReason === 'manual') {
+    await classSessionService.restoreSession(session);
+  }
+
+  const sessionInfo = `${dateOnly.toISOString().slice(0, 10)} ${slot.startTime}-${slot.endTime}`;
+  const change = isCancelled ? 'cancelled' : [override.substituteTeacherId && 'substitute teacher', override.roomId && 'room change'].filter(Boolean).join(' and ');
+  await LoggingService.logManagerActivity(req, 'manager_class_update',
+    `Session ${sessionInfo} of ${classItem.name}: ${change}`,
+    { classId: classItem._id, override },
+    { entityType: 'class', entityId: classItem._id }
+  );
+  if (override.substituteTeacherId) {
+    await Notification.create({
+      schoolId: classItem.schoolId,
+      userId: override.substituteTeacherId,
+      type: 'session_override',
+      title: `Substitute session: ${classItem.name}`,
+      message: `You are teaching ${classItem.name} on ${sessionInfo}`,
+      data: { classId: classItem._id, date: dateOnly, startTime: slot.startTime },
+    });
+  }
+
+  res.status(201).json({ success: true, override: classItem.sessionOverrides[classItem.sessionOverrides.length - 1] });
+});
+
+// @desc    Remove a session override (the session goes back to the class teacher and room)
+// @route   DELETE /api/classes/:id/overrides/:overrideId
+// @access  Private (Manager)
+const removeSessionOverride = asyncHandler(async (req, res) => {
+  const { school: schoolId } = req.user;
+  const classItem = await Class.findOne({ _id: req.params.id, schoolId });
+  const override = classItem?.sessionOverrides.id(req.params.overrideId);
+  if (!override) {
+    res.status(404);
+    throw new Error('Session override not found');
+  }
+  const dateOnly = override.date;
+  override.deleteOne();
+  await classItem.save();
+  await Attendance.updateMany({ classId: classItem._id, date: dateOnly }, { $set: { teacherId: classItem.teacherForDate(dateOnly) } });
+  if (override.cancelled) {
+    const session = await ClassSession.findOne({ classId: classItem._id, date: dateOnly, startTime: override.startTime, status: 'cancelled', cancelReason: 'manual' });
+    if (session) await classSessionService.restoreSession(session);
+  }
+
+  await LoggingService.logManagerActivity(req, 'manager_class_update',
+    `Removed the override of session ${dateOnly.toISOString().slice(0, 10)} ${override.startTime} of ${classItem.name}`,
+    { classId: classItem._id, overrideId: override._id },
+    { entityType: 'class', entityId: classItem._id }
+  );
+
+  res.json({ success: true });
+});
+
+// @desc    Session calendar of a class (generated from its schedules within the enrollment period)
+// @route   GET /api/classes/:id/sessions?from=&to=&status=
+// @access  Private (Manager)
+const getClassSessions = asyncHandler(async (req, res) => {
+  const { school: schoolId } = req.user;
+  const classItem = await Class.findOne({ _id: req.params.id, schoolId });
+  if (!classItem) {
+    res.status(404);
+    throw new Error('Class not found');
+  }
+  const from = req.query.from ? toUtcDateOnly(req.query.from) : null;
+  const to = req.query.to ? toUtcDateOnly(req.query.to) : null;
+  await classSessionService.generateSessions(classItem, { from, to });
+
+  const query = { classId: classItem._id };
+  if (from || to) query.date = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  if (req.query.status) query.status = req.query.status;
+  const items = await ClassSession.find(query)
+    .populate('holidayId', 'name type')
+    .sort({ date: 1, startTime: 1 })
+    .lean();
+  res.json({
+    classId: classItem._id,
+    totalSessions: classItem.totalSessions,
+    completedSessions: classItem.completedSessions,
+    items,
+  });
+});
+
+// @desc    Add a make-up session (optionally for a cancelled session)
+// @route   POST /api/classes/:id/sessions { date, startTime, endTime, makeupFor, reason }
+// @access  Private (Manager)
+const addClassSession = asyncHandler(async (req, res) => {
+  const { school: schoolId } = req.user;
+  const classItem = await Class.findOne({ _id: req.params.id, schoolId });
+  if (!classItem) {
+    res.status(404);
+    throw new Error('Class not found');
+  }
+  const { makeupFor, reason } = req.body || {};
+  let missed = null;
+  if (makeupFor) {
+    missed = mongoose.isValidObjectId(makeupFor) ? await ClassSession.findOne({ _id: makeupFor, classId: classItem._id }) : null;
+    if (!missed || missed.status !== 'cancelled') {
+      res.status(400);
+      throw new Error('makeupFor must be a cancelled session of this class');
+    }
+  }
+  const missedDuration = missed ? toMinutes(missed.endTime) - toMinutes(missed.startTime) : null;
+  const slot = parseSessionSlot(req.body, res, missedDuration);
+  await assertNoHoliday(classItem.schoolId, slot.date, res);
+  const conflict = await classSessionService.extraSessionConflict(classItem, slot);
+  if (conflict) {
+    res.status(409);
+    throw new Error(sessionConflictMessage(conflict, slot.sessionInfo));
+  }
+
+  const session = await classSessionService.addMakeupSession(classItem, { ...slot, reason, makeupFor: missed?._id }, req.user._id);
+  await LoggingService.logManagerActivity(req, 'manager_class_update',
+    `Added a make-up session ${slot.sessionInfo} to ${classItem.name}`,
+    { classId: classItem._id, sessionId: session._id, makeupFor: missed?._id },
+    { entityType: 'class', entityId: classItem._id }
+  );
+  await Notification.create({
+    schoolId: classItem.schoolId,
+    userId: classItem.teacherId,
+    type: 'class_session',
+    title: `Make-up session: ${classItem.name}`,
+    message: `A make-up session of ${classItem.name} is scheduled on ${slot.sessionInfo}`,
+    data: { classId: classItem._id, sessionId: session._id },
+  });
+
+  res.status(201).json({ success: true, session });
+});
+
+// @desc    Cancel a scheduled session
+// @route   POST /api/classes/:id/sessions/:sessionId/cancel { reason }
+// @access  Private (Manager)
+const cancelClassSession = asyncHandler(async (req, res) => {
+  const { classItem, session } = await findClassSession(req, res);
+  if (session.status === 'completed') {
+    res.status(409);
+    throw new Error('Attendance has already been taken for this session; undo it before cancelling');
+  }
+  if (session.status !== 'scheduled') {
+    res.status(409);
+    throw new Error(`The session is already ${session.status}`);
+  }
+  await classSessionService.cancelSession(session, { reason: req.body?.reason });
+
+  const sessionInfo = `${session.date.toISOString().slice(0, 10)} ${session.startTime}-${session.endTime}`;
+  await LoggingService.logManagerActivity(req, 'manager_class_update',
+    `Session ${sessionInfo} of ${classItem.name}: cancelled`,
+    { classId: classItem._id, sessionId: session._id, reason: session.reason },
+    { entityType: 'class', entityId: classItem._id }
+  );
+  res.json({ success: true, session });
+});
+
+// @desc    Put a cancelled session back on the calendar
+// @route   POST /api/classes/:id/sessions/:sessionId/restore
+// @access  Private (Manager)
+const restoreClassSession = asyncHandler(async (req, res) => {
+  const { classItem, session } = await findClassSession(req, res);
+  if (session.status !== 'cancelled') {
+    res.status(409);
+    throw new Error('Only a cancelled session can be restored');
+  }
+  if (session.cancelReason === 'holiday') {
+    res.status(409);
+    throw new Error(`The session falls on ${session.reason || 'a school holiday'}; change the holiday calendar instead`);
+  }
+  const sessionInfo = `${session.date.toISOString().slice(0, 10)} ${session.startTime}-${session.endTime}`;
+  const conflict = await classSessionService.extraSessionConflict(classItem, session, session._id);
+  if (conflict && (session.kind !== 'regular' || ['class', 'slot'].includes(conflict.type))) {
+    res.status(409);
+    throw new Error(sessionConflictMessage(conflict, sessionInfo));
+  }
+  await classSessionService.restoreSession(session);
+  // The session is no longer cancelled by an override either
+  const before = classItem.sessionOverrides.length;
+  classItem.sessionOverrides = classItem.sessionOverrides.filter(o => !(o.cancelled && o.date.getTime() === session.date.getTime() && o.startTime === session.startTime));
+  if (classItem.sessionOverrides.length !== before) await classItem.save();
+
+  await LoggingService.logManagerActivity(req, 'manager_class_update',
+    `Session ${sessionInfo} of ${classItem.name}: restored`,
+    { classId: classItem._id, sessionId: session._id },
+    { entityType: 'class', entityId: classItem._id }
+  );
+  res.json({ success: true, session });
+});
+
+// @desc    Move a scheduled session to another date or time
+// @route   POST /api/classes/:id/sessions/:sessionId/reschedule { date, startTime, endTime, reason }
+// @access  Private (Manager)
+const rescheduleClassSession = asyncHandler(async (req, res) => {
+  const { classItem, session } = await findClassSession(req, res);
+  if (session.status !== 'scheduled') {
+    res.status(409);
+    throw new Error(session.status === 'completed'
+      ? 'Attendance has already been taken for this session; undo it before rescheduling'
+      : `The session is already ${session.status}`);
+  }
+  const slot = parseSessionSlot(req.body, res, toMinutes(session.endTime) - toMinutes(session.startTime));
+  await assertNoHoliday(classItem.schoolId, slot.date, res);
+  const conflict = await classSessionService.extraSessionConflict(classItem, slot, session._id);
+  if (conflict) {
+    res.status(409);
+    throw new Error(sessionConflictMessage(conflict, slot.sessionInfo));
+  }
+
+  const replacement = await classSessionService.rescheduleSession(session, { ...slot, reason: req.body?.reason }, req.user._id);
+  const sessionInfo = `${session.date.toISOString().slice(0, 10)} ${session.startTime}-${session.endTime}`;
+  await LoggingService.logManagerActivity(req, 'manager_class_update',
+    `Session ${sessionInfo} of ${classItem.name}: rescheduled to ${slot.sessionInfo}`,
+    { classId: classItem._id, sessionId: session._id, replacementId: replacement._id },
+    { entityType: 'class', entityId: classItem._id }
+  );
+  await Notification.create({
+    schoolId: classItem.schoolId,
+    userId: classItem.teacherId,
+    type: 'class_session',
+    title: `Session rescheduled: ${classItem.name}`,
+    message: `The session of ${classItem.name} on ${sessionInfo} moves to ${slot.sessionInfo}`,
+    data: { classId: classItem._id, sessionId: replacement._id },
+  });
+
+  res.status(201).json({ success: true, session, replacement });
+});
+
+// @desc    Upcoming sessions the logged-in teacher teaches as a substitute
+// @route   GET /api/classes/teacher/substitutions
+// @access  Private (Teacher)
+const getMySubstitutions = asyncHandler(async (req, res) => {
+  const { _id: teacherId, school: schoolId } = req.user;
+  const from = req.query.from ? toUtcDateOnly(req.query.from) : toUtcDateOnly(new Date().toISOString());
+  const classes = await Class.find({
+    schoolId,
+    sessionOverrides: { $elemMatch: { substituteTeacherId: teacherId, cancelled: { $ne: true }, date: { $gte: from } } }
+  })
+    .select('name roomId teacherId sessionOverrides')
+    .populate('roomId', 'name')
+    .populate('teacherId', 'firstName lastName');
+  const items = classes
+    .flatMap(c => c.sessionOverrides
+      .filter(o => String(o.substituteTeacherId) === String(teacherId) && !o.cancelled && o.date >= from)
+      .map(o => ({ classId: c._id, className: c.name, classTeacher: c.teacherId, room: c.roomId, date: o.date, startTime: o.startTime, endTime: o.endTime, roomId: o.roomId, reason: o.reason })))
+    .sort((a, b) => a.date - b.date || a.startTime.localeCompare(b.startTime));
+  res.json(items);
+});
+
 module.exports = {
+  getSessionOverrides,
+  setSessionOverride,
+  removeSessionOverride,
+  getMySubstitutions,
+  getClassSessions,
+  addClassSession,
+  cancelClassSession,
+  restoreClassSession,
+  rescheduleClassSession,
   getClasses,
   getClass,
   createClass,
@@ -660,7 +1342,9 @@ module.exports = {
   getAvailableRooms,
   getCatalogItems,
   getClassesByTeacher,
-  checkConflicts
+  checkConflicts,
+  solveTimetable,
+  applyTimetable
 };
 // @desc    Get classes for the logged-in student
 // @route   GET /api/classes/my
@@ -0,0 +1,195 @@
+// server/controllers/discountController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const DiscountRule = require('../models/DiscountRule');
+const Class = require('../models/Class');
+const School = require('../models/School');
+const LoggingService = require('../services/loggingService');
+const { buildPricingSnapshot } = require('../services/discountService');
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+const EDITABLE_FIELDS = ['name', 'type', 'valueType', 'value', 'beneficiaries', 'minActiveSiblings', 'classIds', 'validFrom', 'validUntil', 'stackable', 'priority', 'notes'];
+
+function pickRuleFields(body) {
+  const out = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) out[key] = body[key];
+  }
+  return out;
+}
+
+// @desc    List discount rules of the school
+// @route   GET /api/discounts?status=&type=
+// @access  Private (Manager, Staff)
+const getDiscountRules = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  const { status, type } = req.query || {};
+  const query = { schoolId };
+  if (status) query.status = status;
+  if (type) query.type = type;
+  const items = await DiscountRule.find(query)
+    .populate('beneficiaries', 'firstName lastName studentCode')
+    .populate('classIds', 'name')
+    .populate('requestedBy', 'firstName lastName')
+    .populate('reviewedBy', 'firstName lastName')
+    .sort({ status: 1, priority: 1, createdAt: -1 })
+    .lean();
+  res.json({ items });
+});
+
+// @desc    Propose a discount rule (starts as pending until approved)
+// @route   POST /api/discounts
+// @access  Private (Manager, Staff)
+const createDiscountRule = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  let rule;
+  try {
+    rule = await DiscountRule.create({
+      ...pickRuleFields(req.body || {}),
+      schoolId,
+      status: 'pending',
+      requestedBy: req.user._id,
+    });
+  } catch (err) {
+    res.status(400);
+    throw new Error(err?.message || 'Failed to create discount rule');
+  }
+
+  await LoggingService.logManagerActivity(req, 'manager_discount_create',
+    `Proposed ${rule.type} discount "${rule.name}" (${rule.value}${rule.valueType === 'percentage' ? '%' : ' DZD'})`,
+    { ruleId: rule._id },
+    null
+  );
+
+  res.status(201).json({ success: true, data: rule });
+});
+
+// @desc    Edit a discount rule; approved rules go back to pending for re-approval
+// @route   PUT /api/discounts/:id
+// @access  Private (Manager)
+const updateDiscountRule = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  const { id } = req.params;
+  const rule = mongoose.isValidObjectId(id) ? await DiscountRule.findOne({ _id: id, schoolId }) : null;
+  if (!rule) {
+    res.status(404);
+    throw new Error('Discount rule not found');
+  }
+  if (rule.status === 'archived') {
+    res.status(400);
+    throw new Error('Archived rules cannot be edited');
+  }
+  Object.assign(rule, pickRuleFields(req.body || {}));
+  rule.status = 'pending';
+  rule.requestedBy = req.user._id;
+  rule.reviewedBy = undefined;
+  rule.reviewedAt = undefined;
+  rule.reviewNote = undefined;
+  try {
+    await rule.save();
+  } catch (err) {
+    res.status(400);
+    throw new Error(err?.message || 'Failed to update discount rule');
+  }
+  res.json({ success: true, data: rule });
+});
+
+// Approve/reject/archive a rule. The requester cannot approve their own rule unless
+// they are the school principal or the only manager of the school.
+async function reviewRule(req, res, decision) {
+  const schoolId = getSchoolId(req);
+  const { id } = req.params;
+  const rule = mongoose.isValidObjectId(id) ? await DiscountRule.findOne({ _id: id, schoolId }) : null;
+  if (!rule) {
+    res.status(404);
+    throw new Error('Discount rule not found');
+  }
+  if (decision !== 'archived' && rule.status !== 'pending') {
+    res.status(409);
+    throw new Error(`Rule is already ${rule.status}`);
+  }
+  if (decision === 'approved' && rule.requestedBy && rule.requestedBy.toString() === req.user._id.toString()) {
+    const school = await School.findById(schoolId).select('principal managers').lean();
+    const isPrincipal = school?.principal?.toString() === req.user._id.toString();
+    const soleManager = (school?.managers || []).length <= 1;
+    if (!isPrincipal && !soleManager) {
+      res.status(403);
+      throw new Error('A discount rule must be approved by someone other than its requester');
+    }
+  }
+
+  rule.status = decision;
+  rule.reviewedBy = req.user._id;
+  rule.reviewedAt = new Date();
+  if (typeof req.body?.note === 'string') rule.reviewNote = req.body.note.trim();
+  await rule.save();
+
+  await LoggingService.logManagerActivity(req, 'manager_discount_review',
+    `Discount rule "${rule.name}" ${decision}`,
+    { ruleId: rule._id, decision, note: rule.reviewNote },
+    null
+  );
+
+  res.json({ success: true, data: rule });
+}
+
+// @desc    Approve a pending discount rule
+// @route   POST /api/discounts/:id/approve
+// @access  Private (Manager)
+const approveDiscountRule = asyncHandler(async (req, res) => reviewRule(req, res, 'approved'));
+
+// @desc    Reject a pending discount rule
+// @route   POST /api/discounts/:id/reject
+// @access  Private (Manager)
+const rejectDiscountRule = asyncHandler(async (req, res) => reviewRule(req, res, 'rejected'));
+
+// @desc    Archive a rule so it no longer applies to new enrollments (existing snapshots keep their price)
+// @route   POST /api/discounts/:id/archive
+// @access  Private (Manager)
+const archiveDiscountRule = asyncHandler(async (req, res) => reviewRule(req, res, 'archived'));
+
+// @desc    Preview the pricing a student would get in a class with current approved rules
+// @route   GET /api/discounts/preview?studentId=&classId=
+// @access  Private (Manager, Staff)
+const previewPricing = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  const { studentId, classId } = req.query || {};
+  if (!mongoose.isValidObjectId(studentId) || !mongoose.isValidObjectId(classId)) {
+    res.status(400);
+    throw new Error('Valid studentId and classId are required');
+  }
+  const klass = await Class.findOne({ _id: classId, schoolId });
+  if (!klass) {
+    res.status(404);
+    throw new Error('Class not found');
+  }
+  const snapshot = await buildPricingSnapshot({ schoolId, studentId: new mongoose.Types.ObjectId(studentId), klass });
+  if (snapshot.error) {
+    res.status(400);
+    throw new Error(snapshot.error);
+  }
+  res.json({ success: true, data: snapshot });
+});
+
+module.exports = {
+  getDiscountRules,
+  createDiscountRule,
+  updateDiscountRule,
+  approveDiscountRule,
+  rejectDiscountRule,
+  archiveDiscountRule,
+  previewPricing,
+};
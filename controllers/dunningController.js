@@ -0,0 +1,206 @@
+// server/controllers/dunningController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const School = require('../models/School');
+const DunningCase = require('../models/DunningCase');
+const DunningReminder = require('../models/DunningReminder');
+const LoggingService = require('../services/loggingService');
+const { DEFAULT_SETTINGS, runDunningForSchool } = require('../services/dunningService');
+
+// Normalize YYYY-MM-DD to UTC date-only
+function toUtcDateOnly(dateStr) {
+  const d = new Date(dateStr + 'T00:00:00.000Z');
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+async function findOpenCase(req, res) {
+  const schoolId = getSchoolId(req);
+  const { id } = req.params;
+  const dunningCase = mongoose.isValidObjectId(id) ? await DunningCase.findOne({ _id: id, schoolId }) : null;
+  if (!dunningCase) {
+    res.status(404);
+    throw new Error('Dunning case not found');
+  }
+  if (dunningCase.status === 'resolved') {
+    res.status(409);
+    throw new Error('Case is already resolved');
+  }
+  return dunningCase;
+}
+
+// @desc    Get the school's dunning settings
+// @route   GET /api/dunning/settings
+// @access  Private (Manager)
+const getDunningSettings = asyncHandler(async (req, res) => {
+  const school = await School.findById(getSchoolId(req)).select('dunning').lean();
+  if (!school) {
+    res.status(404);
+    throw new Error('School not found');
+  }
+  res.json({ success: true, data: { ...DEFAULT_SETTINGS, ...(school.dunning || {}) } });
+});
+
+// @desc    Update thresholds, reminder interval and channels
+// @route   PUT /api/dunning/settings
+// @access  Private (Manager)
+const updateDunningSettings = asyncHandler(async (req, res) => {
+  const school = await School.findById(getSchoolId(req));
+  if (!school) {
+    res.status(404);
+    throw new Error('School not found');
+  }
+  const body = req.body || {};
+  for (const key of ['debtThreshold', 'negativeSessionsThreshold', 'reminderIntervalDays', 'maxLevel']) {
+    if (body[key] !== undefined) {
+      const n = Number(body[key]);
+      if (!Number.isFinite(n)) {
+        res.status(400);
+        throw new Error(`${key} must be a number`);
+      }
+      school.set(`dunning.${key}`, n);
+    }
+  }
+  for (const key of ['enabled', 'emailEnabled']) {
+    if (typeof body[key] === 'boolean') school.set(`dunning.${key}`, body[key]);
+  }
+  try {
+    await school.save();
+  } catch (err) {
+    res.status(400);
+    throw new Error(err?.message || 'Invalid dunning settings');
+  }
+  res.json({ success: true, data: school.dunning });
+});
+
+// @desc    List dunning cases (default: all unresolved)
+// @route   GET /api/dunning/cases?status=
+// @access  Private (Manager, Staff)
+const getDunningCases = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  const { status } = req.query || {};
+  const query = { schoolId, status: status || { $in: ['open', 'snoozed', 'promised'] } };
+  const items = await DunningCase.find(query)
+    .populate('studentId', 'firstName lastName studentCode email')
+    .populate('negativeEnrollments.classId', 'name')
+    .sort({ level: -1, debt: -1 })
+    .lean();
+  res.json({ items });
+});
+
+// @desc    Reminder log of a case
+// @route   GET /api/dunning/cases/:id/reminders
+// @access  Private (Manager, Staff)
+const getCaseReminders = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('Invalid case id');
+  }
+  const items = await DunningReminder.find({ schoolId, caseId: id })
+    .populate('triggeredBy', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .lean();
+  res.json({ items });
+});
+
+// @desc    Pause reminders for a case until a date
+// @route   POST /api/dunning/cases/:id/snooze
+// @access  Private (Manager)
+const snoozeCase = asyncHandler(async (req, res) => {
+  const dunningCase = await findOpenCase(req, res);
+  const { until, note } = req.body || {};
+  const untilDate = until ? toUtcDateOnly(until) : null;
+  if (!untilDate || isNaN(untilDate.getTime()) || untilDate <= new Date()) {
+    res.status(400);
+    throw new Error('until must be a future date (YYYY-MM-DD)');
+  }
+  dunningCase.status = 'snoozed';
+  dunningCase.snoozedUntil = untilDate;
+  dunningCase.snoozeNote = typeof note === 'string' ? note.trim() : undefined;
+  await dunningCase.save();
+
+  await LoggingService.logManagerActivity(req, 'manager_dunning_update',
+    `Snoozed debt reminders for student ${dunningCase.studentId} until ${until}`,
+    { caseId: dunningCase._id, until, note },
+    { entityType: 'student', entityId: dunningCase.studentId }
+  );
+  res.json({ success: true, data: dunningCase });
+});
+
+// @desc    Record a promise to pay; reminders stop until the promised date passes
+// @route   POST /api/dunning/cases/:id/promise
+// @access  Private (Manager)
+const recordPromise = asyncHandler(async (req, res) => {
+  const dunningCase = await findOpenCase(req, res);
+  const { promisedDate, amount, note } = req.body || {};
+  const date = promisedDate ? toUtcDateOnly(promisedDate) : null;
+  if (!date || isNaN(date.getTime())) {
+    res.status(400);
+    throw new Error('promisedDate (YYYY-MM-DD) is required');
+  }
+  dunningCase.status = 'promised';
+  dunningCase.promise = {
+    amount: Number.isFinite(Number(amount)) ? Number(amount) : undefined,
+    promisedDate: date,
+    note: typeof note === 'string' ? note.trim() : undefined,
+    recordedBy: req.user._id,
+    recordedAt: new Date(),
+  };
+  await dunningCase.save();
+
+  await LoggingService.logManagerActivity(req, 'manager_dunning_update',
+    `Student ${dunningCase.studentId} promised to pay${amount ? ' ' + amount + ' DZD' : ''} by ${promisedDate}`,
+    { caseId: dunningCase._id, promisedDate, amount, note },
+    { entityType: 'student', entityId: dunningCase.studentId }
+  );
+  res.json({ success: true, data: dunningCase });
+});
+
+// @desc    Reopen a snoozed/promised case so the next run reminds again
+// @route   POST /api/dunning/cases/:id/reopen
+// @access  Private (Manager)
+const reopenCase = asyncHandler(async (req, res) => {
+  const dunningCase = await findOpenCase(req, res);
+  dunningCase.status = 'open';
+  dunningCase.snoozedUntil = undefined;
+  dunningCase.promise = undefined;
+  await dunningCase.save();
+  res.json({ success: true, data: dunningCase });
+});
+
+// @desc    Run the dunning job now for the manager's school
+// @route   POST /api/dunning/run
+// @access  Private (Manager)
+const runDunningNow = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  const summary = await runDunningForSchool(schoolId, { triggeredBy: req.user._id });
+
+  await LoggingService.logManagerActivity(req, 'manager_dunning_update',
+    `Ran debt reminders: ${summary.reminded} sent, ${summary.resolved} cases resolved`,
+    summary,
+    null
+  );
+  res.json({ success: true, data: summary });
+});
+
+module.exports = {
+  getDunningSettings,
+  updateDunningSettings,
+  getDunningCases,
+  getCaseReminders,
+  snoozeCase,
+  recordPromise,
+  reopenCase,
+  runDunningNow,
+};
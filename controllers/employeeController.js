@@ -5,8 +5,22 @@ const mongoose = require('mongoose');
 const Employee = require('../models/Employee');
 const EmployeeSalaryTransaction = require('../models/EmployeeSalaryTransaction');
 const User = require('../models/User');
+const TimesheetEntry = require('../models/TimesheetEntry');
 const bcrypt = require('bcryptjs');
 const LoggingService = require('../services/loggingService');
+const ledgerService = require('../services/ledgerService');
+const { checkBudgetAlerts } = require('../services/budgetService');
+const { applySalaryAdjustments, refreshSalaryTransaction, refreshLaterRecoveries, getAdvanceBalances } = require('../services/salaryAdjustmentService');
+const SalaryAdjustment = require('../models/SalaryAdjustment');
+
+// Overtime rule fields accepted from the request body (null disables a threshold)
+function pickOvertimeRules(body) {
+  const rules = {};
+  for (const key of Object.keys(TimesheetEntry.DEFAULT_OVERTIME_RULES)) {
+    if (body[key] !== undefined) rules[key] = body[key] === null ? null : Number(body[key]);
+  }
+  return rules;
+}
 
 /**
  * @desc    Create a new employee
@@ -14,7 +28,7 @@ const LoggingService = require('../services/loggingService');
  * @access  Private (Manager)
  */
 const createEmployee = asyncHandler(async (req, res) => {
-  const { name, role, employeeType, salaryType, salaryValue, hireDate, phone, email, address, notes, username, password, permissions } = req.body;
+  const { name, role, employeeType, contractType, salaryType, salaryValue, hireDate, phone, email, address, notes, username, password, permissions, overtimeRules } = req.body;
 
   // Check if user has access to this school
   const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
@@ -43,6 +57,10 @@ const createEmployee = asyncHandler(async (req, res) => {
     }
   }
 
+  if (contractType && !['full_time', 'part_time', 'temporary', 'freelance'].includes(contractType)) {
+    return res.status(400).json({ message: 'Contract type must be full_time, part_time, temporary or freelance' });
+  }
+
   // Validate salary type and value
   if (!['fixed', 'hourly'].includes(salaryType)) {
     return res.status(400).json({ message: 'Salary type must be fixed or hourly' });
@@ -59,6 +77,7 @@ const createEmployee = asyncHandler(async (req, res) => {
       name,
       role,
       employeeType,
+      contractType: contractType || 'full_time',
       salaryType,
       salaryValue,
       hireDate: new Date(hireDate),
@@ -68,6 +87,10 @@ const createEmployee = asyncHandler(async (req, res) => {
       notes: notes || ''
     };
 
+    if (overtimeRules) {
+      employeeData.overtimeRules = pickOvertimeRules(overtimeRules);
+    }
+
     // Add platform access fields for staff
     if (employeeType === 'staff') {
       employeeData.username = username;
@@ -231,7 +254,7 @@ const getEmployee = asyncHandler(async (req, res) => {
  */
 const updateEmployee = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, role, salaryType, salaryValue, hireDate, phone, email, address, notes, status } = req.body;
+  const { name, role, contractType, salaryType, salaryValue, hireDate, phone, email, address, notes, status, overtimeRules } = req.body;
 
   try {
     const employee = await Employee.findById(id);
@@ -243,6 +266,7 @@ const updateEmployee = asyncHandler(async (req, res) => {
     // Update fields
     if (name) employee.name = name;
     if (role) employee.role = role;
+    if (contractType) employee.contractType = contractType;
     if (salaryType) employee.salaryType = salaryType;
     if (salaryValue !== undefined) employee.salaryValue = salaryValue;
     if (hireDate) employee.hireDate = new Date(hireDate);
@@ -251,6 +275,11 @@ const updateEmployee = asyncHandler(async (req, res) => {
     if (address !== undefined) employee.address = address;
     if (notes !== undefined) employee.notes = notes;
     if (status) employee.status = status;
+    if (overtimeRules) {
+      for (const [key, value] of Object.entries(pickOvertimeRules(overtimeRules))) {
+        employee.set(`overtimeRules.${key}`, value);
+      }
+    }
 
     await employee.save();
 
@@ -316,9 +345,25 @@ const getEmployeeSalaryHistory = asyncHandler(async (req, res) => {
       .populate('createdBy', 'firstName lastName')
       .sort({ year: -1, month: -1, transactionDate: -1 });
 
+    // Live approved-hours and leave breakdowns of the requested month; each transaction
+    // keeps the breakdowns it was last calculated from in `hours` and `leave`
+    let hours = null;
+    let leave = null;
+    if (year && month) {
+      const employee = await Employee.findById(id);
+      if (employee?.salaryType === 'hourly') {
+        hours = await employee.getMonthlyHours(year, month);
+      }
+      if (employee) {
+        leave = await employee.getLeaveEffect(year, month);
+      }
+    }
+
     res.json({
       success: true,
-      data: transactions
+      data: transactions,
+      hours,
+      leave
     });
 
   } catch (error) {
@@ -336,23 +381,9 @@ const payEmployeeSalary = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { year, month, paidAmount, paymentMethod, notes } = req.body;
 
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
-  const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!userSchoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
-
-  // Get school ID (fallback for testing)
-  let schoolId = userSchoolId;
-  if (!schoolId) {
-    const School = require('../models/School');
-    const firstSchool = await School.findOne();
-    schoolId = firstSchool?._id;
-  }
-
+  const schoolId = req.user.school?._id?.toString() || req.user.school?.toString();
   if (!schoolId) {
-    return res.status(400).json({ message: 'No school found' });
+    return res.status(403).json({ message: 'Access denied to this school' });
   }
 
   // Validate required fields
@@ -366,42 +397,76 @@ const payEmployeeSalary = asyncHandler(async (req, res) => {
 
   try {
     // Get employee
-    const employee = await Employee.findById(id);
+    const employee = mongoose.isValidObjectId(id) ? await Employee.findOne({ _id: id, schoolId }) : null;
     if (!employee) {
       return res.status(404).json({ message: 'Employee not found' });
     }
 
     // Calculate salary for the month
-    const calculatedSalary = employee.calculateMonthlySalary(year, month);
+    const calculatedSalary = await employee.calculateMonthlySalary(year, month);
+    const leaveEffect = await employee.getLeaveEffect(year, month);
+    const leave = leaveEffect.paidDays > 0 || leaveEffect.unpaidDays > 0
+      ? { ...leaveEffect, calculatedAt: new Date() }
+      : undefined;
+    let hours;
+    if (employee.salaryType === 'hourly') {
+      const totals = await employee.getMonthlyHours(year, month);
+      if (totals.totalHours <= 0 && !leaveEffect.paidDays) {
+        return res.status(400).json({ message: 'No approved timesheet hours for this month' });
+      }
+      hours = { ...totals, calculatedAt: new Date() };
+    }
     
     // Check if transaction already exists for this month
     let transaction = await EmployeeSalaryTransaction.getByEmployeeAndMonth(id, year, month);
     
     if (transaction) {
-      // Update existing transaction
-      transaction.paidAmount += paidAmount;
-      transaction.calculateRemaining();
-      transaction.paymentMethod = paymentMethod;
-      transaction.notes = notes || transaction.notes;
-      transaction.transactionDate = new Date();
-      await transaction.save();
+      if (hours || leave || transaction.leave) {
+        // Hours and leave approved since the last payment change the salary of the month
+        transaction.calculatedSalary = calculatedSalary;
+        transaction.hours = hours;
+        transaction.leave = leave;
+      }
     } else {
       // Create new transaction
-      transaction = await EmployeeSalaryTransaction.create({
+      transaction = new EmployeeSalaryTransaction({
         schoolId: new mongoose.Types.ObjectId(schoolId),
         employeeId: new mongoose.Types.ObjectId(id),
         year: parseInt(year),
         month: parseInt(month),
         calculatedSalary: calculatedSalary,
-        paidAmount: paidAmount,
-        remaining: calculatedSalary - paidAmount,
+        paidAmount: 0,
+        remaining: calculatedSalary,
         paymentMethod: paymentMethod,
         transactionDate: new Date(),
         createdBy: req.user._id,
-        notes: notes || ''
+        notes: notes || '',
+        hours,
+        leave
       });
     }
 
+    // Bonuses, reimbursements, deductions and advance recoveries make up the net salary
+    await applySalaryAdjustments(transaction);
+    transaction.calculateRemaining();
+    const amount = Number(paidAmount);
+    if (amount > transaction.remaining + 0.005) {
+      return res.status(400).json({ message: `Paid amount exceeds the remaining net salary (${transaction.remaining} DZD)` });
+    }
+
+    transaction.paidAmount += amount;
+    transaction.payments.push({ amount, method: paymentMethod, paidBy: req.user._id, notes });
+    transaction.calculateRemaining();
+    transaction.paymentMethod = paymentMethod;
+    transaction.notes = notes || transaction.notes;
+    transaction.transactionDate = new Date();
+    await transaction.save();
+    await refreshLaterRecoveries(transaction);
+
+    await ledgerService.record(() => ledgerService.postSalaryPayment(transaction, Number(paidAmount), req.user._id));
+    await checkBudgetAlerts(transaction.schoolId, new Date(transaction.year, transaction.month - 1, 1), { costType: 'employee_salaries' })
+      .catch(err => console.error('Budget alert check failed:', err.message));
+
     // Populate the response
     await transaction.populate('employeeId', 'name role salaryType salaryValue');
     await transaction.populate('createdBy', 'firstName lastName');
@@ -424,6 +489,161 @@ const payEmployeeSalary = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    List salary adjustments of an employee, with the advances still being recovered
+ * @route   GET /api/employees/:id/adjustments?year=&month=
+ * @access  Private (Manager)
+ */
+const getSalaryAdjustments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { year, month } = req.query;
+  const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
+
+  const employee = mongoose.isValidObjectId(id) ? await Employee.findOne({ _id: id, schoolId: userSchoolId }) : null;
+  if (!employee) {
+    return res.status(404).json({ message: 'Employee not found' });
+  }
+
+  const query = { schoolId: employee.schoolId, employeeId: employee._id };
+  if (year) query.year = parseInt(year);
+  if (month) query.month = parseInt(month);
+
+  const [adjustments, advances] = await Promise.all([
+    SalaryAdjustment.find(query)
+      .populate('createdBy', 'firstName lastName')
+      .sort({ year: -1, month: -1, date: -1 })
+      .lean(),
+    getAdvanceBalances(employee.schoolId, { employeeId: employee._id }),
+  ]);
+
+  res.json({
+    success: true,
+    data: adjustments,
+    advances,
+    outstandingAdvances: Math.round(advances.reduce((s, a) => s + a.outstanding, 0) * 100) / 100
+  });
+});
+
+/**
+ * @desc    Record an advance, bonus, deduction or reimbursement
+ * @route   POST /api/employees/:id/adjustments
+ * @access  Private (Manager)
+ */
+const addSalaryAdjustment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { type, amount, reason, year, month, paymentMethod, monthlyRecovery } = req.body;
+  const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
+
+  if (!Object.keys(SalaryAdjustment.ADJUSTMENT_TYPES).includes(type)) {
+    return res.status(400).json({ message: `Type must be one of: ${Object.keys(SalaryAdjustment.ADJUSTMENT_TYPES).join(', ')}` });
+  }
+  if (!(Number(amount) > 0)) {
+    return res.status(400).json({ message: 'Amount must be greater than 0' });
+  }
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({ message: 'A reason is required' });
+  }
+  if (type === 'advance' && !paymentMethod) {
+    return res.status(400).json({ message: 'Payment method is required for an advance' });
+  }
+
+  const employee = mongoose.isValidObjectId(id) ? await Employee.findOne({ _id: id, schoolId: userSchoolId }) : null;
+  if (!employee) {
+    return res.status(404).json({ message: 'Employee not found' });
+  }
+
+  const now = new Date();
+  const adjustment = await SalaryAdjustment.create({
+    schoolId: employee.schoolId,
+    employeeId: employee._id,
+    type,
+    amount: Number(amount),
+    reason,
+    year: parseInt(year) || now.getFullYear(),
+    month: parseInt(month) || now.getMonth() + 1,
+    paymentMethod: type === 'advance' ? paymentMethod : undefined,
+    monthlyRecovery: type === 'advance' && monthlyRecovery ? Number(monthlyRecovery) : undefined,
+    createdBy: req.user._id
+  });
+
+  let transaction = null;
+  if (type === 'advance') {
+    // The advance is paid out now and recovered from the following months' salaries
+    await ledgerService.record(() => ledgerService.postSalaryAdvance(adjustment, req.user._id));
+    await checkBudgetAlerts(adjustment.schoolId, new Date(adjustment.year, adjustment.month - 1, 1), { costType: 'employee_salaries' })
+      .catch(err => console.error('Budget alert check failed:', err.message));
+  } else {
+    transaction = await refreshSalaryTransaction(employee.schoolId, employee._id, adjustment.year, adjustment.month);
+  }
+
+  await LoggingService.logManagerActivity(req, 'manager_salary_adjust',
+    `Recorded ${type} of ${adjustment.amount} DZD for employee ${employee.name} (${adjustment.year}-${adjustment.month}): ${reason}`,
+    { adjustmentId: adjustment._id, employeeId: employee._id, type, amount: adjustment.amount, year: adjustment.year, month: adjustment.month },
+    { entityType: 'employee', entityId: employee._id }
+  );
+
+  res.status(201).json({
+    success: true,
+    data: adjustment,
+    transaction
+  });
+});
+
+/**
+ * @desc    Void a salary adjustment (advances only while nothing has been recovered)
+ * @route   POST /api/employees/adjustments/:adjustmentId/void
+ * @access  Private (Manager)
+ */
+const voidSalaryAdjustment = asyncHandler(async (req, res) => {
+  const { adjustmentId } = req.params;
+  const { reason } = req.body || {};
+  const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
+
+  const adjustment = mongoose.isValidObjectId(adjustmentId)
+    ? await SalaryAdjustment.findOne({ _id: adjustmentId, schoolId: userSchoolId })
+    : null;
+  if (!adjustment) {
+    return res.status(404).json({ message: 'Salary adjustment not found' });
+  }
+  if (adjustment.status === 'voided') {
+    return res.status(409).json({ message: 'Salary adjustment is already voided' });
+  }
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({ message: 'A reason is required' });
+  }
+  if (adjustment.type === 'advance') {
+    const recovering = await EmployeeSalaryTransaction.exists({ 'adjustments.items.adjustmentId': adjustment._id });
+    if (recovering) {
+      return res.status(409).json({ message: 'This advance is already being recovered from a salary and cannot be voided' });
+    }
+  }
+
+  adjustment.status = 'voided';
+  adjustment.voidedAt = new Date();
+  adjustment.voidedBy = req.user._id;
+  adjustment.voidReason = reason;
+  await adjustment.save();
+
+  let transaction = null;
+  if (adjustment.type === 'advance') {
+    await ledgerService.record(() => ledgerService.postSalaryAdvanceVoided(adjustment, req.user._id));
+  } else {
+    transaction = await refreshSalaryTransaction(adjustment.schoolId, adjustment.employeeId, adjustment.year, adjustment.month);
+  }
+
+  await LoggingService.logManagerActivity(req, 'manager_salary_adjust',
+    `Voided ${adjustment.type} of ${adjustment.amount} DZD (${adjustment.year}-${adjustment.month}): ${reason}`,
+    { adjustmentId: adjustment._id, employeeId: adjustment.employeeId, type: adjustment.type, amount: adjustment.amount, voided: true },
+    { entityType: 'employee', entityId: adjustment.employeeId }
+  );
+
+  res.json({
+    success: true,
+    data: adjustment,
+    transaction
+  });
+});
+
 /**
  * @desc    Get salary summary for a month
  * @route   GET /api/employees/salary-summary/:schoolId/:year/:month
@@ -552,6 +772,9 @@ module.exports = {
   deleteEmployee,
   getEmployeeSalaryHistory,
   payEmployeeSalary,
+  getSalaryAdjustments,
+  addSalaryAdjustment,
+  voidSalaryAdjustment,
   getSalarySummary,
   getEmployeeByUsername,
   getEmployeeByUserId
@@ -5,6 +5,17 @@ const Class = require('../models/Class');
 const User = require('../models/User');
 const Attendance = require('../models/Attendance');
 const Payment = require('../models/Payment');
+const { buildPricingSnapshot } = require('../services/discountService');
+const { chargedSessions } = require('../services/attendanceService');
+
+// Attendance counters of an enrollment, with zeroes for counters it does not have yet
+const counterSummary = (counters = {}) => ({
+  attended: counters.attended || 0,
+  absent: counters.absent || 0,
+  late: counters.late || 0,
+  leftEarly: counters.leftEarly || 0,
+  excused: counters.excused || 0,
+});
 
 // @desc    Get all enrollments for a school
 // @route   GET /api/enrollments
@@ -120,12 +131,20 @@ const createEnrollment = asyncHandler(async (req, res) => {
     res.status(400);
     throw new Error('Class is at full capacity');
   }
+
+  // Snapshot class pricing with the school's approved discount rules applied
+  const pricingSnapshot = await buildPricingSnapshot({ schoolId: classItem.schoolId, studentId: student._id, klass: classItem });
+  if (pricingSnapshot.error) {
+    res.status(400);
+    throw new Error(pricingSnapshot.error);
+  }
   
   // Create enrollment
   const enrollment = await Enrollment.create({
     studentId,
     classId,
     schoolId,
+    pricingSnapshot,
     startDate: new Date(startDate),
     endDate: new Date(endDate),
     totalSessions: parseInt(totalSessions),
@@ -318,6 +337,10 @@ const getAvailableClasses = asyncHandler(async (req, res) => {
   res.json(classesWithAvailability);
 });
 
+// Payments the school still holds: voided/refunded payments and their reversal entries are left out
+// (payments recorded before voiding existed have no status)
+const HELD_PAYMENTS = { kind: { $ne: 'reversal' }, status: { $nin: ['voided', 'refunded'] } };
+
 // Utils
 function toUtcDateOnly(dateStr) {
   const d = new Date(dateStr + 'T00:00:00.000Z');
@@ -336,12 +359,13 @@ const getEnrollmentSummary = asyncHandler(async (req, res) => {
     throw new Error('Enrollment not found');
   }
   const klass = await Class.findById(enrollment.classId).select('absenceRule');
-  const counters = enrollment.sessionCounters || { attended: 0, absent: 0 };
-  const charged = counters.attended + (klass?.absenceRule ? counters.absent : 0);
+  const counters = counterSummary(enrollment.sessionCounters);
+  // Sessions charged by the class billing policy
+  const charged = (await chargedSessions([enrollment._id], klass?.absenceRule)).get(enrollment._id.toString()) || 0;
 
   // Payments aggregated
   const paymentsAgg = await Payment.aggregate([
-    { $match: { schoolId: enrollment.schoolId, enrollmentId: enrollment._id } },
+    { $match: { schoolId: enrollment.schoolId, enrollmentId: enrollment._id, ...HELD_PAYMENTS } },
     {
       $group: {
         _id: '$enrollmentId',
@@ -370,8 +394,8 @@ const getEnrollmentSummary = asyncHandler(async (req, res) => {
   res.json({
     enrollmentId: enrollment._id,
     pricingSnapshot: snap,
-    sessionCounters: counters,
-    attendanceTotalsDerived: { charged, present: counters.attended, absent: counters.absent },
+    sessionCounters: { ...counters, lastAttendanceDate: enrollment.sessionCounters?.lastAttendanceDate },
+    attendanceTotalsDerived: { charged, present: counters.attended, absent: counters.absent, excused: counters.excused },
   paymentsTotalsDerived: p,
     owedSummary: { owedSessions, owedAmount },
   });
@@ -394,7 +418,7 @@ async function buildClassEnrollmentSummaries(schoolId, classId, dateOnly) {
 
   // Aggregate payments by enrollment
   const paymentsAgg = await Payment.aggregate([
-    { $match: { schoolId: klass.schoolId || new mongoose.Types.ObjectId(schoolId), enrollmentId: { $in: ids } } },
+    { $match: { schoolId: klass.schoolId || new mongoose.Types.ObjectId(schoolId), enrollmentId: { $in: ids }, ...HELD_PAYMENTS } },
     {
       $group: {
         _id: '$enrollmentId',
@@ -404,10 +428,11 @@ async function buildClassEnrollmentSummaries(schoolId, classId, dateOnly) {
     },
   ]);
   const payMap = new Map(paymentsAgg.map(x => [x._id.toString(), x]));
+  const chargedMap = await chargedSessions(ids, klass.absenceRule);
 
   const items = enrollments.map(e => {
-    const counters = e.sessionCounters || { attended: 0, absent: 0 };
-    const charged = counters.attended + (klass.absenceRule ? counters.absent : 0);
+    const counters = counterSummary(e.sessionCounters);
+    const charged = chargedMap.get(e._id.toString()) || 0;
     const p = payMap.get(e._id.toString()) || { pay_sessions: 0, pay_cycles: 0 };
     const snap = e.pricingSnapshot || {};
     let sessionsCovered = 0;
@@ -424,7 +449,7 @@ async function buildClassEnrollmentSummaries(schoolId, classId, dateOnly) {
       todayStatus: attendanceMap.get(e._id.toString()) || null,
       balance: e.balance,
       charged,
-      sessionCounters: { attended: counters.attended || 0, absent: counters.absent || 0 },
+      sessionCounters: counters,
       sessionsCovered,
       owedSessions,
       payments: p,
@@ -0,0 +1,288 @@
+// server/controllers/expenseController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const fs = require('fs').promises;
+const ManualTransaction = require('../models/ManualTransaction');
+const School = require('../models/School');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const LoggingService = require('../services/loggingService');
+const { isMonthFrozen } = require('../services/monthlyAggregationService');
+const { getApprovalLimit, canApprove, notifyApprovers, bookApprovedExpense } = require('../services/expenseApprovalService');
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+function requireSchoolId(req, res) {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  return schoolId;
+}
+
+// Remove an uploaded receipt when the request is refused
+async function discardUpload(req) {
+  if (req.file?.path) await fs.unlink(req.file.path).catch(() => {});
+}
+
+// @desc    Submit an expense with its receipt; it counts once a manager approves it
+// @route   POST /api/finance/expenses (multipart: receipt)
+// @access  Private (Staff, Manager)
+const submitExpense = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  const { category, description, amount, receiptNumber, date } = req.body || {};
+  const value = Number.parseFloat(amount);
+  const day = date ? new Date(date) : null;
+  let error = null;
+  if (!schoolId) error = 'User is not assigned to a school.';
+  else if (!req.file) error = 'A receipt (image or PDF) is required';
+  else if (!category || !description || !date) error = 'Missing required fields: category, description, amount, date';
+  else if (!(value > 0)) error = 'Amount must be greater than 0';
+  else if (Number.isNaN(day.getTime())) error = 'date must be a valid date';
+  if (error) {
+    await discardUpload(req);
+    res.status(400);
+    throw new Error(error);
+  }
+  if (await isMonthFrozen(schoolId, day)) {
+    await discardUpload(req);
+    res.status(409);
+    throw new Error('The month of this expense is frozen');
+  }
+
+  const transaction = await ManualTransaction.create({
+    schoolId,
+    type: 'expense',
+    category: category.trim(),
+    description: description.trim(),
+    amount: value,
+    receiptNumber: receiptNumber?.trim() || '',
+    date: day,
+    createdBy: req.user._id,
+    status: 'pending',
+    receipt: {
+      originalName: req.file.originalname,
+      filename: req.file.filename,
+      filePath: req.file.path,
+      mimeType: req.file.mimetype,
+      fileSize: req.file.size,
+      uploadedAt: new Date(),
+    },
+  });
+  await notifyApprovers(transaction, req.user._id);
+
+  const logMessage = `Submitted expense ${transaction.category}: ${transaction.description} (${transaction.amount} DZD)`;
+  const details = { transactionId: transaction._id, amount: transaction.amount };
+  if (req.user.role === 'staff') {
+    await LoggingService.logStaffActivity(req, 'staff_expense_submit', logMessage, details, null);
+  } else {
+    await LoggingService.logManagerActivity(req, 'manager_expense_submit', logMessage, details, null);
+  }
+  res.status(201).json({ success: true, data: transaction });
+});
+
+// @desc    Expenses submitted by the logged-in user
+// @route   GET /api/finance/expenses/mine?status=
+// @access  Private (Staff, Manager)
+const getMyExpenses = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const query = { schoolId, type: 'expense', createdBy: req.user._id };
+  if (req.query.status) query.status = req.query.status;
+  const items = await ManualTransaction.find(query)
+    .select('-receipt.filePath')
+    .populate('reviewedBy', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .lean();
+  res.json({ items });
+});
+
+// @desc    Expenses of the school by approval status, with the caller's approval limit
+// @route   GET /api/finance/expenses?status=pending
+// @access  Private (Manager)
+const getExpenses = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const status = req.query.status || 'pending';
+  const [items, school] = await Promise.all([
+    ManualTransaction.find({ schoolId, type: 'expense', status })
+      .select('-receipt.filePath')
+      .populate('createdBy', 'firstName lastName role')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ date: 1 })
+      .lean(),
+    School.findById(schoolId).select('principal expenseApproval').lean(),
+  ]);
+  const limit = getApprovalLimit(school, req.user._id);
+  res.json({
+    items: items.map(t => ({ ...t, canApprove: t.status === 'pending' && (limit === null || t.amount <= limit) })),
+    approvalLimit: limit,
+  });
+});
+
+// @desc    Approve or reject a pending expense (approval is bounded by the approver's limit)
+// @route   POST /api/finance/expenses/:id/review { action: 'approve'|'reject', note }
+// @access  Private (Manager)
+const reviewExpense = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { action, note } = req.body || {};
+  if (!['approve', 'reject'].includes(action)) {
+    res.status(400);
+    throw new Error("action must be 'approve' or 'reject'");
+  }
+  const { id } = req.params;
+  const transaction = mongoose.isValidObjectId(id) ? await ManualTransaction.findOne({ _id: id, schoolId, type: 'expense' }) : null;
+  if (!transaction) {
+    res.status(404);
+    throw new Error('Expense not found');
+  }
+  if (transaction.status !== 'pending') {
+    res.status(409);
+    throw new Error(`Expense is already ${transaction.status}`);
+  }
+  if (action === 'reject' && !note?.trim()) {
+    res.status(400);
+    throw new Error('A note is required to reject an expense');
+  }
+  if (action === 'approve') {
+    if (transaction.createdBy.toString() === req.user._id.toString()) {
+      res.status(403);
+      throw new Error('You cannot approve your own expense');
+    }
+    const approval = await canApprove(schoolId, req.user._id, transaction.amount);
+    if (!approval.allowed) {
+      res.status(403);
+      throw new Error(`This expense is above your approval limit of ${approval.limit} DZD`);
+    }
+    if (await isMonthFrozen(schoolId, transaction.date)) {
+      res.status(409);
+      throw new Error('The month of this expense is frozen; record it as a post-freeze adjustment instead');
+    }
+  }
+
+  // Claim the expense: of two simultaneous reviews only one finds it still pending
+  const review = { status: action === 'approve' ? 'approved' : 'rejected', reviewedBy: req.user._id, reviewedAt: new Date() };
+  const reviewed = await ManualTransaction.findOneAndUpdate(
+    { _id: transaction._id, schoolId, status: 'pending' },
+    note?.trim() ? { $set: { ...review, reviewNote: note.trim() } } : { $set: review, $unset: { reviewNote: 1 } },
+    { new: true }
+  );
+  if (!reviewed) {
+    res.status(409);
+    throw new Error('Expense has already been reviewed');
+  }
+  if (reviewed.isCounted()) await bookApprovedExpense(reviewed, req.user._id);
+
+  await LoggingService.logManagerActivity(req, 'manager_expense_review',
+    `${action === 'approve' ? 'Approved' : 'Rejected'} expense ${reviewed.category}: ${reviewed.description} (${reviewed.amount} DZD)`,
+    { transactionId: reviewed._id, amount: reviewed.amount, note: reviewed.reviewNote },
+    null
+  );
+  await Notification.create({
+    schoolId,
+    userId: reviewed.createdBy,
+    type: 'expense_review',
+    title: `Expense ${reviewed.status}`,
+    message: `${reviewed.category}: ${reviewed.description} (${reviewed.amount} DZD)${reviewed.reviewNote ? ` - ${reviewed.reviewNote}` : ''}`,
+    data: { transactionId: reviewed._id, status: reviewed.status },
+  });
+
+  res.json({ success: true, data: reviewed });
+});
+
+// @desc    Download the receipt of an expense (managers, or the user who submitted it)
+// @route   GET /api/finance/expenses/:id/receipt
+// @access  Private (Staff, Manager)
+const downloadExpenseReceipt = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { id } = req.params;
+  const query = { _id: id, schoolId };
+  if (req.user.role !== 'manager') query.createdBy = req.user._id;
+  const transaction = mongoose.isValidObjectId(id) ? await ManualTransaction.findOne(query).lean() : null;
+  if (!transaction || !transaction.receipt?.filePath) {
+    res.status(404);
+    throw new Error('Receipt not found.');
+  }
+  try {
+    await fs.access(transaction.receipt.filePath);
+  } catch {
+    res.status(404);
+    throw new Error('Receipt file is missing on the server.');
+  }
+  res.setHeader('Content-Type', transaction.receipt.mimeType || 'application/octet-stream');
+  res.setHeader('Content-Disposition', `inline; filename="${transaction.receipt.originalName || transaction.receipt.filename}"`);
+  res.sendFile(transaction.receipt.filePath);
+});
+
+// @desc    Expense approval limits of the school
+// @route   GET /api/finance/expense-approval
+// @access  Private (Manager)
+const getApprovalSettings = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const school = await School.findById(schoolId)
+    .select('principal expenseApproval')
+    .populate('expenseApproval.approvers.userId', 'firstName lastName role')
+    .lean();
+  res.json({
+    managerLimit: school?.expenseApproval?.managerLimit ?? null,
+    approvers: school?.expenseApproval?.approvers || [],
+    myLimit: getApprovalLimit(school, req.user._id),
+  });
+});
+
+// @desc    Set the expense approval limits (principal only)
+// @route   PUT /api/finance/expense-approval { managerLimit, approvers: [{ userId, maxAmount }] }
+// @access  Private (Principal)
+const updateApprovalSettings = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const school = await School.findById(schoolId);
+  if (!school || school.principal?.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Only the school principal can change the approval limits');
+  }
+  const { managerLimit, approvers } = req.body || {};
+  const toLimit = (v) => (v === null || v === '' ? null : Number(v));
+  const settings = school.expenseApproval || {};
+  if (managerLimit !== undefined) settings.managerLimit = toLimit(managerLimit);
+  if (approvers !== undefined) {
+    if (!Array.isArray(approvers)) {
+      res.status(400);
+      throw new Error('approvers must be an array of { userId, maxAmount }');
+    }
+    const ids = approvers.map(a => String(a.userId));
+    const managers = await User.countDocuments({ _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) }, school: schoolId, role: 'manager' });
+    if (new Set(ids).size !== ids.length || managers !== ids.length) {
+      res.status(400);
+      throw new Error('Each approver must be a distinct manager of this school');
+    }
+    settings.approvers = approvers.map(a => ({ userId: a.userId, maxAmount: toLimit(a.maxAmount) }));
+  }
+  const invalid = [settings.managerLimit, ...(settings.approvers || []).map(a => a.maxAmount)]
+    .some(v => v !== null && v !== undefined && !(v >= 0));
+  if (invalid) {
+    res.status(400);
+    throw new Error('Limits must be positive amounts or null (no limit)');
+  }
+  school.expenseApproval = settings;
+  await school.save();
+
+  await LoggingService.logManagerActivity(req, 'manager_system_settings',
+    'Updated the expense approval limits',
+    { managerLimit: settings.managerLimit, approvers: (settings.approvers || []).length },
+    null
+  );
+  res.json({ success: true, data: school.expenseApproval });
+});
+
+module.exports = {
+  submitExpense,
+  getMyExpenses,
+  getExpenses,
+  reviewExpense,
+  downloadExpenseReceipt,
+  getApprovalSettings,
+  updateApprovalSettings,
+};
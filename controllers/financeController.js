@@ -2,6 +2,7 @@
 
 const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
+const fs = require('fs').promises;
 const Payment = require('../models/Payment');
 const StudentFinancial = require('../models/StudentFinancial');
 const MonthlyFinancialSummary = require('../models/MonthlyFinancialSummary');
@@ -10,9 +11,21 @@ const ManualTransaction = require('../models/ManualTransaction');
 const Class = require('../models/Class');
 const User = require('../models/User');
 const EmployeeSalaryTransaction = require('../models/EmployeeSalaryTransaction');
-const { calculateTeacherEarnings } = require('../services/teacherPayoutService');
-const { freezeMonthlyData, getMonthlyFinancialData } = require('../services/monthlyAggregationService');
+const TimesheetEntry = require('../models/TimesheetEntry');
+const { getAdvancesPaid, getAdvanceBalances } = require('../services/salaryAdjustmentService');
+const { calculateTeacherEarnings, getMonthDateRange, ATTENDANCE_MODES } = require('../services/teacherPayoutService');
+const { freezeMonthlyData, getMonthlyFinancialData, isMonthFrozen } = require('../services/monthlyAggregationService');
 const LoggingService = require('../services/loggingService');
+const ledgerService = require('../services/ledgerService');
+const accountingExport = require('../services/accountingExportService');
+const { ADJUSTABLE_FIELDS, getMonthAdjustments, applyAdjustments } = require('../services/financialAdjustmentService');
+const FinancialAdjustment = require('../models/FinancialAdjustment');
+const { checkBudgetAlerts } = require('../services/budgetService');
+const { canApprove, notifyApprovers, bookApprovedExpense } = require('../services/expenseApprovalService');
+const { forecastCashFlow } = require('../services/cashFlowForecastService');
+const { materializeRecurringTransactions } = require('../services/recurringTransactionService');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const School = require('../models/School');
 
 /**
  * @desc    Get financial overview for a specific month
@@ -30,23 +43,26 @@ const getFinancialOverview = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: 'Invalid year or month' });
   }
 
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!userSchoolId || userSchoolId !== schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
 
   try {
     // Use the aggregation service to get financial data
     const result = await getMonthlyFinancialData(schoolId, yearNum, monthNum);
     
     if (result.success) {
+      // Post-freeze adjustments are shown next to the summary, never merged into it
+      const adjustments = await getMonthAdjustments(schoolId, yearNum, monthNum);
       res.json({
         success: true,
         data: {
           ...result.data,
-          monthName: new Date(yearNum, monthNum - 1).toLocaleDateString('en-US', { month: 'long' })
+          monthName: new Date(yearNum, monthNum - 1).toLocaleDateString('en-US', { month: 'long' }),
+          adjustments,
+          adjusted: adjustments.count > 0 ? applyAdjustments(result.data, adjustments) : null
         }
       });
     } else {
@@ -77,12 +93,11 @@ const getTransactions = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: 'Invalid year or month' });
   }
 
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!userSchoolId || userSchoolId !== schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
 
   try {
     // Create date range for the month
@@ -178,12 +193,18 @@ const recalculateMonthlyData = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: 'Invalid year or month' });
   }
 
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!userSchoolId || userSchoolId !== schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
+
+  const frozen = await MonthlyFinancialSummary.exists({ schoolId: schoolIdObj, year: yearNum, month: monthNum, isFrozen: true });
+  if (frozen) {
+    return res.status(409).json({
+      message: `Month ${monthNum}/${yearNum} is frozen. Ask the principal to reopen it or record a post-freeze adjustment.`
+    });
+  }
 
   try {
     // Delete existing summary to force recalculation
@@ -219,12 +240,11 @@ const getTeacherPayouts = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: 'Invalid year or month' });
   }
 
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!userSchoolId || userSchoolId !== schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
 
   try {
     // First, ensure we have payout records for all active teachers
@@ -269,7 +289,11 @@ const getTeacherPayouts = asyncHandler(async (req, res) => {
         remainingDebt: payout.remainingDebt,
         status: payout.status,
         totalStudents: payout.classData.totalStudents,
-        studentsPaid: payout.classData.studentsPaid
+        studentsPaid: payout.classData.studentsPaid,
+        compensationMode: payout.classData.compensationMode,
+        sessionsHeld: payout.classData.sessionsHeld,
+        hoursTaught: payout.classData.hoursTaught,
+        sessions: payout.classData.sessions
       });
     });
 
@@ -320,12 +344,11 @@ const recordTeacherPayout = asyncHandler(async (req, res) => {
   const teacherIdObj = new mongoose.Types.ObjectId(teacherId);
   const classIdObj = new mongoose.Types.ObjectId(classId);
   
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const schoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
   
   // If no schoolId from user, try to get it from the first school in the database (for testing)
   let schoolIdObj;
@@ -358,6 +381,9 @@ const recordTeacherPayout = asyncHandler(async (req, res) => {
     // Add the payout
     teacherPayout.addPayout(amount, req.user._id, note, method);
     await teacherPayout.save();
+    await ledgerService.record(() => ledgerService.postTeacherPayout(teacherPayout, amount, req.user._id));
+    await checkBudgetAlerts(schoolIdObj, new Date(teacherPayout.year, teacherPayout.month - 1, 1), { costType: 'teacher_payouts' })
+      .catch(err => console.error('Budget alert check failed:', err.message));
 
     res.json({
       success: true,
@@ -389,12 +415,11 @@ const getTeacherPayoutDetails = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: 'Invalid year or month' });
   }
 
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const schoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
   
   // If no schoolId from user, try to get it from the first school in the database (for testing)
   let schoolIdObj;
@@ -446,8 +471,36 @@ const getTeacherPayoutDetails = asyncHandler(async (req, res) => {
 /**
  * Helper function to ensure teacher payout records exist
  */
+// Attendance details copied onto the payout record so the breakdown shows each session
+const attendanceClassData = (classItem, classEarnings) => ({
+  compensationMode: classItem.teacherCut?.mode,
+  rate: classItem.teacherCut?.value || 0,
+  sessionsHeld: classEarnings?.attendance?.sessionsHeld || 0,
+  studentsPresent: classEarnings?.attendance?.studentsPresent || 0,
+  hoursTaught: classEarnings?.attendance?.hoursTaught || 0,
+  sessions: classEarnings?.attendance?.sessions || []
+});
+
 const ensureTeacherPayoutRecords = async (schoolId, year, month) => {
   try {
+    // Attendance-based earnings grow as sessions are held; keep open months up to date
+    const monthFrozen = await isMonthFrozen(schoolId, new Date(year, month - 1, 1));
+    let earningsData = null;
+    const getEarnings = async () => {
+      earningsData = earningsData || await calculateTeacherEarnings(schoolId.toString(), year, month);
+      return earningsData;
+    };
+    // Sessions taught by substitutes split a class between several payout records
+    const monthSubstitutes = await Class.exists({
+      schoolId,
+      sessionOverrides: {
+        $elemMatch: {
+          substituteTeacherId: { $exists: true },
+          date: getMonthDateRange(year, month)
+        }
+      }
+    }) && (await getEarnings()).classSummaries.some(c => c.substitute);
+
     // Get all active classes for this school
     const classes = await Class.find({ 
       schoolId: schoolId,
@@ -456,56 +509,85 @@ const ensureTeacherPayoutRecords = async (schoolId, year, month) => {
     }).populate('teacherId', 'firstName lastName');
 
     for (const classItem of classes) {
-      // Check if payout record already exists
-      const existingPayout = await TeacherPayout.findOne({
-        schoolId: schoolId,
-        teacherId: classItem.teacherId._id,
-        classId: classItem._id,
-        year: year,
-        month: month
-      });
-
-      if (!existingPayout) {
-        // Calculate teacher earnings for this class
-        const earningsData = await calculateTeacherEarnings(schoolId.toString(), year, month);
-        const classEarnings = earningsData.classSummaries.find(
-          c => c.classId.toString() === classItem._id.toString()
-        );
+      // The class teacher, and the substitutes who taught some of its sessions this month
+      const teacherIds = [classItem.teacherId._id];
+      if (monthSubstitutes) {
+        for (const summary of earningsData.classSummaries) {
+          if (summary.substitute && summary.classId.toString() === classItem._id.toString()) teacherIds.push(summary.teacherId);
+        }
+      }
+      const shared = teacherIds.length > 1;
 
-        // Get class payment data
-        const classPayments = await Payment.find({
+      for (const teacherId of teacherIds) {
+        // Check if payout record already exists
+        const existingPayout = await TeacherPayout.findOne({
           schoolId: schoolId,
+          teacherId: teacherId,
           classId: classItem._id,
-          createdAt: {
-            $gte: new Date(year, month - 1, 1),
-            $lte: new Date(year, month, 0, 23, 59, 59, 999)
-          }
+          year: year,
+          month: month
         });
+        const findClassEarnings = (data) => data.classSummaries.find(
+          c => c.classId.toString() === classItem._id.toString() && c.teacherId.toString() === teacherId.toString()
+        );
 
-        const totalClassIncome = classPayments.reduce((sum, payment) => sum + payment.amount, 0);
-        const studentsPaid = new Set(classPayments.map(p => p.studentId.toString())).size;
-
-        // Create payout record
-        await TeacherPayout.create({
-          schoolId: schoolId,
-          teacherId: classItem.teacherId._id,
-          classId: classItem._id,
-          year: year,
-          month: month,
-          calculatedIncome: classEarnings ? classEarnings.teacherEarning : 0,
-          paidAmount: 0,
-          remainingDebt: classEarnings ? classEarnings.teacherEarning : 0,
-          status: 'pending',
-          classData: {
-            className: classItem.name,
-            totalStudents: classItem.capacity || 0,
-            studentsPaid: studentsPaid,
-            totalClassIncome: totalClassIncome,
-            teacherCutPercentage: classItem.teacherCut?.mode === 'percentage' ? classItem.teacherCut.value : 0,
-            teacherCutFixed: classItem.teacherCut?.mode === 'fixed' ? classItem.teacherCut.value : 0,
-            absenceRule: classItem.absenceRule || false
+        if (existingPayout) {
+          if (!monthFrozen && (shared || ATTENDANCE_MODES.includes(classItem.teacherCut?.mode))) {
+            const classEarnings = findClassEarnings(await getEarnings());
+            const refreshed = attendanceClassData(classItem, classEarnings);
+            // Manager adjustments (resolved disputes) stay on top of the recalculated earnings
+            const calculatedIncome = Math.max(0, (classEarnings ? classEarnings.teacherEarning : 0) + (existingPayout.adjustmentTotal || 0));
+            if (calculatedIncome !== existingPayout.calculatedIncome || refreshed.sessionsHeld !== existingPayout.classData.sessionsHeld
+              || refreshed.studentsPresent !== existingPayout.classData.studentsPresent) {
+              existingPayout.calculatedIncome = calculatedIncome;
+              Object.assign(existingPayout.classData, refreshed);
+              existingPayout.calculateRemainingDebt();
+              existingPayout.updateStatus();
+              await existingPayout.save();
+              await ledgerService.record(() => ledgerService.postTeacherAccrual(existingPayout));
+            }
           }
-        });
+        } else {
+          // Calculate teacher earnings for this class
+          const classEarnings = findClassEarnings(await getEarnings());
+
+          // Get class payment data
+          const classPayments = await Payment.find({
+            schoolId: schoolId,
+            classId: classItem._id,
+            createdAt: {
+              $gte: new Date(year, month - 1, 1),
+              $lte: new Date(year, month, 0, 23, 59, 59, 999)
+            }
+          });
+
+          const totalClassIncome = classPayments.reduce((sum, payment) => sum + payment.amount, 0);
+          const studentsPaid = new Set(classPayments.map(p => p.studentId.toString())).size;
+
+          // Create payout record and book the earnings as owed to the teacher
+          const payout = await TeacherPayout.create({
+            schoolId: schoolId,
+            teacherId: teacherId,
+            classId: classItem._id,
+            year: year,
+            month: month,
+            calculatedIncome: classEarnings ? classEarnings.teacherEarning : 0,
+            paidAmount: 0,
+            remainingDebt: classEarnings ? classEarnings.teacherEarning : 0,
+            status: 'pending',
+            classData: {
+              className: classItem.name,
+              totalStudents: classItem.capacity || 0,
+              studentsPaid: studentsPaid,
+              totalClassIncome: totalClassIncome,
+              teacherCutPercentage: classItem.teacherCut?.mode === 'percentage' ? classItem.teacherCut.value : 0,
+              teacherCutFixed: classItem.teacherCut?.mode === 'fixed' ? classItem.teacherCut.value : 0,
+              absenceRule: classItem.absenceRule || false,
+              ...attendanceClassData(classItem, classEarnings)
+            }
+          });
+          await ledgerService.record(() => ledgerService.postTeacherAccrual(payout));
+        }
       }
     }
   } catch (error) {
@@ -521,7 +603,7 @@ const ensureTeacherPayoutRecords = async (schoolId, year, month) => {
  */
 const getManualTransactions = asyncHandler(async (req, res) => {
   const { schoolId, year, month } = req.params;
-  const { category, type } = req.query;
+  const { category, type, status } = req.query;
   
   // Validate parameters
   const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
@@ -532,14 +614,16 @@ const getManualTransactions = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: 'Invalid year or month' });
   }
 
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!userSchoolId || userSchoolId !== schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
 
   try {
+    // Generate the recurring entries that are due
+    await materializeRecurringTransactions(schoolIdObj);
+
     // Get manual transactions for the month
     const transactions = await ManualTransaction.getByMonth(schoolIdObj, yearNum, monthNum);
     
@@ -553,11 +637,16 @@ const getManualTransactions = asyncHandler(async (req, res) => {
     if (type) {
       filteredTransactions = filteredTransactions.filter(t => t.type === type);
     }
+    if (status) {
+      filteredTransactions = filteredTransactions.filter(t => t.status === status);
+    }
 
     // Get monthly totals
     const totals = await ManualTransaction.getMonthlyTotals(schoolIdObj, yearNum, monthNum);
     const incomeTotal = totals.find(t => t._id === 'income')?.total || 0;
     const expenseTotal = totals.find(t => t._id === 'expense')?.total || 0;
+    // Expenses waiting for approval are listed but not counted
+    const pending = transactions.filter(t => t.status === 'pending');
 
     res.json({
       success: true,
@@ -566,7 +655,9 @@ const getManualTransactions = asyncHandler(async (req, res) => {
         totals: {
           income: incomeTotal,
           expense: expenseTotal,
-          net: incomeTotal - expenseTotal
+          net: incomeTotal - expenseTotal,
+          pendingExpenses: pending.reduce((sum, t) => sum + t.amount, 0),
+          pendingCount: pending.length
         },
         month: monthNum,
         year: yearNum
@@ -602,14 +693,18 @@ const addManualTransaction = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: 'Amount must be greater than 0' });
   }
 
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!userSchoolId || userSchoolId !== schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
 
   try {
+    // Expenses above the manager's approval limit wait for another approver
+    const approval = type === 'expense'
+      ? await canApprove(schoolId, req.user._id, parseFloat(amount))
+      : { allowed: true };
+
     const transaction = await ManualTransaction.create({
       schoolId: new mongoose.Types.ObjectId(schoolId),
       type,
@@ -618,9 +713,17 @@ const addManualTransaction = asyncHandler(async (req, res) => {
       amount: parseFloat(amount),
       receiptNumber: receiptNumber?.trim() || '',
       date: new Date(date),
-      createdBy: req.user._id
+      createdBy: req.user._id,
+      status: approval.allowed ? 'approved' : 'pending',
+      ...(approval.allowed && type === 'expense' ? { reviewedBy: req.user._id, reviewedAt: new Date() } : {})
     });
 
+    if (transaction.isCounted()) {
+      await bookApprovedExpense(transaction, req.user._id);
+    } else {
+      await notifyApprovers(transaction, req.user._id);
+    }
+
     // Populate the createdBy field for response
     await transaction.populate('createdBy', 'firstName lastName');
 
@@ -628,7 +731,9 @@ const addManualTransaction = asyncHandler(async (req, res) => {
       success: true,
       data: {
         transaction,
-        message: 'Transaction added successfully'
+        message: transaction.isCounted()
+          ? 'Transaction added successfully'
+          : `Expense recorded as pending: it is above your approval limit of ${approval.limit} DZD`
       }
     });
 
@@ -657,14 +762,26 @@ const deleteManualTransaction = asyncHandler(async (req, res) => {
       return res.status(404).json({ message: 'Transaction not found' });
     }
 
-    // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+    // Check if user has access to this school
     const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-    
-    // if (!userSchoolId || userSchoolId !== transaction.schoolId.toString()) {
-    //   return res.status(403).json({ message: 'Access denied to this transaction' });
-    // }
+    if (!userSchoolId || userSchoolId !== transaction.schoolId.toString()) {
+      return res.status(403).json({ message: 'Access denied to this transaction' });
+    }
 
     await ManualTransaction.findByIdAndDelete(id);
+    if (transaction.isCounted()) {
+      await ledgerService.record(() => ledgerService.postManualTransactionDeleted(transaction, req.user._id));
+    }
+    if (transaction.receipt?.filePath) {
+      await fs.unlink(transaction.receipt.filePath).catch(() => {});
+    }
+    // A deleted recurring entry is a skipped occurrence, so it is not generated again
+    if (transaction.generated && transaction.recurringTransactionId) {
+      await RecurringTransaction.updateOne(
+        { _id: transaction.recurringTransactionId },
+        { $addToSet: { skippedDates: transaction.occurrenceDate } }
+      );
+    }
 
     res.json({
       success: true,
@@ -695,12 +812,11 @@ const freezeMonth = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: 'Invalid year or month' });
   }
 
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!userSchoolId || userSchoolId !== schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
 
   try {
     // Check if month is already frozen
@@ -721,6 +837,9 @@ const freezeMonth = asyncHandler(async (req, res) => {
       });
     }
 
+    // Recurring entries due in the month are included before it is frozen
+    await materializeRecurringTransactions(schoolId);
+
     // Freeze the month
     const result = await freezeMonthlyData(schoolId, yearNum, monthNum, req.user._id);
 
@@ -749,12 +868,11 @@ const freezeMonth = asyncHandler(async (req, res) => {
 const getIncomeExpenseTrends = asyncHandler(async (req, res) => {
   const { schoolId, year, month } = req.params;
   
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!userSchoolId || userSchoolId !== schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
 
   try {
     const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
@@ -775,7 +893,8 @@ const getIncomeExpenseTrends = asyncHandler(async (req, res) => {
       {
         $group: {
           _id: null,
-          totalIncome: { $sum: '$amount' }
+          totalIncome: { $sum: '$amount' },
+          discountGiven: { $sum: { $ifNull: ['$discountAmount', 0] } }
         }
       }
     ]);
@@ -786,6 +905,7 @@ const getIncomeExpenseTrends = asyncHandler(async (req, res) => {
         $match: {
           schoolId: schoolIdObj,
           type: 'income',
+          status: ManualTransaction.COUNTED_STATUS,
           date: { $gte: startDate, $lte: endDate }
         }
       },
@@ -803,6 +923,7 @@ const getIncomeExpenseTrends = asyncHandler(async (req, res) => {
         $match: {
           schoolId: schoolIdObj,
           type: 'expense',
+          status: ManualTransaction.COUNTED_STATUS,
           date: { $gte: startDate, $lte: endDate }
         }
       },
@@ -849,15 +970,22 @@ const getIncomeExpenseTrends = asyncHandler(async (req, res) => {
     ]);
 
     const studentIncome = incomeResult.length > 0 ? incomeResult[0].totalIncome : 0;
+    const discountGiven = incomeResult.length > 0 ? incomeResult[0].discountGiven : 0;
     const manualIncome = manualIncomeResult.length > 0 ? manualIncomeResult[0].totalIncome : 0;
     const expenses = expenseResult.length > 0 ? expenseResult[0].totalExpenses : 0;
     const teacherEarnings = teacherEarningsResult.length > 0 ? teacherEarningsResult[0].totalEarnings : 0;
-    const employeeSalaries = employeeSalariesResult.length > 0 ? employeeSalariesResult[0].totalSalaries : 0;
+    // Salary advances handed out this month are paid like salaries
+    const advancesPaid = (await getAdvancesPaid(schoolIdObj, yearNum, monthNum)).total;
+    const employeeSalaries = (employeeSalariesResult.length > 0 ? employeeSalariesResult[0].totalSalaries : 0) + advancesPaid;
 
     const totalIncome = studentIncome + manualIncome;
     const totalExpenses = expenses + teacherEarnings + employeeSalaries;
     const net = totalIncome - totalExpenses;
 
+    const adjustments = await getMonthAdjustments(schoolId, yearNum, monthNum);
+    const incomeDelta = adjustments.deltas.totalIncome || 0;
+    const expenseDelta = (adjustments.deltas.totalExpenses || 0) + (adjustments.deltas.totalStaffSalariesPaid || 0);
+
     const monthData = {
       month: monthNum,
       year: yearNum,
@@ -865,8 +993,17 @@ const getIncomeExpenseTrends = asyncHandler(async (req, res) => {
       income: totalIncome,
       expenses: totalExpenses,
       net: net,
+      discountGiven,
+      adjustments: { deltas: adjustments.deltas, netDelta: adjustments.netDelta, count: adjustments.count },
+      adjusted: adjustments.count > 0 ? {
+        income: totalIncome + incomeDelta,
+        expenses: totalExpenses + expenseDelta,
+        net: net + incomeDelta - expenseDelta,
+        discountGiven: discountGiven + (adjustments.deltas.discountGiven || 0)
+      } : null,
       breakdown: {
         studentIncome,
+        discountGiven,
         manualIncome,
         manualExpenses: expenses,
         teacherEarnings,
@@ -885,6 +1022,55 @@ const getIncomeExpenseTrends = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Cash-flow forecast for the next 1-3 months, with an optional "enrollment drops by X%" scenario
+ * @route   GET /api/finance/analytics/forecast/:schoolId?months=3&enrollmentDrop=10
+ * @access  Private (Manager)
+ */
+const getCashFlowForecast = asyncHandler(async (req, res) => {
+  const { schoolId } = req.params;
+  const months = req.query.months ? parseInt(req.query.months) : 3;
+  const enrollmentDrop = req.query.enrollmentDrop ? parseFloat(req.query.enrollmentDrop) : 0;
+
+  if (isNaN(months) || months < 1 || months > 3) {
+    return res.status(400).json({ message: 'months must be between 1 and 3' });
+  }
+  if (isNaN(enrollmentDrop) || enrollmentDrop < 0 || enrollmentDrop > 100) {
+    return res.status(400).json({ message: 'enrollmentDrop must be a percentage between 0 and 100' });
+  }
+
+  // Check if user has access to this school
+  const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
+
+  try {
+    const baseline = await forecastCashFlow(schoolId, { months });
+    const scenario = enrollmentDrop > 0 ? await forecastCashFlow(schoolId, { months, enrollmentDrop }) : null;
+
+    res.json({
+      success: true,
+      data: {
+        baseline,
+        scenario,
+        // What the scenario changes compared to the baseline, per month
+        impact: scenario ? scenario.months.map((m, i) => ({
+          year: m.year,
+          month: m.month,
+          income: Math.round((m.income.total - baseline.months[i].income.total) * 100) / 100,
+          outflows: Math.round((m.outflows.total - baseline.months[i].outflows.total) * 100) / 100,
+          net: Math.round((m.net - baseline.months[i].net) * 100) / 100
+        })) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error forecasting cash flow:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
 /**
  * @desc    Get teacher payout distribution
  * @route   GET /api/finance/analytics/teacher-payouts/:schoolId/:year/:month
@@ -893,12 +1079,11 @@ const getIncomeExpenseTrends = asyncHandler(async (req, res) => {
 const getTeacherPayoutDistribution = asyncHandler(async (req, res) => {
   const { schoolId, year, month } = req.params;
   
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!userSchoolId || userSchoolId !== schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
 
   try {
     const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
@@ -940,9 +1125,11 @@ const getTeacherPayoutDistribution = asyncHandler(async (req, res) => {
       }
     ]);
 
+    const adjustments = await getMonthAdjustments(schoolId, yearNum, monthNum, ['teacherEarnings', 'totalStaffSalariesPaid']);
+
     res.json({
       success: true,
-      data: { teachers: payoutData }
+      data: { teachers: payoutData, adjustments }
     });
 
   } catch (error) {
@@ -959,12 +1146,11 @@ const getTeacherPayoutDistribution = asyncHandler(async (req, res) => {
 const getStudentDebtTrends = asyncHandler(async (req, res) => {
   const { schoolId, year, month } = req.params;
   
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!userSchoolId || userSchoolId !== schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
 
   try {
     const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
@@ -1009,6 +1195,7 @@ const getStudentDebtTrends = asyncHandler(async (req, res) => {
     const studentCount = debtResult.length > 0 ? debtResult[0].studentCount : 0;
     const newDebt = newDebtResult.length > 0 ? newDebtResult[0].newDebt : 0;
     const avgDebtPerStudent = studentCount > 0 ? totalDebt / studentCount : 0;
+    const adjustments = await getMonthAdjustments(schoolId, yearNum, monthNum, ['totalDebts']);
 
     const monthData = {
       month: monthNum,
@@ -1017,7 +1204,9 @@ const getStudentDebtTrends = asyncHandler(async (req, res) => {
       totalDebt,
       newDebt,
       studentCount,
-      avgDebtPerStudent
+      avgDebtPerStudent,
+      adjustments,
+      adjustedTotalDebt: adjustments.count > 0 ? totalDebt + (adjustments.deltas.totalDebts || 0) : null
     };
 
     res.json({
@@ -1039,12 +1228,11 @@ const getStudentDebtTrends = asyncHandler(async (req, res) => {
 const getExpenseCategories = asyncHandler(async (req, res) => {
   const { schoolId, year, month } = req.params;
   
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!userSchoolId || userSchoolId !== schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
 
   try {
     const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
@@ -1059,6 +1247,7 @@ const getExpenseCategories = asyncHandler(async (req, res) => {
         $match: {
           schoolId: schoolIdObj,
           type: 'expense',
+          status: ManualTransaction.COUNTED_STATUS,
           date: { $gte: startDate, $lte: endDate }
         }
       },
@@ -1074,9 +1263,19 @@ const getExpenseCategories = asyncHandler(async (req, res) => {
       }
     ]);
 
+    // Post-freeze expense adjustments per category, as deltas next to the categories above
+    const adjustments = await getMonthAdjustments(schoolId, yearNum, monthNum, ['totalExpenses']);
+    const adjustmentsByCategory = {};
+    for (const item of adjustments.items) {
+      const key = item.category || 'Uncategorized';
+      adjustmentsByCategory[key] = adjustmentsByCategory[key] || { _id: key, totalAmount: 0, adjustmentCount: 0 };
+      adjustmentsByCategory[key].totalAmount += item.amount;
+      adjustmentsByCategory[key].adjustmentCount += 1;
+    }
+
     res.json({
       success: true,
-      data: { categories: categoryData }
+      data: { categories: categoryData, adjustments: Object.values(adjustmentsByCategory) }
     });
 
   } catch (error) {
@@ -1093,12 +1292,11 @@ const getExpenseCategories = asyncHandler(async (req, res) => {
 const getEmployeeSalaryAnalytics = asyncHandler(async (req, res) => {
   const { schoolId, year, month } = req.params;
   
-  // Check if user has access to this school - TEMPORARILY DISABLED FOR TESTING
+  // Check if user has access to this school
   const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
-  
-  // if (!userSchoolId || userSchoolId !== schoolId) {
-  //   return res.status(403).json({ message: 'Access denied to this school' });
-  // }
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
 
   try {
     const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
@@ -1129,6 +1327,7 @@ const getEmployeeSalaryAnalytics = asyncHandler(async (req, res) => {
         $group: {
           _id: '$employee.role',
           totalCalculated: { $sum: '$calculatedSalary' },
+          totalNet: { $sum: { $ifNull: ['$netSalary', '$calculatedSalary'] } },
           totalPaid: { $sum: '$paidAmount' },
           totalRemaining: { $sum: '$remaining' },
           employeeCount: { $sum: 1 },
@@ -1136,11 +1335,17 @@ const getEmployeeSalaryAnalytics = asyncHandler(async (req, res) => {
             $push: {
               name: '$employee.name',
               calculatedSalary: '$calculatedSalary',
+              netSalary: { $ifNull: ['$netSalary', '$calculatedSalary'] },
+              adjustments: '$adjustments',
               paidAmount: '$paidAmount',
               remaining: '$remaining',
-              status: '$status'
+              status: '$status',
+              salaryType: '$employee.salaryType',
+              hours: '$hours'
             }
-          }
+          },
+          totalHours: { $sum: { $ifNull: ['$hours.totalHours', 0] } },
+          overtimeHours: { $sum: { $ifNull: ['$hours.overtimeHours', 0] } }
         }
       },
       {
@@ -1161,23 +1366,74 @@ const getEmployeeSalaryAnalytics = asyncHandler(async (req, res) => {
         $group: {
           _id: null,
           totalCalculated: { $sum: '$calculatedSalary' },
+          totalNet: { $sum: { $ifNull: ['$netSalary', '$calculatedSalary'] } },
+          totalBonuses: { $sum: { $ifNull: ['$adjustments.bonuses', 0] } },
+          totalReimbursements: { $sum: { $ifNull: ['$adjustments.reimbursements', 0] } },
+          totalDeductions: { $sum: { $ifNull: ['$adjustments.deductions', 0] } },
+          totalAdvanceRecovery: { $sum: { $ifNull: ['$adjustments.advanceRecovery', 0] } },
           totalPaid: { $sum: '$paidAmount' },
           totalRemaining: { $sum: '$remaining' },
-          employeeCount: { $sum: 1 }
+          employeeCount: { $sum: 1 },
+          regularHours: { $sum: { $ifNull: ['$hours.regularHours', 0] } },
+          overtimeHours: { $sum: { $ifNull: ['$hours.overtimeHours', 0] } },
+          totalHours: { $sum: { $ifNull: ['$hours.totalHours', 0] } },
+          overtimePay: { $sum: { $ifNull: ['$hours.overtimePay', 0] } }
+        }
+      }
+    ]);
+
+    // Timesheet hours of the month by review status (approved hours not paid yet show up here too)
+    const timesheets = await TimesheetEntry.aggregate([
+      {
+        $match: {
+          schoolId: schoolIdObj,
+          clockIn: { $gte: new Date(yearNum, monthNum - 1, 1), $lte: new Date(yearNum, monthNum, 0, 23, 59, 59, 999) }
+        }
+      },
+      {
+        $group: {
+          _id: '$status',
+          entries: { $sum: 1 },
+          hours: { $sum: '$hours' }
         }
       }
     ]);
 
+    // Advances handed out this month, and what is still to be recovered from later salaries
+    const [advancesPaid, openAdvances] = await Promise.all([
+      getAdvancesPaid(schoolIdObj, yearNum, monthNum),
+      getAdvanceBalances(schoolIdObj, { outstandingOnly: true }),
+    ]);
+
+    const adjustments = await getMonthAdjustments(schoolId, yearNum, monthNum, ['totalStaffSalariesPaid']);
+
     res.json({
       success: true,
       data: {
+        adjustments,
+        advances: {
+          paidThisMonth: advancesPaid.total,
+          countThisMonth: advancesPaid.count,
+          outstanding: Math.round(openAdvances.reduce((s, a) => s + a.outstanding, 0) * 100) / 100,
+          outstandingCount: openAdvances.length
+        },
         byRole: salaryData,
         summary: totalSummary.length > 0 ? totalSummary[0] : {
           totalCalculated: 0,
+          totalNet: 0,
+          totalBonuses: 0,
+          totalReimbursements: 0,
+          totalDeductions: 0,
+          totalAdvanceRecovery: 0,
           totalPaid: 0,
           totalRemaining: 0,
-          employeeCount: 0
-        }
+          employeeCount: 0,
+          regularHours: 0,
+          overtimeHours: 0,
+          totalHours: 0,
+          overtimePay: 0
+        },
+        timesheets: Object.fromEntries(timesheets.map(t => [t._id, { entries: t.entries, hours: Math.round(t.hours * 100) / 100 }]))
       }
     });
 
@@ -1191,6 +1447,209 @@ const getEmployeeSalaryAnalytics = asyncHandler(async (req, res) => {
   }
 });
 
+// Validate :schoolId/:year/:month and the caller's school; used by the reopen/adjustment endpoints
+function parseMonthParams(req, res) {
+  const { schoolId, year, month } = req.params;
+  const yearNum = parseInt(year);
+  const monthNum = parseInt(month);
+  if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 1 || monthNum > 12) {
+    res.status(400);
+    throw new Error('Invalid year or month');
+  }
+  const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
+  if (!userSchoolId || !mongoose.Types.ObjectId.isValid(schoolId) || userSchoolId !== schoolId) {
+    res.status(403);
+    throw new Error('Access denied to this school');
+  }
+  return { schoolId, schoolIdObj: new mongoose.Types.ObjectId(schoolId), yearNum, monthNum };
+}
+
+// @desc    Reopen a frozen month (principal only); the frozen figures are kept in the audit trail
+// @route   POST /api/finance/reopen/:schoolId/:year/:month
+// @access  Private (Principal)
+const reopenMonth = asyncHandler(async (req, res) => {
+  const { schoolIdObj, yearNum, monthNum } = parseMonthParams(req, res);
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    res.status(400);
+    throw new Error('A reason is required to reopen a month');
+  }
+
+  const school = await School.findById(schoolIdObj).select('principal').lean();
+  if (!school || school.principal?.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Only the school principal can reopen a frozen month');
+  }
+
+  const summary = await MonthlyFinancialSummary.findOne({ schoolId: schoolIdObj, year: yearNum, month: monthNum, isFrozen: true });
+  if (!summary) {
+    res.status(409);
+    throw new Error(`Month ${monthNum}/${yearNum} is not frozen`);
+  }
+
+  const checksum = accountingExport.summaryChecksum(summary);
+  summary.reopenHistory.push({
+    reopenedBy: req.user._id,
+    reason,
+    frozenAt: summary.frozenAt,
+    frozenBy: summary.frozenBy,
+    figures: checksum.fields,
+    checksum: `${checksum.algorithm}:${checksum.value}`
+  });
+  summary.isFrozen = false;
+  await summary.save();
+
+  await LoggingService.logManagerActivity(req, 'manager_month_reopen',
+    `Reopened frozen month ${monthNum}/${yearNum}: ${reason}`,
+    { year: yearNum, month: monthNum, reason, previousChecksum: checksum.value },
+    null
+  );
+
+  res.json({ success: true, data: summary });
+});
+
+// @desc    Post-freeze adjustments of a month
+// @route   GET /api/finance/adjustments/:schoolId/:year/:month?includeVoided=true
+// @access  Private (Manager)
+const getFinancialAdjustments = asyncHandler(async (req, res) => {
+  const { schoolIdObj, yearNum, monthNum } = parseMonthParams(req, res);
+  const query = { schoolId: schoolIdObj, year: yearNum, month: monthNum };
+  if (req.query.includeVoided !== 'true') query.status = 'active';
+  const items = await FinancialAdjustment.find(query)
+    .populate('createdBy', 'firstName lastName')
+    .populate('voidedBy', 'firstName lastName')
+    .sort({ createdAt: 1 })
+    .lean();
+  const active = await getMonthAdjustments(schoolIdObj, yearNum, monthNum);
+  res.json({ success: true, data: { items, deltas: active.deltas, netDelta: active.netDelta } });
+});
+
+// @desc    Record a correction against a frozen month without touching the frozen summary
+// @route   POST /api/finance/adjustments/:schoolId/:year/:month
+// @access  Private (Manager)
+const addFinancialAdjustment = asyncHandler(async (req, res) => {
+  const { schoolIdObj, yearNum, monthNum } = parseMonthParams(req, res);
+  const { field, amount, reason, category, reference } = req.body || {};
+
+  if (!Object.prototype.hasOwnProperty.call(ADJUSTABLE_FIELDS, field)) {
+    res.status(400);
+    throw new Error(`field must be one of: ${Object.keys(ADJUSTABLE_FIELDS).join(', ')}`);
+  }
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value === 0) {
+    res.status(400);
+    throw new Error('amount must be a non-zero number');
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    res.status(400);
+    throw new Error('A reason is required');
+  }
+
+  const frozen = await MonthlyFinancialSummary.exists({ schoolId: schoolIdObj, year: yearNum, month: monthNum, isFrozen: true });
+  if (!frozen) {
+    res.status(409);
+    throw new Error(`Month ${monthNum}/${yearNum} is not frozen; record the transaction directly instead`);
+  }
+
+  const adjustment = await FinancialAdjustment.create({
+    schoolId: schoolIdObj,
+    year: yearNum,
+    month: monthNum,
+    field,
+    amount: value,
+    reason: reason.trim(),
+    category: typeof category === 'string' ? category.trim() : undefined,
+    reference: typeof reference === 'string' ? reference.trim() : undefined,
+    createdBy: req.user._id
+  });
+
+  await LoggingService.logManagerActivity(req, 'manager_finance_adjustment',
+    `Adjusted ${field} of frozen month ${monthNum}/${yearNum} by ${value} DZD: ${adjustment.reason}`,
+    { adjustmentId: adjustment._id, year: yearNum, month: monthNum, field, amount: value, reference },
+    null
+  );
+
+  res.status(201).json({ success: true, data: adjustment });
+});
+
+// @desc    Void a post-freeze adjustment (kept for the audit trail)
+// @route   POST /api/finance/adjustments/void/:id
+// @access  Private (Manager)
+const voidFinancialAdjustment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    res.status(400);
+    throw new Error('A reason is required');
+  }
+  const userSchoolId = req.user.school?._id || req.user.school;
+  const adjustment = mongoose.Types.ObjectId.isValid(id)
+    ? await FinancialAdjustment.findOneAndUpdate(
+      { _id: id, schoolId: userSchoolId, status: 'active' },
+      { $set: { status: 'voided', voidedBy: req.user._id, voidedAt: new Date(), voidReason: reason } },
+      { new: true }
+    )
+    : null;
+  if (!adjustment) {
+    res.status(404);
+    throw new Error('Active adjustment not found');
+  }
+
+  await LoggingService.logManagerActivity(req, 'manager_finance_adjustment',
+    `Voided adjustment of ${adjustment.field} (${adjustment.amount} DZD) for ${adjustment.month}/${adjustment.year}: ${reason}`,
+    { adjustmentId: adjustment._id, reason },
+    null
+  );
+
+  res.json({ success: true, data: adjustment });
+});
+
+// @desc    Export a frozen month's transactions for the accountant
+// @route   GET /api/finance/export/:schoolId/:year/:month?format=csv|xlsx|ofx
+// @access  Private (Manager)
+const exportMonth = asyncHandler(async (req, res) => {
+  const { schoolId, year, month } = req.params;
+  const format = (req.query.format || 'csv').toLowerCase();
+  const yearNum = parseInt(year);
+  const monthNum = parseInt(month);
+
+  if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 1 || monthNum > 12) {
+    return res.status(400).json({ message: 'Invalid year or month' });
+  }
+  if (!['csv', 'xlsx', 'ofx'].includes(format)) {
+    return res.status(400).json({ message: 'format must be csv, xlsx or ofx' });
+  }
+
+  const userSchoolId = req.user.school?._id?.toString() || req.user.school?.toString();
+  if (!userSchoolId || userSchoolId !== schoolId) {
+    return res.status(403).json({ message: 'Access denied to this school' });
+  }
+
+  const summary = await MonthlyFinancialSummary.getFrozenSummary(schoolId, yearNum, monthNum);
+  if (!summary) {
+    return res.status(409).json({ message: `Month ${monthNum}/${yearNum} must be frozen before it can be exported` });
+  }
+
+  const lines = await accountingExport.buildExportLines(schoolId, yearNum, monthNum);
+  const checksum = accountingExport.summaryChecksum(summary);
+  const baseName = `finance-${yearNum}-${String(monthNum).padStart(2, '0')}`;
+
+  res.set('X-Summary-Checksum', `${checksum.algorithm}:${checksum.value}`);
+  if (format === 'xlsx') {
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="${baseName}.xlsx"`);
+    return res.send(accountingExport.toXlsx(lines, { summary, checksum }));
+  }
+  if (format === 'ofx') {
+    res.set('Content-Type', 'application/x-ofx');
+    res.set('Content-Disposition', `attachment; filename="${baseName}.ofx"`);
+    return res.send(accountingExport.toOfx(lines, { summary, checksum }));
+  }
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${baseName}.csv"`);
+  res.send(accountingExport.toCsv(lines, { summary, checksum }));
+});
+
 module.exports = {
   getFinancialOverview,
   getTransactions,
@@ -1205,6 +1664,12 @@ module.exports = {
   getIncomeExpenseTrends,
   getTeacherPayoutDistribution,
   getStudentDebtTrends,
+  getCashFlowForecast,
   getExpenseCategories,
-  getEmployeeSalaryAnalytics
+  getEmployeeSalaryAnalytics,
+  exportMonth,
+  reopenMonth,
+  getFinancialAdjustments,
+  addFinancialAdjustment,
+  voidFinancialAdjustment
 };
\ No newline at end of file
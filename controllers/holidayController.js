@@ -0,0 +1,136 @@
+// server/controllers/holidayController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const SchoolHoliday = require('../models/SchoolHoliday');
+const LoggingService = require('../services/loggingService');
+const { applyHoliday, removeHoliday } = require('../services/classSessionService');
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+function requireSchoolId(req, res) {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  return schoolId;
+}
+
+async function findHoliday(req, res, schoolId) {
+  const { id } = req.params;
+  const holiday = mongoose.isValidObjectId(id) ? await SchoolHoliday.findOne({ _id: id, schoolId }) : null;
+  if (!holiday) {
+    res.status(404);
+    throw new Error('Holiday not found');
+  }
+  return holiday;
+}
+
+// Copy editable fields from the request body onto a holiday; a single day needs only startDate
+function applyHolidayFields(holiday, body, res) {
+  for (const key of ['name', 'type', 'notes']) {
+    if (body[key] !== undefined) holiday[key] = body[key];
+  }
+  for (const key of ['startDate', 'endDate']) {
+    if (body[key] === undefined) continue;
+    const d = new Date(body[key]);
+    if (Number.isNaN(d.getTime())) {
+      res.status(400);
+      throw new Error(`${key} must be a valid date (YYYY-MM-DD)`);
+    }
+    holiday[key] = d;
+  }
+  if (!holiday.endDate) holiday.endDate = holiday.startDate;
+}
+
+async function saveHoliday(holiday, res) {
+  try {
+    await holiday.save();
+  } catch (err) {
+    res.status(400);
+    throw new Error(err?.message || 'Invalid holiday');
+  }
+}
+
+const formatRange = (h) => {
+  const [from, to] = [h.startDate, h.endDate].map(d => d.toISOString().slice(0, 10));
+  return from === to ? from : `${from} to ${to}`;
+};
+
+// @desc    Holiday and closure calendar of the school
+// @route   GET /api/holidays?from=&to=
+// @access  Private
+const getHolidays = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const query = { schoolId };
+  if (req.query.to) query.startDate = { $lte: new Date(req.query.to) };
+  if (req.query.from) query.endDate = { $gte: new Date(req.query.from) };
+  const items = await SchoolHoliday.find(query).sort({ startDate: 1 }).lean();
+  res.json({ items });
+});
+
+// @desc    Add a holiday or closure; the class sessions it covers are cancelled
+// @route   POST /api/holidays { name, type, startDate, endDate, notes }
+// @access  Private (Manager)
+const createHoliday = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const holiday = new SchoolHoliday({ schoolId, createdBy: req.user._id });
+  applyHolidayFields(holiday, req.body || {}, res);
+  await saveHoliday(holiday, res);
+  const cancelledSessions = await applyHoliday(holiday);
+
+  await LoggingService.logManagerActivity(req, 'manager_system_settings',
+    `Added ${holiday.type} ${holiday.name} (${formatRange(holiday)})`,
+    { holidayId: holiday._id, cancelledSessions },
+    null
+  );
+  res.status(201).json({ success: true, data: holiday, cancelledSessions });
+});
+
+// @desc    Change a holiday; sessions are restored or cancelled to match the new dates
+// @route   PUT /api/holidays/:id
+// @access  Private (Manager)
+const updateHoliday = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const holiday = await findHoliday(req, res, schoolId);
+  const previous = holiday.toObject();
+  applyHolidayFields(holiday, req.body || {}, res);
+  await saveHoliday(holiday, res);
+  const restoredSessions = await removeHoliday(previous);
+  const cancelledSessions = await applyHoliday(holiday);
+
+  await LoggingService.logManagerActivity(req, 'manager_system_settings',
+    `Updated ${holiday.type} ${holiday.name} (${formatRange(holiday)})`,
+    { holidayId: holiday._id, restoredSessions, cancelledSessions },
+    null
+  );
+  res.json({ success: true, data: holiday, restoredSessions, cancelledSessions });
+});
+
+// @desc    Remove a holiday; the sessions it cancelled are scheduled again
+// @route   DELETE /api/holidays/:id
+// @access  Private (Manager)
+const deleteHoliday = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const holiday = await findHoliday(req, res, schoolId);
+  await holiday.deleteOne();
+  const restoredSessions = await removeHoliday(holiday);
+
+  await LoggingService.logManagerActivity(req, 'manager_system_settings',
+    `Removed ${holiday.type} ${holiday.name} (${formatRange(holiday)})`,
+    { holidayId: holiday._id, restoredSessions },
+    null
+  );
+  res.json({ success: true, restoredSessions });
+});
+
+module.exports = {
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+};
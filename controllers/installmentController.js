@@ -0,0 +1,267 @@
+// server/controllers/installmentController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const InstallmentPlan = require('../models/InstallmentPlan');
+const Enrollment = require('../models/Enrollment');
+const LoggingService = require('../services/loggingService');
+
+// Normalize YYYY-MM-DD to UTC date-only
+function toUtcDateOnly(dateStr) {
+  const d = new Date(dateStr + 'T00:00:00.000Z');
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+// Split a total into `count` whole-dinar installments, remainder on the last one
+function splitEvenly(total, count, firstDueDate, intervalDays) {
+  const base = Math.floor(total / count);
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const due = new Date(firstDueDate.getTime() + i * intervalDays * 24 * 60 * 60 * 1000);
+    out.push({ seq: i + 1, dueDate: due, amount: i === count - 1 ? total - base * (count - 1) : base });
+  }
+  return out;
+}
+
+// @desc    Open an installment plan for a per_cycle enrollment and credit the cycle sessions
+// @route   POST /api/installments
+// @access  Private (Manager)
+const createInstallmentPlan = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  const { enrollmentId, cycles = 1, installments, count, firstDueDate, intervalDays = 30, notes } = req.body || {};
+  if (!mongoose.isValidObjectId(enrollmentId)) {
+    res.status(400);
+    throw new Error('Valid enrollmentId is required');
+  }
+  const enrollment = await Enrollment.findOne({ _id: enrollmentId, schoolId });
+  if (!enrollment) {
+    res.status(404);
+    throw new Error('Enrollment not found');
+  }
+  const snap = enrollment.pricingSnapshot || {};
+  if (snap.paymentModel !== 'per_cycle' || !(snap.cyclePrice > 0) || !(snap.cycleSize > 0)) {
+    res.status(400);
+    throw new Error('Installment plans are only available for per_cycle enrollments with a cycle price');
+  }
+  const cycleCount = Number(cycles);
+  if (!Number.isInteger(cycleCount) || cycleCount < 1) {
+    res.status(400);
+    throw new Error('cycles must be a positive integer');
+  }
+  const existing = await InstallmentPlan.findOne({ enrollmentId, status: 'active' });
+  if (existing) {
+    res.status(409);
+    throw new Error('This enrollment already has an active installment plan');
+  }
+
+  const totalAmount = snap.cyclePrice * cycleCount;
+  let schedule;
+  if (Array.isArray(installments) && installments.length > 0) {
+    schedule = installments.map((inst, i) => ({
+      seq: i + 1,
+      dueDate: toUtcDateOnly(inst.dueDate),
+      amount: Number(inst.amount),
+    }));
+    if (schedule.some(i => isNaN(i.dueDate.getTime()) || !(i.amount > 0))) {
+      res.status(400);
+      throw new Error('Each installment needs a dueDate (YYYY-MM-DD) and a positive amount');
+    }
+  } else {
+    const n = Number(count);
+    const first = firstDueDate ? toUtcDateOnly(firstDueDate) : toUtcDateOnly(new Date().toISOString().split('T')[0]);
+    if (!Number.isInteger(n) || n < 2 || n > 12 || isNaN(first.getTime())) {
+      res.status(400);
+      throw new Error('Provide installments [{ dueDate, amount }] or count (2-12) with firstDueDate');
+    }
+    schedule = splitEvenly(totalAmount, n, first, Number(intervalDays) || 30);
+  }
+
+  let plan;
+  try {
+    plan = await InstallmentPlan.create({
+      schoolId,
+      enrollmentId: enrollment._id,
+      studentId: enrollment.studentId,
+      classId: enrollment.classId,
+      cycles: cycleCount,
+      totalAmount,
+      sessionsCredited: cycleCount * snap.cycleSize,
+      installments: schedule,
+      createdBy: req.user._id,
+      notes,
+    });
+  } catch (err) {
+    if (err?.code === 11000) {
+      res.status(409);
+      throw new Error('This enrollment already has an active installment plan');
+    }
+    res.status(400);
+    throw new Error(err?.message || 'Failed to create installment plan');
+  }
+
+  // The student attends the whole cycle while paying it off; payments allocated to the plan do not add sessions again
+  await Enrollment.updateOne({ _id: enrollment._id }, { $inc: { balance: plan.sessionsCredited } });
+
+  await LoggingService.logManagerActivity(req, 'manager_installment_plan_create',
+    `Opened ${schedule.length}-installment plan of ${totalAmount} DZD for student ${enrollment.studentId}`,
+    { planId: plan._id, enrollmentId: enrollment._id, totalAmount },
+    { entityType: 'enrollment', entityId: enrollment._id }
+  );
+
+  res.status(201).json({ success: true, data: plan, balanceDelta: plan.sessionsCredited });
+});
+
+// @desc    List installment plans (filter by enrollment, student or status)
+// @route   GET /api/installments?enrollmentId=&studentId=&status=
+// @access  Private (Manager, Staff)
+const getInstallmentPlans = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  const { enrollmentId, studentId, status } = req.query || {};
+  const query = { schoolId };
+  if (enrollmentId) {
+    if (!mongoose.isValidObjectId(enrollmentId)) {
+      res.status(400);
+      throw new Error('Invalid enrollmentId');
+    }
+    query.enrollmentId = enrollmentId;
+  }
+  if (studentId) {
+    if (!mongoose.isValidObjectId(studentId)) {
+      res.status(400);
+      throw new Error('Invalid studentId');
+    }
+    query.studentId = studentId;
+  }
+  if (status) query.status = status;
+  const items = await InstallmentPlan.find(query)
+    .populate('studentId', 'firstName lastName studentCode')
+    .populate('classId', 'name')
+    .sort({ createdAt: -1 });
+  res.json({ items });
+});
+
+// @desc    Get one installment plan
+// @route   GET /api/installments/:id
+// @access  Private (Manager, Staff)
+const getInstallmentPlan = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  const { id } = req.params;
+  const plan = mongoose.isValidObjectId(id)
+    ? await InstallmentPlan.findOne({ _id: id, schoolId })
+      .populate('studentId', 'firstName lastName studentCode')
+      .populate('classId', 'name')
+    : null;
+  if (!plan) {
+    res.status(404);
+    throw new Error('Installment plan not found');
+  }
+  res.json({ success: true, data: plan });
+});
+
+// @desc    Cancel an active plan; sessions for the unpaid part are taken back from the balance
+// @route   POST /api/installments/:id/cancel
+// @access  Private (Manager)
+const cancelInstallmentPlan = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  const { id } = req.params;
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    res.status(400);
+    throw new Error('A reason is required to cancel a plan');
+  }
+  const plan = mongoose.isValidObjectId(id) ? await InstallmentPlan.findOne({ _id: id, schoolId }) : null;
+  if (!plan) {
+    res.status(404);
+    throw new Error('Installment plan not found');
+  }
+  if (plan.status !== 'active') {
+    res.status(409);
+    throw new Error(`Plan is already ${plan.status}`);
+  }
+
+  const unpaidShare = plan.totalAmount > 0 ? plan.outstanding / plan.totalAmount : 0;
+  const sessionsRemoved = Math.round(plan.sessionsCredited * unpaidShare * 100) / 100;
+  plan.status = 'cancelled';
+  plan.cancelReason = reason;
+  plan.cancelledAt = new Date();
+  plan.cancelledBy = req.user._id;
+  await plan.save();
+  if (sessionsRemoved > 0) {
+    await Enrollment.updateOne({ _id: plan.enrollmentId }, { $inc: { balance: -sessionsRemoved } });
+  }
+
+  await LoggingService.logManagerActivity(req, 'manager_installment_plan_cancel',
+    `Cancelled installment plan ${plan._id}: ${reason}`,
+    { planId: plan._id, outstanding: plan.outstanding, sessionsRemoved },
+    { entityType: 'enrollment', entityId: plan.enrollmentId }
+  );
+
+  res.json({ success: true, data: plan, balanceDelta: -sessionsRemoved });
+});
+
+// @desc    Overdue installments of the school, oldest first
+// @route   GET /api/installments/overdue?asOf=YYYY-MM-DD
+// @access  Private (Manager, Staff)
+const getOverdueInstallments = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  const asOf = req.query.asOf ? toUtcDateOnly(req.query.asOf) : toUtcDateOnly(new Date().toISOString().split('T')[0]);
+  if (isNaN(asOf.getTime())) {
+    res.status(400);
+    throw new Error('Invalid asOf date. Use YYYY-MM-DD');
+  }
+
+  const rows = await InstallmentPlan.aggregate([
+    { $match: { schoolId, status: 'active' } },
+    { $unwind: '$installments' },
+    { $match: { 'installments.status': { $ne: 'paid' }, 'installments.dueDate': { $lt: asOf } } },
+    {
+      $project: {
+        planId: '$_id',
+        enrollmentId: 1,
+        studentId: 1,
+        classId: 1,
+        seq: '$installments.seq',
+        dueDate: '$installments.dueDate',
+        amount: '$installments.amount',
+        paidAmount: '$installments.paidAmount',
+        amountDue: { $subtract: ['$installments.amount', '$installments.paidAmount'] },
+        daysOverdue: { $floor: { $divide: [{ $subtract: [asOf, '$installments.dueDate'] }, 24 * 60 * 60 * 1000] } },
+      },
+    },
+    { $sort: { dueDate: 1 } },
+    { $lookup: { from: 'users', localField: 'studentId', foreignField: '_id', as: 'student', pipeline: [{ $project: { firstName: 1, lastName: 1, studentCode: 1 } }] } },
+    { $lookup: { from: 'classes', localField: 'classId', foreignField: '_id', as: 'class', pipeline: [{ $project: { name: 1 } }] } },
+    { $addFields: { student: { $first: '$student' }, class: { $first: '$class' } } },
+  ]);
+
+  res.json({
+    asOf,
+    items: rows,
+    totals: {
+      count: rows.length,
+      students: new Set(rows.map(r => r.studentId.toString())).size,
+      amountDue: rows.reduce((sum, r) => sum + r.amountDue, 0),
+    },
+  });
+});
+
+module.exports = {
+  createInstallmentPlan,
+  getInstallmentPlans,
+  getInstallmentPlan,
+  cancelInstallmentPlan,
+  getOverdueInstallments,
+};
@@ -0,0 +1,276 @@
+// server/controllers/kioskController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const KioskDevice = require('../models/KioskDevice');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const Class = require('../models/Class');
+const Attendance = require('../models/Attendance');
+const ClassSession = require('../models/ClassSession');
+const LoggingService = require('../services/loggingService');
+const { sessionsOn } = require('../services/classSessionService');
+const { checkInAttendance } = require('../services/attendanceService');
+
+// Check-in opens this many minutes before a session starts and closes when it ends
+const CHECK_IN_OPENS_MINUTES = 30;
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+function requireSchoolId(req, res) {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  return schoolId;
+}
+
+async function findDevice(req, res, schoolId) {
+  const { id } = req.params;
+  const device = mongoose.isValidObjectId(id) ? await KioskDevice.findOne({ _id: id, schoolId }) : null;
+  if (!device) {
+    res.status(404);
+    throw new Error('Kiosk device not found');
+  }
+  return device;
+}
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+function parseLateAfter(value, res) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0) {
+    res.status(400);
+    throw new Error('lateAfterMinutes must be a whole number of minutes, or null');
+  }
+  return minutes;
+}
+
+/**
+ * Sessions of the student's classes open for check-in now: today's scheduled (or already started)
+ * sessions from CHECK_IN_OPENS_MINUTES before their start until their end, local time
+ * @returns {Promise<Array>} [{ enrollment, klass, session }]
+ */
+async function openSessionsFor(enrollments, now) {
+  const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const classes = await Class.find({ _id: { $in: enrollments.map(e => e.classId) }, status: 'active' })
+    .select('name schoolId absenceRule billingPolicy teacherId schedules sessionOverrides enrollmentPeriod');
+  const open = [];
+  for (const klass of classes) {
+    const sessions = await sessionsOn(klass, today);
+    const session = sessions.find(s => ClassSession.HELD_STATUSES.includes(s.status)
+      && minutes >= toMinutes(s.startTime) - CHECK_IN_OPENS_MINUTES
+      && minutes <= toMinutes(s.endTime));
+    if (session) open.push({ enrollment: enrollments.find(e => e.classId.equals(klass._id)), klass, session });
+  }
+  return open;
+}
+
+// @desc    Register a kiosk device; its token is returned once
+// @route   POST /api/kiosk/devices { name, lateAfterMinutes }
+// @access  Private (Manager)
+const registerDevice = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { name, lateAfterMinutes } = req.body || {};
+  if (!name?.trim()) {
+    res.status(400);
+    throw new Error('name is required');
+  }
+  const { token, tokenHash, tokenPrefix } = KioskDevice.generateToken();
+  const device = await KioskDevice.create({
+    schoolId,
+    name: name.trim(),
+    tokenHash,
+    tokenPrefix,
+    lateAfterMinutes: parseLateAfter(lateAfterMinutes, res) ?? null,
+    createdBy: req.user._id,
+  });
+
+  await LoggingService.logManagerActivity(req, 'manager_system_settings',
+    `Registered kiosk device ${device.name}`,
+    { kioskDeviceId: device._id },
+    null
+  );
+  res.status(201).json({ success: true, data: device, token });
+});
+
+// @desc    Kiosk devices of the school
+// @route   GET /api/kiosk/devices
+// @access  Private (Manager)
+const getDevices = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const items = await KioskDevice.find({ schoolId })
+    .select('-tokenHash')
+    .populate('createdBy', 'firstName lastName')
+    .sort({ active: -1, name: 1 })
+    .lean();
+  res.json({ items });
+});
+
+// @desc    Rename a kiosk device or change its late threshold
+// @route   PUT /api/kiosk/devices/:id { name, lateAfterMinutes }
+// @access  Private (Manager)
+const updateDevice = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const device = await findDevice(req, res, schoolId);
+  const { name, lateAfterMinutes } = req.body || {};
+  if (name !== undefined) {
+    if (!String(name).trim()) {
+      res.status(400);
+      throw new Error('name cannot be empty');
+    }
+    device.name = String(name).trim();
+  }
+  const lateAfter = parseLateAfter(lateAfterMinutes, res);
+  if (lateAfter !== undefined) device.lateAfterMinutes = lateAfter;
+  await device.save();
+  res.json({ success: true, data: device });
+});
+
+// @desc    Issue a new token for a device (the previous one stops working)
+// @route   POST /api/kiosk/devices/:id/token
+// @access  Private (Manager)
+const rotateDeviceToken = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const device = await findDevice(req, res, schoolId);
+  const { token, tokenHash, tokenPrefix } = KioskDevice.generateToken();
+  Object.assign(device, { tokenHash, tokenPrefix, active: true, revokedAt: undefined, revokedBy: undefined });
+  await device.save();
+
+  await LoggingService.logManagerActivity(req, 'manager_system_settings',
+    `Issued a new token for kiosk device ${device.name}`,
+    { kioskDeviceId: device._id },
+    null
+  );
+  res.json({ success: true, data: device, token });
+});
+
+// @desc    Revoke a kiosk device
+// @route   DELETE /api/kiosk/devices/:id
+// @access  Private (Manager)
+const revokeDevice = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const device = await findDevice(req, res, schoolId);
+  device.active = false;
+  device.revokedAt = new Date();
+  device.revokedBy = req.user._id;
+  await device.save();
+
+  await LoggingService.logManagerActivity(req, 'manager_system_settings',
+    `Revoked kiosk device ${device.name}`,
+    { kioskDeviceId: device._id },
+    null
+  );
+  res.json({ success: true, data: device });
+});
+
+// @desc    The calling kiosk device
+// @route   GET /api/kiosk/me
+// @access  Kiosk token
+const getKioskDevice = asyncHandler(async (req, res) => {
+  const { _id, name, schoolId, lateAfterMinutes } = req.kiosk;
+  res.json({ _id, name, schoolId, lateAfterMinutes, checkInOpensMinutes: CHECK_IN_OPENS_MINUTES });
+});
+
+// @desc    Check a student in by their code: marks them present (or late) on the session of their
+//          class open now. A second scan of the same session changes nothing.
+// @route   POST /api/kiosk/check-in { studentCode, enrollmentId? }
+// @access  Kiosk token
+const checkIn = asyncHandler(async (req, res) => {
+  const device = req.kiosk;
+  const { studentCode, enrollmentId } = req.body || {};
+  if (!studentCode) {
+    res.status(400);
+    throw new Error('studentCode is required');
+  }
+  const student = await User.findOne({ school: device.schoolId, role: 'student', studentCode: String(studentCode).toUpperCase() })
+    .select('firstName lastName studentCode');
+  if (!student) {
+    res.status(404);
+    throw new Error('Student not found');
+  }
+  const enrollments = await Enrollment.find({ schoolId: device.schoolId, studentId: student._id, status: 'active' })
+    .select('classId studentId balance sessionCounters');
+
+  const now = new Date();
+  let open = await openSessionsFor(enrollments, now);
+  if (enrollmentId) open = open.filter(o => o.enrollment._id.toString() === String(enrollmentId));
+  if (open.length === 0) {
+    res.status(409);
+    throw new Error('None of your classes has a session open for check-in now');
+  }
+  if (open.length > 1) {
+    return res.status(409).json({
+      message: 'Several classes have a session now: choose one',
+      student,
+      choices: open.map(o => ({ enrollmentId: o.enrollment._id, className: o.klass.name, startTime: o.session.startTime, endTime: o.session.endTime })),
+    });
+  }
+
+  const [{ enrollment, klass, session }] = open;
+  const existing = await Attendance.findOne({ enrollmentId: enrollment._id, date: session.date }).select('status arrivalTime createdAt').lean();
+  const reply = (status, extra) => {
+    const balance = extra.balance ?? enrollment.balance;
+    const warning = balance < 0 ? 'balance_negative' : balance === 0 ? 'balance_empty' : null;
+    return {
+      success: true,
+      student,
+      class: { _id: klass._id, name: klass.name },
+      session: { _id: session._id, date: session.date, startTime: session.startTime, endTime: session.endTime },
+      status,
+      balance,
+      warning,
+      message: warning ? 'No prepaid sessions left: please see the front desk' : null,
+      ...extra,
+    };
+  };
+  if (existing && Attendance.ATTENDED_STATUSES.includes(existing.status)) {
+    return res.json(reply(existing.status, { alreadyCheckedIn: true, arrivalTime: existing.arrivalTime }));
+  }
+
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const late = device.lateAfterMinutes !== null && device.lateAfterMinutes !== undefined
+    && minutes > toMinutes(session.startTime) + device.lateAfterMinutes;
+  const status = late ? 'late' : 'present';
+  const arrivalTime = toTime(minutes);
+  let checkedIn = false;
+  try {
+    checkedIn = await checkInAttendance({
+      schoolId: device.schoolId,
+      klass,
+      session,
+      enrollment,
+      status,
+      arrivalTime,
+      userId: device.createdBy,
+      kioskDeviceId: device._id,
+    });
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+  }
+  const { balance } = await Enrollment.findById(enrollment._id).select('balance').lean();
+  if (!checkedIn) {
+    // Two scans at the same moment: the other one marked the student
+    const marked = await Attendance.findOne({ enrollmentId: enrollment._id, date: session.date }).select('status arrivalTime').lean();
+    return res.json(reply(marked?.status || status, { alreadyCheckedIn: true, arrivalTime: marked?.arrivalTime, balance }));
+  }
+  res.status(201).json(reply(status, { alreadyCheckedIn: false, arrivalTime, balance }));
+});
+
+module.exports = {
+  registerDevice,
+  getDevices,
+  updateDevice,
+  rotateDeviceToken,
+  revokeDevice,
+  getKioskDevice,
+  checkIn,
+};
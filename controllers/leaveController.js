@@ -0,0 +1,496 @@
+// server/controllers/leaveController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const LeaveRequest = require('../models/LeaveRequest');
+const Employee = require('../models/Employee');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const School = require('../models/School');
+const Notification = require('../models/Notification');
+const EmployeeSalaryTransaction = require('../models/EmployeeSalaryTransaction');
+const LoggingService = require('../services/loggingService');
+const {
+  CONTRACT_TYPES,
+  getLeavePolicy,
+  getLeaveBalance,
+  flagAffectedSessions,
+  unflagSessions,
+} = require('../services/leaveService');
+
+const { LEAVE_TYPES, DAY_NAMES } = LeaveRequest;
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+function requireSchoolId(req, res) {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  return schoolId;
+}
+
+function toDate(value, field, res) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    res.status(400);
+    throw new Error(`${field} must be a valid date`);
+  }
+  return date;
+}
+
+const subjectName = (subjectType, subject) => (subjectType === 'employee'
+  ? subject.name
+  : `${subject.firstName || ''} ${subject.lastName || ''}`.trim());
+
+function formatDay(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// The logged-in teacher, or the employee record linked to the logged-in staff user
+async function findOwnSubject(req, res) {
+  const schoolId = requireSchoolId(req, res);
+  if (req.user.role === 'teacher') return { schoolId, subjectType: 'teacher', subject: req.user };
+  const employee = await Employee.findOne({ userId: req.user._id, schoolId, status: 'active' });
+  if (!employee) {
+    res.status(404);
+    throw new Error('No active employee record is linked to your account');
+  }
+  return { schoolId, subjectType: 'employee', subject: employee };
+}
+
+// Employee or teacher named in a manager request body or query
+async function findSubject(schoolId, source, res) {
+  if (source.employeeId && mongoose.isValidObjectId(source.employeeId)) {
+    const employee = await Employee.findOne({ _id: source.employeeId, schoolId });
+    if (employee) return { subjectType: 'employee', subject: employee };
+  } else if (source.teacherId && mongoose.isValidObjectId(source.teacherId)) {
+    const teacher = await User.findOne({ _id: source.teacherId, role: 'teacher', school: schoolId });
+    if (teacher) return { subjectType: 'teacher', subject: teacher };
+  } else {
+    res.status(400);
+    throw new Error('employeeId or teacherId is required');
+  }
+  res.status(404);
+  throw new Error('Employee or teacher not found');
+}
+
+async function loadSubject(leave) {
+  return leave.subjectType === 'employee'
+    ? Employee.findById(leave.employeeId)
+    : User.findById(leave.teacherId).select('firstName lastName contractType teacherStatus startDate createdAt');
+}
+
+// Approved leave of an employee cannot change once the salary of one of its months has been paid
+async function assertNotPaid(leave, res) {
+  if (leave.subjectType !== 'employee') return;
+  const months = [];
+  for (let d = new Date(leave.startDate.getFullYear(), leave.startDate.getMonth(), 1); d <= leave.endDate; d = new Date(d.getFullYear(), d.getMonth() + 1, 1)) {
+    months.push({ year: d.getFullYear(), month: d.getMonth() + 1 });
+  }
+  const paid = await EmployeeSalaryTransaction.exists({ employeeId: leave.employeeId, $or: months });
+  if (paid) {
+    res.status(409);
+    throw new Error('The salary of a month of this leave has already been paid');
+  }
+}
+
+// Annual leave must fit in the balance of the year it starts in
+async function assertBalance(leave, subject, policy, res, { countPending }) {
+  if (!LEAVE_TYPES[leave.type].fromBalance) return;
+  const balance = await getLeaveBalance(leave.schoolId, subject, leave.subjectType, leave.startDate.getFullYear(), policy);
+  // A pending request is already in balance.pending; when approving it, only the approved days count
+  const left = countPending ? balance.remaining : balance.available;
+  if (leave.days > left) {
+    res.status(400);
+    throw new Error(`Not enough annual leave: ${leave.days} day(s) requested, ${left} available`);
+  }
+}
+
+async function notifyManagers(schoolId, title, message, data) {
+  const school = await School.findById(schoolId).select('managers').lean();
+  if (!school?.managers?.length) return;
+  await Notification.insertMany(school.managers.map(userId => ({ schoolId, userId, type: 'leave_request', title, message, data })));
+}
+
+async function notifySubject(leave, subject, title, message) {
+  const userId = leave.subjectType === 'employee' ? subject.userId : subject._id;
+  if (!userId) return;
+  await Notification.create({ schoolId: leave.schoolId, userId, type: 'leave_request', title, message, data: { leaveRequestId: leave._id } });
+}
+
+// Build and validate a leave request (not saved)
+async function buildLeave({ schoolId, subjectType, subject, body, requestedBy, policy }, res) {
+  if (!LEAVE_TYPES[body.type]) {
+    res.status(400);
+    throw new Error(`type must be one of: ${Object.keys(LEAVE_TYPES).join(', ')}`);
+  }
+  const leave = new LeaveRequest({
+    schoolId,
+    subjectType,
+    employeeId: subjectType === 'employee' ? subject._id : undefined,
+    teacherId: subjectType === 'teacher' ? subject._id : undefined,
+    type: body.type,
+    startDate: toDate(body.startDate, 'startDate', res),
+    endDate: toDate(body.endDate || body.startDate, 'endDate', res),
+    halfDayStart: body.halfDayStart === true || body.halfDayStart === 'true',
+    halfDayEnd: body.halfDayEnd === true || body.halfDayEnd === 'true',
+    reason: body.reason,
+    requestedBy,
+  });
+  try {
+    await leave.validate();
+  } catch (err) {
+    res.status(400);
+    throw new Error(err?.message || 'Invalid leave request');
+  }
+  leave.days = LeaveRequest.countDays(leave, null, null, policy.restDays);
+  if (leave.days <= 0) {
+    res.status(400);
+    throw new Error('The leave has no working day');
+  }
+
+  const overlap = await LeaveRequest.exists({
+    schoolId,
+    ...(subjectType === 'employee' ? { employeeId: subject._id } : { teacherId: subject._id }),
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: leave.endDate },
+    endDate: { $gte: leave.startDate },
+  });
+  if (overlap) {
+    res.status(409);
+    throw new Error('Another leave already covers some of these days');
+  }
+  await assertBalance(leave, subject, policy, res, { countPending: true });
+  return leave;
+}
+
+function markApproved(leave, req, note) {
+  leave.status = 'approved';
+  leave.reviewedBy = req.user._id;
+  leave.reviewedAt = new Date();
+  if (note !== undefined) leave.reviewNote = note;
+}
+
+// Move a leave out of the status it was read in; of two simultaneous reviews only one succeeds
+async function claimLeave(leave, update, res) {
+  const claimed = await LeaveRequest.findOneAndUpdate(
+    { _id: leave._id, schoolId: leave.schoolId, status: leave.status },
+    { $set: update },
+    { new: true }
+  );
+  if (!claimed) {
+    res.status(409);
+    throw new Error('Leave request has just been reviewed or cancelled');
+  }
+  return claimed;
+}
+
+// Notify the managers of the class sessions a teacher leave leaves without a teacher
+async function notifyAffectedSessions(leave, subject) {
+  if (leave.subjectType !== 'teacher' || leave.affectedSessions.length === 0) return;
+  await notifyManagers(leave.schoolId,
+    `Substitute needed: ${subjectName('teacher', subject)}`,
+    `${leave.affectedSessions.length} session(s) between ${formatDay(leave.startDate)} and ${formatDay(leave.endDate)} need a substitute`,
+    { leaveRequestId: leave._id, teacherId: leave.teacherId, sessions: leave.affectedSessions.length });
+}
+
+// @desc    Own leave requests and annual leave balance
+// @route   GET /api/leave/me?year=
+// @access  Private (Teacher, Staff)
+const getMyLeave = asyncHandler(async (req, res) => {
+  const { schoolId, subjectType, subject } = await findOwnSubject(req, res);
+  const year = Number.parseInt(req.query.year, 10) || new Date().getFullYear();
+  const query = { schoolId, ...(subjectType === 'employee' ? { employeeId: subject._id } : { teacherId: subject._id }) };
+  const [items, balance] = await Promise.all([
+    LeaveRequest.find(query).sort({ startDate: -1 }).lean(),
+    getLeaveBalance(schoolId, subject, subjectType, year),
+  ]);
+  res.json({ items, balance });
+});
+
+// @desc    Request leave
+// @route   POST /api/leave/me
+// @access  Private (Teacher, Staff)
+const requestLeave = asyncHandler(async (req, res) => {
+  const { schoolId, subjectType, subject } = await findOwnSubject(req, res);
+  const policy = await getLeavePolicy(schoolId);
+  const leave = await buildLeave({ schoolId, subjectType, subject, body: req.body || {}, requestedBy: req.user._id, policy }, res);
+  await leave.save();
+
+  const description = `Requested ${leave.type} leave from ${formatDay(leave.startDate)} to ${formatDay(leave.endDate)} (${leave.days} day(s))`;
+  const details = { leaveRequestId: leave._id, type: leave.type, days: leave.days };
+  if (subjectType === 'teacher') {
+    await LoggingService.logTeacherActivity(req, 'teacher_leave_request', description, details, { entityType: 'teacher', entityId: subject._id });
+  } else {
+    await LoggingService.logStaffActivity(req, 'staff_leave_request', description, details, { entityType: 'employee', entityId: subject._id });
+  }
+  await notifyManagers(schoolId, `Leave request: ${subjectName(subjectType, subject)}`, description, { leaveRequestId: leave._id });
+
+  res.status(201).json({ leave });
+});
+
+// @desc    Withdraw a pending leave request
+// @route   POST /api/leave/me/:id/cancel
+// @access  Private (Teacher, Staff)
+const cancelMyLeave = asyncHandler(async (req, res) => {
+  const { schoolId, subjectType, subject } = await findOwnSubject(req, res);
+  let leave = mongoose.isValidObjectId(req.params.id)
+    ? await LeaveRequest.findOne({ _id: req.params.id, schoolId, ...(subjectType === 'employee' ? { employeeId: subject._id } : { teacherId: subject._id }) })
+    : null;
+  if (!leave) {
+    res.status(404);
+    throw new Error('Leave request not found');
+  }
+  if (leave.status !== 'pending') {
+    res.status(409);
+    throw new Error('Only pending requests can be withdrawn; ask a manager to cancel approved leave');
+  }
+  leave = await claimLeave(leave, { status: 'cancelled' }, res);
+  res.json({ leave });
+});
+
+// @desc    List leave requests
+// @route   GET /api/leave?status=&from=&to=&employeeId=&teacherId=
+// @access  Private (Manager)
+const getLeaveRequests = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const query = { schoolId };
+  if (req.query.status) query.status = req.query.status;
+  if (req.query.employeeId && mongoose.isValidObjectId(req.query.employeeId)) query.employeeId = req.query.employeeId;
+  if (req.query.teacherId && mongoose.isValidObjectId(req.query.teacherId)) query.teacherId = req.query.teacherId;
+  if (req.query.from) query.endDate = { $gte: toDate(req.query.from, 'from', res) };
+  if (req.query.to) query.startDate = { $lte: toDate(req.query.to, 'to', res) };
+
+  const items = await LeaveRequest.find(query)
+    .populate('employeeId', 'name role contractType')
+    .populate('teacherId', 'firstName lastName')
+    .populate('reviewedBy', 'firstName lastName')
+    .sort({ startDate: -1 })
+    .lean();
+  res.json({ items });
+});
+
+// @desc    Enter leave for an employee or teacher (optionally approved at once)
+// @route   POST /api/leave
+// @access  Private (Manager)
+const createLeave = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const body = req.body || {};
+  const { subjectType, subject } = await findSubject(schoolId, body, res);
+  const policy = await getLeavePolicy(schoolId);
+  const leave = await buildLeave({ schoolId, subjectType, subject, body, requestedBy: req.user._id, policy }, res);
+
+  if (body.approve === true || body.approve === 'true') {
+    await assertNotPaid(leave, res);
+    markApproved(leave, req, body.note);
+    if (subjectType === 'teacher') await flagAffectedSessions(leave);
+  }
+  await leave.save();
+
+  await LoggingService.logManagerActivity(req, 'manager_leave_update',
+    `Entered ${leave.type} leave for ${subjectName(subjectType, subject)} from ${formatDay(leave.startDate)} to ${formatDay(leave.endDate)}${leave.status === 'approved' ? ' (approved)' : ''}`,
+    { leaveRequestId: leave._id, type: leave.type, days: leave.days, status: leave.status },
+    { entityType: subjectType, entityId: subject._id }
+  );
+  if (leave.status === 'approved') await notifyAffectedSessions(leave, subject);
+
+  res.status(201).json({ leave });
+});
+
+// @desc    Approve or reject a pending leave request
+// @route   POST /api/leave/:id/review
+// @access  Private (Manager)
+const reviewLeave = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { action, note } = req.body || {};
+  if (!['approve', 'reject'].includes(action)) {
+    res.status(400);
+    throw new Error("action must be 'approve' or 'reject'");
+  }
+  let leave = mongoose.isValidObjectId(req.params.id) ? await LeaveRequest.findOne({ _id: req.params.id, schoolId }) : null;
+  if (!leave) {
+    res.status(404);
+    throw new Error('Leave request not found');
+  }
+  if (leave.status !== 'pending') {
+    res.status(409);
+    throw new Error('Leave request has already been reviewed');
+  }
+  const subject = await loadSubject(leave);
+
+  if (action === 'approve') {
+    await assertNotPaid(leave, res);
+    await assertBalance(leave, subject, await getLeavePolicy(schoolId), res, { countPending: false });
+  }
+  const review = { status: action === 'approve' ? 'approved' : 'rejected', reviewedBy: req.user._id, reviewedAt: new Date() };
+  if (note !== undefined) review.reviewNote = note;
+  leave = await claimLeave(leave, review, res);
+  if (leave.status === 'approved' && leave.subjectType === 'teacher') {
+    await flagAffectedSessions(leave);
+    await leave.save();
+  }
+
+  const name = subject ? subjectName(leave.subjectType, subject) : 'unknown';
+  await LoggingService.logManagerActivity(req, 'manager_leave_review',
+    `${action === 'approve' ? 'Approved' : 'Rejected'} ${leave.type} leave of ${name} from ${formatDay(leave.startDate)} to ${formatDay(leave.endDate)}`,
+    { leaveRequestId: leave._id, action, note, days: leave.days, affectedSessions: leave.affectedSessions.length },
+    { entityType: leave.subjectType, entityId: leave.employeeId || leave.teacherId }
+  );
+  if (subject) {
+    await notifySubject(leave, subject,
+      action === 'approve' ? 'Leave approved' : 'Leave rejected',
+      `${leave.type} leave from ${formatDay(leave.startDate)} to ${formatDay(leave.endDate)}${note ? `: ${note}` : ''}`);
+    if (action === 'approve') await notifyAffectedSessions(leave, subject);
+  }
+
+  res.json({ leave });
+});
+
+// @desc    Cancel a pending or approved leave
+// @route   POST /api/leave/:id/cancel
+// @access  Private (Manager)
+const cancelLeave = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  let leave = mongoose.isValidObjectId(req.params.id) ? await LeaveRequest.findOne({ _id: req.params.id, schoolId }) : null;
+  if (!leave) {
+    res.status(404);
+    throw new Error('Leave request not found');
+  }
+  if (!['pending', 'approved'].includes(leave.status)) {
+    res.status(409);
+    throw new Error('Leave request is already closed');
+  }
+  if (leave.status === 'approved') await assertNotPaid(leave, res);
+
+  const wasApproved = leave.status === 'approved';
+  leave = await claimLeave(leave, { status: 'cancelled', ...(req.body?.note && { reviewNote: req.body.note }) }, res);
+  if (wasApproved && leave.subjectType === 'teacher') await unflagSessions(leave);
+
+  const subject = await loadSubject(leave);
+  await LoggingService.logManagerActivity(req, 'manager_leave_update',
+    `Cancelled ${wasApproved ? 'approved' : 'pending'} ${leave.type} leave from ${formatDay(leave.startDate)} to ${formatDay(leave.endDate)}`,
+    { leaveRequestId: leave._id, note: req.body?.note },
+    { entityType: leave.subjectType, entityId: leave.employeeId || leave.teacherId }
+  );
+  if (subject) await notifySubject(leave, subject, 'Leave cancelled', `${leave.type} leave from ${formatDay(leave.startDate)} to ${formatDay(leave.endDate)}`);
+
+  res.json({ leave });
+});
+
+// @desc    Annual leave balances of the active employees and teachers
+// @route   GET /api/leave/balances?year=
+// @access  Private (Manager)
+const getLeaveBalances = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const year = Number.parseInt(req.query.year, 10) || new Date().getFullYear();
+  const policy = await getLeavePolicy(schoolId);
+  const [employees, teachers] = await Promise.all([
+    Employee.find({ schoolId, status: 'active' }).sort({ name: 1 }),
+    User.find({ school: schoolId, role: 'teacher' }).select('firstName lastName contractType teacherStatus startDate createdAt').sort({ lastName: 1 }),
+  ]);
+
+  const items = [];
+  for (const employee of employees) {
+    items.push({ subjectType: 'employee', id: employee._id, name: employee.name, ...(await getLeaveBalance(schoolId, employee, 'employee', year, policy)) });
+  }
+  for (const teacher of teachers) {
+    if (teacher.teacherStatus === 'retired') continue;
+    items.push({ subjectType: 'teacher', id: teacher._id, name: subjectName('teacher', teacher), ...(await getLeaveBalance(schoolId, teacher, 'teacher', year, policy)) });
+  }
+  res.json({ year, items });
+});
+
+// @desc    Class sessions flagged by approved teacher leave
+// @route   GET /api/leave/affected-sessions?from=&to=
+// @access  Private (Manager)
+const getAffectedSessions = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  // Flagged sessions are dated UTC date-only
+  const day = req.query.from ? toDate(req.query.from, 'from', res) : new Date();
+  const from = new Date(Date.UTC(day.getFullYear(), day.getMonth(), day.getDate()));
+  const toDay = req.query.to ? toDate(req.query.to, 'to', res) : null;
+  const to = toDay ? new Date(Date.UTC(toDay.getFullYear(), toDay.getMonth(), toDay.getDate())) : new Date(from.getTime() + 30 * 86400000);
+
+  const classes = await Class.find({ schoolId, flaggedSessions: { $elemMatch: { date: { $gte: from, $lte: to } } } })
+    .select('name teacherId roomId flaggedSessions')
+    .populate('teacherId', 'firstName lastName')
+    .lean();
+  const items = classes
+    .flatMap(cls => cls.flaggedSessions
+      .filter(f => f.date >= from && f.date <= to)
+      .map(f => ({ classId: cls._id, className: cls.name, teacher: cls.teacherId, roomId: cls.roomId, ...f })))
+    .sort((a, b) => a.date - b.date || String(a.startTime).localeCompare(String(b.startTime)));
+  res.json({ from, to, items });
+});
+
+// @desc    Get the school's leave policy
+// @route   GET /api/leave/policy
+// @access  Private (Manager)
+const getLeavePolicySettings = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  res.json({ success: true, data: await getLeavePolicy(schoolId) });
+});
+
+// @desc    Update rest days, accrual per contract type and carry-over
+// @route   PUT /api/leave/policy
+// @access  Private (Manager)
+const updateLeavePolicySettings = asyncHandler(async (req, res) => {
+  const school = await School.findById(requireSchoolId(req, res));
+  if (!school) {
+    res.status(404);
+    throw new Error('School not found');
+  }
+  const body = req.body || {};
+  if (body.restDays !== undefined) {
+    if (!Array.isArray(body.restDays) || !body.restDays.every(d => DAY_NAMES.includes(d))) {
+      res.status(400);
+      throw new Error(`restDays must be a list of: ${DAY_NAMES.join(', ')}`);
+    }
+    school.set('leavePolicy.restDays', body.restDays);
+  }
+  for (const type of CONTRACT_TYPES) {
+    if (body.accrual?.[type] !== undefined) {
+      const n = Number(body.accrual[type]);
+      if (!Number.isFinite(n)) {
+        res.status(400);
+        throw new Error(`accrual.${type} must be a number`);
+      }
+      school.set(`leavePolicy.accrual.${type}`, n);
+    }
+  }
+  if (body.maxCarryOver !== undefined) {
+    const n = Number(body.maxCarryOver);
+    if (!Number.isFinite(n)) {
+      res.status(400);
+      throw new Error('maxCarryOver must be a number');
+    }
+    school.set('leavePolicy.maxCarryOver', n);
+  }
+  try {
+    await school.save();
+  } catch (err) {
+    res.status(400);
+    throw new Error(err?.message || 'Invalid leave policy');
+  }
+  res.json({ success: true, data: await getLeavePolicy(school._id) });
+});
+
+module.exports = {
+  getMyLeave,
+  requestLeave,
+  cancelMyLeave,
+  getLeaveRequests,
+  createLeave,
+  reviewLeave,
+  cancelLeave,
+  getLeaveBalances,
+  getAffectedSessions,
+  getLeavePolicySettings,
+  updateLeavePolicySettings,
+};
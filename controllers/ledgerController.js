@@ -0,0 +1,194 @@
+// server/controllers/ledgerController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const ledgerService = require('../services/ledgerService');
+const { getMonthlyFinancialData } = require('../services/monthlyAggregationService');
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+// The ledger is only readable for the manager's own school
+function resolveSchool(req, res) {
+  const schoolId = getSchoolId(req);
+  if (!schoolId || !mongoose.isValidObjectId(req.params.schoolId) || schoolId.toString() !== req.params.schoolId) {
+    res.status(403);
+    throw new Error('Access denied to this school');
+  }
+  return schoolId;
+}
+
+function parseYearMonth(req, res) {
+  const year = parseInt(req.params.year, 10);
+  const month = parseInt(req.params.month, 10);
+  if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+    res.status(400);
+    throw new Error('Invalid year or month');
+  }
+  return { year, month };
+}
+
+// "YYYY-MM" -> YYYYMM
+function parsePeriod(value) {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(value || ''));
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+  return Number(match[1]) * 100 + Number(match[2]);
+}
+
+const sum = (movements, account, side, sourceTypes) => Object.entries(movements[account] || {})
+  .filter(([sourceType]) => !sourceTypes || sourceTypes.includes(sourceType))
+  .reduce((total, [, m]) => total + m[side], 0);
+
+// Match each figure of the financial overview with the ledger movements it comes from
+function buildOverviewTrace(overview, movements, trialBalance) {
+  const receivables = trialBalance.accounts.find(a => a.account === 'student_receivables');
+  const figures = [
+    {
+      figure: 'totalIncome',
+      ledger: sum(movements, 'tuition_income', 'credit') - sum(movements, 'tuition_income', 'debit'),
+      source: 'tuition_income credits less debits (class payments and their reversals)',
+    },
+    {
+      figure: 'manualIncome',
+      ledger: sum(movements, 'other_income', 'credit') - sum(movements, 'other_income', 'debit'),
+      source: 'other_income credits less debits',
+    },
+    {
+      figure: 'totalExpenses',
+      ledger: sum(movements, 'expenses', 'debit') - sum(movements, 'expenses', 'credit'),
+      source: 'expenses debits less credits',
+    },
+    {
+      figure: 'teacherEarnings',
+      ledger: sum(movements, 'teacher_payables', 'debit', ['teacher_payout']),
+      source: 'teacher_payables debits from teacher payouts',
+    },
+    {
+      figure: 'teacherEarningsCalculated',
+      ledger: sum(movements, 'teacher_compensation', 'debit') - sum(movements, 'teacher_compensation', 'credit'),
+      source: 'teacher_compensation accrued for the month',
+    },
+    {
+      figure: 'employeeSalaries',
+      ledger: sum(movements, 'salaries', 'debit') - sum(movements, 'salaries', 'credit'),
+      source: 'salaries debits less credits',
+    },
+    {
+      figure: 'totalDebts',
+      ledger: receivables ? receivables.closing : 0,
+      source: 'student_receivables closing balance',
+    },
+  ];
+  return figures.map(f => {
+    const ledger = Math.round(f.ledger * 100) / 100;
+    const value = Math.round((Number(overview?.[f.figure]) || 0) * 100) / 100;
+    return { ...f, ledger, overview: value, difference: Math.round((value - ledger) * 100) / 100, reconciled: value === ledger };
+  });
+}
+
+// @desc    Chart of accounts
+// @route   GET /api/finance/ledger/accounts
+// @access  Private (Manager)
+const getLedgerAccounts = asyncHandler(async (req, res) => {
+  const accounts = Object.entries(JournalEntry.ACCOUNTS).map(([account, meta]) => ({ account, ...meta }));
+  res.json({ success: true, data: accounts });
+});
+
+// @desc    Trial balance of a month, with the overview figures traced to ledger movements
+// @route   GET /api/finance/ledger/trial-balance/:schoolId/:year/:month
+// @access  Private (Manager)
+const getTrialBalance = asyncHandler(async (req, res) => {
+  const schoolId = resolveSchool(req, res);
+  const { year, month } = parseYearMonth(req, res);
+
+  const [trialBalance, movements, overview] = await Promise.all([
+    ledgerService.getTrialBalance(schoolId, year, month),
+    ledgerService.getPeriodMovements(schoolId, year, month),
+    getMonthlyFinancialData(schoolId.toString(), year, month),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      ...trialBalance,
+      overviewTrace: buildOverviewTrace(overview.data, movements, trialBalance),
+      overviewSource: overview.data?.dataSource,
+    }
+  });
+});
+
+// @desc    Statement of one account with running balance
+// @route   GET /api/finance/ledger/statement/:schoolId/:account?from=YYYY-MM&to=YYYY-MM&studentId=&teacherId=&employeeId=&classId=
+// @access  Private (Manager)
+const getAccountStatement = asyncHandler(async (req, res) => {
+  const schoolId = resolveSchool(req, res);
+  const { account } = req.params;
+  if (!JournalEntry.ACCOUNTS[account]) {
+    res.status(400);
+    throw new Error(`Unknown account. Use one of: ${Object.keys(JournalEntry.ACCOUNTS).join(', ')}`);
+  }
+
+  const now = new Date();
+  const currentPeriod = now.getFullYear() * 100 + now.getMonth() + 1;
+  const fromPeriod = req.query.from ? parsePeriod(req.query.from) : currentPeriod;
+  const toPeriod = req.query.to ? parsePeriod(req.query.to) : currentPeriod;
+  if (!fromPeriod || !toPeriod || fromPeriod > toPeriod) {
+    res.status(400);
+    throw new Error('from and to must be YYYY-MM with from <= to');
+  }
+
+  const filters = {};
+  for (const key of ['studentId', 'teacherId', 'employeeId', 'classId']) {
+    if (req.query[key]) {
+      if (!mongoose.isValidObjectId(req.query[key])) {
+        res.status(400);
+        throw new Error(`Invalid ${key}`);
+      }
+      filters[key] = req.query[key];
+    }
+  }
+
+  const statement = await ledgerService.getAccountStatement(schoolId, account, { fromPeriod, toPeriod, ...filters });
+  res.json({ success: true, data: statement });
+});
+
+// @desc    Journal entries of a month
+// @route   GET /api/finance/ledger/journal/:schoolId/:year/:month?sourceType=
+// @access  Private (Manager)
+const getJournal = asyncHandler(async (req, res) => {
+  const schoolId = resolveSchool(req, res);
+  const { year, month } = parseYearMonth(req, res);
+  const query = { schoolId, period: year * 100 + month };
+  if (req.query.sourceType) {
+    if (!JournalEntry.SOURCE_TYPES.includes(req.query.sourceType)) {
+      res.status(400);
+      throw new Error('Invalid sourceType');
+    }
+    query.sourceType = req.query.sourceType;
+  }
+  const entries = await JournalEntry.find(query)
+    .populate('createdBy', 'firstName lastName')
+    .sort({ date: 1, _id: 1 })
+    .lean();
+  res.json({ success: true, data: entries });
+});
+
+// @desc    Post missing ledger entries for existing money movements and reconcile student balances
+// @route   POST /api/finance/ledger/sync/:schoolId
+// @access  Private (Manager)
+const syncLedger = asyncHandler(async (req, res) => {
+  const schoolId = resolveSchool(req, res);
+  const summary = await ledgerService.syncSchoolLedger(schoolId, req.user._id);
+  res.json({ success: true, data: summary });
+});
+
+module.exports = {
+  getLedgerAccounts,
+  getTrialBalance,
+  getAccountStatement,
+  getJournal,
+  syncLedger,
+};
@@ -0,0 +1,56 @@
+// server/controllers/notificationController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+
+// @desc    List the current user's notifications
+// @route   GET /api/notifications?unread=true&limit=
+// @access  Private
+const getMyNotifications = asyncHandler(async (req, res) => {
+  const query = { userId: req.user._id };
+  if (req.query.unread === 'true') query.read = false;
+  const limNum = Number.parseInt(req.query.limit, 10);
+  const safeLimit = Number.isFinite(limNum) ? Math.min(Math.max(limNum, 1), 200) : 50;
+  const [items, unreadCount] = await Promise.all([
+    Notification.find(query).sort({ createdAt: -1 }).limit(safeLimit).lean(),
+    Notification.countDocuments({ userId: req.user._id, read: false }),
+  ]);
+  res.json({ items, unreadCount });
+});
+
+// @desc    Mark one notification as read
+// @route   POST /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const notification = mongoose.isValidObjectId(id)
+    ? await Notification.findOneAndUpdate(
+      { _id: id, userId: req.user._id },
+      { $set: { read: true, readAt: new Date() } },
+      { new: true }
+    )
+    : null;
+  if (!notification) {
+    res.status(404);
+    throw new Error('Notification not found');
+  }
+  res.json({ success: true, data: notification });
+});
+
+// @desc    Mark all notifications of the current user as read
+// @route   POST /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { userId: req.user._id, read: false },
+    { $set: { read: true, readAt: new Date() } }
+  );
+  res.json({ success: true, updated: result.modifiedCount });
+});
+
+module.exports = {
+  getMyNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
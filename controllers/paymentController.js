@@ -2,17 +2,70 @@
 
 const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
+const fs = require('fs').promises;
 const Payment = require('../models/Payment');
+const PaymentMethod = require('../models/PaymentMethod');
 const StudentFinancial = require('../models/StudentFinancial');
+const InstallmentPlan = require('../models/InstallmentPlan');
+const School = require('../models/School');
+const VoidedReceipt = require('../models/VoidedReceipt');
 const LoggingService = require('../services/loggingService');
+const { isMonthFrozen } = require('../services/monthlyAggregationService');
+const { discountPerSession } = require('../services/discountService');
+const { createNumberedPayment, ensureReceiptNumber, renderReceiptHtml } = require('../services/receiptService');
+const ledgerService = require('../services/ledgerService');
+
+// Resolve and validate the payment method + reference from a request body.
+// Returns { method, reference } on success or { error } with a client-facing message.
+async function resolvePaymentMethod(schoolId, method, reference) {
+  const code = typeof method === 'string' && method.trim() ? method.trim().toLowerCase() : 'cash';
+  const methodDoc = await PaymentMethod.findActive(schoolId, code);
+  if (!methodDoc) {
+    return { error: `Unknown or inactive payment method: ${code}` };
+  }
+  const ref = typeof reference === 'string' && reference.trim() ? reference.trim() : undefined;
+  if (methodDoc.requiresReference && !ref) {
+    return { error: `A reference number is required for ${methodDoc.label} payments.` };
+  }
+  return { method: methodDoc.code, reference: ref };
+}
+
+// Sessions a payment adds to Enrollment.balance.
+// Prefer unit-based credit; fallback to money-based if units not provided.
+function computeSessionsCredited({ unitType, units, paid }, pricingSnapshot) {
+  const snap = pricingSnapshot || {};
+  let sessionsAdded = 0;
+  if (typeof units === 'number' && units > 0) {
+    if (unitType === 'session') {
+      sessionsAdded = units;
+    } else if (unitType === 'cycle') {
+      if (typeof snap.cycleSize === 'number' && snap.cycleSize > 0) {
+        sessionsAdded = units * snap.cycleSize;
+      }
+    }
+  }
+  // Fallback: infer sessions from amount actually paid
+  if (sessionsAdded === 0) {
+    if (snap.paymentModel === 'per_session') {
+      if (typeof snap.sessionPrice === 'number' && snap.sessionPrice > 0) {
+        sessionsAdded = paid / snap.sessionPrice;
+      }
+    } else if (snap.paymentModel === 'per_cycle') {
+      if (typeof snap.cyclePrice === 'number' && snap.cyclePrice > 0 && typeof snap.cycleSize === 'number' && snap.cycleSize > 0) {
+        sessionsAdded = (paid / snap.cyclePrice) * snap.cycleSize;
+      }
+    }
+  }
+  return sessionsAdded;
+}
 
-// @desc    Create a cash payment record (aligned with new schema)
+// @desc    Create a payment record (cash, CCP, bank deposit, cheque...)
 // @route   POST /api/payments
 // @access  Private (Manager, Staff)
 const Enrollment = require('../models/Enrollment');
 const createPayment = async (req, res) => {
   try {
-    const { enrollmentId, amount, kind, note, idempotencyKey, unitType, units, expectedPrice, taken, debtDelta } = req.body || {};
+    const { enrollmentId, amount, kind, note, idempotencyKey, unitType, units, expectedPrice, taken, debtDelta, method, reference } = req.body || {};
     if (!enrollmentId || !amount || !kind) {
       return res.status(400).json({ message: 'enrollmentId, amount, and kind are required.' });
     }
@@ -45,10 +98,38 @@ const createPayment = async (req, res) => {
       if (dup) return res.status(200).json(dup);
     }
 
+    const resolved = await resolvePaymentMethod(schoolId, method, reference);
+    if (resolved.error) {
+      return res.status(400).json({ message: resolved.error });
+    }
+
     // Create payment first (audit log)
     const parsedAmount = Number(amount);
     const parsedExpected = Number(expectedPrice);
     const paid = typeof taken === 'number' ? taken : parsedAmount;
+
+    // Money for an enrollment with an active installment plan pays the installments first;
+    // the plan's sessions were already credited when it was opened
+    const snap = enrollment.pricingSnapshot || {};
+    const moneyIn = Number.isFinite(paid) ? paid : parsedAmount;
+    const plan = await InstallmentPlan.findOne({ enrollmentId, status: 'active' });
+    const planShare = plan ? Math.max(Math.min(moneyIn, plan.outstanding), 0) : 0;
+
+    // Sessions credited and discount given follow the enrollment's (discounted) pricing snapshot
+    let sessionsAdded = planShare > 0
+      ? computeSessionsCredited({ paid: moneyIn - planShare }, snap)
+      : computeSessionsCredited({ unitType, units, paid: moneyIn }, snap);
+    const planSessions = planShare > 0 && snap.cyclePrice > 0 ? (planShare / snap.cyclePrice) * snap.cycleSize : 0;
+    const unitPrice = unitType === 'cycle' ? snap.cyclePrice : (unitType === 'session' ? snap.sessionPrice : undefined);
+    const snapshotExpected = planShare > 0
+      ? moneyIn
+      : (typeof units === 'number' && units > 0 && typeof unitPrice === 'number' ? units * unitPrice : undefined);
+    // Price owed for this payment: the one given, else the discounted snapshot price of the units bought
+    const resolvedExpected = Number.isFinite(parsedExpected) ? parsedExpected : (snapshotExpected ?? parsedAmount);
+    const discountAmount = Number.isFinite(sessionsAdded)
+      ? Math.round((sessionsAdded + planSessions) * discountPerSession(snap) * 100) / 100
+      : 0;
+
     const paymentPayload = {
       schoolId,
       classId: enrollment.classId,
@@ -57,44 +138,52 @@ const createPayment = async (req, res) => {
       // amount represents the expected price for the units purchased
       amount: parsedAmount,
       kind,
-      method: 'cash',
+      method: resolved.method,
+      reference: resolved.reference,
       note,
       unitType,
       units,
-      expectedPrice: Number.isFinite(parsedExpected) ? parsedExpected : parsedAmount,
+      expectedPrice: resolvedExpected,
       taken: Number.isFinite(paid) ? paid : 0,
       // Align with UI: debt = taken - price
-      debtDelta: typeof debtDelta === 'number' ? debtDelta : (Number.isFinite(paid) && Number.isFinite(parsedExpected) ? (paid - parsedExpected) : 0),
+      debtDelta: typeof debtDelta === 'number' ? debtDelta : (Number.isFinite(paid) && Number.isFinite(resolvedExpected) ? (paid - resolvedExpected) : 0),
+      sessionsCredited: Number.isFinite(sessionsAdded) ? sessionsAdded : 0,
+      discountAmount,
+      installmentPlanId: planShare > 0 ? plan._id : undefined,
+      installmentAllocated: planShare > 0 ? planShare : undefined,
+      recordedBy: req.user?._id,
     };
     if (normalizedIdem) paymentPayload.idempotencyKey = normalizedIdem;
-    const payment = await Payment.create(paymentPayload);
 
-    // Adjust enrollment balance automatically
-    // Prefer unit-based credit; fallback to money-based if units not provided
-    const snap = enrollment.pricingSnapshot || {};
-    let sessionsAdded = 0;
-    if (typeof units === 'number' && units > 0) {
-      if (unitType === 'session') {
-        sessionsAdded = units;
-      } else if (unitType === 'cycle') {
-        if (typeof snap.cycleSize === 'number' && snap.cycleSize > 0) {
-          sessionsAdded = units * snap.cycleSize;
-        }
+    // Numbered once it validates; a number left unused by a failed write is recorded as voided
+    let payment;
+    try {
+      payment = await createNumberedPayment(Payment, paymentPayload);
+    } catch (err) {
+      if (err?.code === 11000 && normalizedIdem) {
+        // Concurrent retry with the same idempotency key won the race
+        const dup = await Payment.findOne({ enrollmentId, idempotencyKey: normalizedIdem });
+        if (dup) return res.status(200).json(dup);
       }
+      throw err;
     }
-    // Fallback: infer sessions from amount actually paid
-    if (sessionsAdded === 0) {
-      if (snap.paymentModel === 'per_session') {
-        if (typeof snap.sessionPrice === 'number' && snap.sessionPrice > 0) {
-          sessionsAdded = (Number.isFinite(paid) ? paid : parsedAmount) / snap.sessionPrice;
-        }
-      } else if (snap.paymentModel === 'per_cycle') {
-        if (typeof snap.cyclePrice === 'number' && snap.cyclePrice > 0 && typeof snap.cycleSize === 'number' && snap.cycleSize > 0) {
-          sessionsAdded = ((Number.isFinite(paid) ? paid : parsedAmount) / snap.cyclePrice) * snap.cycleSize;
-        }
+
+    if (planShare > 0) {
+      // Installments read as due may have been paid meanwhile by a concurrent payment;
+      // what could not be allocated buys sessions like any other money
+      const allocated = await InstallmentPlan.allocatePayment(plan._id, planShare, payment._id);
+      if (allocated < planShare) {
+        sessionsAdded += computeSessionsCredited({ paid: planShare - allocated }, snap);
+        payment.installmentAllocated = allocated;
+        payment.sessionsCredited = Number.isFinite(sessionsAdded) ? sessionsAdded : 0;
+        await Payment.updateOne(
+          { _id: payment._id },
+          { $set: { installmentAllocated: allocated, sessionsCredited: payment.sessionsCredited } }
+        );
       }
     }
 
+    // Adjust enrollment balance automatically
     // Allow fractional sessions to represent partial payments; store as Number
     if (Number.isFinite(sessionsAdded) && sessionsAdded !== 0) {
       await Enrollment.updateOne(
@@ -105,21 +194,38 @@ const createPayment = async (req, res) => {
 
     // Update per-student aggregate (always update, even if debtDelta is 0)
     if (typeof payment.debtDelta === 'number') {
-      await StudentFinancial.updateOne(
+      const financial = await StudentFinancial.findOneAndUpdate(
         { schoolId, studentId: enrollment.studentId },
         { $inc: { debt: payment.debtDelta } },
-        { upsert: true }
+        { upsert: true, new: true }
       );
+      payment.debtAfter = financial?.debt || 0;
+      await Payment.updateOne({ _id: payment._id }, { $set: { debtAfter: payment.debtAfter } });
     }
 
+    await ledgerService.record(() => ledgerService.postPayment(payment, req.user?._id));
+
     // Log the payment activity
     await LoggingService.logManagerActivity(req, 'manager_payment_record', 
       `Recorded payment of ${parsedAmount} DZD for student ${enrollment.studentId}`, 
-      { paymentId: payment._id, amount: parsedAmount, kind, enrollmentId },
+      { paymentId: payment._id, amount: parsedAmount, kind, enrollmentId, method: payment.method },
       { entityType: 'payment', entityId: payment._id }
     );
 
-    res.status(201).json({ payment, balanceDelta: sessionsAdded });
+    res.status(201).json({
+      payment,
+      balanceDelta: sessionsAdded,
+      pricing: {
+        sessionPrice: snap.sessionPrice,
+        cyclePrice: snap.cyclePrice,
+        listSessionPrice: snap.listSessionPrice,
+        listCyclePrice: snap.listCyclePrice,
+        discounts: snap.discounts || [],
+        expectedPrice: payment.expectedPrice,
+        discountAmount,
+      },
+      installmentPlan: planShare > 0 ? plan : undefined,
+    });
   } catch (error) {
     console.error('createPayment error:', {
       message: error.message,
@@ -219,14 +325,27 @@ const getPayments = async (req, res) => {
   }
 };
 
-// @desc    Update a payment record (mark as paid, overdue, etc.)
+// @desc    Update the note/reference of a payment (money fields are immutable, use void/refund)
 // @route   PUT /api/payments/:id
 // @access  Private (Manager, Staff)
 const updatePayment = async (req, res) => {
   try {
     const paymentId = req.params.id;
-    const updates = req.body;
-    const payment = await Payment.findByIdAndUpdate(paymentId, updates, { new: true });
+    if (!mongoose.isValidObjectId(paymentId)) {
+      return res.status(400).json({ message: 'Invalid payment ID.' });
+    }
+    const schoolIdRaw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+    const { note, reference } = req.body || {};
+    const blocked = Object.keys(req.body || {}).filter(k => !['note', 'reference'].includes(k));
+    if (blocked.length > 0) {
+      return res.status(400).json({
+        message: `Only note and reference can be edited. To correct ${blocked.join(', ')}, void or refund the payment and record a new one.`,
+      });
+    }
+    const updates = {};
+    if (typeof note === 'string') updates.note = note;
+    if (typeof reference === 'string') updates.reference = reference;
+    const payment = await Payment.findOneAndUpdate({ _id: paymentId, schoolId: schoolIdRaw }, { $set: updates }, { new: true });
     if (!payment) {
       return res.status(404).json({ message: 'Payment not found.' });
     }
@@ -236,21 +355,145 @@ const updatePayment = async (req, res) => {
   }
 };
 
-// @desc    Delete a payment record
+// @desc    Hard deletes are disabled; payments are voided or refunded so history stays intact
 // @route   DELETE /api/payments/:id
 // @access  Private (Manager, Staff)
 const deletePayment = async (req, res) => {
+  res.status(405).json({
+    message: 'Payments cannot be deleted. Use POST /api/payments/:id/void or /api/payments/:id/refund with a reason.',
+  });
+};
+
+// Post a reversing entry for a payment and undo its balance credit and debt delta.
+// type is 'void' (recorded in error) or 'refund' (money handed back to the student).
+async function reversePayment(req, res, type) {
+  const schoolId = (req.user?.school?._id || req.user?.school || '').toString();
+  const { id } = req.params;
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    res.status(400);
+    throw new Error('A reason is required to ' + type + ' a payment.');
+  }
+  const original = mongoose.isValidObjectId(id) ? await Payment.findOne({ _id: id, schoolId }) : null;
+  if (!original) {
+    res.status(404);
+    throw new Error('Payment not found.');
+  }
+  if (original.kind === 'reversal') {
+    res.status(400);
+    throw new Error('A reversal entry cannot itself be reversed.');
+  }
+  if (original.status !== 'active') {
+    res.status(409);
+    throw new Error(`Payment is already ${original.status}.`);
+  }
+
+  // The current month must be open; a void of an open month is dated with the original so the month nets out,
+  // otherwise (refunds, or originals in a frozen month) the entry is posted today
+  const now = new Date();
+  if (await isMonthFrozen(schoolId, now)) {
+    res.status(409);
+    throw new Error('The current month is frozen; reversals cannot be posted.');
+  }
+  const originalMonthFrozen = await isMonthFrozen(schoolId, original.createdAt);
+  const postedAt = type === 'void' && !originalMonthFrozen ? original.createdAt : now;
+
+  // Claim the original atomically so concurrent requests cannot reverse it twice
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: original._id, status: 'active' },
+    { $set: { status: type === 'void' ? 'voided' : 'refunded' } },
+    { new: true }
+  );
+  if (!claimed) {
+    res.status(409);
+    throw new Error('Payment was reversed by another request.');
+  }
+
+  // Payments recorded before sessionsCredited existed: recompute what they added
+  let sessionsCredited = original.sessionsCredited;
+  if (typeof sessionsCredited !== 'number' && original.enrollmentId) {
+    const enrollment = await Enrollment.findById(original.enrollmentId).select('pricingSnapshot');
+    sessionsCredited = computeSessionsCredited({
+      unitType: original.unitType,
+      units: original.units,
+      paid: typeof original.taken === 'number' ? original.taken : original.amount,
+    }, enrollment?.pricingSnapshot);
+  }
+  sessionsCredited = Number.isFinite(sessionsCredited) ? sessionsCredited : 0;
+
+  let reversal;
   try {
-    const paymentId = req.params.id;
-    const deleted = await Payment.findByIdAndDelete(paymentId);
-    if (!deleted) {
-      return res.status(404).json({ message: 'Payment not found.' });
+    reversal = await createNumberedPayment(Payment, {
+      schoolId: original.schoolId,
+      classId: original.classId,
+      studentId: original.studentId,
+      enrollmentId: original.enrollmentId,
+      amount: -original.amount,
+      kind: 'reversal',
+      method: original.method,
+      reference: original.reference,
+      note: `${type === 'void' ? 'Void' : 'Refund'} of payment ${original.receiptNumber || original._id}`,
+      unitType: original.unitType,
+      units: original.units,
+      expectedPrice: typeof original.expectedPrice === 'number' ? -original.expectedPrice : undefined,
+      taken: -(typeof original.taken === 'number' ? original.taken : original.amount),
+      debtDelta: -(original.debtDelta || 0),
+      sessionsCredited: -sessionsCredited,
+      discountAmount: original.discountAmount ? -original.discountAmount : undefined,
+      reversalOf: original._id,
+      reversalType: type,
+      reversalReason: reason,
+      postedToCurrentMonth: originalMonthFrozen || undefined,
+      recordedBy: req.user._id,
+      createdAt: postedAt,
+    }, postedAt);
+  } catch (err) {
+    await Payment.updateOne({ _id: original._id }, { $set: { status: 'active' } });
+    throw err;
+  }
+
+  if (sessionsCredited !== 0 && original.enrollmentId) {
+    await Enrollment.updateOne({ _id: original.enrollmentId }, { $inc: { balance: -sessionsCredited } });
+  }
+  if (original.debtDelta) {
+    const financial = await StudentFinancial.findOneAndUpdate(
+      { schoolId: original.schoolId, studentId: original.studentId },
+      { $inc: { debt: -original.debtDelta } },
+      { upsert: true, new: true }
+    );
+    reversal.debtAfter = financial?.debt || 0;
+  }
+  await Payment.updateOne({ _id: reversal._id }, { $set: { debtAfter: reversal.debtAfter } });
+  if (original.installmentPlanId && original.installmentAllocated > 0) {
+    try {
+      await InstallmentPlan.releasePayment(original.installmentPlanId, original._id);
+    } catch (err) {
+      // e.g. a newer plan is already active for the enrollment; keep the reversal and report it
+      console.error('Could not reopen installment plan after reversal:', { planId: original.installmentPlanId, message: err.message });
     }
-    res.status(200).json({ message: 'Payment deleted successfully.' });
-  } catch (error) {
-    res.status(500).json({ message: 'Server Error', error: error.message });
   }
-};
+  claimed.reversedBy = reversal._id;
+  await Payment.updateOne({ _id: original._id }, { $set: { reversedBy: reversal._id } });
+  await ledgerService.record(() => ledgerService.postPayment(reversal, req.user?._id));
+
+  await LoggingService.logManagerActivity(req, type === 'void' ? 'manager_payment_void' : 'manager_payment_refund',
+    `${type === 'void' ? 'Voided' : 'Refunded'} payment of ${original.amount} DZD for student ${original.studentId}: ${reason}`,
+    { paymentId: original._id, reversalId: reversal._id, amount: original.amount, reason, postedToCurrentMonth: originalMonthFrozen },
+    { entityType: 'payment', entityId: original._id }
+  );
+
+  res.status(201).json({ success: true, data: { payment: claimed, reversal, balanceDelta: -sessionsCredited } });
+}
+
+// @desc    Void a payment recorded in error (posts a linked reversal entry)
+// @route   POST /api/payments/:id/void
+// @access  Private (Manager)
+const voidPayment = asyncHandler(async (req, res) => reversePayment(req, res, 'void'));
+
+// @desc    Refund a payment to the student (posts a linked reversal entry dated today)
+// @route   POST /api/payments/:id/refund
+// @access  Private (Manager)
+const refundPayment = asyncHandler(async (req, res) => reversePayment(req, res, 'refund'));
 
 // @desc    Manually adjust student debt
 // @route   POST /api/payments/adjust-debt
@@ -279,6 +522,9 @@ const adjustStudentDebt = asyncHandler(async (req, res) => {
 
     // Note: Debt adjustments are not manual transactions
     // They only affect the StudentFinancial record and don't impact income/expenses
+    await ledgerService.record(() => ledgerService.postDebtAdjustment({
+      schoolId, studentId, amount: debtAdjustment, reason, createdBy: req.user?._id,
+    }));
 
     res.status(200).json({
       success: true,
@@ -342,7 +588,7 @@ const getStudentDebt = asyncHandler(async (req, res) => {
 // @route   POST /api/payments/pay-debt
 // @access  Private (Manager)
 const payStudentDebt = asyncHandler(async (req, res) => {
-  const { studentId, amount, note } = req.body;
+  const { studentId, amount, note, method, reference } = req.body;
   const schoolId = req.user?.school?._id || req.user?.school;
 
   if (!schoolId) {
@@ -355,6 +601,12 @@ const payStudentDebt = asyncHandler(async (req, res) => {
     throw new Error('Please provide studentId and valid amount');
   }
 
+  const resolved = await resolvePaymentMethod(schoolId, method, reference);
+  if (resolved.error) {
+    res.status(400);
+    throw new Error(resolved.error);
+  }
+
   try {
     // Get current debt
     const studentDebt = await StudentFinancial.findOne({
@@ -380,26 +632,30 @@ const payStudentDebt = asyncHandler(async (req, res) => {
       { upsert: true }
     );
 
-    // Create a payment record for debt payment
-    const payment = await Payment.create({
+    // Create a payment record for debt payment, numbered like any other receipt
+    const payment = await createNumberedPayment(Payment, {
       schoolId: new mongoose.Types.ObjectId(schoolId),
       classId: null, // Debt payments are not tied to specific classes
       studentId: new mongoose.Types.ObjectId(studentId),
       enrollmentId: null, // Debt payments are not tied to specific enrollments
       amount: paymentAmount,
       kind: 'debt_payment',
-      method: 'cash',
+      method: resolved.method,
+      reference: resolved.reference,
       note: note || `Debt payment - ${paymentAmount} DZD`,
       unitType: undefined,
       units: undefined,
       expectedPrice: paymentAmount,
       taken: paymentAmount,
       debtDelta: debtReduction,
-      idempotencyKey: `DEBT-PAY-${studentId}-${Date.now()}`
+      debtAfter: currentDebt - paymentAmount,
+      recordedBy: req.user?._id,
+      idempotencyKey: `DEBT-PAY-${studentId}-${Date.now()}`,
     });
 
     // Note: Debt payments are not manual transactions
     // They only affect the StudentFinancial record and create Payment records for audit
+    await ledgerService.record(() => ledgerService.postPayment(payment, req.user?._id));
 
     res.status(200).json({
       success: true,
@@ -438,13 +694,18 @@ const cleanupDebtTransactions = asyncHandler(async (req, res) => {
     const ManualTransaction = require('../models/ManualTransaction');
     
     // Remove all manual transactions related to debt adjustments
-    const result = await ManualTransaction.deleteMany({
+    const filter = {
       schoolId: new mongoose.Types.ObjectId(schoolId),
       $or: [
         { category: 'Debt Adjustment' },
         { category: 'Debt Payment' }
       ]
-    });
+    };
+    const removed = await ManualTransaction.find(filter);
+    const result = await ManualTransaction.deleteMany({ _id: { $in: removed.map(t => t._id) } });
+    for (const transaction of removed) {
+      await ledgerService.record(() => ledgerService.postManualTransactionDeleted(transaction, req.user?._id));
+    }
 
     res.status(200).json({
       success: true,
@@ -464,16 +725,144 @@ const cleanupDebtTransactions = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Attach a proof document (transfer slip, deposit receipt, cheque scan) to a payment
+// @route   POST /api/payments/:id/proof
+// @access  Private (Manager, Staff)
+const uploadPaymentProof = asyncHandler(async (req, res) => {
+  const schoolId = (req.user?.school?._id || req.user?.school || '').toString();
+  const { id } = req.params;
+  if (!req.file) {
+    res.status(400);
+    throw new Error('No file uploaded');
+  }
+  const payment = mongoose.isValidObjectId(id) ? await Payment.findOne({ _id: id, schoolId }) : null;
+  if (!payment) {
+    await fs.unlink(req.file.path).catch(() => {});
+    res.status(404);
+    throw new Error('Payment not found.');
+  }
+
+  // Replace any previous proof file for this payment
+  const previousPath = payment.proof?.filePath;
+  payment.proof = {
+    originalName: req.file.originalname,
+    filename: req.file.filename,
+    filePath: req.file.path,
+    mimeType: req.file.mimetype,
+    fileSize: req.file.size,
+    uploadedBy: req.user._id,
+    uploadedAt: new Date(),
+  };
+  await payment.save();
+  if (previousPath && previousPath !== req.file.path) {
+    await fs.unlink(previousPath).catch(() => {});
+  }
+
+  res.status(201).json({ success: true, data: payment });
+});
+
+// @desc    Download the proof document attached to a payment
+// @route   GET /api/payments/:id/proof
+// @access  Private (Manager, Staff)
+const downloadPaymentProof = asyncHandler(async (req, res) => {
+  const schoolId = (req.user?.school?._id || req.user?.school || '').toString();
+  const { id } = req.params;
+  const payment = mongoose.isValidObjectId(id) ? await Payment.findOne({ _id: id, schoolId }).lean() : null;
+  if (!payment || !payment.proof?.filePath) {
+    res.status(404);
+    throw new Error('Proof not found.');
+  }
+  try {
+    await fs.access(payment.proof.filePath);
+  } catch {
+    res.status(404);
+    throw new Error('Proof file is missing on the server.');
+  }
+  res.setHeader('Content-Type', payment.proof.mimeType || 'application/octet-stream');
+  res.setHeader('Content-Disposition', `inline; filename="${payment.proof.originalName || payment.proof.filename}"`);
+  res.sendFile(payment.proof.filePath);
+});
+
+// @desc    Render the printable receipt of a payment (reprints are marked DUPLICATE)
+// @route   GET /api/payments/:id/receipt?format=html|json
+// @access  Private (Manager, Staff)
+const getPaymentReceipt = asyncHandler(async (req, res) => {
+  const schoolId = (req.user?.school?._id || req.user?.school || '').toString();
+  const { id } = req.params;
+  let payment = mongoose.isValidObjectId(id) ? await Payment.findOne({ _id: id, schoolId }).lean() : null;
+  if (!payment) {
+    res.status(404);
+    throw new Error('Payment not found.');
+  }
+  payment = await ensureReceiptNumber(Payment, payment);
+
+  // Count the print atomically; the value before the increment tells whether this is a reprint
+  const before = await Payment.findOneAndUpdate(
+    { _id: payment._id },
+    { $inc: { receiptPrintCount: 1 }, $set: { receiptLastPrintedAt: new Date() } },
+    { new: false }
+  ).lean();
+  const duplicate = (before?.receiptPrintCount || 0) > 0;
+
+  const User = require('../models/User');
+  const Class = require('../models/Class');
+  const [school, student, klass, methodDoc] = await Promise.all([
+    School.findById(payment.schoolId).select('name contact').lean(),
+    User.findById(payment.studentId).select('firstName lastName studentCode').lean(),
+    payment.classId ? Class.findById(payment.classId).select('name').lean() : null,
+    PaymentMethod.findOne({ schoolId: payment.schoolId, code: payment.method }).select('label').lean(),
+  ]);
+
+  // Payments recorded before debtAfter existed fall back to the current debt
+  let remainingDebt = payment.debtAfter;
+  if (typeof remainingDebt !== 'number') {
+    const financial = await StudentFinancial.findOne({ schoolId: payment.schoolId, studentId: payment.studentId }).lean();
+    remainingDebt = financial?.debt || 0;
+  }
+
+  const data = {
+    payment,
+    school,
+    student,
+    className: klass?.name,
+    methodLabel: methodDoc?.label,
+    remainingDebt,
+  };
+
+  if (req.query.format === 'json') {
+    return res.json({ ...data, duplicate, printCount: (before?.receiptPrintCount || 0) + 1 });
+  }
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="receipt-${payment.receiptNumber}.html"`);
+  res.send(renderReceiptHtml(data, { duplicate }));
+});
+
+// @desc    Receipt numbers issued but left unused by a failed payment write
+// @route   GET /api/payments/receipts/voided?year=
+// @access  Private (Manager)
+const getVoidedReceipts = asyncHandler(async (req, res) => {
+  const schoolId = (req.user?.school?._id || req.user?.school || '').toString();
+  const year = Number(req.query.year) || new Date().getFullYear();
+  const items = await VoidedReceipt.find({ schoolId, receiptYear: year }).sort({ receiptSeq: 1 }).lean();
+  res.json({ year, items });
+});
+
 module.exports = {
   createPayment,
   getPayments,
   getPaymentById,
   updatePayment,
   deletePayment,
+  voidPayment,
+  refundPayment,
   adjustStudentDebt,
   getStudentDebt,
   payStudentDebt,
   cleanupDebtTransactions,
+  uploadPaymentProof,
+  downloadPaymentProof,
+  getPaymentReceipt,
+  getVoidedReceipts,
 };
 
 // @desc    Get payments for teacher-owned classes (read-only)
@@ -0,0 +1,241 @@
+// server/controllers/paymentMethodController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const PaymentMethod = require('../models/PaymentMethod');
+const CashReconciliation = require('../models/CashReconciliation');
+const LoggingService = require('../services/loggingService');
+
+// Normalize YYYY-MM-DD to UTC date-only
+function toUtcDateOnly(dateStr) {
+  const d = new Date(dateStr + 'T00:00:00.000Z');
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+// Recorded totals per method for one UTC business day (money actually taken)
+async function computeExpectedByMethod(schoolId, dayStart) {
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+  const rows = await Payment.aggregate([
+    { $match: { schoolId, createdAt: { $gte: dayStart, $lt: dayEnd } } },
+    {
+      $group: {
+        _id: { $ifNull: ['$method', 'cash'] },
+        expectedAmount: { $sum: { $ifNull: ['$taken', '$amount'] } },
+        paymentCount: { $sum: 1 },
+      },
+    },
+  ]);
+  return new Map(rows.map(r => [r._id, r]));
+}
+
+// @desc    List the school's payment methods (defaults seeded on first call)
+// @route   GET /api/payments/methods
+// @access  Private (Manager, Staff)
+const getPaymentMethods = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  const methods = await PaymentMethod.ensureDefaults(schoolId);
+  const includeInactive = req.query.includeInactive === 'true';
+  res.json({ items: includeInactive ? methods : methods.filter(m => m.isActive) });
+});
+
+// @desc    Add a payment method to the school catalog
+// @route   POST /api/payments/methods
+// @access  Private (Manager)
+const createPaymentMethod = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  const { code, label, isCash, requiresReference, sortOrder } = req.body || {};
+  if (!code || !label) {
+    res.status(400);
+    throw new Error('code and label are required');
+  }
+  await PaymentMethod.ensureDefaults(schoolId);
+  try {
+    const method = await PaymentMethod.create({
+      schoolId,
+      code,
+      label,
+      isCash: isCash === true,
+      requiresReference: requiresReference === true,
+      sortOrder: Number.isFinite(Number(sortOrder)) ? Number(sortOrder) : 100,
+    });
+    res.status(201).json({ success: true, data: method });
+  } catch (err) {
+    if (err?.code === 11000) {
+      res.status(409);
+      throw new Error(`Payment method ${code} already exists`);
+    }
+    res.status(400);
+    throw new Error(err?.message || 'Failed to create payment method');
+  }
+});
+
+// @desc    Update label/flags of a payment method (codes are immutable once used)
+// @route   PUT /api/payments/methods/:methodId
+// @access  Private (Manager)
+const updatePaymentMethod = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  const { methodId } = req.params;
+  if (!mongoose.isValidObjectId(methodId)) {
+    res.status(400);
+    throw new Error('Invalid method id');
+  }
+  const method = await PaymentMethod.findOne({ _id: methodId, schoolId });
+  if (!method) {
+    res.status(404);
+    throw new Error('Payment method not found');
+  }
+  const { label, isCash, requiresReference, isActive, sortOrder } = req.body || {};
+  if (typeof label === 'string' && label.trim()) method.label = label.trim();
+  if (typeof isCash === 'boolean') method.isCash = isCash;
+  if (typeof requiresReference === 'boolean') method.requiresReference = requiresReference;
+  if (typeof isActive === 'boolean') method.isActive = isActive;
+  if (Number.isFinite(Number(sortOrder))) method.sortOrder = Number(sortOrder);
+  await method.save();
+  res.json({ success: true, data: method });
+});
+
+// @desc    Recorded totals per method for a day, plus the counts already submitted
+// @route   GET /api/payments/reconciliation?date=YYYY-MM-DD
+// @access  Private (Manager, Staff)
+const getReconciliation = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  const { date } = req.query || {};
+  if (!date) {
+    res.status(400);
+    throw new Error('date (YYYY-MM-DD) is required');
+  }
+  const dayStart = toUtcDateOnly(date);
+  if (isNaN(dayStart.getTime())) {
+    res.status(400);
+    throw new Error('Invalid date. Use YYYY-MM-DD');
+  }
+
+  const methods = await PaymentMethod.ensureDefaults(schoolId);
+  const expected = await computeExpectedByMethod(schoolId, dayStart);
+  const known = new Set(methods.map(m => m.code));
+  const lines = methods
+    .filter(m => m.isActive || expected.has(m.code))
+    .map(m => ({
+      method: m.code,
+      label: m.label,
+      isCash: m.isCash,
+      paymentCount: expected.get(m.code)?.paymentCount || 0,
+      expectedAmount: expected.get(m.code)?.expectedAmount || 0,
+    }));
+  // Legacy/unknown codes still need to show up so nothing is silently dropped
+  for (const [code, row] of expected) {
+    if (!known.has(code)) lines.push({ method: code, label: code, isCash: false, paymentCount: row.paymentCount, expectedAmount: row.expectedAmount });
+  }
+
+  const history = await CashReconciliation.find({ schoolId, date: dayStart })
+    .populate('reconciledBy', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.json({
+    date: dayStart,
+    lines,
+    totalExpected: lines.reduce((sum, l) => sum + l.expectedAmount, 0),
+    reconciliations: history,
+  });
+});
+
+// @desc    Submit counted amounts per method and record any discrepancy
+// @route   POST /api/payments/reconciliation
+// @access  Private (Manager, Staff)
+const createReconciliation = asyncHandler(async (req, res) => {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  const { date, counts, note } = req.body || {};
+  if (!date || !Array.isArray(counts) || counts.length === 0) {
+    res.status(400);
+    throw new Error('date (YYYY-MM-DD) and counts [{ method, countedAmount }] are required');
+  }
+  const dayStart = toUtcDateOnly(date);
+  if (isNaN(dayStart.getTime())) {
+    res.status(400);
+    throw new Error('Invalid date. Use YYYY-MM-DD');
+  }
+
+  const methods = await PaymentMethod.ensureDefaults(schoolId);
+  const labels = new Map(methods.map(m => [m.code, m.label]));
+  const expected = await computeExpectedByMethod(schoolId, dayStart);
+
+  const counted = new Map();
+  for (const c of counts) {
+    const code = String(c?.method || '').trim().toLowerCase();
+    const amount = Number(c?.countedAmount);
+    if (!code || !Number.isFinite(amount) || amount < 0) {
+      res.status(400);
+      throw new Error('Each count needs a method and a non-negative countedAmount');
+    }
+    counted.set(code, (counted.get(code) || 0) + amount);
+  }
+
+  // Every method with recorded payments must be reconciled, even if nothing was counted
+  const codes = new Set([...counted.keys(), ...expected.keys()]);
+  const lines = [...codes].map(code => {
+    const expectedAmount = expected.get(code)?.expectedAmount || 0;
+    const countedAmount = counted.get(code) || 0;
+    return {
+      method: code,
+      label: labels.get(code) || code,
+      paymentCount: expected.get(code)?.paymentCount || 0,
+      expectedAmount,
+      countedAmount,
+      discrepancy: countedAmount - expectedAmount,
+    };
+  });
+  const totalExpected = lines.reduce((sum, l) => sum + l.expectedAmount, 0);
+  const totalCounted = lines.reduce((sum, l) => sum + l.countedAmount, 0);
+  const hasDiscrepancy = lines.some(l => l.discrepancy !== 0);
+
+  const reconciliation = await CashReconciliation.create({
+    schoolId,
+    date: dayStart,
+    lines,
+    totalExpected,
+    totalCounted,
+    totalDiscrepancy: totalCounted - totalExpected,
+    status: hasDiscrepancy ? 'discrepancy' : 'balanced',
+    note,
+    reconciledBy: req.user._id,
+  });
+
+  await LoggingService.logManagerActivity(req, 'manager_cash_reconcile',
+    `Reconciled payments for ${dayStart.toISOString().split('T')[0]} (${hasDiscrepancy ? 'discrepancy ' + (totalCounted - totalExpected) + ' DZD' : 'balanced'})`,
+    { reconciliationId: reconciliation._id, totalExpected, totalCounted },
+    null
+  );
+
+  res.status(201).json({ success: true, data: reconciliation });
+});
+
+module.exports = {
+  getPaymentMethods,
+  createPaymentMethod,
+  updatePaymentMethod,
+  getReconciliation,
+  createReconciliation,
+};
@@ -0,0 +1,166 @@
+// server/controllers/payslipController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Employee = require('../models/Employee');
+const EmployeeSalaryTransaction = require('../models/EmployeeSalaryTransaction');
+const TeacherPayout = require('../models/TeacherPayout');
+const { buildEmployeePayslip, buildTeacherPayslip, markDownloaded, renderPayslipHtml } = require('../services/payslipService');
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+function requireSchoolId(req, res) {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  return schoolId;
+}
+
+function parsePeriod(req, res) {
+  const year = Number.parseInt(req.params.year, 10);
+  const month = Number.parseInt(req.params.month, 10);
+  if (!year || !month || month < 1 || month > 12) {
+    res.status(400);
+    throw new Error('Invalid year or month');
+  }
+  return { year, month };
+}
+
+// Employee record of a logged-in staff user
+async function findOwnEmployee(req, res, schoolId) {
+  const employee = await Employee.findOne({ userId: req.user._id, schoolId }).select('_id').lean();
+  if (!employee) {
+    res.status(404);
+    throw new Error('No employee record is linked to your account');
+  }
+  return employee;
+}
+
+// Send a payslip as printable HTML (default) or JSON (?format=json).
+// Payslips not issued yet are only shown to managers, as a draft without a number.
+async function sendPayslip(req, res, data, { allowDraft = false } = {}) {
+  if (!data) {
+    res.status(404);
+    throw new Error('No payslip for this month');
+  }
+  if (data.payslip.draft && !allowDraft) {
+    res.status(404);
+    throw new Error('This payslip has not been issued yet');
+  }
+  if (!data.payslip.draft) await markDownloaded(data.payslip.number, getSchoolId(req));
+  if (req.query.format === 'json') {
+    return res.json(data);
+  }
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="payslip-${data.payslip.number || 'draft'}.html"`);
+  res.send(renderPayslipHtml(data));
+}
+
+function requireObjectId(res, value, label) {
+  if (!mongoose.isValidObjectId(value)) {
+    res.status(400);
+    throw new Error(`Invalid ${label} id`);
+  }
+}
+
+// @desc    Months for which the logged-in teacher or staff member has a payslip
+// @route   GET /api/payslips/me
+// @access  Private (Teacher, Staff)
+const getMyPayslips = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  let items;
+  if (req.user.role === 'teacher') {
+    items = await TeacherPayout.aggregate([
+      { $match: { schoolId, teacherId: req.user._id } },
+      { $group: { _id: { year: '$year', month: '$month' }, gross: { $sum: '$calculatedIncome' }, paid: { $sum: '$paidAmount' }, remaining: { $sum: '$remainingDebt' } } },
+      { $project: { _id: 0, year: '$_id.year', month: '$_id.month', gross: 1, paid: 1, remaining: 1 } },
+      { $sort: { year: -1, month: -1 } }
+    ]);
+  } else {
+    const employee = await findOwnEmployee(req, res, schoolId);
+    items = await EmployeeSalaryTransaction.find({ schoolId, employeeId: employee._id })
+      .select('year month calculatedSalary paidAmount remaining')
+      .sort({ year: -1, month: -1 })
+      .lean();
+    items = items.map(t => ({ year: t.year, month: t.month, gross: t.calculatedSalary, paid: t.paidAmount, remaining: t.remaining }));
+  }
+  res.json({ items });
+});
+
+// @desc    Download own payslip of a month (once issued)
+// @route   GET /api/payslips/me/:year/:month?format=html|json
+// @access  Private (Teacher, Staff)
+const getMyPayslip = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { year, month } = parsePeriod(req, res);
+  if (req.user.role === 'teacher') {
+    return sendPayslip(req, res, await buildTeacherPayslip(schoolId, req.user._id, year, month));
+  }
+  const employee = await findOwnEmployee(req, res, schoolId);
+  return sendPayslip(req, res, await buildEmployeePayslip(schoolId, employee._id, year, month));
+});
+
+// @desc    Payslip of an employee (a numberless draft until it is issued)
+// @route   GET /api/payslips/employee/:employeeId/:year/:month?format=html|json
+// @access  Private (Manager, Staff with finance access)
+const getEmployeePayslip = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { year, month } = parsePeriod(req, res);
+  requireObjectId(res, req.params.employeeId, 'employee');
+  const data = await buildEmployeePayslip(schoolId, req.params.employeeId, year, month);
+  return sendPayslip(req, res, data, { allowDraft: true });
+});
+
+// @desc    Payslip of a teacher (all their classes of the month; a numberless draft until it is issued)
+// @route   GET /api/payslips/teacher/:teacherId/:year/:month?format=html|json
+// @access  Private (Manager, Staff with finance access)
+const getTeacherPayslip = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { year, month } = parsePeriod(req, res);
+  requireObjectId(res, req.params.teacherId, 'teacher');
+  const data = await buildTeacherPayslip(schoolId, req.params.teacherId, year, month);
+  return sendPayslip(req, res, data, { allowDraft: true });
+});
+
+// Reply to an issue request: the payslip with its number (issuing again returns the same number)
+function sendIssued(res, data) {
+  if (!data) {
+    res.status(404);
+    throw new Error('No payslip for this month');
+  }
+  res.json({ success: true, data });
+}
+
+// @desc    Issue an employee payslip: gives it the next number of the school's payslip sequence
+// @route   POST /api/payslips/employee/:employeeId/:year/:month/issue
+// @access  Private (Manager, Staff with finance access)
+const issueEmployeePayslip = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { year, month } = parsePeriod(req, res);
+  requireObjectId(res, req.params.employeeId, 'employee');
+  sendIssued(res, await buildEmployeePayslip(schoolId, req.params.employeeId, year, month, { issue: true }));
+});
+
+// @desc    Issue a teacher payslip: gives it the next number of the school's payslip sequence
+// @route   POST /api/payslips/teacher/:teacherId/:year/:month/issue
+// @access  Private (Manager, Staff with finance access)
+const issueTeacherPayslip = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { year, month } = parsePeriod(req, res);
+  requireObjectId(res, req.params.teacherId, 'teacher');
+  sendIssued(res, await buildTeacherPayslip(schoolId, req.params.teacherId, year, month, { issue: true }));
+});
+
+module.exports = {
+  getMyPayslips,
+  getMyPayslip,
+  getEmployeePayslip,
+  getTeacherPayslip,
+  issueEmployeePayslip,
+  issueTeacherPayslip,
+};
@@ -0,0 +1,240 @@
+// server/controllers/recurringTransactionController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const ManualTransaction = require('../models/ManualTransaction');
+const LoggingService = require('../services/loggingService');
+const { materializeRecurringTransactions, skipOccurrence } = require('../services/recurringTransactionService');
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+function requireSchoolId(req, res) {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  return schoolId;
+}
+
+async function findTemplate(req, res, schoolId) {
+  const { id } = req.params;
+  const template = mongoose.isValidObjectId(id) ? await RecurringTransaction.findOne({ _id: id, schoolId }) : null;
+  if (!template) {
+    res.status(404);
+    throw new Error('Recurring transaction not found');
+  }
+  return template;
+}
+
+// Parse a YYYY-MM-DD occurrence date to local midnight
+function toOccurrenceDate(value, res) {
+  const d = new Date(value);
+  if (!value || Number.isNaN(d.getTime())) {
+    res.status(400);
+    throw new Error('date must be a valid date');
+  }
+  const [y, m, day] = String(value).slice(0, 10).split('-').map(Number);
+  return y && m && day ? new Date(y, m - 1, day) : new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+// Copy editable fields from the request body onto a template
+function applyTemplateFields(template, body) {
+  for (const key of ['type', 'category', 'description', 'frequency']) {
+    if (body[key] !== undefined) template[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+  }
+  if (body.amount !== undefined) template.amount = Number(body.amount);
+  for (const key of ['startDate', 'endDate']) {
+    if (body[key] !== undefined) template[key] = body[key] ? new Date(body[key]) : null;
+  }
+  if (body.active !== undefined) template.active = body.active === true || body.active === 'true';
+}
+
+async function saveTemplate(template, res) {
+  if (!(template.amount > 0)) {
+    res.status(400);
+    throw new Error('Amount must be greater than 0');
+  }
+  try {
+    await template.save();
+  } catch (err) {
+    res.status(400);
+    throw new Error(err?.message || 'Invalid recurring transaction');
+  }
+}
+
+// @desc    List recurring transaction templates with their next occurrence
+// @route   GET /api/recurring-transactions?active=
+// @access  Private (Manager)
+const getRecurringTransactions = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const query = { schoolId };
+  if (req.query.active !== undefined) query.active = req.query.active === 'true';
+  const templates = await RecurringTransaction.find(query).sort({ type: 1, category: 1 });
+
+  const now = new Date();
+  const yearAhead = new Date(now.getFullYear() + 1, now.getMonth(), now.getDate());
+  const items = templates.map(t => ({
+    ...t.toObject(),
+    nextOccurrence: t.active ? (t.occurrencesBetween(now, yearAhead).find(d => !t.isSkipped(d)) || null) : null,
+  }));
+  res.json({ items });
+});
+
+// @desc    Create a recurring transaction template (due occurrences are materialized right away)
+// @route   POST /api/recurring-transactions
+// @access  Private (Manager)
+const createRecurringTransaction = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const body = req.body || {};
+  if (!body.type || !body.category || !body.description || !body.amount || !body.frequency || !body.startDate) {
+    res.status(400);
+    throw new Error('Missing required fields: type, category, description, amount, frequency, startDate');
+  }
+  const template = new RecurringTransaction({ schoolId, createdBy: req.user._id });
+  applyTemplateFields(template, body);
+  await saveTemplate(template, res);
+  const result = await materializeRecurringTransactions(schoolId, { templateId: template._id });
+
+  await LoggingService.logManagerActivity(req, 'manager_recurring_transaction_update',
+    `Created ${template.frequency} ${template.type} of ${template.amount} DZD: ${template.category} - ${template.description}`,
+    { recurringTransactionId: template._id, amount: template.amount, frequency: template.frequency, generated: result.created },
+    null
+  );
+  res.status(201).json({ success: true, data: template, generated: result.created });
+});
+
+// @desc    Update a template; entries already generated are kept as they are
+// @route   PUT /api/recurring-transactions/:id
+// @access  Private (Manager)
+const updateRecurringTransaction = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const template = await findTemplate(req, res, schoolId);
+  const previousAmount = template.amount;
+  applyTemplateFields(template, req.body || {});
+  await saveTemplate(template, res);
+  const result = await materializeRecurringTransactions(schoolId, { templateId: template._id });
+
+  await LoggingService.logManagerActivity(req, 'manager_recurring_transaction_update',
+    `Updated ${template.frequency} ${template.type} ${template.category} - ${template.description}: ${previousAmount} -> ${template.amount} DZD`,
+    { recurringTransactionId: template._id, previousAmount, amount: template.amount, active: template.active },
+    null
+  );
+  res.json({ success: true, data: template, generated: result.created });
+});
+
+// @desc    Delete a template; entries already generated are kept
+// @route   DELETE /api/recurring-transactions/:id
+// @access  Private (Manager)
+const deleteRecurringTransaction = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const template = await findTemplate(req, res, schoolId);
+  await template.deleteOne();
+
+  await LoggingService.logManagerActivity(req, 'manager_recurring_transaction_update',
+    `Deleted ${template.frequency} ${template.type}: ${template.category} - ${template.description}`,
+    { recurringTransactionId: template._id, amount: template.amount },
+    null
+  );
+  res.json({ success: true });
+});
+
+// @desc    Occurrences of a template in a range with their status (generated, skipped, upcoming)
+// @route   GET /api/recurring-transactions/:id/occurrences?from=&to=
+// @access  Private (Manager)
+const getOccurrences = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const template = await findTemplate(req, res, schoolId);
+  const now = new Date();
+  const from = req.query.from ? toOccurrenceDate(req.query.from, res) : template.startDate;
+  const to = req.query.to ? toOccurrenceDate(req.query.to, res) : new Date(now.getFullYear() + 1, now.getMonth(), now.getDate());
+
+  const generated = await ManualTransaction.find({ recurringTransactionId: template._id, generated: true })
+    .select('occurrenceDate amount date')
+    .lean();
+  const byDate = new Map(generated.map(t => [t.occurrenceDate.getTime(), t]));
+  const items = template.occurrencesBetween(from, to).map(date => {
+    const transaction = byDate.get(date.getTime());
+    let status = 'upcoming';
+    if (transaction) status = 'generated';
+    else if (template.isSkipped(date)) status = 'skipped';
+    else if (date <= now) status = 'not_generated';
+    return { date, status, transactionId: transaction?._id || null, amount: transaction?.amount ?? template.amount };
+  });
+  res.json({ items });
+});
+
+// @desc    Skip one occurrence (removes its generated entry when the month is not frozen)
+// @route   POST /api/recurring-transactions/:id/skip
+// @access  Private (Manager)
+const skipRecurringOccurrence = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const template = await findTemplate(req, res, schoolId);
+  const date = toOccurrenceDate(req.body?.date, res);
+  const now = new Date();
+  const horizon = new Date(Math.max(date.getTime(), now.getTime()));
+  if (!template.occurrencesBetween(date, horizon).some(d => d.getTime() === date.getTime())) {
+    res.status(400);
+    throw new Error('No occurrence of this template on that date');
+  }
+
+  const result = await skipOccurrence(template, date, req.user._id);
+  if (result.frozen) {
+    res.status(409);
+    throw new Error('The month of this occurrence is frozen');
+  }
+
+  await LoggingService.logManagerActivity(req, 'manager_recurring_transaction_update',
+    `Skipped the ${date.toLocaleDateString('en-CA')} occurrence of ${template.category} - ${template.description}`,
+    { recurringTransactionId: template._id, date, removed: result.removed },
+    null
+  );
+  res.json({ success: true, data: result });
+});
+
+// @desc    Restore a skipped occurrence (generated again when due)
+// @route   DELETE /api/recurring-transactions/:id/skip?date=
+// @access  Private (Manager)
+const unskipRecurringOccurrence = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const template = await findTemplate(req, res, schoolId);
+  const date = toOccurrenceDate(req.query.date || req.body?.date, res);
+  if (!template.isSkipped(date)) {
+    res.status(404);
+    throw new Error('This occurrence is not skipped');
+  }
+  template.skippedDates = template.skippedDates.filter(d => d.getTime() !== date.getTime());
+  await template.save();
+  const result = await materializeRecurringTransactions(schoolId, { templateId: template._id });
+
+  await LoggingService.logManagerActivity(req, 'manager_recurring_transaction_update',
+    `Restored the ${date.toLocaleDateString('en-CA')} occurrence of ${template.category} - ${template.description}`,
+    { recurringTransactionId: template._id, date },
+    null
+  );
+  res.json({ success: true, generated: result.created });
+});
+
+// @desc    Materialize the due occurrences of every template now
+// @route   POST /api/recurring-transactions/run
+// @access  Private (Manager)
+const runRecurringTransactions = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const result = await materializeRecurringTransactions(schoolId);
+  res.json({ success: true, data: result });
+});
+
+module.exports = {
+  getRecurringTransactions,
+  createRecurringTransaction,
+  updateRecurringTransaction,
+  deleteRecurringTransaction,
+  getOccurrences,
+  skipRecurringOccurrence,
+  unskipRecurringOccurrence,
+  runRecurringTransactions,
+};
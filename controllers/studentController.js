@@ -4,6 +4,7 @@ const SchoolCatalog = require('../models/SchoolCatalog');
 const asyncHandler = require('express-async-handler');
 const Enrollment = require('../models/Enrollment');
 const LoggingService = require('../services/loggingService');
+const { buildPricingSnapshot } = require('../services/discountService');
 
 // @desc    Get all students for a school (manager only)
 // @route   GET /api/students
@@ -280,36 +281,13 @@ const enrollStudent = asyncHandler(async (req, res) => {
     // Do not block here; rely on Enrollment collection for idempotency
   }
 
-  // Build pricing snapshot robustly (support legacy fields)
-  let paymentModel = klass.paymentModel;
-  let sessionPrice = klass.sessionPrice;
-  let cyclePrice = klass.cyclePrice;
-  let cycleSize = klass.cycleSize;
-
-  if (!paymentModel) {
-    if (typeof klass.price === 'number' && typeof klass.paymentCycle === 'number') {
-      paymentModel = 'per_cycle';
-      cyclePrice = klass.price;
-      cycleSize = klass.paymentCycle;
-    } else {
-      res.status(400);
-      throw new Error('Class pricing not configured. Please update class pricing.');
-    }
-  }
-  if (paymentModel === 'per_session') {
-    if (typeof sessionPrice !== 'number') {
-      res.status(400);
-      throw new Error('Class per-session price missing. Please update class pricing.');
-    }
-  } else if (paymentModel === 'per_cycle') {
-    // allow fallback from legacy if missing
-    if (typeof cyclePrice !== 'number') cyclePrice = typeof klass.price === 'number' ? klass.price : undefined;
-    if (typeof cycleSize !== 'number') cycleSize = typeof klass.paymentCycle === 'number' ? klass.paymentCycle : undefined;
-    if (typeof cyclePrice !== 'number' || typeof cycleSize !== 'number') {
-      res.status(400);
-      throw new Error('Class cycle price/size missing. Please update class pricing.');
-    }
+  // Build pricing snapshot robustly (support legacy fields) with approved discount rules applied
+  const pricingSnapshot = await buildPricingSnapshot({ schoolId: klass.schoolId, studentId: student._id, klass });
+  if (pricingSnapshot.error) {
+    res.status(400);
+    throw new Error(pricingSnapshot.error);
   }
+  const { paymentModel, cycleSize, cyclePrice } = pricingSnapshot;
 
   // Create Enrollment document first, to avoid partial state on failures
   const Enrollment = require('../models/Enrollment');
@@ -331,13 +309,7 @@ const enrollStudent = asyncHandler(async (req, res) => {
     });
   }
   
-  
-  const pricingSnapshot = {
-    paymentModel,
-    sessionPrice: paymentModel === 'per_session' ? sessionPrice : undefined,
-    cycleSize: paymentModel === 'per_cycle' ? cycleSize : undefined,
-    cyclePrice: paymentModel === 'per_cycle' ? cyclePrice : undefined,
-  };
+
   let legacyTotals = {};
   if (paymentModel === 'per_cycle') {
     legacyTotals = { totalSessions: cycleSize, totalAmount: cyclePrice, sessionsCompleted: 0, amountPaid: 0 };
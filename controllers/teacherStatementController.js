@@ -0,0 +1,252 @@
+// server/controllers/teacherStatementController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const TeacherPayout = require('../models/TeacherPayout');
+const PayoutDispute = require('../models/PayoutDispute');
+const FinancialAdjustment = require('../models/FinancialAdjustment');
+const School = require('../models/School');
+const Notification = require('../models/Notification');
+const LoggingService = require('../services/loggingService');
+const ledgerService = require('../services/ledgerService');
+const { listTeacherStatements, buildTeacherStatement } = require('../services/teacherStatementService');
+const { isMonthFrozen } = require('../services/monthlyAggregationService');
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+function requireSchoolId(req, res) {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  return schoolId;
+}
+
+// @desc    Monthly payout statements of the logged-in teacher
+// @route   GET /api/teacher-statements
+// @access  Private (Teacher)
+const getMyStatements = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const items = await listTeacherStatements(schoolId, req.user._id);
+  res.json({ items });
+});
+
+// @desc    Statement of a month with per-class income, cut, paid amount and remaining debt
+// @route   GET /api/teacher-statements/:year/:month
+// @access  Private (Teacher)
+const getMyStatement = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const year = Number.parseInt(req.params.year, 10);
+  const month = Number.parseInt(req.params.month, 10);
+  if (!year || !month || month < 1 || month > 12) {
+    res.status(400);
+    throw new Error('Invalid year or month');
+  }
+  const statement = await buildTeacherStatement(schoolId, req.user._id, year, month);
+  if (!statement) {
+    res.status(404);
+    throw new Error('No statement for this month');
+  }
+  res.json(statement);
+});
+
+// @desc    Disputes raised by the logged-in teacher
+// @route   GET /api/teacher-statements/disputes
+// @access  Private (Teacher)
+const getMyDisputes = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const query = { schoolId, teacherId: req.user._id };
+  if (req.query.status) query.status = req.query.status;
+  const items = await PayoutDispute.find(query).sort({ createdAt: -1 }).lean();
+  res.json({ items });
+});
+
+// @desc    Dispute a line of a statement
+// @route   POST /api/teacher-statements/disputes
+// @access  Private (Teacher)
+const raiseDispute = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { payoutId, item, message, expectedAmount, sessionDate } = req.body || {};
+  if (!payoutId || !mongoose.isValidObjectId(payoutId)) {
+    res.status(400);
+    throw new Error('payoutId is required');
+  }
+  if (!PayoutDispute.DISPUTE_ITEMS.includes(item)) {
+    res.status(400);
+    throw new Error(`item must be one of: ${PayoutDispute.DISPUTE_ITEMS.join(', ')}`);
+  }
+  if (!message || !String(message).trim()) {
+    res.status(400);
+    throw new Error('Please explain what is wrong with this line');
+  }
+
+  const payout = await TeacherPayout.findOne({ _id: payoutId, schoolId, teacherId: req.user._id });
+  if (!payout) {
+    res.status(404);
+    throw new Error('Statement line not found');
+  }
+  const duplicate = await PayoutDispute.exists({ payoutId: payout._id, item, status: 'open' });
+  if (duplicate) {
+    res.status(409);
+    throw new Error('This line already has an open dispute');
+  }
+
+  const dispute = await PayoutDispute.create({
+    schoolId,
+    teacherId: req.user._id,
+    payoutId: payout._id,
+    classId: payout.classId,
+    className: payout.classData?.className,
+    year: payout.year,
+    month: payout.month,
+    item,
+    sessionDate: sessionDate ? new Date(sessionDate) : undefined,
+    message,
+    expectedAmount: expectedAmount !== undefined && expectedAmount !== '' ? Number(expectedAmount) : undefined,
+    statementSnapshot: {
+      calculatedIncome: payout.calculatedIncome,
+      paidAmount: payout.paidAmount,
+      remainingDebt: payout.remainingDebt,
+    },
+  });
+
+  const teacherName = `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim();
+  await LoggingService.logTeacherActivity(req, 'teacher_payout_dispute',
+    `Disputed ${item.replace('_', ' ')} of ${dispute.className || 'class'} for ${payout.year}-${payout.month}`,
+    { disputeId: dispute._id, payoutId: payout._id, item, expectedAmount: dispute.expectedAmount },
+    { entityType: 'class', entityId: payout.classId }
+  );
+
+  const school = await School.findById(schoolId).select('managers').lean();
+  if (school?.managers?.length) {
+    await Notification.insertMany(school.managers.map(userId => ({
+      schoolId,
+      userId,
+      type: 'payout_dispute',
+      title: `Payout dispute: ${teacherName || 'teacher'}`,
+      message: `${dispute.className || 'Class'} ${payout.year}-${String(payout.month).padStart(2, '0')}: ${message}`,
+      data: { disputeId: dispute._id, payoutId: payout._id, teacherId: req.user._id },
+    })));
+  }
+
+  res.status(201).json({ dispute });
+});
+
+// @desc    List payout disputes of the school
+// @route   GET /api/finance/payout-disputes?status=&year=&month=&teacherId=
+// @access  Private (Manager)
+const getPayoutDisputes = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const query = { schoolId };
+  if (req.query.status) query.status = req.query.status;
+  if (req.query.year) query.year = Number.parseInt(req.query.year, 10);
+  if (req.query.month) query.month = Number.parseInt(req.query.month, 10);
+  if (req.query.teacherId && mongoose.isValidObjectId(req.query.teacherId)) query.teacherId = req.query.teacherId;
+
+  const items = await PayoutDispute.find(query)
+    .populate('teacherId', 'firstName lastName')
+    .populate('resolution.resolvedBy', 'firstName lastName')
+    .populate('payoutId', 'calculatedIncome paidAmount remainingDebt status adjustmentTotal')
+    .sort({ status: 1, createdAt: -1 })
+    .lean();
+  res.json({ items });
+});
+
+// @desc    Resolve a dispute with an adjustment of the payout, or reject it
+// @route   POST /api/finance/payout-disputes/:id/resolve
+// @access  Private (Manager)
+const resolvePayoutDispute = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { action, amount, note } = req.body || {};
+  if (!['adjust', 'reject'].includes(action)) {
+    res.status(400);
+    throw new Error("action must be 'adjust' or 'reject'");
+  }
+  if (!note || !String(note).trim()) {
+    res.status(400);
+    throw new Error('A resolution note is required');
+  }
+  const adjustment = action === 'adjust' ? Number(amount) : 0;
+  if (action === 'adjust' && (!Number.isFinite(adjustment) || adjustment === 0)) {
+    res.status(400);
+    throw new Error('Adjustment amount must be a non-zero number');
+  }
+
+  const dispute = mongoose.isValidObjectId(req.params.id) ? await PayoutDispute.findOne({ _id: req.params.id, schoolId }) : null;
+  if (!dispute) {
+    res.status(404);
+    throw new Error('Dispute not found');
+  }
+  if (dispute.status !== 'open') {
+    res.status(409);
+    throw new Error('Dispute is already closed');
+  }
+
+  let payout = null;
+  if (action === 'adjust') {
+    payout = await TeacherPayout.findOne({ _id: dispute.payoutId, schoolId });
+    if (!payout) {
+      res.status(404);
+      throw new Error('Payout not found');
+    }
+    try {
+      payout.addAdjustment(adjustment, `Dispute: ${note}`, req.user._id, dispute._id);
+    } catch (err) {
+      res.status(400);
+      throw err;
+    }
+    await payout.save();
+    await ledgerService.record(() => ledgerService.postTeacherAccrual(payout, req.user._id));
+
+    // A frozen month keeps its figures; the change shows as a post-freeze delta
+    if (await isMonthFrozen(schoolId, new Date(payout.year, payout.month - 1, 1))) {
+      await FinancialAdjustment.create({
+        schoolId,
+        year: payout.year,
+        month: payout.month,
+        field: 'teacherEarnings',
+        amount: adjustment,
+        category: 'Payout dispute',
+        reason: note,
+        reference: dispute._id.toString(),
+        createdBy: req.user._id,
+      });
+    }
+  }
+
+  dispute.status = action === 'adjust' ? 'resolved' : 'rejected';
+  dispute.resolution = { adjustment, note, resolvedBy: req.user._id, resolvedAt: new Date() };
+  await dispute.save();
+
+  await LoggingService.logManagerActivity(req, 'manager_payout_dispute_resolve',
+    action === 'adjust'
+      ? `Resolved payout dispute on ${dispute.className || 'class'} ${dispute.year}-${dispute.month} with an adjustment of ${adjustment} DZD`
+      : `Rejected payout dispute on ${dispute.className || 'class'} ${dispute.year}-${dispute.month}`,
+    { disputeId: dispute._id, payoutId: dispute.payoutId, teacherId: dispute.teacherId, action, adjustment, note },
+    { entityType: 'teacher', entityId: dispute.teacherId }
+  );
+
+  await Notification.create({
+    schoolId,
+    userId: dispute.teacherId,
+    type: 'payout_dispute',
+    title: action === 'adjust' ? 'Payout dispute resolved' : 'Payout dispute rejected',
+    message: `${dispute.className || 'Class'} ${dispute.year}-${String(dispute.month).padStart(2, '0')}: ${note}`,
+    data: { disputeId: dispute._id, payoutId: dispute.payoutId, adjustment },
+  });
+
+  res.json({ dispute, payout });
+});
+
+module.exports = {
+  getMyStatements,
+  getMyStatement,
+  getMyDisputes,
+  raiseDispute,
+  getPayoutDisputes,
+  resolvePayoutDispute,
+};
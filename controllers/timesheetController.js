@@ -0,0 +1,296 @@
+// server/controllers/timesheetController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Employee = require('../models/Employee');
+const TimesheetEntry = require('../models/TimesheetEntry');
+const EmployeeSalaryTransaction = require('../models/EmployeeSalaryTransaction');
+const LoggingService = require('../services/loggingService');
+
+function getSchoolId(req) {
+  const raw = (req.user?.school && (req.user.school._id || req.user.school)) || null;
+  return raw && mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : null;
+}
+
+function requireSchoolId(req, res) {
+  const schoolId = getSchoolId(req);
+  if (!schoolId) {
+    res.status(400);
+    throw new Error('User is not assigned to a school.');
+  }
+  return schoolId;
+}
+
+function parseMonth(query) {
+  const now = new Date();
+  const year = Number.parseInt(query.year, 10) || now.getFullYear();
+  const month = Number.parseInt(query.month, 10) || now.getMonth() + 1;
+  return { year, month, start: new Date(year, month - 1, 1), end: new Date(year, month, 0, 23, 59, 59, 999) };
+}
+
+// Employee record linked to the logged-in staff user
+async function findOwnEmployee(req, res) {
+  const schoolId = requireSchoolId(req, res);
+  const employee = await Employee.findOne({ userId: req.user._id, schoolId, status: 'active' });
+  if (!employee) {
+    res.status(404);
+    throw new Error('No active employee record is linked to your account');
+  }
+  return employee;
+}
+
+// Approved entries of a month whose salary has been paid cannot change any more
+async function assertNotPaid(entry, res) {
+  if (entry.status !== 'approved') return;
+  const d = new Date(entry.clockIn);
+  const paid = await EmployeeSalaryTransaction.exists({ employeeId: entry.employeeId, year: d.getFullYear(), month: d.getMonth() + 1 });
+  if (paid) {
+    res.status(409);
+    throw new Error('The salary of this month has already been paid from this entry');
+  }
+}
+
+function toDate(value, field, res) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    res.status(400);
+    throw new Error(`${field} must be a valid date`);
+  }
+  return date;
+}
+
+// @desc    Clock in (staff)
+// @route   POST /api/timesheets/clock-in
+// @access  Private (Staff)
+const clockIn = asyncHandler(async (req, res) => {
+  const employee = await findOwnEmployee(req, res);
+  try {
+    const entry = await TimesheetEntry.create({
+      schoolId: employee.schoolId,
+      employeeId: employee._id,
+      clockIn: new Date(),
+      status: 'open',
+      source: 'clock',
+      notes: req.body?.notes,
+      createdBy: req.user._id,
+    });
+    res.status(201).json({ entry });
+  } catch (err) {
+    if (err?.code === 11000) {
+      res.status(409);
+      throw new Error('You are already clocked in');
+    }
+    throw err;
+  }
+});
+
+// @desc    Clock out of the open shift (staff)
+// @route   POST /api/timesheets/clock-out
+// @access  Private (Staff)
+const clockOut = asyncHandler(async (req, res) => {
+  const employee = await findOwnEmployee(req, res);
+  const entry = await TimesheetEntry.findOne({ employeeId: employee._id, status: 'open' });
+  if (!entry) {
+    res.status(404);
+    throw new Error('You are not clocked in');
+  }
+  entry.clockOut = new Date();
+  if (req.body?.breakMinutes !== undefined) entry.breakMinutes = Number(req.body.breakMinutes) || 0;
+  if (req.body?.notes) entry.notes = req.body.notes;
+  try {
+    await entry.save();
+  } catch (err) {
+    res.status(400);
+    throw new Error(err?.message || 'Invalid timesheet entry');
+  }
+  res.json({ entry });
+});
+
+// @desc    Own timesheet of a month with the approved totals (staff)
+// @route   GET /api/timesheets/me?year=&month=
+// @access  Private (Staff)
+const getMyTimesheet = asyncHandler(async (req, res) => {
+  const employee = await findOwnEmployee(req, res);
+  const { year, month, start, end } = parseMonth(req.query);
+  const [entries, totals] = await Promise.all([
+    TimesheetEntry.find({ employeeId: employee._id, clockIn: { $gte: start, $lte: end } }).sort({ clockIn: 1 }).lean(),
+    TimesheetEntry.getMonthlyTotals(employee, year, month),
+  ]);
+  const open = await TimesheetEntry.findOne({ employeeId: employee._id, status: 'open' }).lean();
+  res.json({ employeeId: employee._id, year, month, clockedIn: Boolean(open), openEntry: open, entries, totals });
+});
+
+// @desc    List timesheet entries of a month
+// @route   GET /api/timesheets?year=&month=&employeeId=&status=
+// @access  Private (Manager)
+const getTimesheets = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { year, month, start, end } = parseMonth(req.query);
+  const query = { schoolId, clockIn: { $gte: start, $lte: end } };
+  if (req.query.employeeId && mongoose.isValidObjectId(req.query.employeeId)) {
+    query.employeeId = new mongoose.Types.ObjectId(req.query.employeeId);
+  }
+  if (req.query.status) query.status = req.query.status;
+
+  const items = await TimesheetEntry.find(query)
+    .populate('employeeId', 'name role salaryType salaryValue')
+    .populate('reviewedBy', 'firstName lastName')
+    .sort({ clockIn: 1 })
+    .lean();
+  res.json({ year, month, items });
+});
+
+// @desc    Monthly approved hours and pay of the hourly employees
+// @route   GET /api/timesheets/summary/:year/:month
+// @access  Private (Manager)
+const getTimesheetSummary = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { year, month } = parseMonth(req.params);
+  const employees = await Employee.find({ schoolId, salaryType: 'hourly' }).sort({ name: 1 });
+
+  const items = [];
+  for (const employee of employees) {
+    const totals = await TimesheetEntry.getMonthlyTotals(employee, year, month);
+    if (employee.status !== 'active' && totals.totalHours === 0 && totals.pendingEntries === 0) continue;
+    items.push({ employeeId: employee._id, name: employee.name, role: employee.role, ...totals });
+  }
+  const sum = (key) => Math.round(items.reduce((s, i) => s + i[key], 0) * 100) / 100;
+  res.json({
+    year,
+    month,
+    items,
+    totals: {
+      regularHours: sum('regularHours'),
+      overtimeHours: sum('overtimeHours'),
+      totalHours: sum('totalHours'),
+      amount: sum('amount'),
+      pendingEntries: sum('pendingEntries'),
+      pendingHours: sum('pendingHours'),
+    },
+  });
+});
+
+// @desc    Enter a shift for an employee
+// @route   POST /api/timesheets
+// @access  Private (Manager)
+const createTimesheetEntry = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { employeeId, clockIn: clockInAt, clockOut: clockOutAt, breakMinutes, notes, approve } = req.body || {};
+  if (!employeeId || !mongoose.isValidObjectId(employeeId)) {
+    res.status(400);
+    throw new Error('employeeId is required');
+  }
+  const employee = await Employee.findOne({ _id: employeeId, schoolId });
+  if (!employee) {
+    res.status(404);
+    throw new Error('Employee not found');
+  }
+
+  const entry = new TimesheetEntry({
+    schoolId,
+    employeeId: employee._id,
+    clockIn: toDate(clockInAt, 'clockIn', res),
+    clockOut: toDate(clockOutAt, 'clockOut', res),
+    breakMinutes: Number(breakMinutes) || 0,
+    status: approve ? 'approved' : 'pending',
+    source: 'manual',
+    notes,
+    createdBy: req.user._id,
+  });
+  if (approve) {
+    entry.reviewedBy = req.user._id;
+    entry.reviewedAt = new Date();
+  }
+  try {
+    await entry.save();
+  } catch (err) {
+    res.status(400);
+    throw new Error(err?.message || 'Invalid timesheet entry');
+  }
+
+  await LoggingService.logManagerActivity(req, 'manager_timesheet_update',
+    `Added ${entry.hours}h shift for ${employee.name} on ${entry.clockIn.toISOString().slice(0, 10)}${approve ? ' (approved)' : ''}`,
+    { timesheetEntryId: entry._id, employeeId: employee._id, hours: entry.hours },
+    { entityType: 'employee', entityId: employee._id }
+  );
+
+  res.status(201).json({ entry });
+});
+
+// @desc    Correct a timesheet entry
+// @route   PUT /api/timesheets/:id
+// @access  Private (Manager)
+const updateTimesheetEntry = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const entry = await TimesheetEntry.findOne({ _id: req.params.id, schoolId });
+  if (!entry) {
+    res.status(404);
+    throw new Error('Timesheet entry not found');
+  }
+  await assertNotPaid(entry, res);
+
+  const before = { clockIn: entry.clockIn, clockOut: entry.clockOut, breakMinutes: entry.breakMinutes, hours: entry.hours };
+  const body = req.body || {};
+  if (body.clockIn !== undefined) entry.clockIn = toDate(body.clockIn, 'clockIn', res);
+  if (body.clockOut !== undefined) entry.clockOut = toDate(body.clockOut, 'clockOut', res);
+  if (body.breakMinutes !== undefined) entry.breakMinutes = Number(body.breakMinutes) || 0;
+  if (body.notes !== undefined) entry.notes = body.notes;
+  // Moving an approved entry into a paid month is not allowed either
+  await assertNotPaid(entry, res);
+  try {
+    await entry.save();
+  } catch (err) {
+    res.status(400);
+    throw new Error(err?.message || 'Invalid timesheet entry');
+  }
+
+  await LoggingService.logManagerActivity(req, 'manager_timesheet_update',
+    `Corrected timesheet entry of ${entry.clockIn.toISOString().slice(0, 10)} (${before.hours}h -> ${entry.hours}h)`,
+    { timesheetEntryId: entry._id, employeeId: entry.employeeId, before, after: { clockIn: entry.clockIn, clockOut: entry.clockOut, breakMinutes: entry.breakMinutes, hours: entry.hours } },
+    { entityType: 'employee', entityId: entry.employeeId }
+  );
+
+  res.json({ entry });
+});
+
+// @desc    Approve or reject pending timesheet entries
+// @route   POST /api/timesheets/review
+// @access  Private (Manager)
+const reviewTimesheetEntries = asyncHandler(async (req, res) => {
+  const schoolId = requireSchoolId(req, res);
+  const { ids, action, reason } = req.body || {};
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => mongoose.isValidObjectId(id))) {
+    res.status(400);
+    throw new Error('ids must be a non-empty array of timesheet entry ids');
+  }
+  if (!['approve', 'reject'].includes(action)) {
+    res.status(400);
+    throw new Error("action must be 'approve' or 'reject'");
+  }
+
+  const reviewed = { reviewedBy: req.user._id, reviewedAt: new Date() };
+  const result = await TimesheetEntry.updateMany(
+    { _id: { $in: ids }, schoolId, status: 'pending' },
+    action === 'approve'
+      ? { $set: { status: 'approved', ...reviewed }, $unset: { rejectionReason: '' } }
+      : { $set: { status: 'rejected', ...reviewed, rejectionReason: reason } }
+  );
+
+  await LoggingService.logManagerActivity(req, 'manager_timesheet_review',
+    `${action === 'approve' ? 'Approved' : 'Rejected'} ${result.modifiedCount} timesheet entr${result.modifiedCount === 1 ? 'y' : 'ies'}`,
+    { ids, action, reason, updated: result.modifiedCount }
+  );
+
+  res.json({ updated: result.modifiedCount, skipped: ids.length - result.modifiedCount });
+});
+
+module.exports = {
+  clockIn,
+  clockOut,
+  getMyTimesheet,
+  getTimesheets,
+  getTimesheetSummary,
+  createTimesheetEntry,
+  updateTimesheetEntry,
+  reviewTimesheetEntries,
+};
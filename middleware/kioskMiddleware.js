@@ -0,0 +1,24 @@
+// server/middleware/kioskMiddleware.js
+const KioskDevice = require('../models/KioskDevice');
+
+// Authenticate a kiosk device by its token (X-Kiosk-Token header) and attach it as req.kiosk
+const kioskProtect = async (req, res, next) => {
+  const token = req.headers['x-kiosk-token'];
+  if (!token) {
+    return res.status(401).json({ message: 'Not authorized, no kiosk token' });
+  }
+  try {
+    const device = await KioskDevice.findOne({ tokenHash: KioskDevice.hashToken(token), active: true });
+    if (!device) {
+      return res.status(401).json({ message: 'Not authorized, kiosk token is invalid or revoked' });
+    }
+    await KioskDevice.updateOne({ _id: device._id }, { $set: { lastUsedAt: new Date() } });
+    req.kiosk = device;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(401).json({ message: 'Not authorized, kiosk token failed' });
+  }
+};
+
+module.exports = { kioskProtect };
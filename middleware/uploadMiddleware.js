@@ -5,7 +5,10 @@ const fs = require('fs');
 // Ensure uploads directories exist
 const schoolDocsDir = path.join(__dirname, '../uploads/school-documents');
 const adBannersDir = path.join(__dirname, '../public/uploads/ads');
-for (const dir of [schoolDocsDir, adBannersDir]) {
+// Payment proofs are private financial documents: keep them outside the public web root
+const paymentProofsDir = path.join(__dirname, '../uploads/payment-proofs');
+const expenseReceiptsDir = path.join(__dirname, '../uploads/expense-receipts');
+for (const dir of [schoolDocsDir, adBannersDir, paymentProofsDir, expenseReceiptsDir]) {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
@@ -15,7 +18,8 @@ for (const dir of [schoolDocsDir, adBannersDir]) {
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     // Route controls target dir via req.uploadTarget set in route middleware
-    const target = req.uploadTarget === 'ads' ? adBannersDir : schoolDocsDir;
+    const targets = { ads: adBannersDir, 'payment-proofs': paymentProofsDir, 'expense-receipts': expenseReceiptsDir };
+    const target = targets[req.uploadTarget] || schoolDocsDir;
     cb(null, target);
   },
   filename: function (req, file, cb) {
@@ -42,6 +46,11 @@ const fileFilter = (req, file, cb) => {
     if (allowed.includes(file.mimetype)) return cb(null, true);
     return cb(new Error('Only JPG, PNG, or WEBP images are allowed'), false);
   }
+  if (req.uploadTarget === 'payment-proofs' || req.uploadTarget === 'expense-receipts') {
+    const allowed = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+    if (allowed.includes(file.mimetype)) return cb(null, true);
+    return cb(new Error('Only PDF, JPG, PNG, or WEBP files are allowed'), false);
+  }
   // Default to PDFs for school documents
   if (file.mimetype === 'application/pdf') return cb(null, true);
   return cb(new Error('Only PDF files are allowed'), false);
@@ -80,7 +89,7 @@ const handleMulterError = (error, req, res, next) => {
     }
   }
   
-  if (error.message === 'Only PDF files are allowed' || error.message?.includes('Only JPG')) {
+  if (error.message === 'Only PDF files are allowed' || error.message?.includes('Only JPG') || error.message?.includes('Only PDF, JPG')) {
     return res.status(400).json({
       success: false,
       message: error.message
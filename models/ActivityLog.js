@@ -33,8 +33,8 @@ const activityLogSchema = new mongoose.Schema({
       
       // Teacher actions
       'teacher_class_create', 'teacher_class_update', 'teacher_class_delete',
-      'teacher_attendance_mark', 'teacher_attendance_undo', 'teacher_payout_request',
-      'teacher_profile_update', 'teacher_timetable_update',
+      'teacher_attendance_mark', 'teacher_attendance_undo', 'teacher_payout_request', 'teacher_payout_dispute',
+      'teacher_profile_update', 'teacher_timetable_update', 'teacher_leave_request',
       
       // Manager actions
       'manager_student_create', 'manager_student_update', 'manager_student_delete',
@@ -44,10 +44,16 @@ const activityLogSchema = new mongoose.Schema({
       'manager_payment_record', 'manager_salary_pay', 'manager_debt_adjust',
       'manager_attendance_override', 'manager_finance_export', 'manager_report_generate',
       'manager_system_settings', 'manager_advertisement_create', 'manager_advertisement_update',
-      'manager_advertisement_delete',
+      'manager_advertisement_delete', 'manager_cash_reconcile', 'manager_payment_void', 'manager_payment_refund',
+      'manager_discount_create', 'manager_discount_review', 'manager_installment_plan_create', 'manager_installment_plan_cancel',
+      'manager_dunning_update', 'manager_month_reopen', 'manager_finance_adjustment',
+      'manager_budget_update', 'manager_timesheet_update', 'manager_timesheet_review',
+      'manager_salary_adjust', 'manager_payout_dispute_resolve', 'manager_leave_update', 'manager_leave_review',
+      'manager_recurring_transaction_update', 'manager_expense_submit', 'manager_expense_review',
       
       // Staff/Employee actions
-      'staff_attendance_view', 'staff_payment_view', 'staff_profile_update',
+      'staff_attendance_view', 'staff_payment_view', 'staff_profile_update', 'staff_leave_request',
+      'staff_expense_submit',
       'employee_salary_view', 'employee_profile_update',
       
       // System actions
@@ -22,20 +22,38 @@ const attendanceSchema = new mongoose.Schema(
       required: true,
       set: toUtcDateOnly,
     },
+    // late and left_early count as attended; excused is an absence with a reason
     status: {
       type: String,
-      enum: ['present', 'absent'],
+      enum: ['present', 'late', 'left_early', 'excused', 'absent'],
       required: true,
     },
+    // HH:MM, for late arrivals and early departures
+    arrivalTime: { type: String, match: /^([01][0-9]|2[0-3]):[0-5][0-9]$/ },
+    departureTime: { type: String, match: /^([01][0-9]|2[0-3]):[0-5][0-9]$/ },
+    // Whether the record consumed a session from the enrollment balance (class billing policy at marking
+    // time). Records from before the policy have no value: only present was charged.
+    charged: { type: Boolean },
+    // Teacher who taught that day: the class teacher, or the substitute of a session override
+    teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Session of the class calendar the attendance was taken on
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassSession' },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Set when the student checked in at a kiosk (createdBy is then the manager who registered it)
+    kioskDeviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'KioskDevice' },
     createdAt: { type: Date, default: Date.now },
   },
   { timestamps: false }
 );
 
+attendanceSchema.statics.STATUSES = ['present', 'late', 'left_early', 'excused', 'absent'];
+// Statuses where the student attended the session
+attendanceSchema.statics.ATTENDED_STATUSES = ['present', 'late', 'left_early'];
+
 // Indexes for scale
 attendanceSchema.index({ enrollmentId: 1, date: 1 }, { unique: true });
 attendanceSchema.index({ schoolId: 1, classId: 1, date: 1 });
+attendanceSchema.index({ schoolId: 1, teacherId: 1, date: 1 });
 attendanceSchema.index({ schoolId: 1, studentId: 1, date: -1 });
 
 module.exports = mongoose.model('Attendance', attendanceSchema);
@@ -0,0 +1,58 @@
+// server/models/Budget.js
+
+const mongoose = require('mongoose');
+
+const COST_TYPES = ['teacher_payouts', 'employee_salaries'];
+
+// Spending budget for a ManualTransaction expense category or a staff cost type.
+// Monthly budgets without a month apply to every month of the year; a budget for a
+// specific month takes precedence over them.
+const budgetSchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  scope: { type: String, enum: ['category', 'cost_type'], required: true },
+  // Expense category as entered on manual transactions (matched case-insensitively)
+  category: { type: String, trim: true },
+  costType: { type: String, enum: COST_TYPES },
+  // Normalized category or cost type, used for matching and uniqueness
+  key: { type: String, required: true },
+  period: { type: String, enum: ['monthly', 'yearly'], required: true },
+  year: { type: Number, required: true },
+  month: { type: Number, min: 1, max: 12, default: null },
+  amount: { type: Number, required: true, min: 0 },
+  // Alert when actual spending reaches this percentage of the budget
+  alertThreshold: { type: Number, default: 80, min: 1, max: 1000 },
+  // Alerts already sent, one per period and level ('threshold' or 'exceeded')
+  alertsSent: [{
+    periodKey: { type: String, required: true },
+    level: { type: String, enum: ['threshold', 'exceeded'], required: true },
+    actual: { type: Number },
+    at: { type: Date, default: Date.now }
+  }],
+  notes: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+budgetSchema.index({ schoolId: 1, scope: 1, key: 1, period: 1, year: 1, month: 1 }, { unique: true });
+
+budgetSchema.statics.normalizeKey = function(value) {
+  return String(value || '').trim().toLowerCase();
+};
+
+budgetSchema.pre('validate', function(next) {
+  if (this.scope === 'category') {
+    if (!this.category) return next(new Error('category is required for a category budget'));
+    this.costType = undefined;
+    this.key = this.constructor.normalizeKey(this.category);
+  } else {
+    if (!this.costType) return next(new Error(`costType is required (${COST_TYPES.join(', ')})`));
+    this.category = undefined;
+    this.key = this.costType;
+  }
+  if (this.period === 'yearly') this.month = null;
+  next();
+});
+
+const Budget = mongoose.model('Budget', budgetSchema);
+Budget.COST_TYPES = COST_TYPES;
+
+module.exports = Budget;
@@ -0,0 +1,42 @@
+// server/models/CashReconciliation.js
+
+const mongoose = require('mongoose');
+
+// Helper to normalize a Date or YYYY-MM-DD string to UTC date-only (00:00:00Z)
+function toUtcDateOnly(value) {
+  if (!value) return value;
+  const d = typeof value === 'string' ? new Date(value + 'T00:00:00.000Z') : new Date(value);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+const cashReconciliationSchema = new mongoose.Schema(
+  {
+    schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+    // UTC date-only (00:00:00Z) of the business day being reconciled
+    date: { type: Date, required: true, set: toUtcDateOnly },
+
+    // One line per payment method: recorded totals vs. what was counted/confirmed
+    lines: [{
+      method: { type: String, required: true, trim: true },
+      label: { type: String, trim: true },
+      paymentCount: { type: Number, default: 0 },
+      expectedAmount: { type: Number, default: 0 },
+      countedAmount: { type: Number, default: 0 },
+      // discrepancy = counted - expected; <0 means money is missing
+      discrepancy: { type: Number, default: 0 },
+    }],
+
+    totalExpected: { type: Number, default: 0 },
+    totalCounted: { type: Number, default: 0 },
+    totalDiscrepancy: { type: Number, default: 0 },
+    status: { type: String, enum: ['balanced', 'discrepancy'], required: true },
+    note: { type: String, trim: true },
+    reconciledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+// Several counts per day are allowed (e.g. morning and evening shift); latest wins in reports
+cashReconciliationSchema.index({ schoolId: 1, date: -1, createdAt: -1 });
+
+module.exports = mongoose.model('CashReconciliation', cashReconciliationSchema);
@@ -1,6 +1,15 @@
 // server/models/Class.js
 
 const mongoose = require('mongoose');
+const LeaveRequest = require('./LeaveRequest');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// UTC date-only (00:00:00Z) of a date, like attendance dates
+const toUtcDateOnly = (value) => {
+  const d = new Date(value);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
 
 const classSchema = new mongoose.Schema({
   // Basic Info
@@ -137,10 +146,12 @@ const classSchema = new mongoose.Schema({
     min: [0, 'Price cannot be negative']
   },
   
+  // percentage: % of money collected; fixed: flat amount per month;
+  // per_session / per_student_present / per_hour: value per session held, per present student, or per scheduled hour (from attendance)
   teacherCut: {
     mode: {
     type: String,
-      enum: ['percentage', 'fixed'],
+      enum: ['percentage', 'fixed', 'per_session', 'per_student_present', 'per_hour'],
       required: [true, 'Teacher cut mode is required']
     },
     value: {
@@ -156,6 +167,17 @@ const classSchema = new mongoose.Schema({
     default: false,
     description: 'Whether absence affects payment'
   },
+
+  // Which attendance statuses consume a session from the enrollment balance.
+  // Unexcused absences: 'never', 'always', or 'after' the first freeAbsences of the enrollment;
+  // when unset, absenceRule decides ('always' or 'never').
+  billingPolicy: {
+    late: { type: Boolean, default: true },
+    leftEarly: { type: Boolean, default: true },
+    excused: { type: Boolean, default: false },
+    absent: { type: String, enum: ['never', 'always', 'after'] },
+    freeAbsences: { type: Number, default: 0, min: [0, 'freeAbsences cannot be negative'] }
+  },
   
   // Status
   status: {
@@ -191,7 +213,31 @@ const classSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  
+
+  // One-off changes to a dated session of the weekly schedules: a substitute teacher, another room,
+  // or no session at all. date is UTC date-only, like attendance dates.
+  sessionOverrides: [{
+    date: { type: Date, required: true },
+    startTime: { type: String, required: true },
+    endTime: { type: String, required: true },
+    substituteTeacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    roomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Room' },
+    cancelled: { type: Boolean, default: false },
+    reason: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+  }],
+
+  // Dated sessions of the weekly schedules that need attention (e.g. the teacher is on approved leave)
+  flaggedSessions: [{
+    date: { type: Date, required: true },
+    startTime: { type: String },
+    endTime: { type: String },
+    reason: { type: String, enum: ['teacher_leave'], default: 'teacher_leave' },
+    teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    leaveRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'LeaveRequest' }
+  }],
+
   // Metadata
   description: {
     type: String,
@@ -257,6 +303,102 @@ classSchema.methods.hasConflict = async function() {
     if (teacherConflict) return { type: 'teacher', conflict: teacherConflict, schedule };
   }
   
+  // Upcoming session overrides: the substitute and the replacement room must be free too
+  const today = toUtcDateOnly(new Date());
+  for (const override of this.sessionOverrides || []) {
+    if (override.date < today) continue;
+    const overrideConflict = await this.overrideConflict(override);
+    if (overrideConflict) return overrideConflict;
+  }
+  
+  return null;
+};
+
+// Overrides of a session date (all slots of the day, or the one starting at startTime)
+classSchema.methods.getSessionOverrides = function(date, startTime) {
+  const day = toUtcDateOnly(date).getTime();
+  return (this.sessionOverrides || []).filter(o => o.date.getTime() === day && (!startTime || o.startTime === startTime));
+};
+
+// Teacher who teaches the class on a date: the substitute of the day, or the class teacher.
+// Attendance is taken per day, so a substitute for any session of the day takes the day.
+classSchema.methods.teacherForDate = function(date) {
+  const override = this.getSessionOverrides(date).find(o => o.substituteTeacherId && !o.cancelled);
+  return override ? override.substituteTeacherId : this.teacherId;
+};
+
+// Whether every scheduled session of a date is cancelled
+classSchema.methods.isCancelledOn = function(date) {
+  const day = DAY_NAMES[toUtcDateOnly(date).getUTCDay()];
+  const slots = (this.schedules || []).filter(s => s.dayOfWeek === day);
+  const overrides = this.getSessionOverrides(date);
+  return slots.length > 0 && slots.every(slot => overrides.some(o => o.startTime === slot.startTime && o.cancelled));
+};
+
+/**
+ * Whether an attendance status consumes a session from the enrollment balance under the billing policy
+ * @param {string} status - Attendance status
+ * @param {number} priorAbsences - Unexcused absences of the enrollment before this one
+ * @returns {boolean}
+ */
+classSchema.methods.isSessionCharged = function(status, priorAbsences = 0) {
+  const policy = this.billingPolicy || {};
+  if (status === 'present') return true;
+  if (status === 'late') return policy.late !== false;
+  if (status === 'left_early') return policy.leftEarly !== false;
+  if (status === 'excused') return policy.excused === true;
+  const absent = policy.absent || (this.absenceRule ? 'always' : 'never');
+  if (absent === 'after') return priorAbsences >= (policy.freeAbsences || 0);
+  return absent === 'always';
+};
+
+// Whether a session of another class is moved away from its teacher or room on the override date
+const sessionMovedAway = (otherClass, override, field) => otherClass.sessionOverrides?.some(o =>
+  o.date.getTime() === override.date.getTime()
+  && o.startTime < override.endTime && o.endTime > override.startTime
+  && (o.cancelled || (field === 'teacher' ? Boolean(o.substituteTeacherId) : Boolean(o.roomId))));
+
+/**
+ * Check that the substitute teacher and the replacement room of a session override are free:
+ * no regular session of another class at that time (unless that session is itself cancelled or
+ * moved), no other override booking them, and no approved leave of the substitute that day.
+ * @param {Object} override - { date, startTime, endTime, substituteTeacherId, roomId, cancelled }
+ * @returns {Promise<Object|null>} { type: 'substitute' | 'substitute_leave' | 'override_room', conflict, override }
+ */
+classSchema.methods.overrideConflict = async function(override) {
+  if (!override || override.cancelled) return null;
+  const Class = mongoose.model('Class');
+  const date = toUtcDateOnly(override.date);
+  const slot = { dayOfWeek: DAY_NAMES[date.getUTCDay()], startTime: { $lt: override.endTime }, endTime: { $gt: override.startTime } };
+  const overlapping = { date, cancelled: { $ne: true }, startTime: { $lt: override.endTime }, endTime: { $gt: override.startTime } };
+  const base = { _id: { $ne: this._id }, schoolId: this.schoolId, status: 'active' };
+  const normalized = { date, startTime: override.startTime, endTime: override.endTime };
+
+  if (override.substituteTeacherId) {
+    const teacherId = override.substituteTeacherId;
+    const regular = await Class.find({ ...base, teacherId, schedules: { $elemMatch: slot } }).select('name sessionOverrides');
+    const busy = regular.find(c => !sessionMovedAway(c, normalized, 'teacher'));
+    if (busy) return { type: 'substitute', conflict: busy, override };
+
+    const substituting = await Class.findOne({ ...base, sessionOverrides: { $elemMatch: { ...overlapping, substituteTeacherId: teacherId } } }).select('name');
+    if (substituting) return { type: 'substitute', conflict: substituting, override };
+
+    // Leave days are local dates
+    const day = new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const leave = await LeaveRequest.findOne({ schoolId: this.schoolId, teacherId, status: 'approved', startDate: { $lte: day }, endDate: { $gte: day } });
+    if (leave) return { type: 'substitute_leave', conflict: leave, override };
+  }
+
+  if (override.roomId) {
+    const roomId = override.roomId;
+    const regular = await Class.find({ ...base, roomId, schedules: { $elemMatch: slot } }).select('name sessionOverrides');
+    const busy = regular.find(c => !sessionMovedAway(c, normalized, 'room'));
+    if (busy) return { type: 'override_room', conflict: busy, override };
+
+    const moved = await Class.findOne({ ...base, sessionOverrides: { $elemMatch: { ...overlapping, roomId } } }).select('name');
+    if (moved) return { type: 'override_room', conflict: moved, override };
+  }
+
   return null;
 };
 
@@ -267,6 +409,7 @@ classSchema.set('toObject', { virtuals: true });
 // Helpful indexes for conflict queries
 classSchema.index({ schoolId: 1, 'schedules.dayOfWeek': 1, roomId: 1, status: 1 });
 classSchema.index({ schoolId: 1, 'schedules.dayOfWeek': 1, teacherId: 1, status: 1 });
+classSchema.index({ schoolId: 1, 'sessionOverrides.date': 1 });
 
 module.exports = mongoose.model('Class', classSchema);
 
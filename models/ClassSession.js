@@ -0,0 +1,39 @@
+// server/models/ClassSession.js
+
+const mongoose = require('mongoose');
+
+// A dated session of a class, generated from its weekly schedules within its enrollment period,
+// or added by hand (make-up sessions, rescheduled sessions). Attendance is taken on sessions;
+// date is UTC date-only, like attendance dates.
+const classSessionSchema = new mongoose.Schema(
+  {
+    schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: true },
+    date: { type: Date, required: true },
+    startTime: { type: String, required: true },
+    endTime: { type: String, required: true },
+    // regular: from the weekly schedules; rescheduled: replaces a moved session; makeup: extra session
+    kind: { type: String, enum: ['regular', 'rescheduled', 'makeup'], default: 'regular' },
+    // completed: attendance was taken
+    status: { type: String, enum: ['scheduled', 'completed', 'cancelled', 'rescheduled'], default: 'scheduled' },
+    cancelReason: { type: String, enum: ['holiday', 'manual'] },
+    holidayId: { type: mongoose.Schema.Types.ObjectId, ref: 'SchoolHoliday' },
+    reason: { type: String, trim: true },
+    // Rescheduling: the moved session points to its replacement and back
+    rescheduledTo: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassSession' },
+    rescheduledFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassSession' },
+    // Make-up session for a cancelled session
+    makeupFor: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassSession' },
+    completedAt: { type: Date },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+classSessionSchema.index({ classId: 1, date: 1, startTime: 1 }, { unique: true });
+classSessionSchema.index({ schoolId: 1, date: 1, status: 1 });
+
+// Sessions that take place (or took place)
+classSessionSchema.statics.HELD_STATUSES = ['scheduled', 'completed'];
+
+module.exports = mongoose.model('ClassSession', classSessionSchema);
@@ -0,0 +1,78 @@
+// server/models/DiscountRule.js
+
+const mongoose = require('mongoose');
+
+const discountRuleSchema = new mongoose.Schema(
+  {
+    schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+    name: { type: String, required: true, trim: true },
+    type: {
+      type: String,
+      enum: ['scholarship', 'sibling', 'staff_child', 'promotion', 'custom'],
+      required: true,
+    },
+    // percentage: value is 0-100 of the unit price; fixed: value is DZD off each session/cycle price
+    valueType: { type: String, enum: ['percentage', 'fixed'], required: true },
+    value: { type: Number, required: true, min: 0 },
+
+    // Students the rule is granted to. For sibling rules this is the family group:
+    // a member gets the discount once enough other members hold an active enrollment.
+    // Empty means every student (only allowed for promotions).
+    beneficiaries: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    minActiveSiblings: { type: Number, default: 1, min: 1 },
+    // Optional restriction to some classes; empty means all classes of the school
+    classIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Class' }],
+
+    validFrom: { type: Date },
+    validUntil: { type: Date },
+
+    // Stackable rules combine with each other; an exclusive rule is only used alone
+    // when it beats the combined stackable discount
+    stackable: { type: Boolean, default: false },
+    priority: { type: Number, default: 100 },
+
+    // Approval step: only approved rules are applied to new enrollments
+    status: { type: String, enum: ['pending', 'approved', 'rejected', 'archived'], default: 'pending' },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, trim: true },
+    notes: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+discountRuleSchema.index({ schoolId: 1, status: 1, type: 1 });
+discountRuleSchema.index({ schoolId: 1, beneficiaries: 1 });
+
+discountRuleSchema.pre('validate', function(next) {
+  if (this.valueType === 'percentage' && this.value > 100) {
+    return next(new Error('Percentage discounts cannot exceed 100'));
+  }
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    return next(new Error('validUntil must be after validFrom'));
+  }
+  if (this.type !== 'promotion' && (!this.beneficiaries || this.beneficiaries.length === 0)) {
+    return next(new Error('Only promotions can apply to every student; add beneficiaries'));
+  }
+  if (this.type === 'sibling' && this.beneficiaries.length < 2) {
+    return next(new Error('A sibling rule needs at least two students in the family group'));
+  }
+  next();
+});
+
+// Static method to get approved rules in effect on a date for a school
+discountRuleSchema.statics.findApplicable = function(schoolId, studentId, classId, at = new Date()) {
+  return this.find({
+    schoolId,
+    status: 'approved',
+    $and: [
+      { $or: [{ beneficiaries: { $size: 0 } }, { beneficiaries: studentId }] },
+      { $or: [{ classIds: { $size: 0 } }, { classIds: classId }] },
+      { $or: [{ validFrom: null }, { validFrom: { $lte: at } }] },
+      { $or: [{ validUntil: null }, { validUntil: { $gte: at } }] },
+    ],
+  }).sort({ priority: 1, createdAt: 1 });
+};
+
+module.exports = mongoose.model('DiscountRule', discountRuleSchema);
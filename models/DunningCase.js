@@ -0,0 +1,50 @@
+// server/models/DunningCase.js
+
+const mongoose = require('mongoose');
+
+// One collection case per (school, student) while the student owes money or is behind on sessions
+const dunningCaseSchema = new mongoose.Schema(
+  {
+    schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+    status: { type: String, enum: ['open', 'snoozed', 'promised', 'resolved'], default: 'open' },
+    // Escalation level of the last reminder sent (0 = none yet)
+    level: { type: Number, default: 0, min: 0 },
+
+    // Why the case is open, refreshed on every job run
+    debt: { type: Number, default: 0 },
+    negativeEnrollments: [{
+      enrollmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Enrollment' },
+      classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+      balance: { type: Number },
+    }],
+
+    lastReminderAt: { type: Date },
+    nextReminderAt: { type: Date },
+
+    snoozedUntil: { type: Date },
+    snoozeNote: { type: String, trim: true },
+    promise: {
+      type: {
+        amount: { type: Number, min: 0 },
+        promisedDate: { type: Date },
+        note: { type: String, trim: true },
+        recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        recordedAt: { type: Date, default: Date.now },
+      },
+      default: undefined,
+    },
+    resolvedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// At most one unresolved case per student
+dunningCaseSchema.index(
+  { schoolId: 1, studentId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['open', 'snoozed', 'promised'] } } }
+);
+dunningCaseSchema.index({ schoolId: 1, status: 1, nextReminderAt: 1 });
+
+module.exports = mongoose.model('DunningCase', dunningCaseSchema);
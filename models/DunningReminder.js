@@ -0,0 +1,32 @@
+// server/models/DunningReminder.js
+
+const mongoose = require('mongoose');
+
+// Log of every reminder sent for a dunning case
+const dunningReminderSchema = new mongoose.Schema(
+  {
+    schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+    caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'DunningCase', required: true },
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    level: { type: Number, required: true, min: 1 },
+    subject: { type: String, trim: true },
+    message: { type: String, trim: true },
+    debt: { type: Number, default: 0 },
+    channels: {
+      inApp: { type: Boolean, default: false },
+      email: {
+        sent: { type: Boolean, default: false },
+        to: { type: String, trim: true },
+        reason: { type: String, trim: true },
+      },
+    },
+    // Set when a manager triggered the run by hand; empty for the scheduled job
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+dunningReminderSchema.index({ caseId: 1, createdAt: -1 });
+dunningReminderSchema.index({ schoolId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DunningReminder', dunningReminderSchema);
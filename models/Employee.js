@@ -1,6 +1,10 @@
 // server/models/Employee.js
 
 const mongoose = require('mongoose');
+const TimesheetEntry = require('./TimesheetEntry');
+const LeaveRequest = require('./LeaveRequest');
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
 
 const employeeSchema = new mongoose.Schema(
   {
@@ -25,7 +29,13 @@ const employeeSchema = new mongoose.Schema(
       required: true,
       default: 'other'
     },
-    salaryType: { 
+    // Contract type decides how many annual leave days are earned per month (School.leavePolicy.accrual)
+    contractType: {
+      type: String,
+      enum: ['full_time', 'part_time', 'temporary', 'freelance'],
+      default: 'full_time'
+    },
+    salaryType: {
       type: String, 
       enum: ['fixed', 'hourly'], 
       required: true 
@@ -35,6 +45,13 @@ const employeeSchema = new mongoose.Schema(
       required: true, 
       min: 0 
     },
+    // Overtime rules for hourly employees (salaryValue is the hourly rate).
+    // Hours beyond the daily or weekly threshold are paid at rate x multiplier; 0/null disables a threshold.
+    overtimeRules: {
+      dailyHours: { type: Number, min: 0, default: 8 },
+      weeklyHours: { type: Number, min: 0, default: 40 },
+      multiplier: { type: Number, min: 1, default: 1.5 }
+    },
     hireDate: { 
       type: Date, 
       required: true 
@@ -105,18 +122,39 @@ employeeSchema.virtual('displayName').get(function() {
   return this.name;
 });
 
-// Method to calculate monthly salary
-employeeSchema.methods.calculateMonthlySalary = function(year, month) {
+// Method to calculate monthly salary (hourly employees are paid their approved timesheet hours).
+// Approved unpaid leave reduces a fixed salary pro rata of the working days; paid leave days of
+// hourly employees are paid at their daily hours.
+employeeSchema.methods.calculateMonthlySalary = async function(year, month) {
+  const leave = await this.getLeaveEffect(year, month);
   if (this.salaryType === 'fixed') {
-    return this.salaryValue;
+    return round2(this.salaryValue - leave.deduction);
   } else if (this.salaryType === 'hourly') {
-    // For hourly employees, we'll need to track hours worked
-    // For now, return 0 and handle in the controller
-    return 0;
+    const totals = await TimesheetEntry.getMonthlyTotals(this, parseInt(year), parseInt(month));
+    return round2(totals.amount + leave.paidLeavePay);
   }
   return 0;
 };
 
+// Method to get the approved hours breakdown of a month (hourly employees)
+employeeSchema.methods.getMonthlyHours = function(year, month) {
+  return TimesheetEntry.getMonthlyTotals(this, parseInt(year), parseInt(month));
+};
+
+// Method to get the approved leave of a month and what it does to the salary
+employeeSchema.methods.getLeaveEffect = async function(year, month) {
+  const leave = await LeaveRequest.getMonthlyLeave({ schoolId: this.schoolId, employeeId: this._id }, parseInt(year), parseInt(month));
+  let deduction = 0;
+  let paidLeavePay = 0;
+  if (this.salaryType === 'fixed' && leave.workingDays > 0) {
+    deduction = round2(Math.min(this.salaryValue, this.salaryValue / leave.workingDays * leave.unpaidDays));
+  } else if (this.salaryType === 'hourly') {
+    const dailyHours = this.overtimeRules?.dailyHours || TimesheetEntry.DEFAULT_OVERTIME_RULES.dailyHours;
+    paidLeavePay = round2(leave.paidDays * dailyHours * this.salaryValue);
+  }
+  return { ...leave, deduction, paidLeavePay };
+};
+
 // Method to check if employee is active
 employeeSchema.methods.isActive = function() {
   return this.status === 'active';
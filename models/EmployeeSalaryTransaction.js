@@ -2,6 +2,47 @@
 
 const mongoose = require('mongoose');
 
+// Salary adjustments applied to the month (see SalaryAdjustment); amounts are signed
+const salaryAdjustmentsSchema = new mongoose.Schema({
+  bonuses: { type: Number, default: 0 },
+  reimbursements: { type: Number, default: 0 },
+  deductions: { type: Number, default: 0 },
+  advanceRecovery: { type: Number, default: 0 },
+  items: [{
+    _id: false,
+    adjustmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'SalaryAdjustment' },
+    // bonus, reimbursement, deduction or advance_recovery
+    type: { type: String },
+    reason: { type: String },
+    amount: { type: Number }
+  }]
+}, { _id: false });
+
+// Approved timesheet hours the salary of an hourly employee was calculated from
+const hoursBreakdownSchema = new mongoose.Schema({
+  regularHours: { type: Number, default: 0 },
+  overtimeHours: { type: Number, default: 0 },
+  totalHours: { type: Number, default: 0 },
+  rate: { type: Number, default: 0 },
+  overtimeMultiplier: { type: Number, default: 1 },
+  regularPay: { type: Number, default: 0 },
+  overtimePay: { type: Number, default: 0 },
+  approvedEntries: { type: Number, default: 0 },
+  calculatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Approved leave of the month the salary was calculated from
+const leaveBreakdownSchema = new mongoose.Schema({
+  workingDays: { type: Number, default: 0 },
+  paidDays: { type: Number, default: 0 },
+  unpaidDays: { type: Number, default: 0 },
+  byType: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Fixed salaries: pay withheld for unpaid days; hourly: pay for paid leave days
+  deduction: { type: Number, default: 0 },
+  paidLeavePay: { type: Number, default: 0 },
+  calculatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const employeeSalaryTransactionSchema = new mongoose.Schema(
   {
     schoolId: { 
@@ -34,10 +75,19 @@ const employeeSalaryTransactionSchema = new mongoose.Schema(
       required: true,
       min: 0
     },
+    // Net salary minus paid amount; negative when a deduction came after the month was paid
     remaining: { 
       type: Number, 
-      required: true,
-      min: 0
+      required: true
+    },
+    // calculatedSalary with the month's bonuses, reimbursements, deductions and advance
+    // recoveries applied (transactions without adjustments have no netSalary)
+    netSalary: {
+      type: Number
+    },
+    adjustments: {
+      type: salaryAdjustmentsSchema,
+      default: undefined
     },
     paymentMethod: { 
       type: String, 
@@ -56,7 +106,24 @@ const employeeSalaryTransactionSchema = new mongoose.Schema(
     notes: { 
       type: String, 
       trim: true 
-    }
+    },
+    hours: {
+      type: hoursBreakdownSchema,
+      default: undefined
+    },
+    leave: {
+      type: leaveBreakdownSchema,
+      default: undefined
+    },
+    // Individual payments; paidAmount is their sum (transactions from before this
+    // field existed have a single implicit payment)
+    payments: [{
+      amount: { type: Number, required: true, min: 0 },
+      paidAt: { type: Date, default: Date.now },
+      method: { type: String, trim: true },
+      paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      notes: { type: String, trim: true }
+    }]
   },
   { 
     timestamps: true 
@@ -70,7 +137,7 @@ employeeSalaryTransactionSchema.index({ employeeId: 1, year: 1, month: 1 });
 
 // Method to calculate remaining amount
 employeeSalaryTransactionSchema.methods.calculateRemaining = function() {
-  this.remaining = this.calculatedSalary - this.paidAmount;
+  this.remaining = (this.netSalary ?? this.calculatedSalary) - this.paidAmount;
   return this.remaining;
 };
 
@@ -118,6 +185,7 @@ employeeSalaryTransactionSchema.statics.getSalarySummary = function(schoolId, ye
       $group: {
         _id: null,
         totalCalculated: { $sum: '$calculatedSalary' },
+        totalNet: { $sum: { $ifNull: ['$netSalary', '$calculatedSalary'] } },
         totalPaid: { $sum: '$paidAmount' },
         totalRemaining: { $sum: '$remaining' },
         transactionCount: { $sum: 1 }
@@ -13,18 +13,38 @@ const enrollmentSchema = new mongoose.Schema(
     status: { type: String, enum: ['active', 'paused', 'completed'], default: 'active' },
     enrolledAt: { type: Date, default: Date.now },
 
-    // Pricing snapshot copied from Class at time of enrollment
+    // Pricing snapshot copied from Class at time of enrollment.
+    // sessionPrice/cyclePrice are what the student is expected to pay (after discounts);
+    // list prices and the applied discount rules are kept for reporting.
     pricingSnapshot: {
       paymentModel: { type: String, enum: ['per_session', 'per_cycle'], required: true },
       sessionPrice: { type: Number, min: 0 },
       cycleSize: { type: Number, min: 1 },
       cyclePrice: { type: Number, min: 0 },
+      listSessionPrice: { type: Number, min: 0 },
+      listCyclePrice: { type: Number, min: 0 },
+      discounts: {
+        type: [{
+          ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'DiscountRule' },
+          name: { type: String, trim: true },
+          type: { type: String },
+          valueType: { type: String, enum: ['percentage', 'fixed'] },
+          value: { type: Number },
+          // DZD off each session (per_session) or cycle (per_cycle)
+          amount: { type: Number, min: 0 },
+        }],
+        default: undefined,
+      },
     },
 
     // Attendance counters (derived but persisted for quick displays)
+    // attended includes late and left_early; absent counts unexcused absences only
     sessionCounters: {
       attended: { type: Number, default: 0, min: 0 },
       absent: { type: Number, default: 0, min: 0 },
+      late: { type: Number, default: 0, min: 0 },
+      leftEarly: { type: Number, default: 0, min: 0 },
+      excused: { type: Number, default: 0, min: 0 },
       lastAttendanceDate: { type: Date },
     },
 
@@ -0,0 +1,44 @@
+// server/models/FinancialAdjustment.js
+
+const mongoose = require('mongoose');
+
+// Summary figures an adjustment can correct, and how each one moves the net balance
+// (same formula as freezeMonthlyData: income - expenses - staff salaries paid)
+const ADJUSTABLE_FIELDS = {
+  totalIncome: 1,
+  totalExpenses: -1,
+  totalStaffSalariesPaid: -1,
+  teacherEarnings: 0,
+  totalDebts: 0,
+  discountGiven: 0,
+};
+
+// Correction to a frozen month, kept apart from the frozen summary and shown as a delta against it
+const financialAdjustmentSchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  year: { type: Number, required: true },
+  month: { type: Number, required: true, min: 1, max: 12 },
+  field: { type: String, enum: Object.keys(ADJUSTABLE_FIELDS), required: true },
+  // Signed change to the figure
+  amount: {
+    type: Number,
+    required: true,
+    validate: { validator: v => Number.isFinite(v) && v !== 0, message: 'Adjustment amount must be a non-zero number' }
+  },
+  category: { type: String, trim: true },
+  reason: { type: String, required: true, trim: true },
+  // Optional link to the document that was missed (payment id, receipt number...)
+  reference: { type: String, trim: true },
+  status: { type: String, enum: ['active', 'voided'], default: 'active' },
+  voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  voidedAt: { type: Date },
+  voidReason: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+financialAdjustmentSchema.index({ schoolId: 1, year: 1, month: 1, status: 1 });
+
+const FinancialAdjustment = mongoose.model('FinancialAdjustment', financialAdjustmentSchema);
+FinancialAdjustment.ADJUSTABLE_FIELDS = ADJUSTABLE_FIELDS;
+
+module.exports = FinancialAdjustment;
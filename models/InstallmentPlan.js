@@ -0,0 +1,164 @@
+// server/models/InstallmentPlan.js
+
+const mongoose = require('mongoose');
+
+// Helper to normalize a Date or YYYY-MM-DD string to UTC date-only (00:00:00Z)
+function toUtcDateOnly(value) {
+  if (!value) return value;
+  const d = typeof value === 'string' ? new Date(value + 'T00:00:00.000Z') : new Date(value);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+const installmentSchema = new mongoose.Schema(
+  {
+    seq: { type: Number, required: true, min: 1 },
+    dueDate: { type: Date, required: true, set: toUtcDateOnly },
+    amount: { type: Number, required: true, min: 1 },
+    paidAmount: { type: Number, default: 0, min: 0 },
+    status: { type: String, enum: ['pending', 'partial', 'paid'], default: 'pending' },
+    paidAt: { type: Date },
+    // Payments allocated to this installment (a payment may be split across several installments)
+    allocations: [{
+      paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true },
+      amount: { type: Number, required: true },
+      at: { type: Date, default: Date.now },
+    }],
+  },
+  { _id: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+// Overdue is time-dependent, so it is derived rather than stored
+installmentSchema.virtual('isOverdue').get(function() {
+  return this.status !== 'paid' && this.dueDate < toUtcDateOnly(new Date());
+});
+
+const installmentPlanSchema = new mongoose.Schema(
+  {
+    schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+    enrollmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Enrollment', required: true },
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: true },
+
+    // Number of cycles sold by this plan and their (discounted) total price
+    cycles: { type: Number, default: 1, min: 1 },
+    totalAmount: { type: Number, required: true, min: 1 },
+    // Sessions added to Enrollment.balance when the plan was opened
+    sessionsCredited: { type: Number, default: 0 },
+
+    installments: { type: [installmentSchema], validate: v => Array.isArray(v) && v.length > 0 },
+
+    status: { type: String, enum: ['active', 'completed', 'cancelled'], default: 'active' },
+    cancelReason: { type: String, trim: true },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    notes: { type: String, trim: true },
+  },
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+// One active plan per enrollment
+installmentPlanSchema.index(
+  { enrollmentId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+installmentPlanSchema.index({ schoolId: 1, status: 1, 'installments.dueDate': 1 });
+
+installmentPlanSchema.virtual('paidAmount').get(function() {
+  return (this.installments || []).reduce((sum, i) => sum + (i.paidAmount || 0), 0);
+});
+
+installmentPlanSchema.virtual('outstanding').get(function() {
+  return Math.max((this.totalAmount || 0) - this.paidAmount, 0);
+});
+
+installmentPlanSchema.pre('validate', function(next) {
+  const sum = (this.installments || []).reduce((s, i) => s + (i.amount || 0), 0);
+  if (Math.abs(sum - this.totalAmount) > 0.01) {
+    return next(new Error(`Installments add up to ${sum} but the plan total is ${this.totalAmount}`));
+  }
+  next();
+});
+
+function installmentState(inst, paidAmount) {
+  return paidAmount >= inst.amount
+    ? { paidAmount, status: 'paid', paidAt: inst.paidAt || new Date() }
+    : { paidAmount, status: paidAmount > 0 ? 'partial' : 'pending', paidAt: null };
+}
+
+// Update one installment only if its paid amount is still the one read, so two requests
+// never both fill it. Returns false when another request changed it first.
+async function updateInstallment(Plan, planId, inst, paidAmount, change) {
+  const state = installmentState(inst, paidAmount);
+  const set = {};
+  for (const [key, value] of Object.entries(state)) set[`installments.$.${key}`] = value;
+  const res = await Plan.updateOne(
+    { _id: planId, installments: { $elemMatch: { _id: inst._id, paidAmount: inst.paidAmount } } },
+    { ...change, $set: set }
+  );
+  return res.modifiedCount === 1;
+}
+
+const MAX_ALLOCATION_ATTEMPTS = 5;
+
+// Static method to allocate money to the installments of an active plan in due-date order.
+// Each installment is changed with a conditional update; on a conflict the plan is read again.
+// Returns the amount used, which is less than asked when concurrent payments paid the plan first.
+installmentPlanSchema.statics.allocatePayment = async function(planId, amount, paymentId) {
+  let left = amount;
+  for (let attempt = 0; left > 0 && attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+    const plan = await this.findOne({ _id: planId, status: 'active' }).lean();
+    if (!plan) break;
+    const ordered = [...plan.installments].sort((a, b) => a.dueDate - b.dueDate || a.seq - b.seq);
+    let conflict = false;
+    for (const inst of ordered) {
+      if (left <= 0) break;
+      const due = inst.amount - inst.paidAmount;
+      if (due <= 0) continue;
+      const part = Math.min(due, left);
+      const allocation = { paymentId, amount: part, at: new Date() };
+      if (!(await updateInstallment(this, planId, inst, inst.paidAmount + part, { $push: { 'installments.$.allocations': allocation } }))) {
+        conflict = true;
+        break;
+      }
+      left -= part;
+    }
+    if (!conflict) break;
+  }
+  await this.updateOne(
+    { _id: planId, status: 'active', installments: { $not: { $elemMatch: { status: { $ne: 'paid' } } } } },
+    { $set: { status: 'completed' } }
+  );
+  return amount - left;
+};
+
+// Static method to take back everything a payment allocated (used when the payment is voided/refunded).
+// Returns the amount released.
+installmentPlanSchema.statics.releasePayment = async function(planId, paymentId) {
+  let released = 0;
+  for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+    const plan = await this.findById(planId).lean();
+    if (!plan) break;
+    let conflict = false;
+    for (const inst of plan.installments) {
+      const sum = inst.allocations
+        .filter(a => a.paymentId.toString() === paymentId.toString())
+        .reduce((s, a) => s + a.amount, 0);
+      if (sum === 0) continue;
+      const paidAmount = Math.max(inst.paidAmount - sum, 0);
+      if (!(await updateInstallment(this, planId, inst, paidAmount, { $pull: { 'installments.$.allocations': { paymentId } } }))) {
+        conflict = true;
+        break;
+      }
+      released += sum;
+    }
+    if (!conflict) break;
+  }
+  if (released > 0) {
+    // A newer plan may already be active for the enrollment (unique index); the caller reports it
+    await this.updateOne({ _id: planId, status: 'completed' }, { $set: { status: 'active' } });
+  }
+  return released;
+};
+
+module.exports = mongoose.model('InstallmentPlan', installmentPlanSchema);
@@ -0,0 +1,98 @@
+// server/models/JournalEntry.js
+
+const mongoose = require('mongoose');
+
+// Chart of accounts shared by every school. Asset/expense accounts carry a debit balance,
+// liability/income/equity accounts a credit balance.
+const ACCOUNTS = {
+  cash: { code: '1000', name: 'Cash and bank', type: 'asset' },
+  student_receivables: { code: '1100', name: 'Student receivables', type: 'asset' },
+  teacher_payables: { code: '2000', name: 'Teacher payables', type: 'liability' },
+  opening_balance: { code: '3000', name: 'Opening balances', type: 'equity' },
+  tuition_income: { code: '4000', name: 'Tuition collected', type: 'income' },
+  tuition_on_account: { code: '4010', name: 'Tuition on account (student debt changes)', type: 'income' },
+  other_income: { code: '4100', name: 'Other income', type: 'income' },
+  teacher_compensation: { code: '5000', name: 'Teacher compensation', type: 'expense' },
+  salaries: { code: '5100', name: 'Employee salaries', type: 'expense' },
+  expenses: { code: '5200', name: 'Operating expenses', type: 'expense' },
+};
+
+const SOURCE_TYPES = [
+  'payment',              // class payment, debt payment or their reversals
+  'debt_adjustment',      // manual change of a student's debt
+  'manual_transaction',   // manual income/expense
+  'manual_transaction_deleted',
+  'teacher_accrual',      // teacher earnings booked when the monthly payout record is created
+  'teacher_payout',
+  'employee_salary',
+  'salary_advance',       // advance handed to an employee (salary paid ahead, recovered from later months)
+  'opening_balance',      // backfill difference for data that predates the ledger
+];
+
+const lineSchema = new mongoose.Schema({
+  account: { type: String, enum: Object.keys(ACCOUNTS), required: true },
+  debit: { type: Number, default: 0, min: 0 },
+  credit: { type: Number, default: 0, min: 0 },
+  // Sub-ledger references so statements can be filtered per person/class
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true, index: true },
+  date: { type: Date, required: true },
+  // Financial month the entry counts towards, as YYYYMM (e.g. a salary paid in March for February is 202502)
+  period: { type: Number, required: true },
+  description: { type: String, trim: true },
+  sourceType: { type: String, enum: SOURCE_TYPES, required: true },
+  sourceId: { type: mongoose.Schema.Types.ObjectId },
+  // Set for entries that must be posted once per source event; makes posting idempotent
+  sourceKey: { type: String },
+  lines: { type: [lineSchema], default: [] },
+  totalDebit: { type: Number, default: 0 },
+  totalCredit: { type: Number, default: 0 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+journalEntrySchema.index({ schoolId: 1, period: 1 });
+journalEntrySchema.index({ schoolId: 1, 'lines.account': 1, date: 1 });
+journalEntrySchema.index({ schoolId: 1, sourceType: 1, sourceId: 1 });
+journalEntrySchema.index(
+  { schoolId: 1, sourceKey: 1 },
+  { unique: true, partialFilterExpression: { sourceKey: { $type: 'string' } } }
+);
+
+// Entries are immutable and must balance; corrections are posted as new entries
+journalEntrySchema.pre('validate', function(next) {
+  if (!Array.isArray(this.lines) || this.lines.length < 2) {
+    return next(new Error('A journal entry needs at least two lines'));
+  }
+  let debit = 0;
+  let credit = 0;
+  for (const line of this.lines) {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error('Each journal line must have either a debit or a credit'));
+    }
+    debit += line.debit;
+    credit += line.credit;
+  }
+  this.totalDebit = Math.round(debit * 100) / 100;
+  this.totalCredit = Math.round(credit * 100) / 100;
+  if (this.totalDebit !== this.totalCredit) {
+    return next(new Error(`Unbalanced journal entry: debit ${this.totalDebit} != credit ${this.totalCredit}`));
+  }
+  next();
+});
+
+journalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Journal entries cannot be modified'));
+  next();
+});
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+JournalEntry.ACCOUNTS = ACCOUNTS;
+JournalEntry.SOURCE_TYPES = SOURCE_TYPES;
+
+module.exports = JournalEntry;
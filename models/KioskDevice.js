@@ -0,0 +1,45 @@
+// server/models/KioskDevice.js
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A front-desk device allowed to check students in with their student code.
+// Only the hash of its token is stored; the token itself is shown once, when the device is registered.
+const kioskDeviceSchema = new mongoose.Schema(
+  {
+    schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+    name: { type: String, required: true, trim: true },
+    tokenHash: { type: String, required: true, unique: true },
+    // First characters of the token, to tell devices apart
+    tokenPrefix: { type: String, required: true },
+    active: { type: Boolean, default: true },
+    // Check-ins later than this many minutes after the session start are marked late (null: never)
+    lateAfterMinutes: { type: Number, min: 0, default: null },
+    lastUsedAt: { type: Date },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    revokedAt: { type: Date },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+kioskDeviceSchema.index({ schoolId: 1, active: 1 });
+
+kioskDeviceSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// New random token: the caller stores tokenHash/tokenPrefix and hands the token to the device
+kioskDeviceSchema.statics.generateToken = function() {
+  const token = `kiosk_${crypto.randomBytes(32).toString('hex')}`;
+  return { token, tokenHash: this.hashToken(token), tokenPrefix: token.slice(0, 12) };
+};
+
+kioskDeviceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('KioskDevice', kioskDeviceSchema);
@@ -0,0 +1,148 @@
+// server/models/LeaveRequest.js
+
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// paid: the day is still paid (fixed salaries are not reduced, hourly employees are paid their daily hours);
+// fromBalance: the day is taken from the annual leave balance
+const LEAVE_TYPES = {
+  annual: { paid: true, fromBalance: true },
+  sick: { paid: true, fromBalance: false },
+  exceptional: { paid: true, fromBalance: false },
+  unpaid: { paid: false, fromBalance: false },
+};
+
+const DEFAULT_REST_DAYS = ['friday', 'saturday'];
+
+// Leave of an employee (Employee record) or a teacher (User). Staff and teachers request their own
+// leave, managers approve it or enter leave directly. Only approved leave counts towards balances
+// and salaries.
+const leaveRequestSchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  subjectType: { type: String, enum: ['employee', 'teacher'], required: true },
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  type: { type: String, enum: Object.keys(LEAVE_TYPES), required: true },
+  // First and last day of the leave (midnight); the half-day flags take the afternoon
+  // of the first day / the morning of the last day only
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  halfDayStart: { type: Boolean, default: false },
+  halfDayEnd: { type: Boolean, default: false },
+  // Leave days, rest days excluded
+  days: { type: Number, default: 0, min: 0 },
+  reason: { type: String, trim: true },
+  status: { type: String, enum: ['pending', 'approved', 'rejected', 'cancelled'], default: 'pending' },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String, trim: true },
+  // Teacher leave: class sessions falling within the leave, flagged on the class when approved
+  affectedSessions: [{
+    _id: false,
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+    className: { type: String },
+    date: { type: Date },
+    startTime: { type: String },
+    endTime: { type: String }
+  }],
+}, { timestamps: true });
+
+leaveRequestSchema.index({ schoolId: 1, status: 1, startDate: 1 });
+leaveRequestSchema.index({ employeeId: 1, startDate: 1 });
+leaveRequestSchema.index({ teacherId: 1, startDate: 1 });
+
+function startOfDay(date) {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+leaveRequestSchema.pre('validate', function(next) {
+  if (this.subjectType === 'employee' && !this.employeeId) return next(new Error('employeeId is required'));
+  if (this.subjectType === 'teacher' && !this.teacherId) return next(new Error('teacherId is required'));
+  if (!this.startDate || !this.endDate) return next();
+  this.startDate = startOfDay(this.startDate);
+  this.endDate = startOfDay(this.endDate);
+  if (this.endDate < this.startDate) return next(new Error('endDate must be on or after startDate'));
+  if ((this.endDate - this.startDate) / DAY_MS > 366) return next(new Error('A leave cannot be longer than a year'));
+  if (this.endDate.getTime() === this.startDate.getTime() && this.halfDayStart && this.halfDayEnd) {
+    return next(new Error('A one-day leave can be a morning or an afternoon, not both'));
+  }
+  next();
+});
+
+/**
+ * Leave days of a leave between two dates (inclusive), rest days excluded
+ * @param {Object} leave - startDate, endDate, halfDayStart, halfDayEnd
+ * @param {Date} [from] - Defaults to the first day of the leave
+ * @param {Date} [to] - Defaults to the last day of the leave
+ * @param {string[]} [restDays]
+ * @returns {number}
+ */
+leaveRequestSchema.statics.countDays = function(leave, from, to, restDays = DEFAULT_REST_DAYS) {
+  const start = startOfDay(leave.startDate);
+  const end = startOfDay(leave.endDate);
+  const first = from && startOfDay(from) > start ? startOfDay(from) : start;
+  const last = to && startOfDay(to) < end ? startOfDay(to) : end;
+  let days = 0;
+  for (let d = first; d <= last; d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)) {
+    if (restDays.includes(DAY_NAMES[d.getDay()])) continue;
+    const isFirst = d.getTime() === start.getTime();
+    const isLast = d.getTime() === end.getTime();
+    days += (isFirst && leave.halfDayStart) || (isLast && leave.halfDayEnd) ? 0.5 : 1;
+  }
+  return days;
+};
+
+// Working days of a month (rest days excluded)
+leaveRequestSchema.statics.workingDays = function(year, month, restDays = DEFAULT_REST_DAYS) {
+  let days = 0;
+  const daysInMonth = new Date(year, month, 0).getDate();
+  for (let day = 1; day <= daysInMonth; day++) {
+    if (!restDays.includes(DAY_NAMES[new Date(year, month - 1, day).getDay()])) days++;
+  }
+  return days;
+};
+
+/**
+ * Approved leave days of an employee or teacher in a month, by type and paid/unpaid
+ * @param {Object} subject - { schoolId, employeeId } or { schoolId, teacherId }
+ * @param {number} year
+ * @param {number} month
+ * @param {string[]} [restDays] - Read from the school's leave policy when omitted
+ */
+leaveRequestSchema.statics.getMonthlyLeave = async function(subject, year, month, restDays) {
+  if (!restDays) {
+    const school = await mongoose.model('School').findById(subject.schoolId).select('leavePolicy.restDays').lean();
+    restDays = school?.leavePolicy?.restDays || DEFAULT_REST_DAYS;
+  }
+  const monthStart = new Date(year, month - 1, 1);
+  const monthEnd = new Date(year, month, 0);
+  const query = { schoolId: subject.schoolId, status: 'approved', startDate: { $lte: monthEnd }, endDate: { $gte: monthStart } };
+  if (subject.employeeId) query.employeeId = subject.employeeId;
+  else query.teacherId = subject.teacherId;
+  const leaves = await this.find(query).sort({ startDate: 1 }).lean();
+
+  const byType = Object.fromEntries(Object.keys(LEAVE_TYPES).map(type => [type, 0]));
+  for (const leave of leaves) {
+    byType[leave.type] += this.countDays(leave, monthStart, monthEnd, restDays);
+  }
+  const sum = (paid) => round2(Object.keys(byType).filter(t => LEAVE_TYPES[t].paid === paid).reduce((s, t) => s + byType[t], 0));
+  return {
+    workingDays: this.workingDays(year, month, restDays),
+    paidDays: sum(true),
+    unpaidDays: sum(false),
+    byType,
+    leaveIds: leaves.map(l => l._id),
+  };
+};
+
+const LeaveRequest = mongoose.model('LeaveRequest', leaveRequestSchema);
+LeaveRequest.LEAVE_TYPES = LEAVE_TYPES;
+LeaveRequest.DEFAULT_REST_DAYS = DEFAULT_REST_DAYS;
+LeaveRequest.DAY_NAMES = DAY_NAMES;
+
+module.exports = LeaveRequest;
@@ -2,6 +2,9 @@
 
 const mongoose = require('mongoose');
 
+// Entries counted in the figures; older entries have no status and were recorded as approved
+const COUNTED_STATUS = { $nin: ['pending', 'rejected'] };
+
 const manualTransactionSchema = new mongoose.Schema(
   {
     schoolId: {
@@ -42,6 +45,47 @@ const manualTransactionSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true
+    },
+    // Set on entries materialized from a RecurringTransaction template
+    generated: {
+      type: Boolean,
+      default: false
+    },
+    recurringTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RecurringTransaction'
+    },
+    occurrenceDate: {
+      type: Date
+    },
+    // Expenses submitted by staff, or above the approval limit of the manager recording them,
+    // wait for a manager's approval; only approved entries count in the figures and the ledger
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'approved'
+    },
+    receipt: {
+      type: {
+        originalName: { type: String, trim: true },
+        filename: { type: String },
+        filePath: { type: String },
+        mimeType: { type: String },
+        fileSize: { type: Number },
+        uploadedAt: { type: Date, default: Date.now },
+      },
+      default: undefined,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    reviewNote: {
+      type: String,
+      trim: true
     }
   },
   {
@@ -54,6 +98,12 @@ manualTransactionSchema.index({ schoolId: 1, date: 1 });
 manualTransactionSchema.index({ schoolId: 1, type: 1, date: 1 });
 manualTransactionSchema.index({ schoolId: 1, category: 1, date: 1 });
 manualTransactionSchema.index({ schoolId: 1, createdBy: 1 });
+manualTransactionSchema.index({ schoolId: 1, status: 1, date: 1 });
+// One generated entry per template occurrence
+manualTransactionSchema.index(
+  { recurringTransactionId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { generated: true } }
+);
 
 // Virtual for formatted date
 manualTransactionSchema.virtual('formattedDate').get(function() {
@@ -97,6 +147,7 @@ manualTransactionSchema.statics.getMonthlyTotals = function(schoolId, year, mont
     {
       $match: {
         schoolId: new mongoose.Types.ObjectId(schoolId),
+        status: COUNTED_STATUS,
         date: {
           $gte: startDate,
           $lte: endDate
@@ -113,4 +164,11 @@ manualTransactionSchema.statics.getMonthlyTotals = function(schoolId, year, mont
   ]);
 };
 
-module.exports = mongoose.model('ManualTransaction', manualTransactionSchema);
+manualTransactionSchema.methods.isCounted = function() {
+  return !['pending', 'rejected'].includes(this.status);
+};
+
+const ManualTransaction = mongoose.model('ManualTransaction', manualTransactionSchema);
+ManualTransaction.COUNTED_STATUS = COUNTED_STATUS;
+
+module.exports = ManualTransaction;
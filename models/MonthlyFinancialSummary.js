@@ -37,6 +37,11 @@ const monthlyFinancialSummarySchema = new mongoose.Schema(
       type: Number,
       default: 0
     },
+    // List price minus discounted price on payments of the month
+    discountGiven: {
+      type: Number,
+      default: 0
+    },
     teacherEarnings: {
       type: Number,
       default: 0,
@@ -81,7 +86,17 @@ const monthlyFinancialSummarySchema = new mongoose.Schema(
     frozenBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-    }
+    },
+    // Audit trail of principal-approved reopenings, with the figures as they were frozen
+    reopenHistory: [{
+      reopenedAt: { type: Date, default: Date.now },
+      reopenedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      reason: { type: String, required: true, trim: true },
+      frozenAt: { type: Date },
+      frozenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      figures: { type: mongoose.Schema.Types.Mixed },
+      checksum: { type: String }
+    }]
   },
   {
     timestamps: true
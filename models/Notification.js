@@ -0,0 +1,23 @@
+// server/models/Notification.js
+
+const mongoose = require('mongoose');
+
+// In-app notifications shown to a user (debt reminders, workflow alerts, ...)
+const notificationSchema = new mongoose.Schema(
+  {
+    schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, required: true, trim: true }, // e.g. 'debt_reminder'
+    title: { type: String, required: true, trim: true },
+    message: { type: String, trim: true },
+    // Free-form payload for the client (ids, amounts, links)
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    read: { type: Boolean, default: false },
+    readAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -2,28 +2,80 @@
 
 const mongoose = require('mongoose');
 
+// Reversal entries carry negated money fields so sums over a period net out; normal payments stay non-negative
+function signedForKind(min) {
+  return {
+    validator: function(v) {
+      if (v === undefined || v === null) return true;
+      return this.kind === 'reversal' ? v <= 0 : v >= min;
+    },
+    message: props => `${props.path} has an invalid sign for this payment kind`,
+  };
+}
+
 const paymentSchema = new mongoose.Schema(
   {
     schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
     classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: false }, // Optional for debt payments
     studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     enrollmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Enrollment', required: false }, // Optional for debt payments
-    amount: { type: Number, required: true, min: 1 }, // integers only
+    amount: { type: Number, required: true, validate: signedForKind(1) }, // integers only
     kind: {
       type: String,
-      enum: ['pay_sessions', 'pay_cycles', 'debt_payment'],
+      enum: ['pay_sessions', 'pay_cycles', 'debt_payment', 'reversal'],
       required: true,
     },
-    method: { type: String, enum: ['cash'], default: 'cash', required: true },
+    // Code from the school's PaymentMethod catalog (e.g. 'cash', 'ccp', 'bank_deposit', 'cheque')
+    method: { type: String, trim: true, lowercase: true, default: 'cash', required: true },
+    // Bank/CCP transaction or cheque number, required by non-cash methods
+    reference: { type: String, trim: true },
+    // Optional proof attachment (transfer slip, deposit receipt, cheque scan)
+    proof: {
+      type: {
+        originalName: { type: String, trim: true },
+        filename: { type: String },
+        filePath: { type: String },
+        mimeType: { type: String },
+        fileSize: { type: Number },
+        uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        uploadedAt: { type: Date, default: Date.now },
+      },
+      default: undefined,
+    },
     note: { type: String, trim: true },
     // New evidence fields for debt tracking and units
     unitType: { type: String, enum: ['session', 'cycle'], default: undefined },
     units: { type: Number, min: 0 },
-    expectedPrice: { type: Number, min: 0 },
-    taken: { type: Number, min: 0 },
+    expectedPrice: { type: Number, validate: signedForKind(0) },
+    taken: { type: Number, validate: signedForKind(0) },
     // debtDelta = expectedPrice - taken; >0 student owes school, <0 school owes student
     debtDelta: { type: Number, default: 0 },
     idempotencyKey: { type: String, trim: true },
+    // Sessions added to Enrollment.balance by this payment (negative on reversals)
+    sessionsCredited: { type: Number },
+    // List price minus discounted price for the sessions credited ("discount given" in finance)
+    discountAmount: { type: Number, default: 0 },
+    // Part of the money that paid installments of an InstallmentPlan
+    installmentPlanId: { type: mongoose.Schema.Types.ObjectId, ref: 'InstallmentPlan' },
+    installmentAllocated: { type: Number },
+    // Void/refund workflow: payments are never edited or deleted, a linked reversal entry is posted instead
+    status: { type: String, enum: ['active', 'voided', 'refunded'], default: 'active' },
+    reversalOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    reversedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    reversalType: { type: String, enum: ['void', 'refund'], default: undefined },
+    reversalReason: { type: String, trim: true },
+    // True when the original month was frozen and the reversal was posted into the current month instead
+    postedToCurrentMonth: { type: Boolean, default: undefined },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Gap-free receipt numbering per school and calendar year (e.g. 2025-000042)
+    receiptNumber: { type: String, trim: true },
+    receiptYear: { type: Number },
+    receiptSeq: { type: Number },
+    // Student debt right after this payment, printed on the receipt
+    debtAfter: { type: Number },
+    // Every print after the first is marked as a duplicate
+    receiptPrintCount: { type: Number, default: 0 },
+    receiptLastPrintedAt: { type: Date },
     createdAt: { type: Date, default: Date.now },
   },
   { timestamps: false }
@@ -33,9 +85,15 @@ const paymentSchema = new mongoose.Schema(
 paymentSchema.index({ schoolId: 1, enrollmentId: 1, createdAt: -1 });
 paymentSchema.index({ schoolId: 1, studentId: 1, createdAt: -1 });
 paymentSchema.index({ schoolId: 1, classId: 1, createdAt: -1 });
+paymentSchema.index({ schoolId: 1, method: 1, createdAt: -1 });
 paymentSchema.index(
   { enrollmentId: 1, idempotencyKey: 1 },
   { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
 );
+paymentSchema.index({ reversalOf: 1 });
+paymentSchema.index(
+  { schoolId: 1, receiptNumber: 1 },
+  { unique: true, partialFilterExpression: { receiptNumber: { $type: 'string' } } }
+);
 
 module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,60 @@
+// server/models/PaymentMethod.js
+
+const mongoose = require('mongoose');
+
+// Default catalog seeded for a school the first time its methods are requested
+const DEFAULT_METHODS = [
+  { code: 'cash', label: 'Cash', isCash: true, requiresReference: false },
+  { code: 'ccp', label: 'CCP transfer', isCash: false, requiresReference: true },
+  { code: 'bank_deposit', label: 'Bank deposit', isCash: false, requiresReference: true },
+  { code: 'cheque', label: 'Cheque', isCash: false, requiresReference: true },
+];
+
+const paymentMethodSchema = new mongoose.Schema(
+  {
+    schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+    // Stable machine code stored on Payment.method (e.g. 'cash', 'ccp')
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9_]+$/, 'Method code may only contain lowercase letters, digits and underscores'],
+    },
+    label: { type: String, required: true, trim: true },
+    // Cash methods are physically counted in the drawer during reconciliation
+    isCash: { type: Boolean, default: false },
+    // Transfers, deposits and cheques carry a bank/CCP reference number
+    requiresReference: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+paymentMethodSchema.index({ schoolId: 1, code: 1 }, { unique: true });
+
+// Static method to get the school catalog, seeding defaults on first use
+paymentMethodSchema.statics.ensureDefaults = async function(schoolId) {
+  const count = await this.countDocuments({ schoolId });
+  if (count === 0) {
+    try {
+      await this.insertMany(
+        DEFAULT_METHODS.map((m, i) => ({ ...m, schoolId, sortOrder: i })),
+        { ordered: false }
+      );
+    } catch (e) {
+      // A concurrent request may have seeded the same codes; duplicates are harmless
+      if (e?.code !== 11000) throw e;
+    }
+  }
+  return this.find({ schoolId }).sort({ sortOrder: 1, label: 1 });
+};
+
+// Static method to resolve an active method by code for a school
+paymentMethodSchema.statics.findActive = async function(schoolId, code) {
+  await this.ensureDefaults(schoolId);
+  return this.findOne({ schoolId, code: String(code || '').trim().toLowerCase(), isActive: true });
+};
+
+module.exports = mongoose.model('PaymentMethod', paymentMethodSchema);
@@ -0,0 +1,47 @@
+// server/models/PayoutDispute.js
+
+const mongoose = require('mongoose');
+
+// Line items of a teacher statement a dispute can be about
+const DISPUTE_ITEMS = ['class_income', 'cut', 'sessions', 'earnings', 'paid_amount', 'other'];
+
+// A teacher's objection to one class line of a monthly payout statement. Managers resolve it
+// with an adjustment of the payout (or reject it); either way the outcome is recorded here.
+const payoutDisputeSchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  payoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'TeacherPayout', required: true },
+  classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+  className: { type: String, trim: true },
+  year: { type: Number, required: true },
+  month: { type: Number, required: true, min: 1, max: 12 },
+  item: { type: String, enum: DISPUTE_ITEMS, required: true },
+  // Session the dispute is about, for attendance-based lines
+  sessionDate: { type: Date },
+  message: { type: String, required: true, trim: true },
+  // What the teacher believes the line should be
+  expectedAmount: { type: Number },
+  // Figures of the line when the dispute was raised
+  statementSnapshot: {
+    calculatedIncome: { type: Number },
+    paidAmount: { type: Number },
+    remainingDebt: { type: Number },
+  },
+  status: { type: String, enum: ['open', 'resolved', 'rejected'], default: 'open' },
+  resolution: {
+    // Signed change applied to the payout's calculated income (0 when rejected)
+    adjustment: { type: Number, default: 0 },
+    note: { type: String, trim: true },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: { type: Date },
+  },
+}, { timestamps: true });
+
+payoutDisputeSchema.index({ schoolId: 1, status: 1, createdAt: -1 });
+payoutDisputeSchema.index({ teacherId: 1, year: 1, month: 1 });
+payoutDisputeSchema.index({ payoutId: 1 });
+
+const PayoutDispute = mongoose.model('PayoutDispute', payoutDisputeSchema);
+PayoutDispute.DISPUTE_ITEMS = DISPUTE_ITEMS;
+
+module.exports = PayoutDispute;
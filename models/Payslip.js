@@ -0,0 +1,25 @@
+// server/models/Payslip.js
+
+const mongoose = require('mongoose');
+
+// Number register of payslips: the first time a payslip is produced for a person and month it
+// gets the next number of the school's yearly payslip sequence, and keeps it on every reprint.
+// The payslip content itself is rendered from the salary/payout records each time.
+const payslipSchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  recipientType: { type: String, enum: ['employee', 'teacher'], required: true },
+  // Employee _id for employees, User _id for teachers
+  recipientId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  year: { type: Number, required: true },
+  month: { type: Number, required: true, min: 1, max: 12 },
+  number: { type: String, required: true },
+  seq: { type: Number, required: true },
+  issuedAt: { type: Date, default: Date.now },
+  downloadCount: { type: Number, default: 0 },
+  lastDownloadedAt: { type: Date },
+}, { timestamps: true });
+
+payslipSchema.index({ schoolId: 1, recipientType: 1, recipientId: 1, year: 1, month: 1 }, { unique: true });
+payslipSchema.index({ schoolId: 1, number: 1 }, { unique: true });
+
+module.exports = mongoose.model('Payslip', payslipSchema);
@@ -0,0 +1,118 @@
+// server/models/RecurringTransaction.js
+
+const mongoose = require('mongoose');
+
+const FREQUENCIES = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// Template of a repeating income or expense (rent, utilities, subscriptions). Each occurrence is
+// materialized into a generated ManualTransaction once its date is reached, on the day of month of
+// the start date (the last day of shorter months).
+const recurringTransactionSchema = new mongoose.Schema(
+  {
+    schoolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'School',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['income', 'expense'],
+      required: true
+    },
+    category: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    frequency: {
+      type: String,
+      enum: Object.keys(FREQUENCIES),
+      required: true
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    // Last day an occurrence may fall on; open-ended when empty
+    endDate: {
+      type: Date,
+      default: null
+    },
+    active: {
+      type: Boolean,
+      default: true
+    },
+    // Occurrence dates that must not be materialized
+    skippedDates: [{ type: Date }],
+    lastMaterializedAt: {
+      type: Date
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+recurringTransactionSchema.index({ schoolId: 1, active: 1 });
+
+recurringTransactionSchema.pre('validate', function(next) {
+  if (this.startDate) {
+    const d = new Date(this.startDate);
+    this.startDate = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  }
+  if (this.endDate) {
+    const d = new Date(this.endDate);
+    this.endDate = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+    if (this.startDate && this.endDate < this.startDate) {
+      return next(new Error('endDate must be on or after startDate'));
+    }
+  }
+  next();
+});
+
+/**
+ * Occurrence dates (local midnight) between two dates, inclusive
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Date[]}
+ */
+recurringTransactionSchema.methods.occurrencesBetween = function(from, to) {
+  const step = FREQUENCIES[this.frequency];
+  const start = new Date(this.startDate);
+  const last = this.endDate && this.endDate < to ? this.endDate : to;
+  const dates = [];
+  for (let i = 0; ; i += step) {
+    const year = start.getFullYear();
+    const month = start.getMonth() + i;
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const date = new Date(year, month, Math.min(start.getDate(), daysInMonth));
+    if (date > last) break;
+    if (date >= from) dates.push(date);
+  }
+  return dates;
+};
+
+recurringTransactionSchema.methods.isSkipped = function(date) {
+  const time = new Date(date).getTime();
+  return (this.skippedDates || []).some(d => d.getTime() === time);
+};
+
+const RecurringTransaction = mongoose.model('RecurringTransaction', recurringTransactionSchema);
+RecurringTransaction.FREQUENCIES = FREQUENCIES;
+
+module.exports = RecurringTransaction;
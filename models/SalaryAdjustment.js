@@ -0,0 +1,41 @@
+// server/models/SalaryAdjustment.js
+
+const mongoose = require('mongoose');
+
+// Sign of each adjustment type on the net salary of the month it applies to.
+// Advances are money handed out during their month; they are not part of that month's
+// salary but are recovered from the salaries of the following months.
+const ADJUSTMENT_TYPES = {
+  bonus: 1,
+  reimbursement: 1,
+  deduction: -1,
+  advance: 0,
+};
+
+const salaryAdjustmentSchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', required: true },
+  type: { type: String, enum: Object.keys(ADJUSTMENT_TYPES), required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  reason: { type: String, required: true, trim: true },
+  // Salary month the adjustment applies to (for advances: the month the money was handed out)
+  year: { type: Number, required: true },
+  month: { type: Number, required: true, min: 1, max: 12 },
+  date: { type: Date, default: Date.now },
+  // Advances: how the money was handed out, and the most to recover per month (empty = all at once)
+  paymentMethod: { type: String, trim: true },
+  monthlyRecovery: { type: Number, min: 0 },
+  status: { type: String, enum: ['active', 'voided'], default: 'active' },
+  voidedAt: { type: Date },
+  voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  voidReason: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+salaryAdjustmentSchema.index({ schoolId: 1, employeeId: 1, year: 1, month: 1 });
+salaryAdjustmentSchema.index({ schoolId: 1, type: 1, year: 1, month: 1 });
+
+const SalaryAdjustment = mongoose.model('SalaryAdjustment', salaryAdjustmentSchema);
+SalaryAdjustment.ADJUSTMENT_TYPES = ADJUSTMENT_TYPES;
+
+module.exports = SalaryAdjustment;
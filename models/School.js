@@ -50,7 +50,49 @@ const schoolSchema = new mongoose.Schema(
     },
     subscriptionExpiresAt: {
       type: Date
-  }
+    },
+
+    // Debt dunning settings (reminders for unpaid debt / negative session balances)
+    dunning: {
+      enabled: { type: Boolean, default: true },
+      // Remind when StudentFinancial.debt is above this amount (DZD)
+      debtThreshold: { type: Number, default: 0, min: 0 },
+      // Remind when an active enrollment balance is at or below -N sessions
+      negativeSessionsThreshold: { type: Number, default: 2, min: 1 },
+      // Days between two reminders of the same case
+      reminderIntervalDays: { type: Number, default: 7, min: 1 },
+      // Highest escalation level (1 = friendly reminder ... maxLevel = final notice)
+      maxLevel: { type: Number, default: 3, min: 1, max: 5 },
+      emailEnabled: { type: Boolean, default: true }
+    },
+
+    // Leave settings for staff and teachers
+    leavePolicy: {
+      // Weekly rest days; they are not counted as leave days
+      restDays: {
+        type: [{ type: String, enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'] }],
+        default: ['friday', 'saturday']
+      },
+      // Annual leave days earned per month of service, by contract type
+      accrual: {
+        full_time: { type: Number, default: 2.5, min: 0 },
+        part_time: { type: Number, default: 1.25, min: 0 },
+        temporary: { type: Number, default: 2.5, min: 0 },
+        freelance: { type: Number, default: 0, min: 0 }
+      },
+      // Unused annual leave days carried over into the next year
+      maxCarryOver: { type: Number, default: 0, min: 0 }
+    },
+
+    // Expense approval: the largest expense each manager may approve (null: no limit).
+    // Managers without their own limit use managerLimit; the principal has no limit.
+    expenseApproval: {
+      managerLimit: { type: Number, default: null, min: 0 },
+      approvers: [{
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        maxAmount: { type: Number, default: null, min: 0 }
+      }]
+    }
     // We can add more details about the school later if needed,
     // like address, contact info, etc.
   },
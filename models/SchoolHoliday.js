@@ -0,0 +1,40 @@
+// server/models/SchoolHoliday.js
+
+const mongoose = require('mongoose');
+
+// Days a school holds no class: public holidays, vacations or exceptional closures.
+// Dates are UTC date-only, like class sessions and attendance.
+const schoolHolidaySchema = new mongoose.Schema(
+  {
+    schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: ['holiday', 'closure'], default: 'holiday' },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    notes: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+schoolHolidaySchema.index({ schoolId: 1, startDate: 1, endDate: 1 });
+
+schoolHolidaySchema.pre('validate', function(next) {
+  for (const key of ['startDate', 'endDate']) {
+    if (this[key]) {
+      const d = new Date(this[key]);
+      this[key] = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+    }
+  }
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    return next(new Error('endDate must be on or after startDate'));
+  }
+  next();
+});
+
+// Holidays of a school overlapping a date range
+schoolHolidaySchema.statics.findInRange = function(schoolId, from, to) {
+  return this.find({ schoolId, startDate: { $lte: to }, endDate: { $gte: from } }).sort({ startDate: 1 }).lean();
+};
+
+module.exports = mongoose.model('SchoolHoliday', schoolHolidaySchema);
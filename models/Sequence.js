@@ -0,0 +1,31 @@
+// server/models/Sequence.js
+
+const mongoose = require('mongoose');
+
+// Named monotonic counters (e.g. receipt:<schoolId>:<year>) used for gap-free document numbering
+const sequenceSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    value: { type: Number, required: true, default: 0 },
+  },
+  { timestamps: true }
+);
+
+// Static method to atomically reserve the next value of a counter
+sequenceSchema.statics.next = async function(key) {
+  const doc = await this.findOneAndUpdate(
+    { key },
+    { $inc: { value: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return doc.value;
+};
+
+// Static method to hand back a reserved value when the document using it could not be saved.
+// Only succeeds if nobody reserved a later value meanwhile, so numbering never skips or repeats.
+sequenceSchema.statics.release = async function(key, value) {
+  const result = await this.updateOne({ key, value }, { $inc: { value: -1 } });
+  return result.modifiedCount === 1;
+};
+
+module.exports = mongoose.model('Sequence', sequenceSchema);
@@ -68,6 +68,20 @@ const teacherPayoutSchema = new mongoose.Schema(
       method: { type: String, enum: ['cash', 'bank_transfer', 'check'], default: 'cash' }
     }],
     
+    // Manager corrections of the calculated income (e.g. a resolved dispute). Their total is
+    // kept on top of the calculated earnings when attendance-based payouts are recalculated.
+    adjustments: [{
+      amount: { type: Number, required: true },
+      reason: { type: String, required: true, trim: true },
+      disputeId: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoutDispute' },
+      createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    adjustmentTotal: {
+      type: Number,
+      default: 0
+    },
+    
     // Class-specific data for this payout period
     classData: {
       className: { type: String, required: true },
@@ -76,7 +90,21 @@ const teacherPayoutSchema = new mongoose.Schema(
       totalClassIncome: { type: Number, default: 0 },
       teacherCutPercentage: { type: Number, default: 0 },
       teacherCutFixed: { type: Number, default: 0 },
-      absenceRule: { type: Boolean, default: false }
+      absenceRule: { type: Boolean, default: false },
+      // Attendance-based modes: rate applied and the sessions it was applied to
+      compensationMode: { type: String, enum: ['percentage', 'fixed', 'per_session', 'per_student_present', 'per_hour'] },
+      rate: { type: Number, default: 0 },
+      sessionsHeld: { type: Number, default: 0 },
+      studentsPresent: { type: Number, default: 0 },
+      hoursTaught: { type: Number, default: 0 },
+      sessions: [{
+        _id: false,
+        date: { type: Date },
+        present: { type: Number, default: 0 },
+        absent: { type: Number, default: 0 },
+        hours: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 }
+      }]
     }
   },
   { 
@@ -141,6 +169,24 @@ teacherPayoutSchema.methods.addPayout = function(amount, paidBy, note = '', meth
   return this;
 };
 
+// Method to correct the calculated income by a signed amount
+teacherPayoutSchema.methods.addAdjustment = function(amount, reason, createdBy, disputeId) {
+  if (!Number.isFinite(amount) || amount === 0) {
+    throw new Error('Adjustment amount must be a non-zero number');
+  }
+  if (this.calculatedIncome + amount < 0) {
+    throw new Error('Adjustment would make the calculated income negative');
+  }
+  
+  this.adjustments.push({ amount, reason, disputeId, createdBy, createdAt: new Date() });
+  this.adjustmentTotal = (this.adjustmentTotal || 0) + amount;
+  this.calculatedIncome += amount;
+  this.calculateRemainingDebt();
+  this.updateStatus();
+  
+  return this;
+};
+
 // Static method to get teacher summary for a month
 teacherPayoutSchema.statics.getTeacherSummary = async function(schoolId, teacherId, year, month) {
   const payouts = await this.find({
@@ -0,0 +1,158 @@
+// server/models/TimesheetEntry.js
+
+const mongoose = require('mongoose');
+
+const HOUR_MS = 60 * 60 * 1000;
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// Used when an employee has no overtime rules of their own; a threshold of 0/null disables it
+const DEFAULT_OVERTIME_RULES = { dailyHours: 8, weeklyHours: 40, multiplier: 1.5 };
+
+// One worked shift of an employee. Staff clock in and out themselves; managers enter shifts
+// for employees without platform access and correct mistakes. Only approved entries count
+// towards hourly salaries.
+const timesheetEntrySchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', required: true },
+  clockIn: { type: Date, required: true },
+  clockOut: { type: Date },
+  breakMinutes: { type: Number, default: 0, min: 0 },
+  // Worked hours: clock-out minus clock-in minus the break
+  hours: { type: Number, default: 0, min: 0 },
+  // open: clocked in, not out yet; pending: waiting for manager review
+  status: { type: String, enum: ['open', 'pending', 'approved', 'rejected'], default: 'open' },
+  source: { type: String, enum: ['clock', 'manual'], default: 'clock' },
+  notes: { type: String, trim: true },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  rejectionReason: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+timesheetEntrySchema.index({ employeeId: 1, clockIn: 1 });
+timesheetEntrySchema.index({ schoolId: 1, status: 1, clockIn: 1 });
+// An employee can only be clocked in once at a time
+timesheetEntrySchema.index({ employeeId: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+timesheetEntrySchema.pre('validate', function(next) {
+  if (!this.clockOut) {
+    if (this.status !== 'open') return next(new Error('clockOut is required'));
+    this.hours = 0;
+    return next();
+  }
+  if (this.clockOut <= this.clockIn) return next(new Error('clockOut must be after clockIn'));
+  const hours = (this.clockOut - this.clockIn) / HOUR_MS - (this.breakMinutes || 0) / 60;
+  if (hours <= 0) return next(new Error('The break is longer than the shift'));
+  this.hours = round2(hours);
+  if (this.status === 'open') this.status = 'pending';
+  next();
+});
+
+function dayKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Monday 00:00 of the week containing date
+function startOfWeek(date) {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+}
+
+/**
+ * Split entries into regular and overtime hours. Hours beyond the daily threshold, or beyond the
+ * weekly threshold (Monday to Sunday), are overtime; entries are consumed in clock-in order.
+ * @param {Object[]} entries - Entries with clockIn and hours
+ * @param {Object} [rules] - { dailyHours, weeklyHours }
+ * @returns {Object[]} The entries with regularHours and overtimeHours
+ */
+timesheetEntrySchema.statics.splitOvertime = function(entries, rules = {}) {
+  const cap = (key) => (rules[key] === undefined ? DEFAULT_OVERTIME_RULES[key] : rules[key]) || Infinity;
+  const dailyCap = cap('dailyHours');
+  const weeklyCap = cap('weeklyHours');
+  const byDay = new Map();
+  const byWeek = new Map();
+
+  return [...entries]
+    .sort((a, b) => new Date(a.clockIn) - new Date(b.clockIn))
+    .map(entry => {
+      const day = dayKey(entry.clockIn);
+      const week = startOfWeek(entry.clockIn).getTime();
+      const dayRegular = byDay.get(day) || 0;
+      const weekRegular = byWeek.get(week) || 0;
+      const regular = Math.max(0, Math.min(entry.hours, dailyCap - dayRegular, weeklyCap - weekRegular));
+      byDay.set(day, dayRegular + regular);
+      byWeek.set(week, weekRegular + regular);
+      return { ...entry, regularHours: round2(regular), overtimeHours: round2(entry.hours - regular) };
+    });
+};
+
+/**
+ * Approved hours of an employee for a month with the overtime split and the resulting pay.
+ * Entries belong to the month they were clocked in.
+ * @param {Object} employee - Employee document or lean object (salaryValue is the hourly rate)
+ * @param {number} year
+ * @param {number} month
+ */
+timesheetEntrySchema.statics.getMonthlyTotals = async function(employee, year, month) {
+  const start = new Date(year, month - 1, 1);
+  const end = new Date(year, month, 0, 23, 59, 59, 999);
+  const rules = { ...DEFAULT_OVERTIME_RULES };
+  for (const key of Object.keys(rules)) {
+    if (employee.overtimeRules?.[key] !== undefined) rules[key] = employee.overtimeRules[key];
+  }
+
+  // Weekly overtime needs the whole weeks overlapping the month
+  const approved = await this.find({
+    employeeId: employee._id,
+    status: 'approved',
+    clockIn: { $gte: startOfWeek(start), $lte: new Date(startOfWeek(end).getTime() + 7 * 24 * HOUR_MS - 1) }
+  }).select('clockIn clockOut hours').lean();
+
+  const entries = this.splitOvertime(approved, rules).filter(e => e.clockIn >= start && e.clockIn <= end);
+  const days = new Map();
+  for (const entry of entries) {
+    const key = dayKey(entry.clockIn);
+    const day = days.get(key) || { date: key, hours: 0, regularHours: 0, overtimeHours: 0 };
+    day.hours = round2(day.hours + entry.hours);
+    day.regularHours = round2(day.regularHours + entry.regularHours);
+    day.overtimeHours = round2(day.overtimeHours + entry.overtimeHours);
+    days.set(key, day);
+  }
+
+  const [unapproved] = await this.aggregate([
+    { $match: { employeeId: employee._id, status: { $in: ['open', 'pending'] }, clockIn: { $gte: start, $lte: end } } },
+    { $group: { _id: null, count: { $sum: 1 }, hours: { $sum: '$hours' } } }
+  ]);
+
+  const rate = Number(employee.salaryValue) || 0;
+  const multiplier = Number(rules.multiplier) || 1;
+  const regularHours = round2(entries.reduce((s, e) => s + e.regularHours, 0));
+  const overtimeHours = round2(entries.reduce((s, e) => s + e.overtimeHours, 0));
+  const regularPay = round2(regularHours * rate);
+  const overtimePay = round2(overtimeHours * rate * multiplier);
+
+  return {
+    year,
+    month,
+    rate,
+    overtimeMultiplier: multiplier,
+    dailyThreshold: rules.dailyHours || null,
+    weeklyThreshold: rules.weeklyHours || null,
+    regularHours,
+    overtimeHours,
+    totalHours: round2(regularHours + overtimeHours),
+    regularPay,
+    overtimePay,
+    amount: round2(regularPay + overtimePay),
+    approvedEntries: entries.length,
+    pendingEntries: unapproved?.count || 0,
+    pendingHours: round2(unapproved?.hours),
+    days: [...days.values()],
+  };
+};
+
+const TimesheetEntry = mongoose.model('TimesheetEntry', timesheetEntrySchema);
+TimesheetEntry.DEFAULT_OVERTIME_RULES = DEFAULT_OVERTIME_RULES;
+
+module.exports = TimesheetEntry;
@@ -88,6 +88,20 @@ const userSchema = new mongoose.Schema(
         items: [{ type: mongoose.Schema.Types.Mixed }],
       },
     ],
+    // Weekly times a teacher cannot teach (the timetable solver never schedules them then)
+    unavailability: [
+      {
+        _id: false,
+        dayOfWeek: {
+          type: String,
+          enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+          required: true,
+        },
+        startTime: { type: String, required: true, match: /^([01][0-9]|2[0-3]):[0-5][0-9]$/ },
+        endTime: { type: String, required: true, match: /^([01][0-9]|2[0-3]):[0-5][0-9]$/ },
+        reason: { type: String, trim: true },
+      },
+    ],
     rating: {
       type: Number,
       min: 0,
@@ -0,0 +1,20 @@
+// server/models/VoidedReceipt.js
+
+const mongoose = require('mongoose');
+
+// A receipt number that was issued but never printed on a payment (the payment failed to save after
+// a later number had already been issued). Kept so the receipt register shows the gap.
+const voidedReceiptSchema = new mongoose.Schema(
+  {
+    schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+    receiptNumber: { type: String, required: true, trim: true },
+    receiptYear: { type: Number, required: true },
+    receiptSeq: { type: Number, required: true },
+    reason: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+voidedReceiptSchema.index({ schoolId: 1, receiptNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('VoidedReceipt', voidedReceiptSchema);
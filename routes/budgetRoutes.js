@@ -0,0 +1,26 @@
+// server/routes/budgetRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetReport,
+} = require('../controllers/budgetController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { checkFinanceAccess } = require('../middleware/permissionMiddleware');
+
+router.use(protect, authorize('manager'), checkFinanceAccess);
+
+// Budget vs actual for a month (monthly and yearly budgets)
+router.get('/vs-actual/:year/:month', getBudgetReport);
+
+router.get('/', getBudgets);
+router.post('/', createBudget);
+router.put('/:id', updateBudget);
+router.delete('/:id', deleteBudget);
+
+module.exports = router;
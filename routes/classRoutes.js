@@ -15,7 +15,18 @@ const {
   checkConflicts,
   getClassStudents,
   getClassesForStudent,
-  getTeacherUniqueStudentCount
+  getTeacherUniqueStudentCount,
+  getSessionOverrides,
+  setSessionOverride,
+  removeSessionOverride,
+  getMySubstitutions,
+  getClassSessions,
+  addClassSession,
+  cancelClassSession,
+  restoreClassSession,
+  rescheduleClassSession,
+  solveTimetable,
+  applyTimetable
 } = require('../controllers/classController');
 const { protect, manager, teacher } = require('../middleware/authMiddleware');
 
@@ -25,6 +36,7 @@ router.use(protect);
 // Teacher-specific route (requires teacher role) - must be defined before manager-only guard
 router.get('/teacher', teacher, getClassesByTeacher);
 router.get('/teacher/students/count', teacher, getTeacherUniqueStudentCount);
+router.get('/teacher/substitutions', teacher, getMySubstitutions);
 // Student-specific classes route
 router.get('/my', getClassesForStudent);
 
@@ -42,11 +54,29 @@ router.get('/catalog-items', getCatalogItems);
 // Conflict checking route
 router.post('/check-conflicts', checkConflicts);
 
+// Timetable solver: propose conflict-free timetables, then apply one
+router.post('/timetable/solve', solveTimetable);
+router.post('/timetable/apply', applyTimetable);
+
 // Main class routes
 router.route('/')
   .get(getClasses)
   .post(createClass);
 
+// Per-session overrides: substitute teacher, room change, cancellation
+router.route('/:id/overrides')
+  .get(getSessionOverrides)
+  .post(setSessionOverride);
+router.delete('/:id/overrides/:overrideId', removeSessionOverride);
+
+// Session calendar: make-up sessions, cancellations and rescheduling
+router.route('/:id/sessions')
+  .get(getClassSessions)
+  .post(addClassSession);
+router.post('/:id/sessions/:sessionId/cancel', cancelClassSession);
+router.post('/:id/sessions/:sessionId/restore', restoreClassSession);
+router.post('/:id/sessions/:sessionId/reschedule', rescheduleClassSession);
+
 // Individual class routes - MUST come after helper routes
 router.route('/:id')
   .get(getClass)
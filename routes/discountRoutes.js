@@ -0,0 +1,30 @@
+// server/routes/discountRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getDiscountRules,
+  createDiscountRule,
+  updateDiscountRule,
+  approveDiscountRule,
+  rejectDiscountRule,
+  archiveDiscountRule,
+  previewPricing,
+} = require('../controllers/discountController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// List and propose discount rules (Manager/Staff)
+router.get('/', protect, authorize('manager', 'staff'), getDiscountRules);
+router.post('/', protect, authorize('manager', 'staff'), createDiscountRule);
+
+// Pricing preview for a student/class pair (must be declared before /:id)
+router.get('/preview', protect, authorize('manager', 'staff'), previewPricing);
+
+// Edit and review (Manager only)
+router.put('/:id', protect, authorize('manager'), updateDiscountRule);
+router.post('/:id/approve', protect, authorize('manager'), approveDiscountRule);
+router.post('/:id/reject', protect, authorize('manager'), rejectDiscountRule);
+router.post('/:id/archive', protect, authorize('manager'), archiveDiscountRule);
+
+module.exports = router;
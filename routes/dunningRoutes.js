@@ -0,0 +1,36 @@
+// server/routes/dunningRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getDunningSettings,
+  updateDunningSettings,
+  getDunningCases,
+  getCaseReminders,
+  snoozeCase,
+  recordPromise,
+  reopenCase,
+  runDunningNow,
+} = require('../controllers/dunningController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+router.use(protect);
+
+// School thresholds and channels (Manager)
+router.get('/settings', authorize('manager'), getDunningSettings);
+router.put('/settings', authorize('manager'), updateDunningSettings);
+
+// Cases and their reminder log (Manager/Staff)
+router.get('/cases', authorize('manager', 'staff'), getDunningCases);
+router.get('/cases/:id/reminders', authorize('manager', 'staff'), getCaseReminders);
+
+// Case follow-up (Manager)
+router.post('/cases/:id/snooze', authorize('manager'), snoozeCase);
+router.post('/cases/:id/promise', authorize('manager'), recordPromise);
+router.post('/cases/:id/reopen', authorize('manager'), reopenCase);
+
+// Manual run for the manager's school (the scheduled job covers all schools)
+router.post('/run', authorize('manager'), runDunningNow);
+
+module.exports = router;
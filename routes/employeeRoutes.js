@@ -10,6 +10,9 @@ const {
   deleteEmployee,
   getEmployeeSalaryHistory,
   payEmployeeSalary,
+  getSalaryAdjustments,
+  addSalaryAdjustment,
+  voidSalaryAdjustment,
   getSalarySummary,
   getEmployeeByUsername,
   getEmployeeByUserId
@@ -54,6 +57,21 @@ router.get('/:id/salary', getEmployeeSalaryHistory);
 // @access  Private (Manager)
 router.post('/:id/pay', payEmployeeSalary);
 
+// @route   GET /api/employees/:id/adjustments
+// @desc    List salary adjustments and advances being recovered
+// @access  Private (Manager)
+router.get('/:id/adjustments', authorize('manager'), getSalaryAdjustments);
+
+// @route   POST /api/employees/:id/adjustments
+// @desc    Record an advance, bonus, deduction or reimbursement
+// @access  Private (Manager)
+router.post('/:id/adjustments', authorize('manager'), addSalaryAdjustment);
+
+// @route   POST /api/employees/adjustments/:adjustmentId/void
+// @desc    Void a salary adjustment
+// @access  Private (Manager)
+router.post('/adjustments/:adjustmentId/void', authorize('manager'), voidSalaryAdjustment);
+
 // @route   GET /api/employees/salary-summary/:schoolId/:year/:month
 // @desc    Get salary summary for a month
 // @access  Private (Manager)
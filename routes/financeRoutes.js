@@ -16,17 +16,84 @@ const {
   getIncomeExpenseTrends,
   getTeacherPayoutDistribution,
   getStudentDebtTrends,
+  getCashFlowForecast,
   getExpenseCategories,
-  getEmployeeSalaryAnalytics
+  getEmployeeSalaryAnalytics,
+  exportMonth,
+  reopenMonth,
+  getFinancialAdjustments,
+  addFinancialAdjustment,
+  voidFinancialAdjustment
 } = require('../controllers/financeController');
+const {
+  getLedgerAccounts,
+  getTrialBalance,
+  getAccountStatement,
+  getJournal,
+  syncLedger
+} = require('../controllers/ledgerController');
+const {
+  getPayoutDisputes,
+  resolvePayoutDispute
+} = require('../controllers/teacherStatementController');
+const {
+  submitExpense,
+  getMyExpenses,
+  getExpenses,
+  reviewExpense,
+  downloadExpenseReceipt,
+  getApprovalSettings,
+  updateApprovalSettings
+} = require('../controllers/expenseController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 const { checkFinanceAccess } = require('../middleware/permissionMiddleware');
+const { upload, handleMulterError } = require('../middleware/uploadMiddleware');
 
-// All routes are protected and require Manager role
+// All routes are protected
 router.use(protect);
+
+// @route   POST /api/finance/expenses
+// @desc    Submit an expense with its receipt (pending until a manager approves it)
+// @access  Private (Staff, Manager)
+router.post('/expenses',
+  authorize('manager', 'staff'),
+  (req, res, next) => { req.uploadTarget = 'expense-receipts'; next(); },
+  upload.single('receipt'),
+  handleMulterError,
+  submitExpense
+);
+
+// @route   GET /api/finance/expenses/mine
+// @desc    Expenses submitted by the logged-in user
+// @access  Private (Staff, Manager)
+router.get('/expenses/mine', authorize('manager', 'staff'), getMyExpenses);
+
+// @route   GET /api/finance/expenses/:id/receipt
+// @desc    Download the receipt of an expense (staff: their own only)
+// @access  Private (Staff, Manager)
+router.get('/expenses/:id/receipt', authorize('manager', 'staff'), downloadExpenseReceipt);
+
+// The other routes require Manager role
 router.use(authorize('manager'));
 router.use(checkFinanceAccess);
 
+// @route   GET /api/finance/expenses
+// @desc    Expenses by approval status (default: pending)
+// @access  Private (Manager)
+router.get('/expenses', getExpenses);
+
+// @route   POST /api/finance/expenses/:id/review
+// @desc    Approve or reject a pending expense within the approver's limit
+// @access  Private (Manager)
+router.post('/expenses/:id/review', reviewExpense);
+
+// @route   GET|PUT /api/finance/expense-approval
+// @desc    Expense approval limits (changed by the principal)
+// @access  Private (Manager)
+router.route('/expense-approval')
+  .get(getApprovalSettings)
+  .put(updateApprovalSettings);
+
 // @route   GET /api/finance/overview/:schoolId/:year/:month
 // @desc    Get financial overview for a specific month
 // @access  Private (Manager)
@@ -77,6 +144,31 @@ router.delete('/transactions/delete/:id', deleteManualTransaction);
 // @access  Private (Manager)
 router.post('/freeze/:schoolId/:year/:month', freezeMonth);
 
+// @route   POST /api/finance/reopen/:schoolId/:year/:month
+// @desc    Reopen a frozen month with a reason
+// @access  Private (Principal)
+router.post('/reopen/:schoolId/:year/:month', reopenMonth);
+
+// @route   POST /api/finance/adjustments/void/:id
+// @desc    Void a post-freeze adjustment
+// @access  Private (Manager)
+router.post('/adjustments/void/:id', voidFinancialAdjustment);
+
+// @route   GET /api/finance/adjustments/:schoolId/:year/:month
+// @desc    List post-freeze adjustments of a month
+// @access  Private (Manager)
+router.get('/adjustments/:schoolId/:year/:month', getFinancialAdjustments);
+
+// @route   POST /api/finance/adjustments/:schoolId/:year/:month
+// @desc    Record a post-freeze adjustment
+// @access  Private (Manager)
+router.post('/adjustments/:schoolId/:year/:month', addFinancialAdjustment);
+
+// @route   GET /api/finance/export/:schoolId/:year/:month?format=csv|xlsx|ofx
+// @desc    Export a frozen month for accounting
+// @access  Private (Manager)
+router.get('/export/:schoolId/:year/:month', exportMonth);
+
 // Analytics routes
 // @route   GET /api/finance/analytics/trends/:schoolId/:year/:month
 // @desc    Get income vs expenses for selected month
@@ -93,6 +185,11 @@ router.get('/analytics/teacher-payouts/:schoolId/:year/:month', getTeacherPayout
 // @access  Private (Manager)
 router.get('/analytics/debt-trends/:schoolId/:year/:month', getStudentDebtTrends);
 
+// @route   GET /api/finance/analytics/forecast/:schoolId?months=&enrollmentDrop=
+// @desc    Cash-flow forecast for the next 1-3 months, with an enrollment drop scenario
+// @access  Private (Manager)
+router.get('/analytics/forecast/:schoolId', getCashFlowForecast);
+
 // @route   GET /api/finance/analytics/expense-categories/:schoolId/:year/:month
 // @desc    Get expense categories breakdown
 // @access  Private (Manager)
@@ -103,4 +200,40 @@ router.get('/analytics/expense-categories/:schoolId/:year/:month', getExpenseCat
 // @access  Private (Manager)
 router.get('/analytics/employee-salaries/:schoolId/:year/:month', getEmployeeSalaryAnalytics);
 
+// @route   GET /api/finance/payout-disputes
+// @desc    Disputes teachers raised on their payout statements
+// @access  Private (Manager)
+router.get('/payout-disputes', getPayoutDisputes);
+
+// @route   POST /api/finance/payout-disputes/:id/resolve
+// @desc    Resolve a payout dispute with an adjustment, or reject it
+// @access  Private (Manager)
+router.post('/payout-disputes/:id/resolve', resolvePayoutDispute);
+
+// Ledger routes
+// @route   GET /api/finance/ledger/accounts
+// @desc    Chart of accounts
+// @access  Private (Manager)
+router.get('/ledger/accounts', getLedgerAccounts);
+
+// @route   GET /api/finance/ledger/trial-balance/:schoolId/:year/:month
+// @desc    Trial balance with the overview figures traced to the ledger
+// @access  Private (Manager)
+router.get('/ledger/trial-balance/:schoolId/:year/:month', getTrialBalance);
+
+// @route   GET /api/finance/ledger/statement/:schoolId/:account
+// @desc    Account statement with running balance
+// @access  Private (Manager)
+router.get('/ledger/statement/:schoolId/:account', getAccountStatement);
+
+// @route   GET /api/finance/ledger/journal/:schoolId/:year/:month
+// @desc    Journal entries of a month
+// @access  Private (Manager)
+router.get('/ledger/journal/:schoolId/:year/:month', getJournal);
+
+// @route   POST /api/finance/ledger/sync/:schoolId
+// @desc    Backfill missing ledger entries
+// @access  Private (Manager)
+router.post('/ledger/sync/:schoolId', syncLedger);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+// server/routes/holidayRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+} = require('../controllers/holidayController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+router.use(protect);
+
+router.get('/', getHolidays);
+
+// Changing the calendar cancels or restores class sessions
+router.post('/', authorize('manager'), createHoliday);
+router.put('/:id', authorize('manager'), updateHoliday);
+router.delete('/:id', authorize('manager'), deleteHoliday);
+
+module.exports = router;
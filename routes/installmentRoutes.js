@@ -0,0 +1,25 @@
+// server/routes/installmentRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  createInstallmentPlan,
+  getInstallmentPlans,
+  getInstallmentPlan,
+  cancelInstallmentPlan,
+  getOverdueInstallments,
+} = require('../controllers/installmentController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Plans for per_cycle enrollments
+router.get('/', protect, authorize('manager', 'staff'), getInstallmentPlans);
+router.post('/', protect, authorize('manager'), createInstallmentPlan);
+
+// Overdue report for the school (must be declared before /:id)
+router.get('/overdue', protect, authorize('manager', 'staff'), getOverdueInstallments);
+
+router.get('/:id', protect, authorize('manager', 'staff'), getInstallmentPlan);
+router.post('/:id/cancel', protect, authorize('manager'), cancelInstallmentPlan);
+
+module.exports = router;
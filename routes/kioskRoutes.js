@@ -0,0 +1,28 @@
+// server/routes/kioskRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  registerDevice,
+  getDevices,
+  updateDevice,
+  rotateDeviceToken,
+  revokeDevice,
+  getKioskDevice,
+  checkIn,
+} = require('../controllers/kioskController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { kioskProtect } = require('../middleware/kioskMiddleware');
+
+// Front-desk devices authenticate with their kiosk token, not a user login
+router.get('/me', kioskProtect, getKioskDevice);
+router.post('/check-in', kioskProtect, checkIn);
+
+router.get('/devices', protect, authorize('manager'), getDevices);
+router.post('/devices', protect, authorize('manager'), registerDevice);
+router.put('/devices/:id', protect, authorize('manager'), updateDevice);
+router.post('/devices/:id/token', protect, authorize('manager'), rotateDeviceToken);
+router.delete('/devices/:id', protect, authorize('manager'), revokeDevice);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// server/routes/leaveRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getMyLeave,
+  requestLeave,
+  cancelMyLeave,
+  getLeaveRequests,
+  createLeave,
+  reviewLeave,
+  cancelLeave,
+  getLeaveBalances,
+  getAffectedSessions,
+  getLeavePolicySettings,
+  updateLeavePolicySettings,
+} = require('../controllers/leaveController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+router.use(protect);
+
+// Self-service: teachers and staff request their own leave
+router.get('/me', authorize('teacher', 'staff'), getMyLeave);
+router.post('/me', authorize('teacher', 'staff'), requestLeave);
+router.post('/me/:id/cancel', authorize('teacher', 'staff'), cancelMyLeave);
+
+// School leave policy (Manager)
+router.get('/policy', authorize('manager'), getLeavePolicySettings);
+router.put('/policy', authorize('manager'), updateLeavePolicySettings);
+
+// Balances and sessions needing a substitute (Manager)
+router.get('/balances', authorize('manager'), getLeaveBalances);
+router.get('/affected-sessions', authorize('manager'), getAffectedSessions);
+
+// Requests and approval (Manager)
+router.get('/', authorize('manager'), getLeaveRequests);
+router.post('/', authorize('manager'), createLeave);
+router.post('/:id/review', authorize('manager'), reviewLeave);
+router.post('/:id/cancel', authorize('manager'), cancelLeave);
+
+module.exports = router;
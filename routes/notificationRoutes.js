@@ -0,0 +1,14 @@
+// server/routes/notificationRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const { getMyNotifications, markNotificationRead, markAllNotificationsRead } = require('../controllers/notificationController');
+const { protect } = require('../middleware/authMiddleware');
+
+// In-app notifications of the logged-in user (any role)
+router.get('/', protect, getMyNotifications);
+router.post('/read-all', protect, markAllNotificationsRead);
+router.post('/:id/read', protect, markNotificationRead);
+
+module.exports = router;
@@ -3,8 +3,10 @@
 const express = require('express');
 const router = express.Router();
 
-const { createPayment, getPayments, getPaymentById, updatePayment, deletePayment, getPaymentsForTeacher, adjustStudentDebt, getStudentDebt, payStudentDebt, cleanupDebtTransactions } = require('../controllers/paymentController');
+const { createPayment, getPayments, getPaymentById, updatePayment, deletePayment, voidPayment, refundPayment, getPaymentsForTeacher, adjustStudentDebt, getStudentDebt, payStudentDebt, cleanupDebtTransactions, uploadPaymentProof, downloadPaymentProof, getPaymentReceipt, getVoidedReceipts } = require('../controllers/paymentController');
+const { getPaymentMethods, createPaymentMethod, updatePaymentMethod, getReconciliation, createReconciliation } = require('../controllers/paymentMethodController');
 const { protect, authorize } = require('../middleware/authMiddleware');
+const { upload, handleMulterError } = require('../middleware/uploadMiddleware');
 
 // Create a payment record (Manager/Staff only)
 router.post('/', protect, authorize('manager', 'staff'), createPayment);
@@ -15,13 +17,43 @@ router.get('/', protect, authorize('manager', 'staff'), getPayments);
 // Read-only payments view for teachers, scoped to their own classes
 router.get('/teacher', protect, authorize('teacher', 'manager', 'staff'), getPaymentsForTeacher);
 
+// Payment method catalog (must be declared before /:id)
+router.get('/methods', protect, authorize('manager', 'staff'), getPaymentMethods);
+router.post('/methods', protect, authorize('manager'), createPaymentMethod);
+router.put('/methods/:methodId', protect, authorize('manager'), updatePaymentMethod);
+
+// Daily cash-drawer / per-method reconciliation (Manager/Staff)
+router.get('/reconciliation', protect, authorize('manager', 'staff'), getReconciliation);
+router.post('/reconciliation', protect, authorize('manager', 'staff'), createReconciliation);
+
+// Receipt numbers left unused by failed payment writes (Manager)
+router.get('/receipts/voided', protect, authorize('manager'), getVoidedReceipts);
+
+// Proof attachment for a payment (Manager/Staff)
+router.post('/:id/proof',
+  protect,
+  authorize('manager', 'staff'),
+  (req, res, next) => { req.uploadTarget = 'payment-proofs'; next(); },
+  upload.single('proof'),
+  handleMulterError,
+  uploadPaymentProof
+);
+router.get('/:id/proof', protect, authorize('manager', 'staff'), downloadPaymentProof);
+
+// Printable receipt; the first print is the original, later ones are marked DUPLICATE (Manager/Staff)
+router.get('/:id/receipt', protect, authorize('manager', 'staff'), getPaymentReceipt);
+
+// Void/refund post a linked reversal entry instead of editing history (Manager only)
+router.post('/:id/void', protect, authorize('manager'), voidPayment);
+router.post('/:id/refund', protect, authorize('manager'), refundPayment);
+
 // Get a single payment by ID (Manager/Staff/Student)
 router.get('/:id', protect, authorize('manager', 'staff', 'student'), getPaymentById);
 
-// Update a payment record (Manager/Staff only)
+// Update the note/reference of a payment (Manager/Staff only)
 router.put('/:id', protect, authorize('manager', 'staff'), updatePayment);
 
-// Delete a payment record (Manager/Staff only)
+// Hard deletes are refused with guidance to void/refund (Manager/Staff only)
 router.delete('/:id', protect, authorize('manager', 'staff'), deletePayment);
 
 // Manual debt adjustment (Manager only)
@@ -0,0 +1,30 @@
+// server/routes/payslipRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getMyPayslips,
+  getMyPayslip,
+  getEmployeePayslip,
+  getTeacherPayslip,
+  issueEmployeePayslip,
+  issueTeacherPayslip,
+} = require('../controllers/payslipController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { checkFinanceAccess } = require('../middleware/permissionMiddleware');
+
+router.use(protect);
+
+// Self-service: teachers and staff download their own payslips
+router.get('/me', authorize('teacher', 'staff'), getMyPayslips);
+router.get('/me/:year/:month', authorize('teacher', 'staff'), getMyPayslip);
+
+router.get('/employee/:employeeId/:year/:month', authorize('manager', 'staff'), checkFinanceAccess, getEmployeePayslip);
+router.get('/teacher/:teacherId/:year/:month', authorize('manager', 'staff'), checkFinanceAccess, getTeacherPayslip);
+
+// Issuing numbers the payslip; viewing never does, so the sequence has no gaps
+router.post('/employee/:employeeId/:year/:month/issue', authorize('manager', 'staff'), checkFinanceAccess, issueEmployeePayslip);
+router.post('/teacher/:teacherId/:year/:month/issue', authorize('manager', 'staff'), checkFinanceAccess, issueTeacherPayslip);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// server/routes/recurringTransactionRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getRecurringTransactions,
+  createRecurringTransaction,
+  updateRecurringTransaction,
+  deleteRecurringTransaction,
+  getOccurrences,
+  skipRecurringOccurrence,
+  unskipRecurringOccurrence,
+  runRecurringTransactions,
+} = require('../controllers/recurringTransactionController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { checkFinanceAccess } = require('../middleware/permissionMiddleware');
+
+router.use(protect, authorize('manager'), checkFinanceAccess);
+
+// Generate the due entries of every template now
+router.post('/run', runRecurringTransactions);
+
+router.get('/', getRecurringTransactions);
+router.post('/', createRecurringTransaction);
+router.put('/:id', updateRecurringTransaction);
+router.delete('/:id', deleteRecurringTransaction);
+
+// Occurrences of a template; skip or restore one occurrence
+router.get('/:id/occurrences', getOccurrences);
+router.post('/:id/skip', skipRecurringOccurrence);
+router.delete('/:id/skip', unskipRecurringOccurrence);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// server/routes/teacherStatementRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getMyStatements,
+  getMyStatement,
+  getMyDisputes,
+  raiseDispute,
+} = require('../controllers/teacherStatementController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+router.use(protect);
+router.use(authorize('teacher'));
+
+router.get('/', getMyStatements);
+router.get('/disputes', getMyDisputes);
+router.post('/disputes', raiseDispute);
+router.get('/:year/:month', getMyStatement);
+
+module.exports = router;
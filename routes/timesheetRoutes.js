@@ -0,0 +1,32 @@
+// server/routes/timesheetRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  clockIn,
+  clockOut,
+  getMyTimesheet,
+  getTimesheets,
+  getTimesheetSummary,
+  createTimesheetEntry,
+  updateTimesheetEntry,
+  reviewTimesheetEntries,
+} = require('../controllers/timesheetController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+router.use(protect);
+
+// Staff clock in/out and their own timesheet
+router.post('/clock-in', authorize('staff'), clockIn);
+router.post('/clock-out', authorize('staff'), clockOut);
+router.get('/me', authorize('staff'), getMyTimesheet);
+
+// Manager review and monthly totals
+router.get('/summary/:year/:month', authorize('manager'), getTimesheetSummary);
+router.post('/review', authorize('manager'), reviewTimesheetEntries);
+router.get('/', authorize('manager'), getTimesheets);
+router.post('/', authorize('manager'), createTimesheetEntry);
+router.put('/:id', authorize('manager'), updateTimesheetEntry);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+/*
+  Migration script: Give receipt numbers to payments recorded before receipt numbering existed.
+  Each school's legacy payments are numbered oldest first in the legacy series (L2024-000001, ...),
+  kept apart from the gap-free sequence of new receipts. Idempotent and supports dry-run.
+*/
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Payment = require('../models/Payment');
+const { numberLegacyPayments } = require('../services/receiptService');
+
+async function run({ dryRun = true } = {}) {
+  await mongoose.connect(process.env.MONGO_URI, { dbName: process.env.MONGO_DB || undefined });
+  const schoolIds = await Payment.distinct('schoolId', { receiptNumber: { $exists: false } });
+  let paymentsNumbered = 0;
+
+  for (const schoolId of schoolIds) {
+    if (dryRun) {
+      paymentsNumbered += await Payment.countDocuments({ schoolId, receiptNumber: { $exists: false } });
+    } else {
+      paymentsNumbered += await numberLegacyPayments(Payment, schoolId);
+    }
+  }
+
+  await mongoose.connection.close();
+  return { schools: schoolIds.length, paymentsNumbered, dryRun };
+}
+
+if (require.main === module) {
+  run({ dryRun: process.argv.includes('--apply') ? false : true })
+    .then((r) => { console.log('Migration summary:', r); process.exit(0); })
+    .catch((e) => { console.error('Migration failed:', e); process.exit(1); });
+}
+
+module.exports = { run };
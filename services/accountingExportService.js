@@ -0,0 +1,310 @@
+// server/services/accountingExportService.js
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AdmZip = require('adm-zip');
+const Payment = require('../models/Payment');
+const ManualTransaction = require('../models/ManualTransaction');
+const TeacherPayout = require('../models/TeacherPayout');
+const EmployeeSalaryTransaction = require('../models/EmployeeSalaryTransaction');
+const SalaryAdjustment = require('../models/SalaryAdjustment');
+
+const COLUMNS = ['id', 'date', 'type', 'category', 'ledgerAccount', 'counterparty', 'reference', 'method', 'description', 'amount'];
+
+// Frozen summary fields covered by the checksum, in a fixed order
+const SUMMARY_FIELDS = [
+  'schoolId', 'year', 'month', 'totalIncome', 'totalExpenses', 'totalDebts', 'discountGiven',
+  'teacherEarnings', 'totalStaffSalariesPaid', 'employeeCount', 'teacherCount', 'netBalance', 'frozenAt',
+];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const fullName = (u) => (u ? [u.firstName, u.lastName].filter(Boolean).join(' ') : '');
+
+/**
+ * SHA-256 over the frozen summary figures, so an export can be matched against the frozen month
+ * @param {Object} summary - Frozen MonthlyFinancialSummary
+ * @returns {{ algorithm: string, value: string, fields: Object }}
+ */
+function summaryChecksum(summary) {
+  const fields = {};
+  for (const key of SUMMARY_FIELDS) {
+    const value = summary[key];
+    if (value instanceof Date) fields[key] = value.toISOString();
+    else if (value && typeof value === 'object' && value.toString) fields[key] = value.toString();
+    else fields[key] = value ?? null;
+  }
+  const value = crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+  return { algorithm: 'sha256', value, fields };
+}
+
+/**
+ * One line per money movement of the month. Inflows are positive, outflows negative.
+ * IDs are derived from the source documents so re-exports produce the same IDs.
+ * @param {string|ObjectId} schoolId
+ * @param {number} year
+ * @param {number} month
+ * @returns {Promise<Object[]>}
+ */
+async function buildExportLines(schoolId, year, month) {
+  const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
+  const startDate = new Date(year, month - 1, 1);
+  const endDate = new Date(year, month, 0, 23, 59, 59, 999);
+
+  const [payments, manualTransactions, payouts, salaries, advances] = await Promise.all([
+    Payment.find({ schoolId: schoolIdObj, createdAt: { $gte: startDate, $lte: endDate } })
+      .populate('studentId', 'firstName lastName studentCode')
+      .populate('classId', 'name')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean(),
+    ManualTransaction.find({ schoolId: schoolIdObj, status: ManualTransaction.COUNTED_STATUS, date: { $gte: startDate, $lte: endDate } })
+      .sort({ date: 1, _id: 1 })
+      .lean(),
+    TeacherPayout.find({ schoolId: schoolIdObj, year, month })
+      .populate('teacherId', 'firstName lastName')
+      .sort({ _id: 1 })
+      .lean(),
+    EmployeeSalaryTransaction.find({ schoolId: schoolIdObj, year, month, paidAmount: { $gt: 0 } })
+      .populate('employeeId', 'name')
+      .sort({ _id: 1 })
+      .lean(),
+    SalaryAdjustment.find({ schoolId: schoolIdObj, type: 'advance', status: 'active', year, month })
+      .populate('employeeId', 'name')
+      .sort({ date: 1, _id: 1 })
+      .lean(),
+  ]);
+
+  const lines = [];
+
+  for (const p of payments) {
+    const isDebtPayment = p.kind === 'debt_payment' || (!p.classId && p.kind !== 'reversal');
+    let category = isDebtPayment ? 'Debt payments' : 'Student payments';
+    if (p.kind === 'reversal') category = p.reversalType === 'refund' ? 'Payment refunds' : 'Payment voids';
+    lines.push({
+      id: `PAY-${p._id}`,
+      date: p.createdAt,
+      type: 'student_payment',
+      category,
+      ledgerAccount: p.classId ? 'tuition_income' : 'student_receivables',
+      counterparty: [fullName(p.studentId), p.studentId?.studentCode].filter(Boolean).join(' / '),
+      reference: p.receiptNumber || p.reference || '',
+      method: p.method || '',
+      description: [p.classId?.name, p.note].filter(Boolean).join(' - '),
+      amount: round2(p.taken),
+    });
+  }
+
+  for (const t of manualTransactions) {
+    lines.push({
+      id: `MTX-${t._id}`,
+      date: t.date,
+      type: t.type === 'income' ? 'manual_income' : 'manual_expense',
+      category: t.category,
+      ledgerAccount: t.type === 'income' ? 'other_income' : 'expenses',
+      counterparty: '',
+      reference: t.receiptNumber || '',
+      method: '',
+      description: t.description,
+      amount: round2(t.type === 'income' ? t.amount : -t.amount),
+    });
+  }
+
+  for (const payout of payouts) {
+    for (const item of payout.payoutHistory || []) {
+      lines.push({
+        id: `TPO-${payout._id}-${item._id}`,
+        date: item.paidAt,
+        type: 'teacher_payout',
+        category: 'Teacher payouts',
+        ledgerAccount: 'teacher_payables',
+        counterparty: fullName(payout.teacherId),
+        reference: payout.classData?.className || '',
+        method: item.method || '',
+        description: item.note || '',
+        amount: -round2(item.amount),
+      });
+    }
+  }
+
+  for (const s of salaries) {
+    lines.push({
+      id: `SAL-${s._id}`,
+      date: s.transactionDate,
+      type: 'salary',
+      category: 'Salaries',
+      ledgerAccount: 'salaries',
+      counterparty: s.employeeId?.name || '',
+      reference: `${s.year}-${String(s.month).padStart(2, '0')}`,
+      method: s.paymentMethod || '',
+      description: s.notes || '',
+      amount: -round2(s.paidAmount),
+    });
+  }
+
+  for (const a of advances) {
+    lines.push({
+      id: `ADV-${a._id}`,
+      date: a.date,
+      type: 'salary_advance',
+      category: 'Salary advances',
+      ledgerAccount: 'salaries',
+      counterparty: a.employeeId?.name || '',
+      reference: `${a.year}-${String(a.month).padStart(2, '0')}`,
+      method: a.paymentMethod || '',
+      description: a.reason || '',
+      amount: -round2(a.amount),
+    });
+  }
+
+  return lines;
+}
+
+function csvCell(value) {
+  let text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  // Keep spreadsheet apps from evaluating user-entered text as a formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with the summary checksum as leading comment lines
+ */
+function toCsv(lines, { summary, checksum }) {
+  const out = [
+    `# School ${summary.schoolId} - ${summary.year}-${String(summary.month).padStart(2, '0')}`,
+    `# Summary checksum (${checksum.algorithm}): ${checksum.value}`,
+    COLUMNS.join(','),
+    ...lines.map(line => COLUMNS.map(c => csvCell(line[c])).join(',')),
+  ];
+  return out.join('\r\n') + '\r\n';
+}
+
+function xmlEscape(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function sheetXml(rows) {
+  const body = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+      const text = value instanceof Date ? value.toISOString() : value;
+      return `<c r="${ref}" t="inlineStr"><is><t>${xmlEscape(text)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + `<sheetData>${body}</sheetData></worksheet>`;
+}
+
+/**
+ * Minimal XLSX workbook: a "Transactions" sheet and a "Summary" sheet with the frozen figures and checksum
+ * @returns {Buffer}
+ */
+function toXlsx(lines, { summary, checksum }) {
+  const transactions = [COLUMNS, ...lines.map(line => COLUMNS.map(c => line[c]))];
+  const summaryRows = [
+    ['field', 'value'],
+    ...Object.entries(checksum.fields).map(([k, v]) => [k, v]),
+    ['checksumAlgorithm', checksum.algorithm],
+    ['checksum', checksum.value],
+  ];
+  const sheets = [['Transactions', transactions], ['Summary', summaryRows]];
+
+  const zip = new AdmZip();
+  zip.addFile('[Content_Types].xml', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+    + '</Types>'
+  ));
+  zip.addFile('_rels/.rels', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>'
+  ));
+  zip.addFile('xl/workbook.xml', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + '<sheets>' + sheets.map(([name], i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') + '</sheets>'
+    + '</workbook>'
+  ));
+  zip.addFile('xl/_rels/workbook.xml.rels', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+    + '</Relationships>'
+  ));
+  sheets.forEach(([, rows], i) => zip.addFile(`xl/worksheets/sheet${i + 1}.xml`, Buffer.from(sheetXml(rows))));
+  return zip.toBuffer();
+}
+
+function ofxDate(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}`;
+}
+
+/**
+ * OFX 2 bank statement of the school's cash account; FITID is the stable line ID
+ */
+function toOfx(lines, { summary, checksum, currency = 'DZD' }) {
+  const start = new Date(summary.year, summary.month - 1, 1);
+  const end = new Date(summary.year, summary.month, 0, 23, 59, 59);
+  const transactions = lines.map(line => [
+    '<STMTTRN>',
+    `<TRNTYPE>${line.amount >= 0 ? 'CREDIT' : 'DEBIT'}</TRNTYPE>`,
+    `<DTPOSTED>${ofxDate(line.date)}</DTPOSTED>`,
+    `<TRNAMT>${line.amount.toFixed(2)}</TRNAMT>`,
+    `<FITID>${xmlEscape(line.id)}</FITID>`,
+    `<NAME>${xmlEscape((line.counterparty || line.category).slice(0, 32))}</NAME>`,
+    `<MEMO>${xmlEscape([line.category, line.reference, line.description].filter(Boolean).join(' | ').slice(0, 255))}</MEMO>`,
+    '</STMTTRN>',
+  ].join('')).join('\n');
+  const balance = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    `<!-- Summary checksum (${checksum.algorithm}): ${checksum.value} -->`,
+    '<OFX>',
+    `<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS><DTSERVER>${ofxDate(new Date())}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+    '<BANKMSGSRSV1><STMTTRNRS>',
+    `<TRNUID>${summary.schoolId}-${summary.year}${String(summary.month).padStart(2, '0')}</TRNUID>`,
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<STMTRS><CURDEF>${currency}</CURDEF>`,
+    `<BANKACCTFROM><BANKID>SCHOOL</BANKID><ACCTID>${summary.schoolId}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+    `<BANKTRANLIST><DTSTART>${ofxDate(start)}</DTSTART><DTEND>${ofxDate(end)}</DTEND>`,
+    transactions,
+    '</BANKTRANLIST>',
+    `<LEDGERBAL><BALAMT>${balance.toFixed(2)}</BALAMT><DTASOF>${ofxDate(end)}</DTASOF></LEDGERBAL>`,
+    '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  COLUMNS,
+  summaryChecksum,
+  buildExportLines,
+  toCsv,
+  toXlsx,
+  toOfx,
+};
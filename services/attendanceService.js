@@ -0,0 +1,259 @@
+// server/services/attendanceService.js
+
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Enrollment = require('../models/Enrollment');
+const { completeSession } = require('./classSessionService');
+
+// Enrollment counters moved by each status
+const STATUS_COUNTERS = {
+  present: ['attended'],
+  late: ['attended', 'late'],
+  left_early: ['attended', 'leftEarly'],
+  excused: ['excused'],
+  absent: ['absent'],
+};
+
+const emptyCounters = () => ({ attended: 0, absent: 0, late: 0, leftEarly: 0, excused: 0 });
+
+// Whether an attendance record consumed a session (records from before billing policies: only present did)
+const wasCharged = (record) => (typeof record.charged === 'boolean' ? record.charged : record.status === 'present');
+
+/**
+ * Counter and balance changes of an attendance record going from prev to next ({ status, charged },
+ * null when there is no record): a charged record uses one session of the balance, which is refunded
+ * when the record changes or is undone.
+ * @returns {Object} { counters: { attended, absent, late, leftEarly, excused }, balance }
+ */
+function attendanceDeltas(prev, next) {
+  const counters = emptyCounters();
+  for (const key of STATUS_COUNTERS[prev?.status] || []) counters[key] -= 1;
+  for (const key of STATUS_COUNTERS[next?.status] || []) counters[key] += 1;
+  const balance = (prev && wasCharged(prev) ? 1 : 0) - (next && wasCharged(next) ? 1 : 0);
+  return { counters, balance };
+}
+
+/**
+ * Whether a mark is charged: an unchanged status keeps the charge of its record, otherwise the class
+ * billing policy decides, given the enrollment's earlier unexcused absences
+ * @param {Object} klass - Class document
+ * @param {Object} enrollment - Enrollment with sessionCounters
+ * @param {Object|null} prev - Previous record { status, charged } of the day
+ * @param {string} status - New status
+ */
+function chargeFor(klass, enrollment, prev, status) {
+  if (prev && prev.status === status) return wasCharged(prev);
+  const priorAbsences = (enrollment.sessionCounters?.absent || 0) - (prev?.status === 'absent' ? 1 : 0);
+  return klass.isSessionCharged(status, Math.max(0, priorAbsences));
+}
+
+// $set/$unset of the arrival and departure times kept for a status
+function attendanceTimes(status, { arrivalTime, departureTime } = {}) {
+  const set = {};
+  const unset = {};
+  if (status === 'late' && arrivalTime) set.arrivalTime = arrivalTime;
+  else unset.arrivalTime = 1;
+  if (status === 'left_early' && departureTime) set.departureTime = departureTime;
+  else unset.departureTime = 1;
+  return { set, unset };
+}
+
+// Enrollment $inc of attendance deltas (empty when nothing changes)
+function enrollmentIncrements(delta) {
+  const inc = {};
+  for (const [key, value] of Object.entries(delta.counters)) {
+    if (value) inc[`sessionCounters.${key}`] = value;
+  }
+  if (delta.balance) inc.balance = delta.balance;
+  return inc;
+}
+
+/**
+ * Sessions charged by attendance per enrollment. Records from before billing policies count the
+ * way they were billed then: present, plus absent when the class absenceRule is on.
+ * @param {Array<ObjectId>} enrollmentIds
+ * @param {boolean} absenceRule - Class absenceRule
+ * @returns {Promise<Map<string, number>>} enrollmentId -> sessions charged
+ */
+async function chargedSessions(enrollmentIds, absenceRule = false) {
+  const legacy = absenceRule ? { $in: ['$status', ['present', 'absent']] } : { $eq: ['$status', 'present'] };
+  const rows = await Attendance.aggregate([
+    { $match: { enrollmentId: { $in: enrollmentIds } } },
+    {
+      $group: {
+        _id: '$enrollmentId',
+        charged: { $sum: { $cond: [{ $eq: [{ $type: '$charged' }, 'bool'] }, { $cond: ['$charged', 1, 0] }, { $cond: [legacy, 1, 0] }] } },
+      },
+    },
+  ]);
+  return new Map(rows.map(r => [r._id.toString(), r.charged]));
+}
+
+/**
+ * Run fn inside a MongoDB transaction. Standalone servers (development, tests) have no transactions:
+ * fn then runs without one, so callers validate everything before their first write.
+ * @param {Function} fn - async (session|null) => result
+ */
+async function runInTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (err) {
+    // IllegalOperation: transaction numbers are only allowed on a replica set member or mongos
+    if (err?.code === 20) return fn(null);
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * With unexcused absences charged 'after' the free ones, re-evaluate the charge of the enrollment's
+ * absences from the date of a mark that added or removed an absence (marked, excused or undone) on:
+ * an absence is charged once freeAbsences absences of the enrollment come before it in date order.
+ * The balance moves by the charges that changed.
+ * @param {Object} klass - Class document (billingPolicy, absenceRule)
+ * @param {ObjectId} enrollmentId
+ * @param {Date} date - UTC date of the changed mark
+ * @param {Object} [options] - Mongoose options (transaction session)
+ * @returns {Promise<number>} Balance change applied
+ */
+async function rechargeLaterAbsences(klass, enrollmentId, date, options = {}) {
+  if (klass.billingPolicy?.absent !== 'after') return 0;
+  const absences = await Attendance.find({ enrollmentId, status: 'absent' }, 'date status charged', options).sort({ date: 1 }).lean();
+  let balance = 0;
+  for (const [index, absence] of absences.entries()) {
+    if (absence.date < date) continue;
+    const charged = klass.isSessionCharged('absent', index);
+    if (charged === wasCharged(absence)) continue;
+    const filter = { _id: absence._id, status: 'absent', charged: wasCharged(absence) ? { $ne: false } : { $ne: true } };
+    const result = await Attendance.updateOne(filter, { $set: { charged } }, options);
+    if (result.modifiedCount === 1) balance += charged ? -1 : 1;
+  }
+  if (balance) await Enrollment.updateOne({ _id: enrollmentId }, { $inc: { balance } }, options);
+  return balance;
+}
+
+// Whether a mark going from prev to status adds or removes an unexcused absence
+const changesAbsences = (prev, status) => (prev?.status === 'absent') !== (status === 'absent');
+
+const MAX_MARK_ATTEMPTS = 5;
+
+/**
+ * Write the attendance mark of an enrollment over the record read just before (prev): inserted
+ * when the day had no record, otherwise updated only while the record keeps the status and charge
+ * it was read with. Applies the enrollment deltas when the mark was written.
+ * @param {Object} prev - Record { _id, status, charged } read before, or null
+ * @param {Object} mark - { enrollment, date, fields ($set of the record, with status and charged), unset, userId }
+ * @param {Object} options - Mongoose options (transaction session)
+ * @returns {Promise<Object|null>} The deltas applied, or null when another request changed the record first
+ */
+async function writeMark(prev, { enrollment, date, fields, unset, userId }, options) {
+  let written;
+  if (prev) {
+    const filter = { _id: prev._id, status: prev.status, charged: wasCharged(prev) ? { $ne: false } : { $ne: true } };
+    written = (await Attendance.updateOne(filter, { $set: fields, $unset: unset }, options)).matchedCount === 1;
+  } else {
+    try {
+      written = (await Attendance.updateOne(
+        { enrollmentId: enrollment._id, date },
+        { $setOnInsert: { ...fields, createdBy: userId, createdAt: new Date() } },
+        { upsert: true, ...options }
+      )).upsertedCount === 1;
+    } catch (err) {
+      // Without a transaction, a simultaneous insert of the same day fails on the unique index
+      if (err?.code !== 11000 || options.session) throw err;
+      written = false;
+    }
+  }
+  if (!written) return null;
+
+  const delta = attendanceDeltas(prev, { status: fields.status, charged: fields.charged });
+  const inc = enrollmentIncrements(delta);
+  await Enrollment.updateOne(
+    { _id: enrollment._id },
+    { ...(Object.keys(inc).length && { $inc: inc }), $max: { 'sessionCounters.lastAttendanceDate': date } },
+    options
+  );
+  return delta;
+}
+
+/**
+ * Mark the attendance of several enrollments of a class session at once, in a single transaction
+ * when the server supports it. Each mark is written over the record read for it (see writeMark) and
+ * read again on a conflict, so overlapping submissions never apply the same deltas twice, with or
+ * without transactions. Entries must already be validated (active enrollments of the class).
+ * Each mark is charged according to the class billing policy (see chargeFor).
+ * @param {Object} params - { schoolId, klass, session (ClassSession), date, entries: [{ enrollment, status, arrivalTime, departureTime }], userId, kioskDeviceId }
+ * @returns {Promise<Object>} { created, updated, unchanged, countersDelta, balanceDelta }
+ */
+async function markAttendanceBatch({ schoolId, klass, session, date, entries, userId, kioskDeviceId }) {
+  const teacherId = klass.teacherForDate(date);
+
+  const summary = await runInTransaction(async (dbSession) => {
+    const options = dbSession ? { session: dbSession } : {};
+    const totals = { created: 0, updated: 0, unchanged: 0, countersDelta: emptyCounters(), balanceDelta: 0 };
+    for (const { enrollment, status, ...times } of entries) {
+      const { set, unset } = attendanceTimes(status, times);
+      let prev;
+      let delta = null;
+      for (let attempt = 0; !delta && attempt < MAX_MARK_ATTEMPTS; attempt++) {
+        prev = await Attendance.findOne({ enrollmentId: enrollment._id, date }, 'status charged', options).lean();
+        const charged = chargeFor(klass, enrollment, prev, status);
+        const fields = { schoolId, classId: enrollment.classId, studentId: enrollment.studentId, status, charged, teacherId, sessionId: session._id, ...(kioskDeviceId && { kioskDeviceId }), ...set };
+        delta = await writeMark(prev, { enrollment, date, fields, unset, userId }, options);
+      }
+      if (!delta) throw new Error('Attendance is being changed by another request; try again');
+      if (changesAbsences(prev, status)) delta.balance += await rechargeLaterAbsences(klass, enrollment._id, date, options);
+
+      if (!prev) totals.created++;
+      else if (prev.status !== status) totals.updated++;
+      else totals.unchanged++;
+      for (const [key, value] of Object.entries(delta.counters)) totals.countersDelta[key] += value;
+      totals.balanceDelta += delta.balance;
+    }
+    return totals;
+  });
+  await completeSession(session);
+  return summary;
+}
+
+/**
+ * Check a student in from a kiosk scan. The mark is written only over what was read here (see
+ * writeMark), so simultaneous scans charge the balance once, with or without transactions.
+ * @param {Object} params - { schoolId, klass, session (ClassSession), enrollment, status, arrivalTime, userId, kioskDeviceId }
+ * @returns {Promise<boolean>} Whether this call checked the student in
+ */
+async function checkInAttendance({ schoolId, klass, session, enrollment, status, arrivalTime, userId, kioskDeviceId }) {
+  const { date } = session;
+  const checkedIn = await runInTransaction(async (dbSession) => {
+    const options = dbSession ? { session: dbSession } : {};
+    const prev = await Attendance.findOne({ enrollmentId: enrollment._id, date }, 'status charged', options).lean();
+    if (prev && Attendance.ATTENDED_STATUSES.includes(prev.status)) return false;
+
+    const charged = chargeFor(klass, enrollment, prev, status);
+    const { set, unset } = attendanceTimes(status, { arrivalTime });
+    const fields = { schoolId, classId: enrollment.classId, studentId: enrollment.studentId, status, charged, teacherId: klass.teacherForDate(date), sessionId: session._id, kioskDeviceId, ...set };
+    if (!(await writeMark(prev, { enrollment, date, fields, unset, userId }, options))) return false;
+    if (changesAbsences(prev, status)) await rechargeLaterAbsences(klass, enrollment._id, date, options);
+    return true;
+  });
+  if (checkedIn) await completeSession(session);
+  return checkedIn;
+}
+
+module.exports = {
+  attendanceDeltas,
+  chargeFor,
+  attendanceTimes,
+  enrollmentIncrements,
+  chargedSessions,
+  runInTransaction,
+  rechargeLaterAbsences,
+  markAttendanceBatch,
+  checkInAttendance,
+};
@@ -0,0 +1,233 @@
+// server/services/budgetService.js
+
+const mongoose = require('mongoose');
+const Budget = require('../models/Budget');
+const School = require('../models/School');
+const Notification = require('../models/Notification');
+const ManualTransaction = require('../models/ManualTransaction');
+const TeacherPayout = require('../models/TeacherPayout');
+const EmployeeSalaryTransaction = require('../models/EmployeeSalaryTransaction');
+const SalaryAdjustment = require('../models/SalaryAdjustment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Budgets that apply to a month: monthly budgets of that month (or of every month of the year)
+ * and yearly budgets of the year. A month-specific budget wins over an every-month one.
+ */
+async function findApplicableBudgets(schoolId, year, month) {
+  const budgets = await Budget.find({
+    schoolId,
+    year,
+    $or: [{ period: 'yearly' }, { period: 'monthly', month: { $in: [month, null] } }]
+  }).lean();
+
+  const monthly = new Map();
+  const result = [];
+  for (const budget of budgets) {
+    if (budget.period === 'yearly') {
+      result.push(budget);
+      continue;
+    }
+    const id = `${budget.scope}:${budget.key}`;
+    const current = monthly.get(id);
+    if (!current || (current.month === null && budget.month === month)) monthly.set(id, budget);
+  }
+  return [...result, ...monthly.values()];
+}
+
+function periodRange(budget, year, month) {
+  return budget.period === 'yearly'
+    ? { start: new Date(year, 0, 1), end: new Date(year, 11, 31, 23, 59, 59, 999), months: [1, 12] }
+    : { start: new Date(year, month - 1, 1), end: new Date(year, month, 0, 23, 59, 59, 999), months: [month, month] };
+}
+
+/**
+ * Actual spending of the budgeted category/cost type in the period, up to asOf.
+ * Categories use manual expenses by date; staff costs use paid amounts of the payout/salary months.
+ */
+async function getActual(schoolId, budget, range, asOf) {
+  const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
+  const year = range.start.getFullYear();
+  if (budget.scope === 'category') {
+    const end = asOf < range.end ? asOf : range.end;
+    const [row] = await ManualTransaction.aggregate([
+      { $match: { schoolId: schoolIdObj, type: 'expense', status: ManualTransaction.COUNTED_STATUS, date: { $gte: range.start, $lte: end } } },
+      { $match: { $expr: { $eq: [{ $toLower: { $trim: { input: '$category' } } }, budget.key] } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    return row?.total || 0;
+  }
+  const Model = budget.costType === 'teacher_payouts' ? TeacherPayout : EmployeeSalaryTransaction;
+  const months = { $gte: range.months[0], $lte: range.months[1] };
+  const [row] = await Model.aggregate([
+    { $match: { schoolId: schoolIdObj, year, month: months } },
+    { $group: { _id: null, total: { $sum: '$paidAmount' } } }
+  ]);
+  if (budget.costType !== 'employee_salaries') return row?.total || 0;
+  // Salary advances are paid to employees in the month they are handed out
+  const [advances] = await SalaryAdjustment.aggregate([
+    { $match: { schoolId: schoolIdObj, type: 'advance', status: 'active', year, month: months } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return (row?.total || 0) + (advances?.total || 0);
+}
+
+/**
+ * Budget vs actual for one budget: variance, burn rate and forecasts at the current pace
+ * @param {Object} budget
+ * @param {number} actual
+ * @param {Object} range - Period range from periodRange
+ * @param {number} month - Month being looked at (for the month-end forecast of yearly budgets)
+ * @param {Date} asOf
+ */
+function evaluate(budget, actual, range, month, asOf) {
+  const totalDays = Math.round((range.end - range.start + 1) / DAY_MS);
+  const elapsedDays = asOf < range.start ? 0 : Math.min(totalDays, Math.ceil((Math.min(asOf, range.end) - range.start + 1) / DAY_MS));
+  const burnRate = elapsedDays > 0 ? actual / elapsedDays : 0;
+  const forecastPeriodEnd = elapsedDays > 0 ? burnRate * totalDays : 0;
+
+  const monthEnd = new Date(range.start.getFullYear(), month, 0, 23, 59, 59, 999);
+  const daysLeftInMonth = asOf >= monthEnd ? 0 : Math.max(0, Math.floor((monthEnd - Math.max(asOf, range.start)) / DAY_MS));
+  const forecastMonthEnd = actual + burnRate * daysLeftInMonth;
+
+  const percentUsed = budget.amount > 0 ? (actual / budget.amount) * 100 : (actual > 0 ? Infinity : 0);
+  let status = 'ok';
+  if (actual > budget.amount) status = 'exceeded';
+  else if (percentUsed >= budget.alertThreshold) status = 'warning';
+  else if (forecastPeriodEnd > budget.amount) status = 'on_track_to_exceed';
+
+  return {
+    budgetId: budget._id,
+    scope: budget.scope,
+    category: budget.category,
+    costType: budget.costType,
+    period: budget.period,
+    year: budget.year,
+    month: budget.month,
+    budget: round2(budget.amount),
+    actual: round2(actual),
+    variance: round2(budget.amount - actual),
+    percentUsed: Number.isFinite(percentUsed) ? round2(percentUsed) : null,
+    alertThreshold: budget.alertThreshold,
+    alert: percentUsed >= budget.alertThreshold,
+    elapsedDays,
+    totalDays,
+    burnRate: round2(burnRate),
+    forecastMonthEnd: round2(forecastMonthEnd),
+    forecastPeriodEnd: round2(forecastPeriodEnd),
+    forecastVariance: round2(budget.amount - forecastPeriodEnd),
+    status,
+  };
+}
+
+/**
+ * Budget vs actual report for a month (monthly budgets of the month and yearly budgets of its year)
+ * @param {string|ObjectId} schoolId
+ * @param {number} year
+ * @param {number} month
+ * @param {Date} [asOf] - Defaults to now; past months are evaluated at their end
+ */
+async function getBudgetVsActual(schoolId, year, month, asOf = new Date()) {
+  const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
+  const monthEnd = new Date(year, month, 0, 23, 59, 59, 999);
+  const evaluatedAt = asOf > monthEnd ? monthEnd : asOf;
+
+  const budgets = await findApplicableBudgets(schoolIdObj, year, month);
+  const lines = [];
+  for (const budget of budgets) {
+    const range = periodRange(budget, year, month);
+    const actual = await getActual(schoolIdObj, budget, range, evaluatedAt);
+    lines.push(evaluate(budget, actual, range, month, evaluatedAt));
+  }
+
+  // Spending in categories that have no monthly budget this month
+  const budgetedKeys = new Set(budgets.filter(b => b.scope === 'category' && b.period === 'monthly').map(b => b.key));
+  const categories = await ManualTransaction.aggregate([
+    { $match: { schoolId: schoolIdObj, type: 'expense', status: ManualTransaction.COUNTED_STATUS, date: { $gte: new Date(year, month - 1, 1), $lte: monthEnd } } },
+    { $group: { _id: { $toLower: { $trim: { input: '$category' } } }, category: { $first: '$category' }, actual: { $sum: '$amount' } } },
+    { $sort: { actual: -1 } }
+  ]);
+  const unbudgeted = categories
+    .filter(c => !budgetedKeys.has(c._id))
+    .map(c => ({ category: c.category, actual: round2(c.actual) }));
+
+  const monthly = lines.filter(l => l.period === 'monthly');
+  return {
+    year,
+    month,
+    asOf: evaluatedAt,
+    budgets: lines,
+    unbudgeted,
+    totals: {
+      budget: round2(monthly.reduce((s, l) => s + l.budget, 0)),
+      actual: round2(monthly.reduce((s, l) => s + l.actual, 0)),
+      variance: round2(monthly.reduce((s, l) => s + l.variance, 0)),
+      forecastMonthEnd: round2(monthly.reduce((s, l) => s + l.forecastMonthEnd, 0)),
+    },
+    alerts: lines.filter(l => l.alert),
+  };
+}
+
+/**
+ * Notify the school managers once per period when spending crosses a budget's alert
+ * threshold, and again when it exceeds the budget. Called after each expense/payout/salary payment.
+ * @param {string|ObjectId} schoolId
+ * @param {Date} date - Date of the spending (month it belongs to)
+ * @param {{ category?: string, costType?: string }} target
+ * @returns {Promise<number>} Number of alerts sent
+ */
+async function checkBudgetAlerts(schoolId, date, { category, costType }) {
+  const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
+  const d = new Date(date);
+  const year = d.getFullYear();
+  const month = d.getMonth() + 1;
+  const scope = costType ? 'cost_type' : 'category';
+  const key = costType || Budget.normalizeKey(category);
+
+  const budgets = (await findApplicableBudgets(schoolIdObj, year, month))
+    .filter(b => b.scope === scope && b.key === key);
+  if (budgets.length === 0) return 0;
+
+  const school = await School.findById(schoolIdObj).select('managers').lean();
+  const managers = school?.managers || [];
+  let sent = 0;
+
+  for (const budget of budgets) {
+    const range = periodRange(budget, year, month);
+    const actual = await getActual(schoolIdObj, budget, range, new Date());
+    const line = evaluate(budget, actual, range, month, new Date());
+    const level = line.status === 'exceeded' ? 'exceeded' : (line.alert ? 'threshold' : null);
+    if (!level) continue;
+
+    const periodKey = budget.period === 'yearly' ? String(year) : `${year}-${String(month).padStart(2, '0')}`;
+    // Claim the alert atomically so concurrent payments notify once
+    const claimed = await Budget.updateOne(
+      { _id: budget._id, alertsSent: { $not: { $elemMatch: { periodKey, level } } } },
+      { $push: { alertsSent: { periodKey, level, actual: line.actual } } }
+    );
+    if (claimed.modifiedCount !== 1) continue;
+
+    const label = budget.category || budget.costType.replace('_', ' ');
+    const title = level === 'exceeded' ? `Budget exceeded: ${label}` : `Budget ${line.percentUsed}% used: ${label}`;
+    if (managers.length > 0) {
+      await Notification.insertMany(managers.map(userId => ({
+        schoolId: schoolIdObj,
+        userId,
+        type: 'budget_alert',
+        title,
+        message: `${label} (${budget.period} ${periodKey}): ${line.actual} of ${line.budget} DZD spent, forecast ${line.forecastPeriodEnd} DZD.`,
+        data: { budgetId: budget._id, level, periodKey, actual: line.actual, budget: line.budget },
+      })));
+    }
+    sent++;
+  }
+  return sent;
+}
+
+module.exports = {
+  findApplicableBudgets,
+  getBudgetVsActual,
+  checkBudgetAlerts,
+};
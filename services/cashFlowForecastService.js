@@ -0,0 +1,238 @@
+// server/services/cashFlowForecastService.js
+
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const Enrollment = require('../models/Enrollment');
+const Employee = require('../models/Employee');
+const EmployeeSalaryTransaction = require('../models/EmployeeSalaryTransaction');
+const TeacherPayout = require('../models/TeacherPayout');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const ClassSession = require('../models/ClassSession');
+const SchoolHoliday = require('../models/SchoolHoliday');
+const { sessionHours } = require('./teacherPayoutService');
+const { getTrialBalance } = require('./ledgerService');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const utcDay = (d) => new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+
+/**
+ * Scheduled sessions of a class between two UTC dates (inclusive), within its enrollment period.
+ * Sessions cancelled by an override or on a school holiday are left out; the class calendar, when
+ * given, replaces the weekly slots it has sessions for (cancelled, moved or extra sessions).
+ * @param {Object} klass - Class with schedules, enrollmentPeriod and sessionOverrides
+ * @param {Object} calendar - { sessions: ClassSession documents of the class, holidays }
+ * @returns {Array} [{ date, startTime, hours }]
+ */
+function upcomingSessions(klass, from, to, { sessions: calendar = [], holidays = [] } = {}) {
+  const end = klass.enrollmentPeriod?.endDate && utcDay(new Date(klass.enrollmentPeriod.endDate)) < to
+    ? utcDay(new Date(klass.enrollmentPeriod.endDate))
+    : to;
+  const cancelled = new Set((klass.sessionOverrides || [])
+    .filter(o => o.cancelled)
+    .map(o => `${new Date(o.date).getTime()}|${o.startTime}`));
+  const known = new Set(calendar.map(s => `${new Date(s.date).getTime()}|${s.startTime}`));
+  const sessions = [];
+  for (let d = new Date(from); d <= end; d = new Date(d.getTime() + DAY_MS)) {
+    if (holidays.some(h => h.startDate <= d && h.endDate >= d)) continue;
+    for (const slot of klass.schedules || []) {
+      if (slot.dayOfWeek !== DAY_NAMES[d.getUTCDay()]) continue;
+      const key = `${d.getTime()}|${slot.startTime}`;
+      if (cancelled.has(key) || known.has(key)) continue;
+      sessions.push({ date: d, startTime: slot.startTime, hours: sessionHours({ schedules: [slot] }, d) });
+    }
+  }
+  for (const s of calendar) {
+    const date = new Date(s.date);
+    if (s.status !== 'scheduled' || date < from || date > to) continue;
+    sessions.push({ date, startTime: s.startTime, hours: sessionHours({ schedules: [{ startTime: s.startTime, endTime: s.endTime }] }, date) });
+  }
+  return sessions.sort((a, b) => a.date - b.date || a.startTime.localeCompare(b.startTime));
+}
+
+/**
+ * Money an enrollment is expected to pay for a number of sessions: prepaid sessions are used first,
+ * sessions owed are paid with the next ones, per-cycle classes buy whole cycles.
+ * Updates state.balance with what is left after the sessions.
+ */
+function enrollmentIncome(state, sessions) {
+  const pricing = state.pricing || {};
+  const deficit = sessions - state.balance;
+  if (deficit <= 0) {
+    state.balance -= sessions;
+    return 0;
+  }
+  if (pricing.paymentModel === 'per_cycle' && pricing.cycleSize > 0) {
+    const cycles = Math.ceil(deficit / pricing.cycleSize);
+    state.balance += cycles * pricing.cycleSize - sessions;
+    return cycles * (pricing.cyclePrice || 0);
+  }
+  state.balance = 0;
+  return deficit * (pricing.sessionPrice || 0);
+}
+
+// Teacher cut of a class for the sessions of a forecast month
+function teacherCutFor(klass, { income, sessions, hours, students }) {
+  const { mode, value = 0 } = klass.teacherCut || {};
+  if (mode === 'percentage') return income * value / 100;
+  if (mode === 'fixed') return sessions > 0 ? value : 0;
+  if (mode === 'per_session') return value * sessions;
+  if (mode === 'per_student_present') return value * sessions * students;
+  if (mode === 'per_hour') return value * hours;
+  return 0;
+}
+
+// Expected monthly salary of an employee: fixed salary, or the average of the last calculated months
+async function expectedSalary(employee) {
+  if (employee.salaryType === 'fixed') return employee.salaryValue;
+  const recent = await EmployeeSalaryTransaction.find({ employeeId: employee._id })
+    .sort({ year: -1, month: -1 })
+    .limit(3)
+    .select('calculatedSalary')
+    .lean();
+  return recent.length > 0 ? recent.reduce((sum, t) => sum + t.calculatedSalary, 0) / recent.length : 0;
+}
+
+/**
+ * Cash-flow forecast for the current month (from today) and the following months.
+ * Income comes from active enrollments: their upcoming sessions (class calendar), pricing snapshot and
+ * current session balance, plus recurring income. Outflows are teacher cuts of those sessions,
+ * employee salaries, recurring expenses and what is still owed on past teacher payouts and salaries.
+ * @param {string|ObjectId} schoolId
+ * @param {Object} options - { months (1-3), enrollmentDrop (percent of enrollments lost), now }
+ * @returns {Promise<Object>} { openingCash, enrollmentDrop, months[], totals }
+ */
+async function forecastCashFlow(schoolId, { months = 3, enrollmentDrop = 0, now = new Date() } = {}) {
+  const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
+  const keep = 1 - enrollmentDrop / 100;
+
+  const [classes, enrollments, employees, templates, payouts, salaries, trialBalance] = await Promise.all([
+    Class.find({ schoolId: schoolIdObj, status: 'active' })
+      .select('name schedules enrollmentPeriod sessionOverrides teacherCut teacherId')
+      .lean(),
+    Enrollment.find({ schoolId: schoolIdObj, status: 'active' }).select('classId pricingSnapshot balance').lean(),
+    Employee.find({ schoolId: schoolIdObj, status: 'active' }).select('salaryType salaryValue').lean(),
+    RecurringTransaction.find({ schoolId: schoolIdObj, active: true }),
+    TeacherPayout.find({ schoolId: schoolIdObj, remainingDebt: { $gt: 0 } }).select('remainingDebt').lean(),
+    EmployeeSalaryTransaction.find({ schoolId: schoolIdObj, $or: [{ remaining: { $gt: 0 } }, { year: { $gte: now.getFullYear() } }] })
+      .select('remaining year month employeeId paidAmount')
+      .lean(),
+    getTrialBalance(schoolIdObj, now.getFullYear(), now.getMonth() + 1),
+  ]);
+
+  // Class calendars over the forecast window
+  const horizon = Math.min(Math.max(months, 1), 3);
+  const windowFrom = utcDay(new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1));
+  const windowTo = utcDay(new Date(now.getFullYear(), now.getMonth() + horizon, 0));
+  const [calendar, holidays] = await Promise.all([
+    ClassSession.find({ classId: { $in: classes.map(c => c._id) }, date: { $gte: windowFrom, $lte: windowTo } })
+      .select('classId date startTime endTime status')
+      .lean(),
+    SchoolHoliday.findInRange(schoolIdObj, windowFrom, windowTo),
+  ]);
+  const sessionsByClass = new Map();
+  for (const s of calendar) {
+    const key = s.classId.toString();
+    if (!sessionsByClass.has(key)) sessionsByClass.set(key, []);
+    sessionsByClass.get(key).push(s);
+  }
+
+  const enrollmentsByClass = new Map();
+  for (const e of enrollments) {
+    const key = e.classId.toString();
+    if (!enrollmentsByClass.has(key)) enrollmentsByClass.set(key, []);
+    enrollmentsByClass.get(key).push({ pricing: e.pricingSnapshot, balance: e.balance || 0 });
+  }
+  const salaryByEmployee = new Map(await Promise.all(employees.map(async e => [e._id.toString(), await expectedSalary(e)])));
+  // Still owed on past months (salaries of the forecast months are counted below)
+  const currentPeriod = now.getFullYear() * 100 + now.getMonth() + 1;
+  const outstanding = round2(
+    payouts.reduce((sum, p) => sum + p.remainingDebt, 0) +
+    salaries.filter(s => s.year * 100 + s.month < currentPeriod && s.remaining > 0).reduce((sum, s) => sum + s.remaining, 0)
+  );
+  const openingCash = trialBalance.accounts.find(a => a.account === 'cash')?.closing || 0;
+
+  const result = [];
+  let cash = openingCash;
+  for (let i = 0; i < horizon; i++) {
+    const year = new Date(now.getFullYear(), now.getMonth() + i, 1).getFullYear();
+    const month = new Date(now.getFullYear(), now.getMonth() + i, 1).getMonth() + 1;
+    const monthStart = new Date(year, month - 1, 1);
+    const monthEnd = new Date(year, month, 0, 23, 59, 59, 999);
+    const from = i === 0 ? new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1) : monthStart;
+
+    let enrollmentIncomeTotal = 0;
+    let teacherCuts = 0;
+    let sessionCount = 0;
+    const classRows = [];
+    for (const klass of classes) {
+      const sessions = upcomingSessions(klass, utcDay(from), utcDay(monthEnd), {
+        sessions: sessionsByClass.get(klass._id.toString()) || [],
+        holidays,
+      });
+      const states = enrollmentsByClass.get(klass._id.toString()) || [];
+      const income = states.reduce((sum, state) => sum + enrollmentIncome(state, sessions.length), 0) * keep;
+      const hours = sessions.reduce((sum, s) => sum + s.hours, 0);
+      const cut = teacherCutFor(klass, { income, sessions: sessions.length, hours, students: states.length * keep });
+      enrollmentIncomeTotal += income;
+      teacherCuts += cut;
+      sessionCount += sessions.length;
+      if (sessions.length > 0 || income > 0) {
+        classRows.push({ classId: klass._id, className: klass.name, sessions: sessions.length, enrollments: states.length, expectedIncome: round2(income), teacherCut: round2(cut) });
+      }
+    }
+
+    // Salaries of the month still to be paid
+    let salaryTotal = 0;
+    for (const [employeeId, salary] of salaryByEmployee) {
+      const paid = salaries.find(s => s.employeeId.toString() === employeeId && s.year === year && s.month === month)?.paidAmount || 0;
+      salaryTotal += Math.max(0, salary - paid);
+    }
+
+    let recurringIncome = 0;
+    let recurringExpenses = 0;
+    for (const template of templates) {
+      for (const date of template.occurrencesBetween(from > monthStart ? from : monthStart, monthEnd)) {
+        if (template.isSkipped(date)) continue;
+        if (template.type === 'income') recurringIncome += template.amount;
+        else recurringExpenses += template.amount;
+      }
+    }
+
+    const income = {
+      enrollments: round2(enrollmentIncomeTotal),
+      recurring: round2(recurringIncome),
+      total: round2(enrollmentIncomeTotal + recurringIncome),
+    };
+    const outflows = {
+      teacherCuts: round2(teacherCuts),
+      salaries: round2(salaryTotal),
+      recurring: round2(recurringExpenses),
+      outstanding: i === 0 ? outstanding : 0,
+    };
+    outflows.total = round2(outflows.teacherCuts + outflows.salaries + outflows.recurring + outflows.outstanding);
+    const net = round2(income.total - outflows.total);
+    cash = round2(cash + net);
+    result.push({ year, month, from, to: monthEnd, sessions: sessionCount, income, outflows, net, closingCash: cash, classes: classRows });
+  }
+
+  return {
+    openingCash,
+    enrollmentDrop,
+    months: result,
+    totals: {
+      income: round2(result.reduce((sum, m) => sum + m.income.total, 0)),
+      outflows: round2(result.reduce((sum, m) => sum + m.outflows.total, 0)),
+      net: round2(result.reduce((sum, m) => sum + m.net, 0)),
+      closingCash: result.length > 0 ? result[result.length - 1].closingCash : openingCash,
+    },
+  };
+}
+
+module.exports = {
+  upcomingSessions,
+  enrollmentIncome,
+  forecastCashFlow,
+};
@@ -0,0 +1,340 @@
+// server/services/classSessionService.js
+
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const ClassSession = require('../models/ClassSession');
+const SchoolHoliday = require('../models/SchoolHoliday');
+const Attendance = require('../models/Attendance');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Class periods are stored as local dates; sessions use the same day at UTC midnight
+const utcDay = (d) => new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+const toUtcDateOnly = (value) => {
+  const d = new Date(value);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+const sessionKey = (date, startTime) => `${date.getTime()}|${startTime}`;
+
+// First and last session day of a class (UTC)
+function classPeriod(klass) {
+  const { startDate, endDate } = klass.enrollmentPeriod || {};
+  if (!startDate || !endDate) return null;
+  return { from: utcDay(new Date(startDate)), to: utcDay(new Date(endDate)) };
+}
+
+// Holiday covering a UTC date, if any
+const holidayOn = (holidays, date) => holidays.find(h => h.startDate <= date && h.endDate >= date);
+
+/**
+ * Create the missing regular sessions of a class between two UTC dates (inclusive), within its
+ * enrollment period. Days of the school holiday calendar and sessions cancelled by an override are
+ * created as cancelled. Existing sessions are left untouched, so this can run any number of times.
+ * @param {Object} klass - Class document
+ * @param {Object} range - { from, to } (defaults to the whole enrollment period)
+ * @returns {Promise<number>} Number of sessions created
+ */
+async function generateSessions(klass, { from, to } = {}) {
+  const period = classPeriod(klass);
+  if (!period || !(klass.schedules || []).length) return 0;
+  const start = from && toUtcDateOnly(from) > period.from ? toUtcDateOnly(from) : period.from;
+  const end = to && toUtcDateOnly(to) < period.to ? toUtcDateOnly(to) : period.to;
+  if (start > end) return 0;
+
+  const [existing, holidays] = await Promise.all([
+    ClassSession.find({ classId: klass._id, date: { $gte: start, $lte: end } }).select('date startTime').lean(),
+    SchoolHoliday.findInRange(klass.schoolId, start, end),
+  ]);
+  const known = new Set(existing.map(s => sessionKey(s.date, s.startTime)));
+
+  const docs = [];
+  for (let d = start; d <= end; d = new Date(d.getTime() + DAY_MS)) {
+    for (const slot of klass.schedules) {
+      if (slot.dayOfWeek !== DAY_NAMES[d.getUTCDay()] || known.has(sessionKey(d, slot.startTime))) continue;
+      const doc = { schoolId: klass.schoolId, classId: klass._id, date: d, startTime: slot.startTime, endTime: slot.endTime };
+      const holiday = holidayOn(holidays, d);
+      const override = klass.getSessionOverrides(d, slot.startTime).find(o => o.cancelled);
+      if (holiday) Object.assign(doc, { status: 'cancelled', cancelReason: 'holiday', holidayId: holiday._id, reason: holiday.name });
+      else if (override) Object.assign(doc, { status: 'cancelled', cancelReason: 'manual', reason: override.reason });
+      docs.push(doc);
+    }
+  }
+  if (docs.length === 0) return 0;
+  try {
+    const created = await ClassSession.insertMany(docs, { ordered: false });
+    return created.length;
+  } catch (err) {
+    // Sessions generated concurrently by another request
+    if (err?.code === 11000 || err?.writeErrors) return err.result?.insertedCount || 0;
+    throw err;
+  }
+}
+
+/**
+ * Count the sessions of a class into Class.totalSessions (sessions held or to be held) and
+ * Class.completedSessions (sessions with attendance taken)
+ */
+async function refreshSessionCounts(classId) {
+  const counts = await ClassSession.aggregate([
+    { $match: { classId: new mongoose.Types.ObjectId(classId), status: { $in: ClassSession.HELD_STATUSES } } },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+  const completed = counts.find(c => c._id === 'completed')?.count || 0;
+  const total = counts.reduce((sum, c) => sum + c.count, 0);
+  await Class.updateOne({ _id: classId }, { $set: { totalSessions: total, completedSessions: completed } });
+  return { totalSessions: total, completedSessions: completed };
+}
+
+/**
+ * Bring the calendar of a class in line with its schedules and enrollment period after a change:
+ * upcoming regular sessions that no longer match a weekly slot (or fall outside the period) are
+ * removed unless attendance was taken, then the missing sessions are generated.
+ * @param {Object} klass - Class document (saved)
+ * @returns {Promise<Object>} { removed, created, totalSessions, completedSessions }
+ */
+async function syncClassCalendar(klass) {
+  const period = classPeriod(klass);
+  const today = utcDay(new Date());
+  const slots = new Set((klass.schedules || []).map(s => `${s.dayOfWeek}|${s.startTime}|${s.endTime}`));
+  const upcoming = await ClassSession.find({ classId: klass._id, kind: 'regular', status: { $ne: 'completed' }, date: { $gte: today } })
+    .select('date startTime endTime rescheduledTo')
+    .lean();
+  const stale = upcoming.filter(s =>
+    !s.rescheduledTo && (
+      !period || s.date < period.from || s.date > period.to ||
+      !slots.has(`${DAY_NAMES[s.date.getUTCDay()]}|${s.startTime}|${s.endTime}`)
+    ));
+  let removed = 0;
+  if (stale.length > 0) {
+    const taken = await Attendance.distinct('date', { classId: klass._id, date: { $in: stale.map(s => s.date) } });
+    const takenDays = new Set(taken.map(d => d.getTime()));
+    const ids = stale.filter(s => !takenDays.has(s.date.getTime())).map(s => s._id);
+    removed = (await ClassSession.deleteMany({ _id: { $in: ids } })).deletedCount;
+  }
+  const created = await generateSessions(klass, { from: today > period?.from ? today : undefined });
+  return { removed, created, ...(await refreshSessionCounts(klass._id)) };
+}
+
+/**
+ * Sessions of a class on a UTC date, generating them first if needed
+ * @returns {Promise<Array>} ClassSession documents sorted by start time
+ */
+async function sessionsOn(klass, date) {
+  const day = toUtcDateOnly(date);
+  await generateSessions(klass, { from: day, to: day });
+  return ClassSession.find({ classId: klass._id, date: day }).sort({ startTime: 1 });
+}
+
+/**
+ * Session of a class on which attendance can be taken for a date (the one starting at startTime
+ * when given). When there is none, reason explains why: 'cancelled', 'rescheduled' or 'no_session'.
+ * @returns {Promise<Object>} { session } or { session: null, reason, sessions }
+ */
+async function findHeldSession(klass, date, startTime) {
+  const sessions = (await sessionsOn(klass, date)).filter(s => !startTime || s.startTime === startTime);
+  const session = sessions.find(s => ClassSession.HELD_STATUSES.includes(s.status));
+  if (session) return { session };
+  const reason = sessions.some(s => s.status === 'rescheduled') ? 'rescheduled'
+    : sessions.some(s => s.status === 'cancelled') ? 'cancelled'
+    : 'no_session';
+  return { session: null, reason, sessions };
+}
+
+/**
+ * Check that the teacher and the room of a class are free for an extra session (make-up or
+ * rescheduled): no regular session or override of another class at that time, no other extra
+ * session of a class sharing the teacher or the room, no overlapping session of the class itself.
+ * The regular sessions of the day are generated first, and a slot already taken by a session of the
+ * class in any status (cancelled or rescheduled included) cannot be reused.
+ * @returns {Promise<Object|null>} { type, conflict }
+ */
+async function extraSessionConflict(klass, { date, startTime, endTime }, ignoreSessionId) {
+  const day = toUtcDateOnly(date);
+  await generateSessions(klass, { from: day, to: day });
+  const taken = await ClassSession.findOne({ _id: { $ne: ignoreSessionId }, classId: klass._id, date: day, startTime });
+  if (taken) return { type: 'slot', conflict: taken };
+
+  const own = await ClassSession.findOne({
+    _id: { $ne: ignoreSessionId },
+    classId: klass._id,
+    date: day,
+    status: { $in: ClassSession.HELD_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime },
+  });
+  if (own) return { type: 'class', conflict: own };
+
+  const booked = await klass.overrideConflict({ date: day, startTime, endTime, substituteTeacherId: klass.teacherId, roomId: klass.roomId });
+  if (booked) return { type: booked.type === 'override_room' ? 'room' : booked.type === 'substitute_leave' ? 'teacher_leave' : 'teacher', conflict: booked.conflict };
+
+  const sharing = await Class.find({
+    _id: { $ne: klass._id },
+    schoolId: klass.schoolId,
+    status: 'active',
+    $or: [{ teacherId: klass.teacherId }, { roomId: klass.roomId }],
+  }).select('name teacherId roomId');
+  if (sharing.length === 0) return null;
+  const extra = await ClassSession.findOne({
+    classId: { $in: sharing.map(c => c._id) },
+    kind: { $ne: 'regular' },
+    date: day,
+    status: { $in: ClassSession.HELD_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime },
+  });
+  if (!extra) return null;
+  const other = sharing.find(c => c._id.equals(extra.classId));
+  return { type: other.teacherId.equals(klass.teacherId) ? 'teacher' : 'room', conflict: other };
+}
+
+/**
+ * Cancel a scheduled session. Sessions with attendance taken cannot be cancelled.
+ * @returns {Promise<Object>} Updated session
+ */
+async function cancelSession(session, { reason, cancelReason = 'manual', holidayId } = {}) {
+  session.status = 'cancelled';
+  session.cancelReason = cancelReason;
+  session.holidayId = holidayId;
+  session.reason = reason;
+  await session.save();
+  await refreshSessionCounts(session.classId);
+  return session;
+}
+
+// Put a cancelled session back on the calendar
+async function restoreSession(session) {
+  session.status = 'scheduled';
+  session.cancelReason = undefined;
+  session.holidayId = undefined;
+  session.reason = undefined;
+  await session.save();
+  await refreshSessionCounts(session.classId);
+  return session;
+}
+
+/**
+ * Move a scheduled session to another date or time: the session is kept as 'rescheduled' and a new
+ * session takes its place.
+ * @returns {Promise<Object>} The replacement session
+ */
+async function rescheduleSession(session, { date, startTime, endTime, reason }, userId) {
+  const replacement = await ClassSession.create({
+    schoolId: session.schoolId,
+    classId: session.classId,
+    date: toUtcDateOnly(date),
+    startTime,
+    endTime,
+    kind: 'rescheduled',
+    rescheduledFrom: session._id,
+    reason,
+    createdBy: userId,
+  });
+  session.status = 'rescheduled';
+  session.rescheduledTo = replacement._id;
+  session.reason = reason;
+  await session.save();
+  await refreshSessionCounts(session.classId);
+  return replacement;
+}
+
+/**
+ * Add an extra session to a class, optionally making up for a cancelled session
+ * @returns {Promise<Object>} The new session
+ */
+async function addMakeupSession(klass, { date, startTime, endTime, reason, makeupFor }, userId) {
+  const session = await ClassSession.create({
+    schoolId: klass.schoolId,
+    classId: klass._id,
+    date: toUtcDateOnly(date),
+    startTime,
+    endTime,
+    kind: 'makeup',
+    makeupFor,
+    reason,
+    createdBy: userId,
+  });
+  await refreshSessionCounts(klass._id);
+  return session;
+}
+
+// Mark the session attendance was taken on as completed
+async function completeSession(session) {
+  if (session.status === 'completed') return session;
+  session.status = 'completed';
+  session.completedAt = new Date();
+  await session.save();
+  await refreshSessionCounts(session.classId);
+  return session;
+}
+
+// Put the completed sessions of a day back to scheduled when no attendance is left for that day
+async function reopenSessionsIfEmpty(classId, date) {
+  const day = toUtcDateOnly(date);
+  if (await Attendance.exists({ classId, date: day })) return 0;
+  const result = await ClassSession.updateMany(
+    { classId, date: day, status: 'completed' },
+    { $set: { status: 'scheduled' }, $unset: { completedAt: 1 } }
+  );
+  if (result.modifiedCount > 0) await refreshSessionCounts(classId);
+  return result.modifiedCount;
+}
+
+/**
+ * Cancel the scheduled sessions of a school covered by a holiday
+ * @returns {Promise<number>} Number of sessions cancelled
+ */
+async function applyHoliday(holiday) {
+  const match = { schoolId: holiday.schoolId, status: 'scheduled', date: { $gte: holiday.startDate, $lte: holiday.endDate } };
+  const classIds = await ClassSession.distinct('classId', match);
+  const result = await ClassSession.updateMany(match, {
+    $set: { status: 'cancelled', cancelReason: 'holiday', holidayId: holiday._id, reason: holiday.name },
+  });
+  for (const classId of classIds) await refreshSessionCounts(classId);
+  return result.modifiedCount;
+}
+
+/**
+ * Put back the sessions cancelled by a holiday (those still covered by another holiday stay cancelled)
+ * @returns {Promise<number>} Number of sessions restored
+ */
+async function removeHoliday(holiday) {
+  const sessions = await ClassSession.find({ holidayId: holiday._id, status: 'cancelled' });
+  if (sessions.length === 0) return 0;
+  const others = (await SchoolHoliday.findInRange(holiday.schoolId, holiday.startDate, holiday.endDate))
+    .filter(h => !h._id.equals(holiday._id));
+  let restored = 0;
+  for (const session of sessions) {
+    const other = holidayOn(others, session.date);
+    if (other) {
+      session.holidayId = other._id;
+      session.reason = other.name;
+    } else {
+      session.status = 'scheduled';
+      session.cancelReason = undefined;
+      session.holidayId = undefined;
+      session.reason = undefined;
+      restored++;
+    }
+    await session.save();
+  }
+  for (const classId of new Set(sessions.map(s => s.classId.toString()))) await refreshSessionCounts(classId);
+  return restored;
+}
+
+module.exports = {
+  generateSessions,
+  syncClassCalendar,
+  refreshSessionCounts,
+  sessionsOn,
+  findHeldSession,
+  extraSessionConflict,
+  cancelSession,
+  restoreSession,
+  rescheduleSession,
+  addMakeupSession,
+  completeSession,
+  reopenSessionsIfEmpty,
+  applyHoliday,
+  removeHoliday,
+};
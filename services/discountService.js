@@ -0,0 +1,156 @@
+// server/services/discountService.js
+
+const DiscountRule = require('../models/DiscountRule');
+const Enrollment = require('../models/Enrollment');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Resolve the list pricing of a class, supporting legacy price/paymentCycle fields
+ * @param {Object} klass - Class document
+ * @returns {Object} { paymentModel, sessionPrice, cycleSize, cyclePrice } or { error }
+ */
+const resolveClassPricing = (klass) => {
+  let paymentModel = klass.paymentModel;
+  let sessionPrice = klass.sessionPrice;
+  let cyclePrice = klass.cyclePrice;
+  let cycleSize = klass.cycleSize;
+
+  if (!paymentModel) {
+    if (typeof klass.price === 'number' && typeof klass.paymentCycle === 'number') {
+      paymentModel = 'per_cycle';
+      cyclePrice = klass.price;
+      cycleSize = klass.paymentCycle;
+    } else {
+      return { error: 'Class pricing not configured. Please update class pricing.' };
+    }
+  }
+  if (paymentModel === 'per_session') {
+    if (typeof sessionPrice !== 'number') {
+      return { error: 'Class per-session price missing. Please update class pricing.' };
+    }
+  } else if (paymentModel === 'per_cycle') {
+    // allow fallback from legacy if missing
+    if (typeof cyclePrice !== 'number') cyclePrice = typeof klass.price === 'number' ? klass.price : undefined;
+    if (typeof cycleSize !== 'number') cycleSize = typeof klass.paymentCycle === 'number' ? klass.paymentCycle : undefined;
+    if (typeof cyclePrice !== 'number' || typeof cycleSize !== 'number') {
+      return { error: 'Class cycle price/size missing. Please update class pricing.' };
+    }
+  }
+  return {
+    paymentModel,
+    sessionPrice: paymentModel === 'per_session' ? sessionPrice : undefined,
+    cycleSize: paymentModel === 'per_cycle' ? cycleSize : undefined,
+    cyclePrice: paymentModel === 'per_cycle' ? cyclePrice : undefined,
+  };
+};
+
+// Discount of one rule on a unit price (percentage rules apply to what is left after earlier stacked rules)
+const ruleDiscount = (rule, price) => {
+  if (price <= 0) return 0;
+  const raw = rule.valueType === 'percentage' ? price * (rule.value / 100) : rule.value;
+  return round2(Math.min(raw, price));
+};
+
+// Sibling rules only count when enough other family members are actively enrolled
+const isSiblingRuleMet = async (rule, schoolId, studentId) => {
+  const others = (rule.beneficiaries || []).filter(id => id.toString() !== studentId.toString());
+  if (others.length === 0) return false;
+  const active = await Enrollment.distinct('studentId', { schoolId, studentId: { $in: others }, status: 'active' });
+  return active.length >= (rule.minActiveSiblings || 1);
+};
+
+/**
+ * Pick the discounts that apply to a student in a class.
+ * Stackable rules are combined in priority order; an exclusive rule is used alone
+ * only if its discount beats the combined stack.
+ * @param {Object} params - { schoolId, studentId, classId, unitPrice, at }
+ * @returns {Promise<Object>} { discounts: [{ ruleId, name, type, valueType, value, amount }], totalDiscount }
+ */
+const computeDiscounts = async ({ schoolId, studentId, classId, unitPrice, at = new Date() }) => {
+  if (!(unitPrice > 0)) return { discounts: [], totalDiscount: 0 };
+  const candidates = await DiscountRule.findApplicable(schoolId, studentId, classId, at);
+
+  const eligible = [];
+  for (const rule of candidates) {
+    if (rule.type === 'sibling' && !(await isSiblingRuleMet(rule, schoolId, studentId))) continue;
+    eligible.push(rule);
+  }
+
+  const describe = (rule, amount) => ({
+    ruleId: rule._id,
+    name: rule.name,
+    type: rule.type,
+    valueType: rule.valueType,
+    value: rule.value,
+    amount,
+  });
+
+  let remaining = unitPrice;
+  const stacked = [];
+  for (const rule of eligible.filter(r => r.stackable)) {
+    const amount = ruleDiscount(rule, remaining);
+    if (amount <= 0) continue;
+    stacked.push(describe(rule, amount));
+    remaining = round2(remaining - amount);
+  }
+  const stackedTotal = round2(unitPrice - remaining);
+
+  let best = null;
+  for (const rule of eligible.filter(r => !r.stackable)) {
+    const amount = ruleDiscount(rule, unitPrice);
+    if (amount > 0 && (!best || amount > best.amount)) best = describe(rule, amount);
+  }
+
+  if (best && best.amount > stackedTotal) {
+    return { discounts: [best], totalDiscount: best.amount };
+  }
+  return { discounts: stacked, totalDiscount: stackedTotal };
+};
+
+/**
+ * Build the Enrollment.pricingSnapshot for a student joining a class, with discounts applied.
+ * sessionPrice/cyclePrice hold the discounted (expected) price; list prices are kept alongside.
+ * @param {Object} params - { schoolId, studentId, klass, at }
+ * @returns {Promise<Object>} pricing snapshot, or { error }
+ */
+const buildPricingSnapshot = async ({ schoolId, studentId, klass, at = new Date() }) => {
+  const pricing = resolveClassPricing(klass);
+  if (pricing.error) return pricing;
+
+  const listPrice = pricing.paymentModel === 'per_session' ? pricing.sessionPrice : pricing.cyclePrice;
+  const { discounts, totalDiscount } = await computeDiscounts({ schoolId, studentId, classId: klass._id, unitPrice: listPrice, at });
+  const netPrice = round2(Math.max(listPrice - totalDiscount, 0));
+
+  return {
+    ...pricing,
+    sessionPrice: pricing.paymentModel === 'per_session' ? netPrice : undefined,
+    cyclePrice: pricing.paymentModel === 'per_cycle' ? netPrice : undefined,
+    listSessionPrice: pricing.paymentModel === 'per_session' ? listPrice : undefined,
+    listCyclePrice: pricing.paymentModel === 'per_cycle' ? listPrice : undefined,
+    discounts,
+  };
+};
+
+/**
+ * Discount given per consumed session under a pricing snapshot (0 for snapshots taken before discounts existed)
+ * @param {Object} snap - Enrollment.pricingSnapshot
+ * @returns {Number} DZD per session
+ */
+const discountPerSession = (snap) => {
+  if (!snap) return 0;
+  if (snap.paymentModel === 'per_session' && typeof snap.listSessionPrice === 'number') {
+    return Math.max(snap.listSessionPrice - (snap.sessionPrice || 0), 0);
+  }
+  if (snap.paymentModel === 'per_cycle' && typeof snap.listCyclePrice === 'number' && snap.cycleSize > 0) {
+    return Math.max(snap.listCyclePrice - (snap.cyclePrice || 0), 0) / snap.cycleSize;
+  }
+  return 0;
+};
+
+module.exports = {
+  resolveClassPricing,
+  computeDiscounts,
+  buildPricingSnapshot,
+  discountPerSession,
+};
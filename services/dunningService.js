@@ -0,0 +1,258 @@
+// server/services/dunningService.js
+
+const mongoose = require('mongoose');
+const School = require('../models/School');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const Enrollment = require('../models/Enrollment');
+const StudentFinancial = require('../models/StudentFinancial');
+const DunningCase = require('../models/DunningCase');
+const DunningReminder = require('../models/DunningReminder');
+const Notification = require('../models/Notification');
+const sendEmail = require('../utils/sendEmail');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  debtThreshold: 0,
+  negativeSessionsThreshold: 2,
+  reminderIntervalDays: 7,
+  maxLevel: 3,
+  emailEnabled: true,
+};
+
+// Subject line per escalation level; anything at maxLevel is the final notice
+const levelSubject = (level, maxLevel) => {
+  if (level >= maxLevel) return 'Final notice: outstanding payment';
+  if (level === 1) return 'Payment reminder';
+  return `Payment reminder (notice ${level})`;
+};
+
+const startOfUtcDay = (d) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+
+/**
+ * Compose the reminder text for a case
+ * @param {Object} params - { school, student, dunningCase, classNames, level, maxLevel }
+ * @returns {Object} { subject, text }
+ */
+const composeReminder = ({ school, student, dunningCase, classNames, level, maxLevel }) => {
+  const lines = [];
+  if (dunningCase.debt > 0) {
+    lines.push(`Outstanding debt: ${dunningCase.debt} DZD.`);
+  }
+  for (const e of dunningCase.negativeEnrollments || []) {
+    lines.push(`${classNames.get(e.classId?.toString()) || 'Class'}: ${Math.abs(e.balance)} session(s) attended without payment.`);
+  }
+  const closing = level >= maxLevel
+    ? 'This is a final notice. Please settle the amount at the front desk as soon as possible.'
+    : 'Please settle the amount at the front desk at your earliest convenience.';
+  const name = student ? `${student.firstName || ''} ${student.lastName || ''}`.trim() : '';
+  return {
+    subject: `${school.name}: ${levelSubject(level, maxLevel)}`,
+    text: [`Hello ${name},`, '', ...lines, '', closing, '', school.name].join('\n'),
+  };
+};
+
+/**
+ * Send one reminder (in-app + optional email) and log it
+ * @returns {Promise<Object>} The DunningReminder log entry
+ */
+const sendReminder = async ({ school, settings, dunningCase, student, classNames, level, triggeredBy }) => {
+  const { subject, text } = composeReminder({ school, student, dunningCase, classNames, level, maxLevel: settings.maxLevel });
+
+  await Notification.create({
+    schoolId: school._id,
+    userId: dunningCase.studentId,
+    type: 'debt_reminder',
+    title: subject,
+    message: text,
+    data: { caseId: dunningCase._id, level, debt: dunningCase.debt },
+  });
+
+  // Final notices are also surfaced to the school managers
+  if (level >= settings.maxLevel && (school.managers || []).length > 0) {
+    const name = student ? `${student.firstName || ''} ${student.lastName || ''}`.trim() : dunningCase.studentId.toString();
+    await Notification.insertMany(school.managers.map(managerId => ({
+      schoolId: school._id,
+      userId: managerId,
+      type: 'debt_final_notice',
+      title: `Final notice sent to ${name}`,
+      message: text,
+      data: { caseId: dunningCase._id, studentId: dunningCase.studentId, level },
+    })));
+  }
+
+  let email = { sent: false, reason: 'disabled' };
+  if (settings.emailEnabled) {
+    email = student?.email
+      ? await sendEmail({ to: student.email, subject, text })
+      : { sent: false, reason: 'no_email_on_file' };
+  }
+
+  return DunningReminder.create({
+    schoolId: school._id,
+    caseId: dunningCase._id,
+    studentId: dunningCase.studentId,
+    level,
+    subject,
+    message: text,
+    debt: dunningCase.debt,
+    channels: {
+      inApp: true,
+      email: { sent: !!email.sent, to: student?.email, reason: email.sent ? undefined : email.reason },
+    },
+    triggeredBy,
+  });
+};
+
+/**
+ * Find students over the debt threshold or behind on sessions, update their cases
+ * and send the reminders that are due
+ * @param {string} schoolId - The school ID
+ * @param {Object} options - { now, triggeredBy }
+ * @returns {Promise<Object>} Run summary
+ */
+const runDunningForSchool = async (schoolId, { now = new Date(), triggeredBy } = {}) => {
+  const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
+  const school = await School.findById(schoolIdObj).select('name managers dunning').lean();
+  if (!school) throw new Error('School not found');
+  const settings = { ...DEFAULT_SETTINGS, ...(school.dunning || {}) };
+  if (!settings.enabled) {
+    return { schoolId, skipped: true, matched: 0, reminded: 0, resolved: 0 };
+  }
+
+  // 1. Collect students that match either condition
+  const [debtors, negative] = await Promise.all([
+    StudentFinancial.find({ schoolId: schoolIdObj, debt: { $gt: settings.debtThreshold } }).select('studentId debt').lean(),
+    Enrollment.find({ schoolId: schoolIdObj, status: 'active', balance: { $lte: -settings.negativeSessionsThreshold } })
+      .select('studentId classId balance').lean(),
+  ]);
+  const matches = new Map();
+  const entry = (id) => {
+    const key = id.toString();
+    if (!matches.has(key)) matches.set(key, { studentId: id, debt: 0, negativeEnrollments: [] });
+    return matches.get(key);
+  };
+  for (const d of debtors) entry(d.studentId).debt = d.debt;
+  for (const e of negative) {
+    entry(e.studentId).negativeEnrollments.push({ enrollmentId: e._id, classId: e.classId, balance: e.balance });
+  }
+  // Students matched on balance only still show their current debt
+  const missingDebt = [...matches.values()].filter(m => !debtors.some(d => d.studentId.toString() === m.studentId.toString()));
+  if (missingDebt.length > 0) {
+    const rows = await StudentFinancial.find({ schoolId: schoolIdObj, studentId: { $in: missingDebt.map(m => m.studentId) } }).select('studentId debt').lean();
+    for (const r of rows) matches.get(r.studentId.toString()).debt = r.debt;
+  }
+
+  // 2. Resolve cases whose student no longer matches
+  const openCases = await DunningCase.find({ schoolId: schoolIdObj, status: { $in: ['open', 'snoozed', 'promised'] } });
+  let resolved = 0;
+  for (const c of openCases) {
+    if (!matches.has(c.studentId.toString())) {
+      c.status = 'resolved';
+      c.resolvedAt = now;
+      await c.save();
+      resolved++;
+    }
+  }
+  const casesByStudent = new Map(openCases.filter(c => c.status !== 'resolved').map(c => [c.studentId.toString(), c]));
+
+  // 3. Update cases and send due reminders
+  const studentIds = [...matches.values()].map(m => m.studentId);
+  const classIds = negative.map(e => e.classId);
+  const [students, classes] = await Promise.all([
+    User.find({ _id: { $in: studentIds } }).select('firstName lastName email').lean(),
+    Class.find({ _id: { $in: classIds } }).select('name').lean(),
+  ]);
+  const studentMap = new Map(students.map(s => [s._id.toString(), s]));
+  const classNames = new Map(classes.map(c => [c._id.toString(), c.name]));
+  const today = startOfUtcDay(now);
+
+  let reminded = 0;
+  for (const [key, match] of matches) {
+    const dunningCase = casesByStudent.get(key) || new DunningCase({ schoolId: schoolIdObj, studentId: match.studentId });
+    dunningCase.debt = match.debt;
+    dunningCase.negativeEnrollments = match.negativeEnrollments;
+
+    if (dunningCase.status === 'snoozed') {
+      if (dunningCase.snoozedUntil && dunningCase.snoozedUntil > now) {
+        await dunningCase.save();
+        continue;
+      }
+      dunningCase.status = 'open';
+    }
+    if (dunningCase.status === 'promised') {
+      if (dunningCase.promise?.promisedDate && dunningCase.promise.promisedDate >= today) {
+        await dunningCase.save();
+        continue;
+      }
+      // Promise date passed without settlement: escalate right away
+      dunningCase.status = 'open';
+      dunningCase.nextReminderAt = undefined;
+    }
+    if (dunningCase.nextReminderAt && dunningCase.nextReminderAt > now) {
+      await dunningCase.save();
+      continue;
+    }
+
+    const level = Math.min(dunningCase.level + 1, settings.maxLevel);
+    if (dunningCase.isNew) await dunningCase.save();
+    await sendReminder({
+      school,
+      settings,
+      dunningCase,
+      student: studentMap.get(key),
+      classNames,
+      level,
+      triggeredBy,
+    });
+    dunningCase.level = level;
+    dunningCase.lastReminderAt = now;
+    dunningCase.nextReminderAt = new Date(now.getTime() + settings.reminderIntervalDays * DAY_MS);
+    await dunningCase.save();
+    reminded++;
+  }
+
+  return { schoolId, matched: matches.size, reminded, resolved };
+};
+
+/**
+ * Run dunning for every live school (used by the scheduled job)
+ * @returns {Promise<Array>} One summary per school
+ */
+const runDunningJob = async () => {
+  const schools = await School.find({ status: { $in: ['trial', 'active'] } }).select('_id').lean();
+  const results = [];
+  for (const s of schools) {
+    try {
+      results.push(await runDunningForSchool(s._id));
+    } catch (error) {
+      console.error('Dunning run failed for school', s._id.toString(), error.message);
+      results.push({ schoolId: s._id, error: error.message });
+    }
+  }
+  return results;
+};
+
+let timer = null;
+
+/**
+ * Start the periodic dunning job (ENABLE_DUNNING_JOB=true; DUNNING_INTERVAL_HOURS, default 24)
+ */
+const startDunningJob = () => {
+  if (timer) return timer;
+  const hours = Number(process.env.DUNNING_INTERVAL_HOURS) || 24;
+  timer = setInterval(() => {
+    runDunningJob().catch(err => console.error('Dunning job error:', err.message));
+  }, hours * 60 * 60 * 1000);
+  if (typeof timer.unref === 'function') timer.unref();
+  return timer;
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  runDunningForSchool,
+  runDunningJob,
+  startDunningJob,
+};
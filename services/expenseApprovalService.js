@@ -0,0 +1,82 @@
+// server/services/expenseApprovalService.js
+
+const School = require('../models/School');
+const Notification = require('../models/Notification');
+const ledgerService = require('./ledgerService');
+const { checkBudgetAlerts } = require('./budgetService');
+
+/**
+ * Largest expense a user may approve in a school (null: no limit). The principal has no limit;
+ * managers use their own limit when one is set, otherwise the school's managerLimit.
+ * @param {Object} school - School with principal and expenseApproval
+ * @param {ObjectId} userId
+ * @returns {number|null}
+ */
+function getApprovalLimit(school, userId) {
+  if (school?.principal?.toString() === userId.toString()) return null;
+  const settings = school?.expenseApproval || {};
+  const own = (settings.approvers || []).find(a => a.userId?.toString() === userId.toString());
+  if (own) return own.maxAmount ?? null;
+  return settings.managerLimit ?? null;
+}
+
+async function loadSchool(schoolId) {
+  return School.findById(schoolId).select('name principal managers expenseApproval').lean();
+}
+
+/**
+ * Whether a user may approve an expense amount
+ * @returns {Promise<Object>} { allowed, limit }
+ */
+async function canApprove(schoolId, userId, amount) {
+  const school = await loadSchool(schoolId);
+  const limit = getApprovalLimit(school, userId);
+  return { allowed: limit === null || amount <= limit, limit };
+}
+
+/**
+ * Tell the managers who may approve it that an expense is waiting
+ * @param {Object} transaction - Pending ManualTransaction
+ * @param {ObjectId} [excludeUserId] - Submitter, not notified
+ */
+async function notifyApprovers(transaction, excludeUserId) {
+  const school = await loadSchool(transaction.schoolId);
+  if (!school) return;
+  const userIds = [school.principal, ...(school.managers || [])]
+    .filter(Boolean)
+    .map(id => id.toString())
+    .filter((id, i, all) => all.indexOf(id) === i && id !== excludeUserId?.toString())
+    .filter(id => {
+      const limit = getApprovalLimit(school, id);
+      return limit === null || transaction.amount <= limit;
+    });
+  if (userIds.length === 0) return;
+  await Notification.insertMany(userIds.map(userId => ({
+    schoolId: transaction.schoolId,
+    userId,
+    type: 'expense_submitted',
+    title: 'Expense waiting for approval',
+    message: `${transaction.category}: ${transaction.description} (${transaction.amount} DZD)`,
+    data: { transactionId: transaction._id, amount: transaction.amount },
+  })));
+}
+
+/**
+ * Book an expense once it counts: ledger entry and budget alerts
+ * @param {Object} transaction - Approved ManualTransaction
+ * @param {ObjectId} userId - Approver
+ */
+async function bookApprovedExpense(transaction, userId) {
+  await ledgerService.record(() => ledgerService.postManualTransaction(transaction, userId));
+  if (transaction.type === 'expense') {
+    await checkBudgetAlerts(transaction.schoolId, transaction.date, { category: transaction.category })
+      .catch(err => console.error('Budget alert check failed:', err.message));
+  }
+}
+
+module.exports = {
+  getApprovalLimit,
+  canApprove,
+  notifyApprovers,
+  bookApprovedExpense,
+};
@@ -0,0 +1,54 @@
+// server/services/financialAdjustmentService.js
+
+const mongoose = require('mongoose');
+const FinancialAdjustment = require('../models/FinancialAdjustment');
+
+const { ADJUSTABLE_FIELDS } = FinancialAdjustment;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Active post-freeze adjustments of a month, summed per figure
+ * @param {string|ObjectId} schoolId
+ * @param {number} year
+ * @param {number} month
+ * @param {string[]} [fields] - Restrict to these summary figures
+ * @returns {Promise<{ items: Object[], deltas: Object, netDelta: number, count: number }>}
+ */
+async function getMonthAdjustments(schoolId, year, month, fields) {
+  const query = { schoolId: new mongoose.Types.ObjectId(schoolId), year, month, status: 'active' };
+  if (fields) query.field = { $in: fields };
+  const items = await FinancialAdjustment.find(query)
+    .populate('createdBy', 'firstName lastName')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const deltas = {};
+  let netDelta = 0;
+  for (const item of items) {
+    deltas[item.field] = round2((deltas[item.field] || 0) + item.amount);
+    netDelta += item.amount * ADJUSTABLE_FIELDS[item.field];
+  }
+  return { items, deltas, netDelta: round2(netDelta), count: items.length };
+}
+
+/**
+ * Figures of a monthly summary with the adjustment deltas applied; the summary itself is left untouched
+ * @param {Object} data - Frozen or live monthly financial data
+ * @param {{ deltas: Object, netDelta: number }} adjustments
+ * @returns {Object} Adjusted figures (only the ones that have a delta, plus netBalance)
+ */
+function applyAdjustments(data, adjustments) {
+  const adjusted = {};
+  for (const [field, delta] of Object.entries(adjustments.deltas)) {
+    adjusted[field] = round2((Number(data?.[field]) || 0) + delta);
+  }
+  adjusted.netBalance = round2((Number(data?.netBalance) || 0) + adjustments.netDelta);
+  return adjusted;
+}
+
+module.exports = {
+  ADJUSTABLE_FIELDS,
+  getMonthAdjustments,
+  applyAdjustments,
+};
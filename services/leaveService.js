@@ -0,0 +1,163 @@
+// server/services/leaveService.js
+
+const LeaveRequest = require('../models/LeaveRequest');
+const School = require('../models/School');
+const Class = require('../models/Class');
+
+const { DAY_NAMES, DEFAULT_REST_DAYS } = LeaveRequest;
+const CONTRACT_TYPES = ['full_time', 'part_time', 'temporary', 'freelance'];
+
+const DEFAULT_POLICY = {
+  restDays: DEFAULT_REST_DAYS,
+  accrual: { full_time: 2.5, part_time: 1.25, temporary: 2.5, freelance: 0 },
+  maxCarryOver: 0,
+};
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+async function getLeavePolicy(schoolId) {
+  const school = await School.findById(schoolId).select('leavePolicy').lean();
+  const policy = school?.leavePolicy || {};
+  return {
+    restDays: policy.restDays || DEFAULT_POLICY.restDays,
+    accrual: { ...DEFAULT_POLICY.accrual, ...(policy.accrual || {}) },
+    maxCarryOver: policy.maxCarryOver ?? DEFAULT_POLICY.maxCarryOver,
+  };
+}
+
+// Contract type of an employee, or of a teacher (User.contractType when it is a known type,
+// otherwise employed teachers are full time and the others freelance)
+function contractTypeOf(subject, subjectType) {
+  if (subjectType === 'employee') return subject.contractType || 'full_time';
+  if (CONTRACT_TYPES.includes(subject.contractType)) return subject.contractType;
+  return subject.teacherStatus === 'employed' || !subject.teacherStatus ? 'full_time' : 'freelance';
+}
+
+// Months of service in a year up to a month (the month of hire counts)
+function monthsOfService(startDate, year, upToMonth) {
+  const start = startDate ? new Date(startDate) : null;
+  if (start && start.getFullYear() > year) return 0;
+  const firstMonth = start && start.getFullYear() === year ? start.getMonth() + 1 : 1;
+  return Math.max(0, upToMonth - firstMonth + 1);
+}
+
+// Subject filter of the leave requests of an employee or teacher
+function subjectQuery(subject, subjectType) {
+  return subjectType === 'employee' ? { employeeId: subject._id } : { teacherId: subject._id };
+}
+
+// Annual leave days taken (or requested) in a year
+async function annualDaysIn(schoolId, subject, subjectType, year, status, restDays) {
+  const yearStart = new Date(year, 0, 1);
+  const yearEnd = new Date(year, 11, 31);
+  const leaves = await LeaveRequest.find({
+    schoolId,
+    ...subjectQuery(subject, subjectType),
+    type: 'annual',
+    status,
+    startDate: { $lte: yearEnd },
+    endDate: { $gte: yearStart },
+  }).lean();
+  return round2(leaves.reduce((s, l) => s + LeaveRequest.countDays(l, yearStart, yearEnd, restDays), 0));
+}
+
+/**
+ * Annual leave balance of an employee or teacher for a year: days earned so far by their contract
+ * type, days carried over from the previous year, days taken and days waiting for approval
+ * @param {ObjectId} schoolId
+ * @param {Object} subject - Employee document, or teacher User document
+ * @param {'employee'|'teacher'} subjectType
+ * @param {number} year
+ * @param {Object} [policy] - Result of getLeavePolicy
+ */
+async function getLeaveBalance(schoolId, subject, subjectType, year, policy) {
+  policy = policy || await getLeavePolicy(schoolId);
+  const now = new Date();
+  const upToMonth = year < now.getFullYear() ? 12 : (year === now.getFullYear() ? now.getMonth() + 1 : 0);
+  const contractType = contractTypeOf(subject, subjectType);
+  const rate = policy.accrual[contractType] || 0;
+  const startDate = subjectType === 'employee' ? subject.hireDate : (subject.startDate || subject.createdAt);
+
+  const accrued = round2(rate * monthsOfService(startDate, year, upToMonth));
+  let carriedOver = 0;
+  if (policy.maxCarryOver > 0) {
+    const previousAccrued = rate * monthsOfService(startDate, year - 1, 12);
+    const previousTaken = await annualDaysIn(schoolId, subject, subjectType, year - 1, 'approved', policy.restDays);
+    carriedOver = round2(Math.min(policy.maxCarryOver, Math.max(0, previousAccrued - previousTaken)));
+  }
+  const [taken, pending] = await Promise.all([
+    annualDaysIn(schoolId, subject, subjectType, year, 'approved', policy.restDays),
+    annualDaysIn(schoolId, subject, subjectType, year, 'pending', policy.restDays),
+  ]);
+  const available = round2(accrued + carriedOver - taken);
+  return { year, contractType, rate, accrued, carriedOver, taken, pending, available, remaining: round2(available - pending) };
+}
+
+/**
+ * Sessions of a teacher's active classes that fall within a leave. On half days only the
+ * sessions of the half taken off count (morning: starting before 12:00; afternoon: ending after it).
+ * @param {Object} leave - LeaveRequest (schoolId, teacherId, dates and half-day flags)
+ * @returns {Promise<Array>} { classId, className, date, startTime, endTime }
+ */
+async function findAffectedSessions(leave) {
+  const classes = await Class.find({ schoolId: leave.schoolId, teacherId: leave.teacherId, status: 'active' })
+    .select('name schedules')
+    .lean();
+  const start = new Date(leave.startDate);
+  const end = new Date(leave.endDate);
+  const sessions = [];
+  for (let d = new Date(start.getFullYear(), start.getMonth(), start.getDate()); d <= end; d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)) {
+    const isFirst = d.getTime() === start.getTime();
+    const isLast = d.getTime() === end.getTime();
+    for (const cls of classes) {
+      for (const schedule of cls.schedules || []) {
+        if (schedule.dayOfWeek !== DAY_NAMES[d.getDay()]) continue;
+        if (isFirst && leave.halfDayStart && schedule.endTime <= '12:00') continue;
+        if (isLast && leave.halfDayEnd && schedule.startTime >= '12:00') continue;
+        // Class sessions are dated like attendance: UTC date-only
+        sessions.push({ classId: cls._id, className: cls.name, date: new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())), startTime: schedule.startTime, endTime: schedule.endTime });
+      }
+    }
+  }
+  return sessions;
+}
+
+/**
+ * Flag the class sessions of an approved teacher leave so a substitute can be arranged.
+ * The sessions are also kept on the leave request.
+ * @param {Object} leave - LeaveRequest document (saved by the caller)
+ */
+async function flagAffectedSessions(leave) {
+  await unflagSessions(leave);
+  const sessions = await findAffectedSessions(leave);
+  leave.affectedSessions = sessions;
+  const byClass = new Map();
+  for (const s of sessions) {
+    const key = s.classId.toString();
+    if (!byClass.has(key)) byClass.set(key, []);
+    byClass.get(key).push({ date: s.date, startTime: s.startTime, endTime: s.endTime, reason: 'teacher_leave', teacherId: leave.teacherId, leaveRequestId: leave._id });
+  }
+  await Promise.all([...byClass].map(([classId, flags]) =>
+    Class.updateOne({ _id: classId }, { $push: { flaggedSessions: { $each: flags } } })
+  ));
+  return sessions;
+}
+
+// Remove the session flags of a leave (rejected, cancelled or re-flagged)
+async function unflagSessions(leave) {
+  await Class.updateMany(
+    { 'flaggedSessions.leaveRequestId': leave._id },
+    { $pull: { flaggedSessions: { leaveRequestId: leave._id } } }
+  );
+}
+
+module.exports = {
+  CONTRACT_TYPES,
+  DEFAULT_POLICY,
+  getLeavePolicy,
+  contractTypeOf,
+  getLeaveBalance,
+  findAffectedSessions,
+  flagAffectedSessions,
+  unflagSessions,
+};
@@ -0,0 +1,528 @@
+// server/services/ledgerService.js
+
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const Payment = require('../models/Payment');
+const ManualTransaction = require('../models/ManualTransaction');
+const TeacherPayout = require('../models/TeacherPayout');
+const EmployeeSalaryTransaction = require('../models/EmployeeSalaryTransaction');
+const SalaryAdjustment = require('../models/SalaryAdjustment');
+const StudentFinancial = require('../models/StudentFinancial');
+
+const { ACCOUNTS } = JournalEntry;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Financial month of a date as YYYYMM (local time, like the finance month ranges)
+ * @param {Date} date
+ * @returns {number}
+ */
+function toPeriod(date) {
+  const d = new Date(date);
+  return d.getFullYear() * 100 + d.getMonth() + 1;
+}
+
+/**
+ * Build a journal line from a signed amount (positive = debit, negative = credit)
+ * @param {string} account - Key of JournalEntry.ACCOUNTS
+ * @param {number} amount
+ * @param {Object} [refs] - studentId/teacherId/employeeId/classId
+ */
+function line(account, amount, refs = {}) {
+  const value = round2(amount);
+  return { account, debit: value > 0 ? value : 0, credit: value < 0 ? -value : 0, ...refs };
+}
+
+/**
+ * Post a balanced journal entry. Zero lines are dropped; an entry with nothing left to post is skipped.
+ * Posting the same sourceKey twice returns the existing entry.
+ * @returns {Promise<Object|null>} The journal entry, or null when there was nothing to post
+ */
+async function postEntry({ schoolId, date, period, description, sourceType, sourceId, sourceKey, lines, createdBy }) {
+  const nonZero = (lines || []).filter(l => l.debit > 0 || l.credit > 0);
+  if (nonZero.length < 2) return null;
+  const postedAt = date ? new Date(date) : new Date();
+  try {
+    return await JournalEntry.create({
+      schoolId,
+      date: postedAt,
+      period: period || toPeriod(postedAt),
+      description,
+      sourceType,
+      sourceId,
+      sourceKey,
+      lines: nonZero,
+      createdBy,
+    });
+  } catch (err) {
+    if (err?.code === 11000 && sourceKey) {
+      return JournalEntry.findOne({ schoolId, sourceKey });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Run a posting without failing the money movement that triggered it.
+ * Missing entries are filled in by syncSchoolLedger.
+ */
+async function record(posting) {
+  try {
+    return await posting();
+  } catch (err) {
+    console.error('Ledger posting failed (run ledger sync to repair):', err.message);
+    return null;
+  }
+}
+
+/**
+ * Student payment, debt payment or one of their reversals.
+ * Cash moves by `taken`, receivables by `debtDelta` (mirrors StudentFinancial.debt).
+ * Class payments credit tuition income, which is what the financial overview reports as student income.
+ * @param {Object} payment - Payment document
+ * @param {ObjectId} [createdBy]
+ */
+async function postPayment(payment, createdBy) {
+  const taken = round2(payment.taken);
+  const debtDelta = round2(payment.debtDelta);
+  const refs = { studentId: payment.studentId, classId: payment.classId || undefined };
+  const isTuition = payment.kind !== 'debt_payment' && !!payment.classId;
+  const lines = [
+    line('cash', taken, refs),
+    line('student_receivables', debtDelta, refs),
+  ];
+  if (isTuition) {
+    lines.push(line('tuition_income', -taken, refs));
+    lines.push(line('tuition_on_account', -debtDelta, refs));
+  } else {
+    lines.push(line('tuition_on_account', -(taken + debtDelta), refs));
+  }
+  return postEntry({
+    schoolId: payment.schoolId,
+    date: payment.createdAt,
+    description: payment.kind === 'reversal'
+      ? `Payment ${payment.reversalType || 'reversal'} ${payment.receiptNumber || ''}`.trim()
+      : `Payment ${payment.receiptNumber || ''} (${payment.kind})`.replace(' ()', ''),
+    sourceType: 'payment',
+    sourceId: payment._id,
+    sourceKey: `payment:${payment._id}`,
+    lines,
+    createdBy: createdBy || payment.recordedBy,
+  });
+}
+
+/**
+ * Manual change of a student's debt (positive = student owes more)
+ */
+async function postDebtAdjustment({ schoolId, studentId, amount, reason, createdBy }) {
+  return postEntry({
+    schoolId,
+    description: `Debt adjustment${reason ? ': ' + reason : ''}`,
+    sourceType: 'debt_adjustment',
+    sourceId: studentId,
+    lines: [
+      line('student_receivables', amount, { studentId }),
+      line('tuition_on_account', -amount, { studentId }),
+    ],
+    createdBy,
+  });
+}
+
+function manualTransactionLines(transaction, sign = 1) {
+  const amount = round2(transaction.amount) * sign;
+  return transaction.type === 'income'
+    ? [line('cash', amount), line('other_income', -amount)]
+    : [line('expenses', amount), line('cash', -amount)];
+}
+
+/**
+ * Manual income (cash / other income) or expense (expenses / cash), in the transaction's month
+ */
+async function postManualTransaction(transaction, createdBy) {
+  return postEntry({
+    schoolId: transaction.schoolId,
+    date: transaction.date,
+    description: `${transaction.type === 'income' ? 'Income' : 'Expense'} - ${transaction.category}: ${transaction.description}`,
+    sourceType: 'manual_transaction',
+    sourceId: transaction._id,
+    sourceKey: `manual:${transaction._id}`,
+    lines: manualTransactionLines(transaction),
+    createdBy: createdBy || transaction.createdBy,
+  });
+}
+
+/**
+ * Reverse a deleted manual transaction in its original month, so the month's totals still trace
+ */
+async function postManualTransactionDeleted(transaction, createdBy) {
+  return postEntry({
+    schoolId: transaction.schoolId,
+    period: toPeriod(transaction.date),
+    description: `Deleted ${transaction.type} - ${transaction.category}: ${transaction.description}`,
+    sourceType: 'manual_transaction_deleted',
+    sourceId: transaction._id,
+    sourceKey: `manual:${transaction._id}:deleted`,
+    lines: manualTransactionLines(transaction, -1),
+    createdBy,
+  });
+}
+
+function payoutPeriodDate(year, month) {
+  const end = new Date(year, month, 0, 23, 59, 59, 999);
+  return end < new Date() ? end : new Date();
+}
+
+/**
+ * Book a teacher's calculated earnings for a payout month (compensation expense / teacher payables).
+ * Only the difference with what is already booked is posted, so recalculated earnings stay in step.
+ * @param {Object} payout - TeacherPayout document
+ */
+async function postTeacherAccrual(payout, createdBy) {
+  const refs = { teacherId: payout.teacherId, classId: payout.classId };
+  const booked = await JournalEntry.aggregate([
+    { $match: { schoolId: new mongoose.Types.ObjectId(payout.schoolId), sourceType: 'teacher_accrual', sourceId: payout._id } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': 'teacher_compensation' } },
+    { $group: { _id: null, accrued: { $sum: { $subtract: ['$lines.debit', '$lines.credit'] } }, entries: { $addToSet: '$_id' } } }
+  ]);
+  const amount = round2((payout.calculatedIncome || 0) - (booked[0]?.accrued || 0));
+  if (amount === 0) return null;
+  // Numbered per payout: two concurrent recalculations collide on the same key and post once
+  const seq = booked[0]?.entries.length || 0;
+  return postEntry({
+    schoolId: payout.schoolId,
+    date: payoutPeriodDate(payout.year, payout.month),
+    period: payout.year * 100 + payout.month,
+    description: `Teacher earnings ${payout.year}-${String(payout.month).padStart(2, '0')}`,
+    sourceType: 'teacher_accrual',
+    sourceId: payout._id,
+    sourceKey: `teacher_accrual:${payout._id}:${seq}`,
+    lines: [line('teacher_compensation', amount, refs), line('teacher_payables', -amount, refs)],
+    createdBy,
+  });
+}
+
+/**
+ * Money paid to a teacher against a payout month. Keyed by the cumulative paid amount so a retry posts once.
+ * @param {Object} payout - TeacherPayout document, after the payout was added
+ * @param {number} amount - Amount paid now
+ */
+async function postTeacherPayout(payout, amount, createdBy) {
+  const refs = { teacherId: payout.teacherId, classId: payout.classId };
+  return postEntry({
+    schoolId: payout.schoolId,
+    period: payout.year * 100 + payout.month,
+    description: `Teacher payout ${payout.year}-${String(payout.month).padStart(2, '0')}`,
+    sourceType: 'teacher_payout',
+    sourceId: payout._id,
+    sourceKey: `teacher_payout:${payout._id}:${round2(payout.paidAmount)}`,
+    lines: [line('teacher_payables', amount, refs), line('cash', -amount, refs)],
+    createdBy,
+  });
+}
+
+/**
+ * Salary paid to an employee for a salary month. Keyed by the cumulative paid amount.
+ * @param {Object} transaction - EmployeeSalaryTransaction document, after paidAmount was updated
+ * @param {number} amount - Amount paid now
+ */
+async function postSalaryPayment(transaction, amount, createdBy) {
+  const refs = { employeeId: transaction.employeeId?._id || transaction.employeeId };
+  return postEntry({
+    schoolId: transaction.schoolId,
+    period: transaction.year * 100 + transaction.month,
+    description: `Salary ${transaction.year}-${String(transaction.month).padStart(2, '0')}`,
+    sourceType: 'employee_salary',
+    sourceId: transaction._id,
+    sourceKey: `salary:${transaction._id}:${round2(transaction.paidAmount)}`,
+    lines: [line('salaries', amount, refs), line('cash', -amount, refs)],
+    createdBy,
+  });
+}
+
+/**
+ * Advance handed to an employee. Booked as salary paid ahead: later salaries are paid net of the recovery.
+ * @param {Object} adjustment - SalaryAdjustment of type advance
+ */
+async function postSalaryAdvance(adjustment, createdBy) {
+  const refs = { employeeId: adjustment.employeeId };
+  return postEntry({
+    schoolId: adjustment.schoolId,
+    date: adjustment.date,
+    period: adjustment.year * 100 + adjustment.month,
+    description: `Salary advance ${adjustment.year}-${String(adjustment.month).padStart(2, '0')}: ${adjustment.reason}`,
+    sourceType: 'salary_advance',
+    sourceId: adjustment._id,
+    sourceKey: `salary_advance:${adjustment._id}`,
+    lines: [line('salaries', adjustment.amount, refs), line('cash', -adjustment.amount, refs)],
+    createdBy,
+  });
+}
+
+// Reversal of a voided advance, in the advance's period
+async function postSalaryAdvanceVoided(adjustment, createdBy) {
+  const refs = { employeeId: adjustment.employeeId };
+  return postEntry({
+    schoolId: adjustment.schoolId,
+    date: adjustment.voidedAt || new Date(),
+    period: adjustment.year * 100 + adjustment.month,
+    description: `Voided salary advance: ${adjustment.voidReason || adjustment.reason}`,
+    sourceType: 'salary_advance',
+    sourceId: adjustment._id,
+    sourceKey: `salary_advance:${adjustment._id}:voided`,
+    lines: [line('cash', adjustment.amount, refs), line('salaries', -adjustment.amount, refs)],
+    createdBy,
+  });
+}
+
+function naturalBalance(account, debit, credit) {
+  const type = ACCOUNTS[account]?.type;
+  return round2(type === 'asset' || type === 'expense' ? debit - credit : credit - debit);
+}
+
+/**
+ * Trial balance for a month: opening balance, the month's debits/credits and closing balance per account.
+ * Balances are in each account's natural direction (debit for assets/expenses, credit otherwise).
+ * @param {string|ObjectId} schoolId
+ * @param {number} year
+ * @param {number} month
+ */
+async function getTrialBalance(schoolId, year, month) {
+  const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
+  const period = year * 100 + month;
+  const rows = await JournalEntry.aggregate([
+    { $match: { schoolId: schoolIdObj, period: { $lte: period } } },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.account',
+        debitBefore: { $sum: { $cond: [{ $lt: ['$period', period] }, '$lines.debit', 0] } },
+        creditBefore: { $sum: { $cond: [{ $lt: ['$period', period] }, '$lines.credit', 0] } },
+        debit: { $sum: { $cond: [{ $eq: ['$period', period] }, '$lines.debit', 0] } },
+        credit: { $sum: { $cond: [{ $eq: ['$period', period] }, '$lines.credit', 0] } },
+      }
+    }
+  ]);
+  const byAccount = new Map(rows.map(r => [r._id, r]));
+
+  const accounts = Object.entries(ACCOUNTS).map(([account, meta]) => {
+    const r = byAccount.get(account) || { debitBefore: 0, creditBefore: 0, debit: 0, credit: 0 };
+    return {
+      account,
+      ...meta,
+      opening: naturalBalance(account, r.debitBefore, r.creditBefore),
+      debit: round2(r.debit),
+      credit: round2(r.credit),
+      closing: naturalBalance(account, r.debitBefore + r.debit, r.creditBefore + r.credit),
+      closingDebit: round2(Math.max(0, (r.debitBefore + r.debit) - (r.creditBefore + r.credit))),
+      closingCredit: round2(Math.max(0, (r.creditBefore + r.credit) - (r.debitBefore + r.debit))),
+    };
+  });
+
+  const totals = accounts.reduce((t, a) => ({
+    debit: round2(t.debit + a.debit),
+    credit: round2(t.credit + a.credit),
+    closingDebit: round2(t.closingDebit + a.closingDebit),
+    closingCredit: round2(t.closingCredit + a.closingCredit),
+  }), { debit: 0, credit: 0, closingDebit: 0, closingCredit: 0 });
+
+  return {
+    year,
+    month,
+    period,
+    accounts,
+    totals,
+    balanced: totals.debit === totals.credit && totals.closingDebit === totals.closingCredit,
+  };
+}
+
+/**
+ * Net movement of the month per account and source type, used to trace overview figures
+ * @returns {Promise<Object>} { [account]: { [sourceType]: { debit, credit } } }
+ */
+async function getPeriodMovements(schoolId, year, month) {
+  const rows = await JournalEntry.aggregate([
+    { $match: { schoolId: new mongoose.Types.ObjectId(schoolId), period: year * 100 + month } },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: { account: '$lines.account', sourceType: '$sourceType' },
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' },
+      }
+    }
+  ]);
+  const result = {};
+  for (const r of rows) {
+    result[r._id.account] = result[r._id.account] || {};
+    result[r._id.account][r._id.sourceType] = { debit: round2(r.debit), credit: round2(r.credit) };
+  }
+  return result;
+}
+
+/**
+ * Account statement: entries touching an account between two periods, with running balance.
+ * @param {string|ObjectId} schoolId
+ * @param {string} account - Key of JournalEntry.ACCOUNTS
+ * @param {Object} options - fromPeriod/toPeriod (YYYYMM) and optional studentId/teacherId/employeeId/classId filter
+ */
+async function getAccountStatement(schoolId, account, { fromPeriod, toPeriod: untilPeriod, studentId, teacherId, employeeId, classId, limit = 500 } = {}) {
+  const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
+  const lineMatch = { 'lines.account': account };
+  for (const [key, value] of Object.entries({ studentId, teacherId, employeeId, classId })) {
+    if (value) lineMatch[`lines.${key}`] = new mongoose.Types.ObjectId(value);
+  }
+
+  const [openingRow] = await JournalEntry.aggregate([
+    { $match: { schoolId: schoolIdObj, period: { $lt: fromPeriod } } },
+    { $unwind: '$lines' },
+    { $match: lineMatch },
+    { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+  ]);
+  const opening = naturalBalance(account, openingRow?.debit || 0, openingRow?.credit || 0);
+
+  const rows = await JournalEntry.aggregate([
+    { $match: { schoolId: schoolIdObj, period: { $gte: fromPeriod, $lte: untilPeriod } } },
+    { $sort: { period: 1, date: 1, _id: 1 } },
+    { $unwind: '$lines' },
+    { $match: lineMatch },
+    { $limit: limit },
+    {
+      $project: {
+        date: 1, period: 1, description: 1, sourceType: 1, sourceId: 1,
+        debit: '$lines.debit', credit: '$lines.credit',
+        studentId: '$lines.studentId', teacherId: '$lines.teacherId',
+        employeeId: '$lines.employeeId', classId: '$lines.classId',
+      }
+    }
+  ]);
+
+  let balance = opening;
+  let debit = 0;
+  let credit = 0;
+  const entries = rows.map(r => {
+    balance = round2(balance + naturalBalance(account, r.debit, r.credit));
+    debit += r.debit;
+    credit += r.credit;
+    return { ...r, entryId: r._id, _id: undefined, balance };
+  });
+
+  return {
+    account,
+    ...ACCOUNTS[account],
+    fromPeriod,
+    toPeriod: untilPeriod,
+    opening,
+    debit: round2(debit),
+    credit: round2(credit),
+    closing: balance,
+    entries,
+    truncated: rows.length === limit,
+  };
+}
+
+/**
+ * Post ledger entries for money movements that have none yet (data from before the ledger,
+ * or postings that failed), then book any remaining difference between StudentFinancial.debt
+ * and the receivables sub-ledger as an opening balance per student.
+ * Safe to run repeatedly.
+ * @returns {Promise<Object>} Counts of entries posted per source
+ */
+async function syncSchoolLedger(schoolId, createdBy) {
+  const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
+  const summary = { payments: 0, manualTransactions: 0, teacherAccruals: 0, teacherPayouts: 0, salaries: 0, salaryAdvances: 0, openingBalances: 0 };
+
+  const postedKeys = new Set(
+    (await JournalEntry.find({ schoolId: schoolIdObj, sourceKey: { $exists: true } }).select('sourceKey').lean())
+      .map(e => e.sourceKey)
+  );
+
+  for await (const payment of Payment.find({ schoolId: schoolIdObj }).cursor()) {
+    if (postedKeys.has(`payment:${payment._id}`)) continue;
+    if (await postPayment(payment, createdBy)) summary.payments++;
+  }
+
+  for await (const transaction of ManualTransaction.find({ schoolId: schoolIdObj, status: ManualTransaction.COUNTED_STATUS }).cursor()) {
+    if (postedKeys.has(`manual:${transaction._id}`)) continue;
+    if (await postManualTransaction(transaction, createdBy)) summary.manualTransactions++;
+  }
+
+  // Paid amounts already posted per payout/salary record
+  const paidRows = await JournalEntry.aggregate([
+    { $match: { schoolId: schoolIdObj, sourceType: { $in: ['teacher_payout', 'employee_salary'] } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': 'cash' } },
+    { $group: { _id: '$sourceId', paid: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } }
+  ]);
+  const postedPaid = new Map(paidRows.map(r => [r._id.toString(), round2(r.paid)]));
+
+  for await (const payout of TeacherPayout.find({ schoolId: schoolIdObj }).cursor()) {
+    if (await postTeacherAccrual(payout, createdBy)) summary.teacherAccruals++;
+    const missing = round2((payout.paidAmount || 0) - (postedPaid.get(payout._id.toString()) || 0));
+    if (missing !== 0 && await postTeacherPayout(payout, missing, createdBy)) summary.teacherPayouts++;
+  }
+
+  for await (const transaction of EmployeeSalaryTransaction.find({ schoolId: schoolIdObj }).cursor()) {
+    const missing = round2((transaction.paidAmount || 0) - (postedPaid.get(transaction._id.toString()) || 0));
+    if (missing !== 0 && await postSalaryPayment(transaction, missing, createdBy)) summary.salaries++;
+  }
+
+  for await (const advance of SalaryAdjustment.find({ schoolId: schoolIdObj, type: 'advance' }).cursor()) {
+    if (!postedKeys.has(`salary_advance:${advance._id}`) && await postSalaryAdvance(advance, createdBy)) summary.salaryAdvances++;
+    if (advance.status === 'voided' && !postedKeys.has(`salary_advance:${advance._id}:voided`)
+      && await postSalaryAdvanceVoided(advance, createdBy)) summary.salaryAdvances++;
+  }
+
+  // Receivables per student vs StudentFinancial.debt
+  const [ledgerDebts, financials] = await Promise.all([
+    JournalEntry.aggregate([
+      { $match: { schoolId: schoolIdObj } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': 'student_receivables' } },
+      { $group: { _id: '$lines.studentId', balance: { $sum: { $subtract: ['$lines.debit', '$lines.credit'] } } } }
+    ]),
+    StudentFinancial.find({ schoolId: schoolIdObj }).select('studentId debt').lean(),
+  ]);
+  const ledgerByStudent = new Map(ledgerDebts.map(r => [String(r._id), r.balance]));
+  const lines = [];
+  let total = 0;
+  for (const f of financials) {
+    const diff = round2((f.debt || 0) - (ledgerByStudent.get(String(f.studentId)) || 0));
+    if (diff !== 0) {
+      lines.push(line('student_receivables', diff, { studentId: f.studentId }));
+      total += diff;
+    }
+  }
+  if (lines.length) {
+    lines.push(line('opening_balance', -total));
+    if (await postEntry({
+      schoolId: schoolIdObj,
+      description: 'Opening student balances (ledger sync)',
+      sourceType: 'opening_balance',
+      lines,
+      createdBy,
+    })) summary.openingBalances = lines.length - 1;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  toPeriod,
+  record,
+  postEntry,
+  postPayment,
+  postDebtAdjustment,
+  postManualTransaction,
+  postManualTransactionDeleted,
+  postTeacherAccrual,
+  postTeacherPayout,
+  postSalaryPayment,
+  postSalaryAdvance,
+  postSalaryAdvanceVoided,
+  getTrialBalance,
+  getPeriodMovements,
+  getAccountStatement,
+  syncSchoolLedger,
+};
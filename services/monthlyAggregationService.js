@@ -8,6 +8,7 @@ const StudentFinancial = require('../models/StudentFinancial');
 const EmployeeSalaryTransaction = require('../models/EmployeeSalaryTransaction');
 const MonthlyFinancialSummary = require('../models/MonthlyFinancialSummary');
 const { calculateTeacherEarnings } = require('./teacherPayoutService');
+const { getAdvancesPaid } = require('./salaryAdjustmentService');
 
 /**
  * Aggregates and freezes financial data for a specific month
@@ -35,18 +36,20 @@ const freezeMonthlyData = async (schoolId, year, month, frozenBy) => {
         $group: {
           _id: null,
           count: { $sum: 1 },
-          totalAmount: { $sum: '$amount' }
+          totalAmount: { $sum: '$amount' },
+          discountGiven: { $sum: { $ifNull: ['$discountAmount', 0] } }
         }
       }
     ]);
 
-    const studentPayments = studentPaymentsData.length > 0 ? studentPaymentsData[0] : { count: 0, totalAmount: 0 };
+    const studentPayments = studentPaymentsData.length > 0 ? studentPaymentsData[0] : { count: 0, totalAmount: 0, discountGiven: 0 };
 
     // 2. Aggregate manual transactions
     const manualTransactionsData = await ManualTransaction.aggregate([
       {
         $match: {
           schoolId: schoolIdObj,
+          status: ManualTransaction.COUNTED_STATUS,
           date: { $gte: startDate, $lte: endDate }
         }
       },
@@ -114,6 +117,11 @@ const freezeMonthlyData = async (schoolId, year, month, frozenBy) => {
       totalPaid: employeeSalariesData[0].totalPaid
     } : { totalCalculated: 0, totalPaid: 0, totalRemaining: 0, employeeCount: 0 };
 
+    // Salary advances handed out this month are money paid to employees too
+    const advances = await getAdvancesPaid(schoolIdObj, year, month);
+    employeeSalaries.advancesPaid = advances.total;
+    employeeSalaries.totalPaid += advances.total;
+
     // 5. Aggregate student debts
     const studentDebtsData = await StudentFinancial.aggregate([
       {
@@ -149,6 +157,7 @@ const freezeMonthlyData = async (schoolId, year, month, frozenBy) => {
         totalIncome,
         totalExpenses,
         totalDebts: studentDebts.totalDebt,
+        discountGiven: studentPayments.discountGiven,
         teacherEarnings,
         manualIncome,
         totalStaffSalariesPaid,
@@ -181,6 +190,7 @@ const freezeMonthlyData = async (schoolId, year, month, frozenBy) => {
             totalCalculated: employeeSalaries.totalCalculated,
             totalPaid: employeeSalaries.totalPaid,
             totalRemaining: employeeSalaries.totalRemaining,
+            advancesPaid: employeeSalaries.advancesPaid,
             employeeCount: employeeSalaries.employeeCount
           },
           studentDebts: {
@@ -273,12 +283,14 @@ const calculateLiveFinancialData = async (schoolId, year, month) => {
       $group: {
         _id: null,
         totalIncome: { $sum: '$taken' }, // Use 'taken' field (actual money received)
+        discountGiven: { $sum: { $ifNull: ['$discountAmount', 0] } },
         paymentCount: { $sum: 1 }
       }
     }
   ]);
 
   const totalIncome = studentPaymentsData.length > 0 ? studentPaymentsData[0].totalIncome : 0;
+  const discountGiven = studentPaymentsData.length > 0 ? studentPaymentsData[0].discountGiven : 0;
   const paymentCount = studentPaymentsData.length > 0 ? studentPaymentsData[0].paymentCount : 0;
 
   // Calculate manual expenses
@@ -287,6 +299,7 @@ const calculateLiveFinancialData = async (schoolId, year, month) => {
       $match: {
         schoolId: schoolIdObj,
         type: 'expense',
+        status: ManualTransaction.COUNTED_STATUS,
         date: { $gte: startDate, $lte: endDate }
       }
     },
@@ -306,6 +319,7 @@ const calculateLiveFinancialData = async (schoolId, year, month) => {
       $match: {
         schoolId: schoolIdObj,
         type: 'income',
+        status: ManualTransaction.COUNTED_STATUS,
         date: { $gte: startDate, $lte: endDate }
       }
     },
@@ -359,7 +373,9 @@ const calculateLiveFinancialData = async (schoolId, year, month) => {
     }
   ]);
 
-  const totalEmployeeSalariesPaid = employeeSalariesData.length > 0 ? employeeSalariesData[0].totalPaid : 0;
+  // Salary advances handed out this month count as salaries paid
+  const advancesPaid = (await getAdvancesPaid(schoolIdObj, year, month)).total;
+  const totalEmployeeSalariesPaid = (employeeSalariesData.length > 0 ? employeeSalariesData[0].totalPaid : 0) + advancesPaid;
   const totalEmployeeSalariesCalculated = employeeSalariesData.length > 0 ? employeeSalariesData[0].totalCalculated : 0;
   const employeeCount = employeeSalariesData.length > 0 ? employeeSalariesData[0].employeeCount.length : 0;
 
@@ -395,8 +411,10 @@ const calculateLiveFinancialData = async (schoolId, year, month) => {
       totalIncome,
       totalExpenses,
       totalDebts,
+      discountGiven,
       teacherEarnings: totalTeacherEarningsPaid,
       employeeSalaries: totalEmployeeSalariesPaid,
+      employeeAdvancesPaid: advancesPaid,
       teacherEarningsCalculated: totalTeacherEarningsCalculated,
       employeeSalariesCalculated: totalEmployeeSalariesCalculated,
       manualIncome,
@@ -413,8 +431,26 @@ const calculateLiveFinancialData = async (schoolId, year, month) => {
   };
 };
 
+/**
+ * Checks whether the month containing a date has been frozen for a school
+ * @param {string} schoolId - The school ID
+ * @param {Date} date - Any date inside the month
+ * @returns {Promise<boolean>} True if a frozen summary exists
+ */
+const isMonthFrozen = async (schoolId, date) => {
+  const d = new Date(date);
+  const frozen = await MonthlyFinancialSummary.exists({
+    schoolId: new mongoose.Types.ObjectId(schoolId),
+    year: d.getFullYear(),
+    month: d.getMonth() + 1,
+    isFrozen: true
+  });
+  return !!frozen;
+};
+
 module.exports = {
   freezeMonthlyData,
+  isMonthFrozen,
   getMonthlyFinancialData,
   calculateLiveFinancialData
 };
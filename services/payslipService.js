@@ -0,0 +1,282 @@
+// server/services/payslipService.js
+
+const mongoose = require('mongoose');
+const Sequence = require('../models/Sequence');
+const Payslip = require('../models/Payslip');
+const School = require('../models/School');
+const User = require('../models/User');
+const Employee = require('../models/Employee');
+const EmployeeSalaryTransaction = require('../models/EmployeeSalaryTransaction');
+const TeacherPayout = require('../models/TeacherPayout');
+const { escapeHtml, formatAmount } = require('./receiptService');
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const ADJUSTMENT_LABELS = {
+  bonus: 'Bonus',
+  reimbursement: 'Reimbursement',
+  deduction: 'Deduction',
+  advance_recovery: 'Advance recovery',
+};
+
+const METHOD_LABELS = { cash: 'Cash', bank_transfer: 'Bank transfer', check: 'Cheque' };
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Payslip number of a person and month, reserving the next one of the school's yearly
+ * sequence (payslip:<schoolId>:<year>) the first time. Reprints keep their number.
+ * Only called when a payslip is issued, never when one is viewed.
+ * @returns {Promise<Object>} Payslip register document
+ */
+async function issuePayslipNumber(schoolId, recipientType, recipientId, year, month) {
+  const query = { schoolId, recipientType, recipientId, year, month };
+  const existing = await Payslip.findOne(query);
+  if (existing) return existing;
+
+  const key = `payslip:${schoolId.toString()}:${year}`;
+  const seq = await Sequence.next(key);
+  try {
+    return await Payslip.create({ ...query, seq, number: `PS-${year}-${String(seq).padStart(6, '0')}` });
+  } catch (err) {
+    // Another request numbered this payslip first: hand the number back and use theirs
+    if (err?.code === 11000) {
+      const released = await Sequence.release(key, seq);
+      if (!released) console.error('Payslip number could not be released, sequence has a gap:', key, seq);
+      const numbered = await Payslip.findOne(query);
+      if (numbered) return numbered;
+    }
+    throw err;
+  }
+}
+
+// Register entry of a payslip: numbered when issuing, only looked up otherwise
+function payslipRegister(schoolId, recipientType, recipientId, year, month, issue) {
+  return issue
+    ? issuePayslipNumber(schoolId, recipientType, recipientId, year, month)
+    : Payslip.findOne({ schoolId, recipientType, recipientId, year, month }).lean();
+}
+
+// Payment lines of an employee salary transaction (older transactions only have the paid total)
+function employeePayments(transaction) {
+  const lines = (transaction.payments || []).map(p => ({
+    date: p.paidAt,
+    amount: p.amount,
+    method: METHOD_LABELS[p.method] || p.method,
+    note: p.notes,
+  }));
+  const recorded = lines.reduce((s, l) => s + l.amount, 0);
+  if (transaction.paidAmount - recorded > 0.005) {
+    lines.unshift({ date: transaction.createdAt, amount: round2(transaction.paidAmount - recorded), method: transaction.paymentMethod, note: 'Earlier payments' });
+  }
+  return lines.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Payslip data of an employee for a month, from the salary transaction of that month
+ * @param {Object} [options] - { issue: number the payslip if it has no number yet }
+ * @returns {Promise<Object|null>} null when no salary has been recorded for the month;
+ *   payslip.number is null (draft) until the payslip is issued
+ */
+async function buildEmployeePayslip(schoolId, employeeId, year, month, { issue = false } = {}) {
+  const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
+  const employee = await Employee.findOne({ _id: employeeId, schoolId: schoolIdObj }).lean();
+  if (!employee) return null;
+  const transaction = await EmployeeSalaryTransaction.findOne({ schoolId: schoolIdObj, employeeId: employee._id, year, month }).lean();
+  if (!transaction) return null;
+
+  const basis = [];
+  if (transaction.hours) {
+    const h = transaction.hours;
+    basis.push({ label: 'Regular hours', detail: `${h.regularHours} h x ${formatAmount(h.rate)}`, amount: h.regularPay });
+    if (h.overtimeHours > 0) {
+      basis.push({ label: 'Overtime hours', detail: `${h.overtimeHours} h x ${formatAmount(h.rate)} x ${h.overtimeMultiplier}`, amount: h.overtimePay });
+    }
+  } else {
+    const deduction = transaction.leave?.deduction || 0;
+    basis.push({ label: 'Monthly salary', detail: employee.salaryType === 'fixed' ? 'Fixed' : '', amount: transaction.calculatedSalary + deduction });
+  }
+  if (transaction.leave?.deduction > 0) {
+    const l = transaction.leave;
+    basis.push({ label: 'Unpaid leave', detail: `${l.unpaidDays} of ${l.workingDays} working day(s)`, amount: -l.deduction });
+  }
+  if (transaction.leave?.paidLeavePay > 0) {
+    basis.push({ label: 'Paid leave', detail: `${transaction.leave.paidDays} day(s)`, amount: transaction.leave.paidLeavePay });
+  }
+
+  const register = await payslipRegister(schoolIdObj, 'employee', employee._id, year, month, issue);
+  const payments = employeePayments(transaction);
+  return assemble(register, schoolIdObj, {
+    recipient: { type: 'employee', id: employee._id, name: employee.name, role: employee.role },
+    year,
+    month,
+    basis,
+    gross: transaction.calculatedSalary,
+    adjustments: (transaction.adjustments?.items || []).map(item => ({
+      type: item.type,
+      label: ADJUSTMENT_LABELS[item.type] || item.type,
+      detail: item.reason,
+      amount: item.amount,
+    })),
+    payments,
+    remaining: transaction.remaining,
+  });
+}
+
+// Calculation basis line of one class payout
+function payoutBasis(payout) {
+  const c = payout.classData || {};
+  const rate = formatAmount(c.rate);
+  let detail = '';
+  switch (c.compensationMode) {
+    case 'per_session': detail = `${c.sessionsHeld} session(s) x ${rate}`; break;
+    case 'per_student_present': detail = `${c.studentsPresent} student attendance(s) x ${rate}`; break;
+    case 'per_hour': detail = `${c.hoursTaught} h x ${rate}`; break;
+    default:
+      detail = c.teacherCutPercentage > 0
+        ? `${c.teacherCutPercentage}% of ${formatAmount(c.totalClassIncome)} collected (${c.studentsPaid}/${c.totalStudents} students paid)`
+        : (c.teacherCutFixed > 0 ? 'Fixed amount' : '');
+  }
+  return { label: c.className, detail, amount: payout.calculatedIncome };
+}
+
+/**
+ * Payslip data of a teacher for a month, combining the payouts of all their classes
+ * @param {Object} [options] - { issue: number the payslip if it has no number yet }
+ * @returns {Promise<Object|null>} null when the teacher has no payout for the month;
+ *   payslip.number is null (draft) until the payslip is issued
+ */
+async function buildTeacherPayslip(schoolId, teacherId, year, month, { issue = false } = {}) {
+  const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
+  const teacher = await User.findOne({ _id: teacherId, role: 'teacher' }).select('firstName lastName email').lean();
+  if (!teacher) return null;
+  const payouts = await TeacherPayout.find({ schoolId: schoolIdObj, teacherId: teacher._id, year, month }).sort({ 'classData.className': 1 }).lean();
+  if (payouts.length === 0) return null;
+
+  const payments = payouts
+    .flatMap(p => (p.payoutHistory || []).map(h => ({
+      date: h.paidAt,
+      amount: h.amount,
+      method: METHOD_LABELS[h.method] || h.method,
+      note: [p.classData?.className, h.note].filter(Boolean).join(' - '),
+    })))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const register = await payslipRegister(schoolIdObj, 'teacher', teacher._id, year, month, issue);
+  return assemble(register, schoolIdObj, {
+    recipient: { type: 'teacher', id: teacher._id, name: `${teacher.firstName || ''} ${teacher.lastName || ''}`.trim(), role: 'Teacher' },
+    year,
+    month,
+    basis: payouts.map(payoutBasis),
+    gross: payouts.reduce((s, p) => s + p.calculatedIncome, 0),
+    adjustments: [],
+    payments,
+    remaining: payouts.reduce((s, p) => s + p.remainingDebt, 0),
+  });
+}
+
+async function assemble(register, schoolId, data) {
+  const school = await School.findById(schoolId).select('name contact').lean();
+  const adjustmentsTotal = data.adjustments.reduce((s, a) => s + a.amount, 0);
+  return {
+    payslip: register
+      ? { number: register.number, issuedAt: register.issuedAt, downloadCount: register.downloadCount, draft: false }
+      : { number: null, draft: true },
+    school,
+    ...data,
+    period: `${MONTH_NAMES[data.month - 1]} ${data.year}`,
+    gross: round2(data.gross),
+    net: round2(data.gross + adjustmentsTotal),
+    paid: round2(data.payments.reduce((s, p) => s + p.amount, 0)),
+    remaining: round2(data.remaining),
+  };
+}
+
+// Count a download of a payslip
+async function markDownloaded(number, schoolId) {
+  await Payslip.updateOne({ schoolId, number }, { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } });
+}
+
+/**
+ * Render a printable HTML payslip (the browser print dialog produces the PDF)
+ * @param {Object} data - Result of buildEmployeePayslip/buildTeacherPayslip
+ * @returns {String} HTML document
+ */
+function renderPayslipHtml(data) {
+  const contact = data.school?.contact || {};
+  const number = data.payslip.number || 'DRAFT';
+  const row = (cells) => `<tr>${cells.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`;
+  const basisRows = data.basis.map(b => row([b.label, b.detail, formatAmount(b.amount)])).join('\n      ');
+  const adjustmentRows = data.adjustments.map(a => row([a.label, a.detail || '', formatAmount(a.amount)])).join('\n      ');
+  const paymentRows = data.payments.length > 0
+    ? data.payments.map(p => row([new Date(p.date).toLocaleDateString('fr-DZ'), [p.method, p.note].filter(Boolean).join(' - '), formatAmount(p.amount)])).join('\n      ')
+    : '<tr><td colspan="3">No payment yet</td></tr>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Payslip ${escapeHtml(number)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 0; padding: 24px; }
+  .payslip { max-width: 720px; margin: 0 auto; border: 1px solid #ccc; padding: 24px; }
+  .header { text-align: center; border-bottom: 2px solid #222; padding-bottom: 12px; margin-bottom: 16px; }
+  .header h1 { margin: 0 0 4px; font-size: 22px; }
+  .header p { margin: 2px 0; font-size: 12px; color: #555; }
+  .meta { display: flex; justify-content: space-between; font-size: 14px; margin-bottom: 16px; }
+  h2 { font-size: 15px; margin: 20px 0 6px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  td { padding: 6px 4px; border-bottom: 1px solid #eee; }
+  td:last-child { text-align: right; white-space: nowrap; }
+  tr.total td { font-weight: bold; border-top: 1px solid #222; }
+  .footer { margin-top: 24px; font-size: 12px; color: #777; text-align: center; }
+  @media print { body { padding: 0; } .payslip { border: none; } }
+</style>
+</head>
+<body>
+<div class="payslip">
+  <div class="header">
+    <h1>${escapeHtml(data.school?.name)}</h1>
+    ${contact.address ? `<p>${escapeHtml(contact.address)}</p>` : ''}
+    ${contact.phone || contact.email ? `<p>${escapeHtml([contact.phone, contact.email].filter(Boolean).join(' - '))}</p>` : ''}
+  </div>
+  <div class="meta">
+    <strong>Payslip No. ${escapeHtml(number)}</strong>
+    <span>${escapeHtml(data.period)}</span>
+  </div>
+  <table>
+    ${row(['Name', data.recipient.name, ''])}
+    ${row(['Position', data.recipient.role || '-', ''])}
+  </table>
+  <h2>Gross calculation</h2>
+  <table>
+      ${basisRows}
+      <tr class="total"><td>Gross</td><td></td><td>${escapeHtml(formatAmount(data.gross))}</td></tr>
+  </table>
+  ${data.adjustments.length > 0 ? `<h2>Advances and deductions</h2>
+  <table>
+      ${adjustmentRows}
+      <tr class="total"><td>Net</td><td></td><td>${escapeHtml(formatAmount(data.net))}</td></tr>
+  </table>` : ''}
+  <h2>Payments</h2>
+  <table>
+      ${paymentRows}
+      <tr class="total"><td>Total paid</td><td></td><td>${escapeHtml(formatAmount(data.paid))}</td></tr>
+      <tr class="total"><td>Remaining</td><td></td><td>${escapeHtml(formatAmount(data.remaining))}</td></tr>
+  </table>
+  <div class="footer">${data.payslip.draft ? 'Draft, not issued' : `Issued ${escapeHtml(new Date(data.payslip.issuedAt).toLocaleDateString('fr-DZ'))}`} - printed ${escapeHtml(new Date().toLocaleString('fr-DZ'))}</div>
+</div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  issuePayslipNumber,
+  buildEmployeePayslip,
+  buildTeacherPayslip,
+  markDownloaded,
+  renderPayslipHtml,
+};
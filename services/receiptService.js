@@ -0,0 +1,217 @@
+// server/services/receiptService.js
+
+const Sequence = require('../models/Sequence');
+const VoidedReceipt = require('../models/VoidedReceipt');
+
+// Payments recorded before numbering existed are numbered in their own series (L2024-000001, ...),
+// so the gap-free sequence of new receipts is not interleaved with back-dated numbers
+const LEGACY_SERIES = { key: 'receipt-legacy', prefix: 'L' };
+
+/**
+ * Reserve the next receipt number for a school and calendar year.
+ * Numbers are gap-free per (school, year): 2025-000001, 2025-000002, ...
+ * @param {ObjectId|String} schoolId - School ID
+ * @param {Date} date - Payment date (decides the receipt year)
+ * @param {Object} series - { key, prefix } of the numbering series (defaults to new receipts)
+ * @returns {Object} { key, schoolId, receiptYear, receiptSeq, receiptNumber }
+ */
+const allocateReceiptNumber = async (schoolId, date = new Date(), series = { key: 'receipt', prefix: '' }) => {
+  const receiptYear = new Date(date).getFullYear();
+  const key = `${series.key}:${schoolId.toString()}:${receiptYear}`;
+  const receiptSeq = await Sequence.next(key);
+  return {
+    key,
+    schoolId,
+    receiptYear,
+    receiptSeq,
+    receiptNumber: `${series.prefix}${receiptYear}-${String(receiptSeq).padStart(6, '0')}`,
+  };
+};
+
+/**
+ * Give a reserved number back when the payment could not be saved.
+ * If a later number was already handed out the number cannot be reused: it is recorded as a voided
+ * receipt so the register shows the gap.
+ * @param {Object} allocation - Result of allocateReceiptNumber
+ * @param {String} reason - Why the number went unused
+ * @returns {Boolean} true if the number was released
+ */
+const releaseReceiptNumber = async (allocation, reason) => {
+  if (!allocation) return false;
+  try {
+    if (await Sequence.release(allocation.key, allocation.receiptSeq)) return true;
+    await VoidedReceipt.create({
+      schoolId: allocation.schoolId,
+      receiptNumber: allocation.receiptNumber,
+      receiptYear: allocation.receiptYear,
+      receiptSeq: allocation.receiptSeq,
+      reason,
+    });
+    return false;
+  } catch (error) {
+    console.error('Error releasing receipt number:', allocation.receiptNumber, error);
+    return false;
+  }
+};
+
+/**
+ * Save a new payment with the next receipt number. The payment is validated before a number is
+ * reserved, so only a failed write can leave a number unused (see releaseReceiptNumber).
+ * @param {Model} Payment - Payment model (passed in to avoid a require cycle with controllers)
+ * @param {Object} payload - Payment fields
+ * @param {Date} date - Payment date (decides the receipt year)
+ * @returns {Object} The saved payment
+ */
+const createNumberedPayment = async (Payment, payload, date = new Date()) => {
+  const payment = new Payment(payload);
+  await payment.validate();
+  const receipt = await allocateReceiptNumber(payload.schoolId, date);
+  payment.set({ receiptNumber: receipt.receiptNumber, receiptYear: receipt.receiptYear, receiptSeq: receipt.receiptSeq });
+  try {
+    return await payment.save();
+  } catch (err) {
+    await releaseReceiptNumber(receipt, `Payment not saved: ${err.message}`);
+    throw err;
+  }
+};
+
+/**
+ * Number every unnumbered payment of a school in the legacy series, oldest first.
+ * Used on first print of a legacy payment and by scripts/backfillReceiptNumbers.js.
+ * @param {Model} Payment - Payment model (passed in to avoid a require cycle with controllers)
+ * @param {ObjectId|String} schoolId - School ID
+ * @returns {Number} How many payments were numbered
+ */
+const numberLegacyPayments = async (Payment, schoolId) => {
+  const legacy = await Payment.find({ schoolId, receiptNumber: { $exists: false } })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('_id createdAt')
+    .lean();
+  let numbered = 0;
+  for (const payment of legacy) {
+    const allocation = await allocateReceiptNumber(schoolId, payment.createdAt || new Date(), LEGACY_SERIES);
+    const result = await Payment.updateOne(
+      { _id: payment._id, receiptNumber: { $exists: false } },
+      { $set: { receiptNumber: allocation.receiptNumber, receiptYear: allocation.receiptYear, receiptSeq: allocation.receiptSeq } }
+    );
+    if (result.modifiedCount === 1) {
+      numbered++;
+    } else {
+      // Another request numbered it first
+      await releaseReceiptNumber(allocation, 'Payment numbered by another request');
+    }
+  }
+  return numbered;
+};
+
+/**
+ * Make sure a payment has a receipt number (see numberLegacyPayments for payments recorded before numbering existed)
+ * @param {Model} Payment - Payment model (passed in to avoid a require cycle with controllers)
+ * @param {Object} payment - Payment document or lean object
+ * @returns {Object} The payment with receiptNumber set
+ */
+const ensureReceiptNumber = async (Payment, payment) => {
+  if (payment.receiptNumber) return payment;
+  await numberLegacyPayments(Payment, payment.schoolId);
+  return Payment.findById(payment._id).lean();
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatAmount = (value) => `${Number(value || 0).toLocaleString('fr-DZ')} DZD`;
+
+const KIND_LABELS = {
+  pay_sessions: 'Sessions payment',
+  pay_cycles: 'Cycle payment',
+  debt_payment: 'Debt payment',
+  reversal: 'Reversal',
+};
+
+/**
+ * Render a printable HTML receipt (the browser print dialog produces the PDF)
+ * @param {Object} data - { payment, school, student, className, methodLabel, remainingDebt }
+ * @param {Object} options - { duplicate }
+ * @returns {String} HTML document
+ */
+const renderReceiptHtml = (data, { duplicate = false } = {}) => {
+  const { payment, school, student, className, methodLabel, remainingDebt } = data;
+  const contact = school?.contact || {};
+  const studentName = student ? `${student.firstName || ''} ${student.lastName || ''}`.trim() : '';
+  const unitsLabel = payment.units
+    ? `${payment.units} ${payment.unitType === 'cycle' ? 'cycle(s)' : 'session(s)'}`
+    : '-';
+  const rows = [
+    ['Student', studentName],
+    ['Student code', student?.studentCode || '-'],
+    ['Class', className || '-'],
+    ['Payment', payment.kind === 'reversal'
+      ? (payment.reversalType === 'refund' ? 'Refund' : 'Void')
+      : (KIND_LABELS[payment.kind] || payment.kind)],
+    ['Units', unitsLabel],
+    ['Price', formatAmount(payment.expectedPrice ?? payment.amount)],
+    ['Amount taken', formatAmount(payment.taken ?? payment.amount)],
+    ['Method', methodLabel || payment.method],
+  ];
+  if (payment.reference) rows.push(['Reference', payment.reference]);
+  rows.push(['Remaining debt', formatAmount(remainingDebt)]);
+  if (payment.note) rows.push(['Note', payment.note]);
+  if (payment.reversalReason) rows.push(['Reason', payment.reversalReason]);
+  if (payment.status && payment.status !== 'active') rows.push(['Status', payment.status.toUpperCase()]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(payment.receiptNumber)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 0; padding: 24px; }
+  .receipt { max-width: 640px; margin: 0 auto; border: 1px solid #ccc; padding: 24px; position: relative; }
+  .header { text-align: center; border-bottom: 2px solid #222; padding-bottom: 12px; margin-bottom: 16px; }
+  .header h1 { margin: 0 0 4px; font-size: 22px; }
+  .header p { margin: 2px 0; font-size: 12px; color: #555; }
+  .meta { display: flex; justify-content: space-between; font-size: 14px; margin-bottom: 16px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  td { padding: 6px 4px; border-bottom: 1px solid #eee; }
+  td:first-child { color: #555; width: 40%; }
+  .duplicate { position: absolute; top: 40%; left: 0; right: 0; text-align: center; font-size: 64px; font-weight: bold; color: rgba(200, 0, 0, 0.18); transform: rotate(-20deg); pointer-events: none; }
+  .duplicate-banner { text-align: center; color: #c00; font-weight: bold; letter-spacing: 2px; margin-bottom: 12px; }
+  .footer { margin-top: 24px; font-size: 12px; color: #777; text-align: center; }
+  @media print { body { padding: 0; } .receipt { border: none; } }
+</style>
+</head>
+<body>
+<div class="receipt">
+  ${duplicate ? '<div class="duplicate">DUPLICATE</div><div class="duplicate-banner">DUPLICATE</div>' : ''}
+  <div class="header">
+    <h1>${escapeHtml(school?.name)}</h1>
+    ${contact.address ? `<p>${escapeHtml(contact.address)}</p>` : ''}
+    ${contact.phone || contact.email ? `<p>${escapeHtml([contact.phone, contact.email].filter(Boolean).join(' - '))}</p>` : ''}
+  </div>
+  <div class="meta">
+    <strong>Receipt No. ${escapeHtml(payment.receiptNumber)}</strong>
+    <span>${escapeHtml(new Date(payment.createdAt).toLocaleString('fr-DZ'))}</span>
+  </div>
+  <table>
+    ${rows.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n    ')}
+  </table>
+  <div class="footer">Printed ${escapeHtml(new Date().toLocaleString('fr-DZ'))}</div>
+</div>
+</body>
+</html>`;
+};
+
+module.exports = {
+  allocateReceiptNumber,
+  releaseReceiptNumber,
+  createNumberedPayment,
+  numberLegacyPayments,
+  ensureReceiptNumber,
+  renderReceiptHtml,
+  escapeHtml,
+  formatAmount,
+};
@@ -0,0 +1,137 @@
+// server/services/recurringTransactionService.js
+
+const mongoose = require('mongoose');
+const School = require('../models/School');
+const ManualTransaction = require('../models/ManualTransaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const ledgerService = require('./ledgerService');
+const { isMonthFrozen } = require('./monthlyAggregationService');
+const { bookApprovedExpense } = require('./expenseApprovalService');
+
+const monthKey = (d) => `${d.getFullYear()}-${d.getMonth() + 1}`;
+
+/**
+ * Materialize the due occurrences of a school's active templates into generated ManualTransactions.
+ * Skipped occurrences, occurrences already generated and occurrences in frozen months are left out.
+ * @param {string} schoolId - The school ID
+ * @param {Object} options - { now, templateId }
+ * @returns {Promise<Object>} { created, skippedFrozen }
+ */
+const materializeRecurringTransactions = async (schoolId, { now = new Date(), templateId } = {}) => {
+  const schoolIdObj = new mongoose.Types.ObjectId(schoolId);
+  const query = { schoolId: schoolIdObj, active: true, startDate: { $lte: now } };
+  if (templateId) query._id = templateId;
+  const templates = await RecurringTransaction.find(query);
+  const frozenMonths = new Map();
+  let created = 0;
+  let skippedFrozen = 0;
+
+  for (const template of templates) {
+    const generated = await ManualTransaction.find({ recurringTransactionId: template._id, generated: true })
+      .select('occurrenceDate')
+      .lean();
+    const done = new Set(generated.map(t => t.occurrenceDate.getTime()));
+
+    for (const date of template.occurrencesBetween(template.startDate, now)) {
+      if (done.has(date.getTime()) || template.isSkipped(date)) continue;
+      const key = monthKey(date);
+      if (!frozenMonths.has(key)) frozenMonths.set(key, await isMonthFrozen(schoolIdObj, date));
+      if (frozenMonths.get(key)) {
+        skippedFrozen++;
+        continue;
+      }
+
+      let transaction;
+      try {
+        transaction = await ManualTransaction.create({
+          schoolId: template.schoolId,
+          type: template.type,
+          category: template.category,
+          description: template.description,
+          amount: template.amount,
+          date,
+          createdBy: template.createdBy,
+          generated: true,
+          recurringTransactionId: template._id,
+          occurrenceDate: date
+        });
+      } catch (err) {
+        // Generated concurrently by another run
+        if (err?.code === 11000) continue;
+        throw err;
+      }
+      created++;
+      await bookApprovedExpense(transaction, template.createdBy);
+    }
+
+    template.lastMaterializedAt = now;
+    await template.save();
+  }
+
+  return { created, skippedFrozen };
+};
+
+/**
+ * Skip one occurrence of a template. An entry already generated for it is deleted (and reversed
+ * in the ledger) unless its month is frozen.
+ * @param {Object} template - RecurringTransaction document
+ * @param {Date} date - Occurrence date
+ * @param {ObjectId} userId - User skipping the occurrence
+ * @returns {Promise<Object>} { skipped, removed } or { frozen: true }
+ */
+const skipOccurrence = async (template, date, userId) => {
+  if (await isMonthFrozen(template.schoolId, date)) return { frozen: true };
+  if (!template.isSkipped(date)) template.skippedDates.push(date);
+  await template.save();
+
+  const transaction = await ManualTransaction.findOneAndDelete({
+    recurringTransactionId: template._id,
+    occurrenceDate: date,
+    generated: true
+  });
+  if (transaction) {
+    await ledgerService.record(() => ledgerService.postManualTransactionDeleted(transaction, userId));
+  }
+  return { skipped: date, removed: !!transaction };
+};
+
+/**
+ * Materialize recurring transactions for every live school (used by the scheduled job)
+ * @returns {Promise<Array>} One summary per school
+ */
+const runRecurringTransactionJob = async () => {
+  const schools = await School.find({ status: { $in: ['trial', 'active'] } }).select('_id').lean();
+  const results = [];
+  for (const s of schools) {
+    try {
+      results.push({ schoolId: s._id, ...(await materializeRecurringTransactions(s._id)) });
+    } catch (error) {
+      console.error('Recurring transactions failed for school', s._id.toString(), error.message);
+      results.push({ schoolId: s._id, error: error.message });
+    }
+  }
+  return results;
+};
+
+let timer = null;
+
+/**
+ * Start the periodic materialization job (ENABLE_RECURRING_TRANSACTIONS_JOB=true;
+ * RECURRING_TRANSACTIONS_INTERVAL_HOURS, default 24)
+ */
+const startRecurringTransactionJob = () => {
+  if (timer) return timer;
+  const hours = Number(process.env.RECURRING_TRANSACTIONS_INTERVAL_HOURS) || 24;
+  timer = setInterval(() => {
+    runRecurringTransactionJob().catch(err => console.error('Recurring transactions job error:', err.message));
+  }, hours * 60 * 60 * 1000);
+  if (typeof timer.unref === 'function') timer.unref();
+  return timer;
+};
+
+module.exports = {
+  materializeRecurringTransactions,
+  skipOccurrence,
+  runRecurringTransactionJob,
+  startRecurringTransactionJob,
+};
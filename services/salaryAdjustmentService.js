@@ -0,0 +1,161 @@
+// server/services/salaryAdjustmentService.js
+
+const mongoose = require('mongoose');
+const SalaryAdjustment = require('../models/SalaryAdjustment');
+const EmployeeSalaryTransaction = require('../models/EmployeeSalaryTransaction');
+
+const { ADJUSTMENT_TYPES } = SalaryAdjustment;
+const TOTAL_FIELDS = { bonus: 'bonuses', reimbursement: 'reimbursements', deduction: 'deductions' };
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Amount already recovered of each advance, from the salary transactions that recovered it
+ * @param {ObjectId[]} advanceIds
+ * @param {{ year: number, month: number }} [before] - Only count the salaries of the months before this one
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getRecoveredAmounts(advanceIds, before) {
+  if (advanceIds.length === 0) return new Map();
+  const match = { 'adjustments.items.adjustmentId': { $in: advanceIds } };
+  if (before) match.$or = [{ year: { $lt: before.year } }, { year: before.year, month: { $lt: before.month } }];
+  const rows = await EmployeeSalaryTransaction.aggregate([
+    { $match: match },
+    { $unwind: '$adjustments.items' },
+    { $match: { 'adjustments.items.type': 'advance_recovery', 'adjustments.items.adjustmentId': { $in: advanceIds } } },
+    { $group: { _id: '$adjustments.items.adjustmentId', recovered: { $sum: { $multiply: ['$adjustments.items.amount', -1] } } } }
+  ]);
+  return new Map(rows.map(r => [r._id.toString(), round2(r.recovered)]));
+}
+
+/**
+ * Apply an employee's salary adjustments to the salary transaction of a month (the document is not saved):
+ * bonuses, reimbursements and deductions of the month, then recovery of advances handed out in earlier
+ * months, oldest first, up to each advance's monthly recovery and the net salary left. Only the
+ * recoveries of earlier months count as already recovered: after saving, refreshLaterRecoveries
+ * recalculates the later months so each advance is recovered for its amount at most.
+ * @param {Object} transaction - EmployeeSalaryTransaction document with calculatedSalary set
+ * @returns {Promise<Object>} The transaction, with netSalary and adjustments set (or cleared)
+ */
+async function applySalaryAdjustments(transaction) {
+  const employeeId = transaction.employeeId?._id || transaction.employeeId;
+  const { year, month } = transaction;
+  const base = { schoolId: transaction.schoolId, employeeId, status: 'active' };
+  const [monthAdjustments, advances] = await Promise.all([
+    SalaryAdjustment.find({ ...base, type: { $ne: 'advance' }, year, month }).sort({ date: 1, _id: 1 }).lean(),
+    SalaryAdjustment.find({ ...base, type: 'advance', $or: [{ year: { $lt: year } }, { year, month: { $lt: month } }] })
+      .sort({ year: 1, month: 1, date: 1, _id: 1 })
+      .lean(),
+  ]);
+
+  const totals = { bonuses: 0, reimbursements: 0, deductions: 0, advanceRecovery: 0 };
+  const items = [];
+  for (const adjustment of monthAdjustments) {
+    const amount = round2(adjustment.amount * ADJUSTMENT_TYPES[adjustment.type]);
+    totals[TOTAL_FIELDS[adjustment.type]] += amount;
+    items.push({ adjustmentId: adjustment._id, type: adjustment.type, reason: adjustment.reason, amount });
+  }
+
+  let available = transaction.calculatedSalary + totals.bonuses + totals.reimbursements + totals.deductions;
+  const recovered = await getRecoveredAmounts(advances.map(a => a._id), { year, month });
+  for (const advance of advances) {
+    const outstanding = round2(advance.amount - (recovered.get(advance._id.toString()) || 0));
+    const amount = round2(Math.min(outstanding, advance.monthlyRecovery || outstanding, Math.max(0, available)));
+    if (amount <= 0) continue;
+    available -= amount;
+    totals.advanceRecovery -= amount;
+    items.push({
+      adjustmentId: advance._id,
+      type: 'advance_recovery',
+      reason: `Advance of ${advance.year}-${String(advance.month).padStart(2, '0')}: ${advance.reason}`,
+      amount: -amount,
+    });
+  }
+
+  if (items.length === 0) {
+    transaction.adjustments = undefined;
+    transaction.netSalary = undefined;
+    return transaction;
+  }
+  for (const key of Object.keys(totals)) totals[key] = round2(totals[key]);
+  transaction.adjustments = { ...totals, items };
+  transaction.netSalary = round2(transaction.calculatedSalary + items.reduce((s, i) => s + i.amount, 0));
+  return transaction;
+}
+
+/**
+ * Recalculate and save the salary transaction of a month after its adjustments changed
+ * @returns {Promise<Object|null>} The transaction, or null when the month has none yet
+ */
+async function refreshSalaryTransaction(schoolId, employeeId, year, month) {
+  const transaction = await EmployeeSalaryTransaction.findOne({ schoolId, employeeId, year, month });
+  if (!transaction) return null;
+  await applySalaryAdjustments(transaction);
+  transaction.calculateRemaining();
+  await transaction.save();
+  await refreshLaterRecoveries(transaction);
+  return transaction;
+}
+
+/**
+ * Recalculate the salary transactions of the months after a saved one, oldest first, when the
+ * employee has advances: what that month recovers changes what is left for the following months
+ * @param {Object} transaction - Saved EmployeeSalaryTransaction
+ * @returns {Promise<number>} Number of transactions recalculated
+ */
+async function refreshLaterRecoveries(transaction) {
+  const employeeId = transaction.employeeId?._id || transaction.employeeId;
+  const base = { schoolId: transaction.schoolId, employeeId };
+  if (!(await SalaryAdjustment.exists({ ...base, type: 'advance', status: 'active' }))) return 0;
+  const later = await EmployeeSalaryTransaction.find({
+    ...base,
+    $or: [{ year: { $gt: transaction.year } }, { year: transaction.year, month: { $gt: transaction.month } }],
+  }).sort({ year: 1, month: 1 });
+  for (const next of later) {
+    await applySalaryAdjustments(next);
+    next.calculateRemaining();
+    await next.save();
+  }
+  return later.length;
+}
+
+/**
+ * Advances of a school (or one employee) with what has been recovered so far
+ * @param {string|ObjectId} schoolId
+ * @param {{ employeeId?: string|ObjectId, outstandingOnly?: boolean }} [options]
+ */
+async function getAdvanceBalances(schoolId, { employeeId, outstandingOnly = false } = {}) {
+  const query = { schoolId: new mongoose.Types.ObjectId(schoolId), type: 'advance', status: 'active' };
+  if (employeeId) query.employeeId = new mongoose.Types.ObjectId(employeeId);
+  const advances = await SalaryAdjustment.find(query).sort({ year: 1, month: 1, date: 1 }).lean();
+  const recovered = await getRecoveredAmounts(advances.map(a => a._id));
+  return advances
+    .map(a => {
+      const done = recovered.get(a._id.toString()) || 0;
+      return { ...a, recovered: done, outstanding: round2(a.amount - done) };
+    })
+    .filter(a => !outstandingOnly || a.outstanding > 0);
+}
+
+/**
+ * Total of the advances handed out in a month (money paid to employees outside their salary)
+ * @param {ObjectId} schoolIdObj
+ * @param {number} year
+ * @param {number} month
+ */
+async function getAdvancesPaid(schoolIdObj, year, month) {
+  const [row] = await SalaryAdjustment.aggregate([
+    { $match: { schoolId: schoolIdObj, type: 'advance', status: 'active', year, month } },
+    { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+  return { total: round2(row?.total), count: row?.count || 0 };
+}
+
+module.exports = {
+  getRecoveredAmounts,
+  applySalaryAdjustments,
+  refreshSalaryTransaction,
+  refreshLaterRecoveries,
+  getAdvanceBalances,
+  getAdvancesPaid,
+};
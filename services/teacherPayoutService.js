@@ -4,6 +4,186 @@ const mongoose = require('mongoose');
 const Payment = require('../models/Payment');
 const Class = require('../models/Class');
 const Enrollment = require('../models/Enrollment');
+const Attendance = require('../models/Attendance');
+
+// teacherCut modes paid from sessions actually held (attendance) instead of money collected
+const ATTENDANCE_MODES = ['per_session', 'per_student_present', 'per_hour'];
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm || '').split(':').map(Number);
+  return h * 60 + m;
+};
+
+/**
+ * Scheduled duration in hours of a class on a given date (UTC date-only, like attendance dates).
+ * Sessions on a day without a schedule slot (make-up sessions) use the average slot duration.
+ * @param {Object} classItem - Class with schedules
+ * @param {Date} date
+ * @returns {Number} Hours
+ */
+const sessionHours = (classItem, date) => {
+  const slots = (classItem.schedules || []).filter(s => s.endTime && s.startTime);
+  if (slots.length === 0) return 0;
+  const day = DAY_NAMES[new Date(date).getUTCDay()];
+  const sameDay = slots.filter(s => s.dayOfWeek === day);
+  const minutes = (list) => list.reduce((sum, s) => sum + Math.max(0, toMinutes(s.endTime) - toMinutes(s.startTime)), 0);
+  return sameDay.length > 0 ? minutes(sameDay) / 60 : minutes(slots) / slots.length / 60;
+};
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// Totals of a list of attendance sessions
+const summarizeSessions = (sessions) => ({
+  teacherEarning: round2(sessions.reduce((sum, s) => sum + s.amount, 0)),
+  sessionsHeld: sessions.length,
+  studentsPresent: sessions.reduce((sum, s) => sum + s.present, 0),
+  hoursTaught: round2(sessions.reduce((sum, s) => sum + s.hours, 0)),
+  sessions
+});
+
+/**
+ * Bounds of a calendar month in server local time, like the payment and ledger reports: [start, end)
+ * @param {Number} year - Year
+ * @param {Number} month - Month (1-12)
+ * @returns {Object} { start, end }
+ */
+const getMonthBounds = (year, month) => ({
+  start: new Date(year, month - 1, 1),
+  end: new Date(year, month, 1)
+});
+
+// Same calendar day as a UTC date-only value (attendance and session override dates are stored that way)
+const toDateOnly = (date) => new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+
+// Attendance date range of a calendar month, matching getMonthBounds day for day
+const getMonthDateRange = (year, month) => {
+  const { start, end } = getMonthBounds(year, month);
+  return { $gte: toDateOnly(start), $lt: toDateOnly(end) };
+};
+
+/**
+ * Earnings of an attendance-based class for a month. A session counts as held when attendance
+ * was taken that day with at least one student present. Each session is earned by the teacher
+ * the attendance of that day is attributed to (the class teacher, or a substitute).
+ * @param {Object} classItem - Class with teacherId, teacherCut and schedules
+ * @param {Number} year - Year
+ * @param {Number} month - Month (1-12)
+ * @returns {Object} { teacherEarning, sessionsHeld, studentsPresent, hoursTaught, sessions[], byTeacher[] }
+ */
+const calculateAttendanceEarnings = async (classItem, year, month) => {
+  const { mode, value = 0 } = classItem.teacherCut || {};
+  const classTeacherId = classItem.teacherId ? new mongoose.Types.ObjectId(classItem.teacherId) : null;
+  const rows = await Attendance.aggregate([
+    {
+      $match: {
+        classId: new mongoose.Types.ObjectId(classItem._id),
+        date: getMonthDateRange(year, month)
+      }
+    },
+    {
+      $group: {
+        _id: { date: '$date', teacherId: { $ifNull: ['$teacherId', classTeacherId] } },
+        // Late arrivals and early departures attended the session
+        present: { $sum: { $cond: [{ $in: ['$status', Attendance.ATTENDED_STATUSES] }, 1, 0] } },
+        absent: { $sum: { $cond: [{ $in: ['$status', Attendance.ATTENDED_STATUSES] }, 0, 1] } }
+      }
+    },
+    { $sort: { '_id.date': 1 } }
+  ]);
+
+  const sessions = rows
+    .filter(r => r.present > 0)
+    .map(r => {
+      const hours = round2(sessionHours(classItem, r._id.date));
+      let amount = 0;
+      if (mode === 'per_session') amount = value;
+      else if (mode === 'per_student_present') amount = value * r.present;
+      else if (mode === 'per_hour') amount = value * hours;
+      return { date: r._id.date, teacherId: r._id.teacherId, present: r.present, absent: r.absent, hours, amount: round2(amount) };
+    });
+
+  const teacherIds = [...new Set(sessions.map(s => String(s.teacherId)))];
+  return {
+    ...summarizeSessions(sessions),
+    byTeacher: teacherIds.map(id => ({
+      teacherId: sessions.find(s => String(s.teacherId) === id).teacherId,
+      ...summarizeSessions(sessions.filter(s => String(s.teacherId) === id))
+    }))
+  };
+};
+
+/**
+ * Days taught per class and teacher in a month (days with at least one student present),
+ * for splitting percentage and fixed earnings when a substitute taught some sessions
+ * @returns {Promise<Map<string, Map<string, number>>>} classId -> teacherId (null: class teacher) -> days
+ */
+const getSessionsByTeacher = async (schoolId, year, month) => {
+  const rows = await Attendance.aggregate([
+    {
+      $match: {
+        schoolId: new mongoose.Types.ObjectId(schoolId),
+        status: { $in: Attendance.ATTENDED_STATUSES },
+        date: getMonthDateRange(year, month)
+      }
+    },
+    { $group: { _id: { classId: '$classId', date: '$date', teacherId: { $ifNull: ['$teacherId', null] } } } },
+    { $group: { _id: { classId: '$_id.classId', teacherId: '$_id.teacherId' }, days: { $sum: 1 } } }
+  ]);
+  const byClass = new Map();
+  for (const row of rows) {
+    const classId = row._id.classId.toString();
+    if (!byClass.has(classId)) byClass.set(classId, new Map());
+    byClass.get(classId).set(row._id.teacherId ? row._id.teacherId.toString() : null, row.days);
+  }
+  return byClass;
+};
+
+/**
+ * Split the earnings of a class between its teacher and the substitutes who taught some of its sessions.
+ * Attendance-based classes pay each session to whoever taught it; percentage and fixed classes are
+ * split pro rata of the days taught, the rounding remainder going to the class teacher.
+ * @returns {Array} [{ teacherId, teacherEarning, attendance, share, substitute }]
+ */
+const splitClassEarnings = (classData, teacherEarning, attendance, sessionsByTeacher) => {
+  const classTeacher = classData.teacherId.toString();
+  const single = [{ teacherId: classData.teacherId, teacherEarning, attendance, share: 1, substitute: false }];
+
+  if (attendance) {
+    if (!attendance.byTeacher.some(t => String(t.teacherId) !== classTeacher)) return single;
+    return attendance.byTeacher.map(({ teacherId, ...rest }) => ({
+      teacherId,
+      teacherEarning: rest.teacherEarning,
+      attendance: rest,
+      share: attendance.teacherEarning > 0 ? rest.teacherEarning / attendance.teacherEarning : 0,
+      substitute: String(teacherId) !== classTeacher
+    }));
+  }
+
+  const days = new Map();
+  for (const [teacherId, count] of sessionsByTeacher?.entries() || []) {
+    const key = teacherId || classTeacher;
+    days.set(key, (days.get(key) || 0) + count);
+  }
+  if (![...days.keys()].some(id => id !== classTeacher)) return single;
+
+  const totalDays = [...days.values()].reduce((sum, n) => sum + n, 0);
+  const parts = [...days.entries()]
+    .filter(([id]) => id !== classTeacher)
+    .map(([id, count]) => ({
+      teacherId: new mongoose.Types.ObjectId(id),
+      teacherEarning: round2(teacherEarning * count / totalDays),
+      attendance: null,
+      share: count / totalDays,
+      substitute: true
+    }));
+  const substituteTotal = parts.reduce((sum, p) => sum + p.teacherEarning, 0);
+  const classTeacherDays = days.get(classTeacher) || 0;
+  if (classTeacherDays > 0) {
+    parts.unshift({ teacherId: classData.teacherId, teacherEarning: round2(teacherEarning - substituteTotal), attendance: null, share: classTeacherDays / totalDays, substitute: false });
+  }
+  return parts;
+};
 
 /**
  * Calculate teacher earnings for a specific month
@@ -14,19 +194,18 @@ const Enrollment = require('../models/Enrollment');
  */
 const calculateTeacherEarnings = async (schoolId, year, month) => {
   try {
-    // Create date range for the month
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 0, 23, 59, 59, 999);
+    // Create date range for the month (the same bounds as the attendance-based earnings)
+    const { start: startDate, end: endDate } = getMonthBounds(year, month);
 
     // Get all payments for the month
     const payments = await Payment.find({
       schoolId: new mongoose.Types.ObjectId(schoolId),
       createdAt: {
         $gte: startDate,
-        $lte: endDate
+        $lt: endDate
       },
       classId: { $exists: true, $ne: null } // Only include payments with classId
-    }).populate('classId', 'teacherId teacherCut name');
+    }).populate('classId', 'teacherId teacherCut name schedules');
 
     // Group payments by class
     const classPayments = {};
@@ -43,6 +222,7 @@ const calculateTeacherEarnings = async (schoolId, year, month) => {
           className: payment.classId.name,
           teacherId: payment.classId.teacherId,
           teacherCut: payment.classId.teacherCut,
+          schedules: payment.classId.schedules,
           totalIncome: 0,
           payments: []
         };
@@ -51,6 +231,28 @@ const calculateTeacherEarnings = async (schoolId, year, month) => {
       classPayments[classId].payments.push(payment);
     });
 
+    // Attendance-based classes earn from sessions held, with or without payments this month
+    const attendanceClasses = await Class.find({
+      schoolId: new mongoose.Types.ObjectId(schoolId),
+      'teacherCut.mode': { $in: ATTENDANCE_MODES },
+      teacherId: { $exists: true, $ne: null }
+    }).select('teacherId teacherCut name schedules').lean();
+    const sessionsByTeacher = await getSessionsByTeacher(schoolId, year, month);
+    for (const classItem of attendanceClasses) {
+      const classId = classItem._id.toString();
+      if (!classPayments[classId]) {
+        classPayments[classId] = {
+          classId: classItem._id,
+          className: classItem.name,
+          teacherId: classItem.teacherId,
+          teacherCut: classItem.teacherCut,
+          schedules: classItem.schedules,
+          totalIncome: 0,
+          payments: []
+        };
+      }
+    }
+
     // Calculate teacher earnings for each class
     const teacherEarnings = {};
     const classSummaries = [];
@@ -59,42 +261,59 @@ const calculateTeacherEarnings = async (schoolId, year, month) => {
       const classData = classPayments[classId];
       const teacherCut = classData.teacherCut;
       let teacherEarning = 0;
+      let attendance = null;
 
       if (teacherCut && teacherCut.mode && teacherCut.value !== undefined) {
         if (teacherCut.mode === 'percentage') {
           teacherEarning = (classData.totalIncome * teacherCut.value) / 100;
         } else if (teacherCut.mode === 'fixed') {
           teacherEarning = teacherCut.value;
+        } else if (ATTENDANCE_MODES.includes(teacherCut.mode)) {
+          attendance = await calculateAttendanceEarnings({ _id: classData.classId, teacherId: classData.teacherId, teacherCut, schedules: classData.schedules }, year, month);
+          teacherEarning = attendance.teacherEarning;
         }
       }
+      // Nothing to pay for an attendance-based class that held no session
+      if (attendance && attendance.sessionsHeld === 0 && classData.payments.length === 0) continue;
 
-      // Group by teacher
-      const teacherId = classData.teacherId.toString();
-      if (!teacherEarnings[teacherId]) {
-        teacherEarnings[teacherId] = {
-          teacherId: classData.teacherId,
-          totalEarnings: 0,
-          classes: []
-        };
-      }
+      // Sessions taught by a substitute move their part of the earnings to the substitute
+      const parts = splitClassEarnings(classData, teacherEarning, attendance, sessionsByTeacher.get(classId));
+      for (const part of parts) {
+        // Group by teacher
+        const teacherId = part.teacherId.toString();
+        if (!teacherEarnings[teacherId]) {
+          teacherEarnings[teacherId] = {
+            teacherId: part.teacherId,
+            totalEarnings: 0,
+            classes: []
+          };
+        }
+
+        teacherEarnings[teacherId].totalEarnings += part.teacherEarning;
+        teacherEarnings[teacherId].classes.push({
+          classId: classData.classId,
+          className: classData.className,
+          classIncome: classData.totalIncome,
+          teacherEarning: part.teacherEarning,
+          teacherCut: teacherCut,
+          attendance: part.attendance,
+          share: part.share,
+          substitute: part.substitute
+        });
 
-      teacherEarnings[teacherId].totalEarnings += teacherEarning;
-      teacherEarnings[teacherId].classes.push({
-        classId: classData.classId,
-        className: classData.className,
-        classIncome: classData.totalIncome,
-        teacherEarning: teacherEarning,
-        teacherCut: teacherCut
-      });
-
-      classSummaries.push({
-        classId: classData.classId,
-        className: classData.className,
-        teacherId: classData.teacherId,
-        totalIncome: classData.totalIncome,
-        teacherEarning: teacherEarning,
-        teacherCut: teacherCut
-      });
+        classSummaries.push({
+          classId: classData.classId,
+          className: classData.className,
+          teacherId: part.teacherId,
+          classTeacherId: classData.teacherId,
+          totalIncome: classData.totalIncome,
+          teacherEarning: part.teacherEarning,
+          teacherCut: teacherCut,
+          attendance: part.attendance,
+          share: part.share,
+          substitute: part.substitute
+        });
+      }
     }
 
     // Calculate total teacher earnings
@@ -143,6 +362,12 @@ const getTeacherEarningsForMonth = async (schoolId, teacherId, year, month) => {
 };
 
 module.exports = {
+  ATTENDANCE_MODES,
+  getMonthBounds,
+  getMonthDateRange,
+  sessionHours,
+  calculateAttendanceEarnings,
+  splitClassEarnings,
   calculateTeacherEarnings,
   getTeacherEarningsForMonth
 };
@@ -0,0 +1,121 @@
+// server/services/teacherStatementService.js
+
+const mongoose = require('mongoose');
+const TeacherPayout = require('../models/TeacherPayout');
+const PayoutDispute = require('../models/PayoutDispute');
+const { isMonthFrozen } = require('./monthlyAggregationService');
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// Compensation of a payout line (payouts created before compensationMode existed are percentage or fixed)
+function compensationOf(classData = {}) {
+  const mode = classData.compensationMode || (classData.teacherCutPercentage > 0 ? 'percentage' : 'fixed');
+  const value = mode === 'percentage' ? classData.teacherCutPercentage
+    : mode === 'fixed' ? classData.teacherCutFixed
+      : classData.rate;
+  return { mode, value: value || 0 };
+}
+
+/**
+ * Monthly statements of a teacher, newest first, with totals and open disputes per month
+ * @param {ObjectId} schoolId
+ * @param {ObjectId} teacherId
+ */
+async function listTeacherStatements(schoolId, teacherId) {
+  const [months, disputes] = await Promise.all([
+    TeacherPayout.aggregate([
+      { $match: { schoolId, teacherId } },
+      {
+        $group: {
+          _id: { year: '$year', month: '$month' },
+          classes: { $sum: 1 },
+          earnings: { $sum: '$calculatedIncome' },
+          paidAmount: { $sum: '$paidAmount' },
+          remainingDebt: { $sum: '$remainingDebt' }
+        }
+      },
+      { $sort: { '_id.year': -1, '_id.month': -1 } }
+    ]),
+    PayoutDispute.aggregate([
+      { $match: { schoolId, teacherId, status: 'open' } },
+      { $group: { _id: { year: '$year', month: '$month' }, count: { $sum: 1 } } }
+    ]),
+  ]);
+  const openByMonth = new Map(disputes.map(d => [`${d._id.year}-${d._id.month}`, d.count]));
+  return months.map(m => ({
+    year: m._id.year,
+    month: m._id.month,
+    classes: m.classes,
+    earnings: round2(m.earnings),
+    paidAmount: round2(m.paidAmount),
+    remainingDebt: round2(m.remainingDebt),
+    openDisputes: openByMonth.get(`${m._id.year}-${m._id.month}`) || 0,
+  }));
+}
+
+/**
+ * Statement of a teacher for a month: one line per class with the income it is based on,
+ * the teacher's cut, adjustments, payments, remaining debt and the disputes raised on it
+ * @param {ObjectId} schoolId
+ * @param {ObjectId} teacherId
+ * @param {number} year
+ * @param {number} month
+ * @returns {Promise<Object|null>} null when the teacher has no payout for the month
+ */
+async function buildTeacherStatement(schoolId, teacherId, year, month) {
+  const payouts = await TeacherPayout.find({ schoolId, teacherId, year, month })
+    .sort({ 'classData.className': 1 })
+    .lean();
+  if (payouts.length === 0) return null;
+
+  const disputes = await PayoutDispute.find({ payoutId: { $in: payouts.map(p => p._id) } })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const lines = payouts.map(payout => {
+    const c = payout.classData || {};
+    return {
+      payoutId: payout._id,
+      classId: payout.classId,
+      className: c.className,
+      compensation: compensationOf(c),
+      classIncome: round2(c.totalClassIncome),
+      studentsPaid: c.studentsPaid || 0,
+      totalStudents: c.totalStudents || 0,
+      sessionsHeld: c.sessionsHeld || 0,
+      studentsPresent: c.studentsPresent || 0,
+      hoursTaught: c.hoursTaught || 0,
+      sessions: c.sessions || [],
+      calculatedEarnings: round2(payout.calculatedIncome - (payout.adjustmentTotal || 0)),
+      adjustments: (payout.adjustments || []).map(a => ({ amount: a.amount, reason: a.reason, disputeId: a.disputeId, createdAt: a.createdAt })),
+      earnings: round2(payout.calculatedIncome),
+      paidAmount: round2(payout.paidAmount),
+      remainingDebt: round2(payout.remainingDebt),
+      status: payout.status,
+      payments: (payout.payoutHistory || []).map(h => ({ amount: h.amount, paidAt: h.paidAt, method: h.method, note: h.note })),
+      disputes: disputes.filter(d => d.payoutId.toString() === payout._id.toString()),
+    };
+  });
+
+  const sum = (key) => round2(lines.reduce((s, l) => s + l[key], 0));
+  return {
+    teacherId,
+    year,
+    month,
+    frozen: await isMonthFrozen(schoolId, new Date(year, month - 1, 1)),
+    lines,
+    totals: {
+      classIncome: sum('classIncome'),
+      calculatedEarnings: sum('calculatedEarnings'),
+      earnings: sum('earnings'),
+      paidAmount: sum('paidAmount'),
+      remainingDebt: sum('remainingDebt'),
+      openDisputes: disputes.filter(d => d.status === 'open').length,
+    },
+  };
+}
+
+module.exports = {
+  listTeacherStatements,
+  buildTeacherStatement,
+};
@@ -0,0 +1,402 @@
+// server/services/timetableService.js
+
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const LeaveRequest = require('../models/LeaveRequest');
+
+const WEEK_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_OPTIONS = { days: WEEK_DAYS, dayStart: '08:00', dayEnd: '20:00', step: 30, limit: 3 };
+
+// Search budget: placements tried per attempt, and attempts per requested timetable
+const MAX_NODES = 5000;
+const ATTEMPTS_PER_TIMETABLE = 4;
+
+// Penalty points taken off a perfect score of 100
+const PENALTIES = {
+  // each dated session that would fall on an approved leave of the teacher
+  teacherLeave: 2,
+  // each session held in a room with no seat used (scaled by the share of empty seats)
+  emptySeats: 5,
+  // each pair of sessions of a class on consecutive days
+  consecutiveDays: 3,
+  // each idle hour between two sessions of a teacher on the same day
+  teacherGaps: 1,
+};
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+const fromMinutes = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+const round1 = (n) => Math.round(n * 10) / 10;
+const overlapping = (list, start, end) => (list || []).find(b => b.start < end && b.end > start);
+
+// Deterministic pseudo-random numbers in [0, 1), so a request always returns the same timetables
+function seededRandom(seed) {
+  let state = (seed * 2654435761) >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+// Whether a room can host a class: enough seats, and the activity among the room's activity
+// types (rooms without activity types are general purpose)
+function roomFits(room, entry) {
+  if (room.capacity < entry.capacity) return false;
+  if (!entry.activityType || !(room.activityTypes || []).length) return true;
+  return room.activityTypes.includes(entry.activityType);
+}
+
+/**
+ * Weekly occupancy of the school the new timetable must fit around: sessions of the other active
+ * classes (by teacher and by room) and the weekly unavailability of the teachers.
+ * @param {ObjectId} schoolId
+ * @param {Array} entries - Classes being scheduled ({ classId?, teacherId })
+ * @returns {Promise<Object>} { busy: Map(`teacher|room:<id>:<day>` -> [{ start, end, label }]), rooms, teachers }
+ */
+async function loadContext(schoolId, entries) {
+  const rescheduled = entries.filter(e => e.classId).map(e => e.classId);
+  const teacherIds = [...new Set(entries.map(e => String(e.teacherId)))];
+  const [existing, rooms, teachers] = await Promise.all([
+    Class.find({ schoolId, status: 'active', _id: { $nin: rescheduled } }).select('name teacherId roomId schedules').lean(),
+    Room.find({ schoolId }).select('name capacity activityTypes').lean(),
+    User.find({ _id: { $in: teacherIds }, role: 'teacher', school: schoolId }).select('firstName lastName unavailability').lean(),
+  ]);
+
+  const busy = new Map();
+  const add = (key, slot) => {
+    if (!busy.has(key)) busy.set(key, []);
+    busy.get(key).push(slot);
+  };
+  for (const klass of existing) {
+    for (const s of klass.schedules || []) {
+      const slot = { start: toMinutes(s.startTime), end: toMinutes(s.endTime), label: `class ${klass.name}` };
+      add(`teacher:${klass.teacherId}:${s.dayOfWeek}`, slot);
+      add(`room:${klass.roomId}:${s.dayOfWeek}`, slot);
+    }
+  }
+  for (const teacher of teachers) {
+    for (const u of teacher.unavailability || []) {
+      // Unavailable times block the teacher but do not count as teaching for gaps
+      add(`teacher:${teacher._id}:${u.dayOfWeek}`, { start: toMinutes(u.startTime), end: toMinutes(u.endTime), label: u.reason || 'unavailable', unavailable: true });
+    }
+  }
+  return { busy, rooms, teachers: new Map(teachers.map(t => [t._id.toString(), t])) };
+}
+
+/**
+ * Approved leave of the teachers, as a counter of the dated sessions a weekly slot would lose over
+ * a class period. Half days follow findAffectedSessions: a morning off only hits sessions starting
+ * before 12:00, an afternoon off sessions ending after it.
+ * @returns {Promise<Function>} (entry, day, start, end) => number of sessions on leave
+ */
+async function leaveCounter(schoolId, entries) {
+  const periods = entries.map(e => e.period).filter(Boolean);
+  if (periods.length === 0) return () => 0;
+  const from = new Date(Math.min(...periods.map(p => p.from)));
+  const to = new Date(Math.max(...periods.map(p => p.to)));
+  const leaves = await LeaveRequest.find({
+    schoolId,
+    subjectType: 'teacher',
+    teacherId: { $in: entries.map(e => e.teacherId) },
+    status: 'approved',
+    startDate: { $lte: to },
+    endDate: { $gte: from },
+  }).select('teacherId startDate endDate halfDayStart halfDayEnd').lean();
+  if (leaves.length === 0) return () => 0;
+
+  // Leave days per teacher: { date, morningOff, afternoonOff }
+  const days = new Map();
+  for (const leave of leaves) {
+    const key = leave.teacherId.toString();
+    if (!days.has(key)) days.set(key, []);
+    const start = new Date(leave.startDate);
+    const end = new Date(leave.endDate);
+    for (let d = new Date(start); d <= end; d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)) {
+      const isFirst = d.getTime() === start.getTime();
+      const isLast = d.getTime() === end.getTime();
+      days.get(key).push({
+        date: d,
+        morningOff: !(isFirst && leave.halfDayStart),
+        afternoonOff: !(isLast && leave.halfDayEnd),
+      });
+    }
+  }
+  const cache = new Map();
+  return (entry, day, start, end) => {
+    if (!entry.period) return 0;
+    const key = `${entry.key}|${day}|${start}|${end}`;
+    if (!cache.has(key)) {
+      cache.set(key, (days.get(String(entry.teacherId)) || []).filter(l =>
+        DAY_NAMES[l.date.getDay()] === day && l.date >= entry.period.from && l.date <= entry.period.to
+        && ((l.morningOff && start < 12 * 60) || (l.afternoonOff && end > 12 * 60))).length);
+    }
+    return cache.get(key);
+  };
+}
+
+// Idle minutes a session adds between the teacher's sessions of the day
+function gapMinutes(slots, start, end) {
+  const teaching = (slots || []).filter(s => !s.unavailable);
+  if (teaching.length === 0) return 0;
+  const before = teaching.filter(s => s.end <= start).reduce((m, s) => Math.max(m, s.end), -Infinity);
+  const after = teaching.filter(s => s.start >= end).reduce((m, s) => Math.min(m, s.start), Infinity);
+  // A session inside an existing gap adds no idle time
+  if (before > -Infinity && after < Infinity) return 0;
+  return before > -Infinity ? start - before : after - end;
+}
+
+/**
+ * Score of a complete timetable: 100 minus the penalty points of its soft constraints
+ * @returns {Object} { score, penalties: { teacherLeave, emptySeats, consecutiveDays, teacherGaps } }
+ */
+function scoreTimetable(placements, context, countLeave) {
+  const totals = { teacherLeave: 0, emptySeats: 0, consecutiveDays: 0, teacherGaps: 0 };
+  const teacherDays = new Map();
+  for (const { entry, day, start, end, room } of placements) {
+    totals.teacherLeave += countLeave(entry, day, start, end) * PENALTIES.teacherLeave;
+    totals.emptySeats += (1 - entry.capacity / room.capacity) * PENALTIES.emptySeats;
+    const key = `teacher:${entry.teacherId}:${day}`;
+    if (!teacherDays.has(key)) teacherDays.set(key, (context.busy.get(key) || []).filter(s => !s.unavailable).map(s => ({ start: s.start, end: s.end })));
+    teacherDays.get(key).push({ start, end, placed: true });
+  }
+  // Only gaps next to a new session count: the others are already in the school's timetable
+  for (const slots of teacherDays.values()) {
+    slots.sort((a, b) => a.start - b.start);
+    for (let i = 1; i < slots.length; i++) {
+      if (!slots[i].placed && !slots[i - 1].placed) continue;
+      totals.teacherGaps += Math.max(0, slots[i].start - slots[i - 1].end) / 60 * PENALTIES.teacherGaps;
+    }
+  }
+  const byClass = new Map();
+  for (const p of placements) {
+    if (!byClass.has(p.entry.key)) byClass.set(p.entry.key, []);
+    byClass.get(p.entry.key).push(WEEK_DAYS.indexOf(p.day));
+  }
+  for (const indexes of byClass.values()) {
+    indexes.sort((a, b) => a - b);
+    for (let i = 1; i < indexes.length; i++) {
+      if (indexes[i] - indexes[i - 1] === 1) totals.consecutiveDays += PENALTIES.consecutiveDays;
+    }
+    // Sunday and the next Monday are consecutive too
+    if (indexes.length > 1 && indexes[0] === 0 && indexes[indexes.length - 1] === 6) totals.consecutiveDays += PENALTIES.consecutiveDays;
+  }
+  const penalties = Object.fromEntries(Object.entries(totals).map(([k, v]) => [k, round1(v)]));
+  const sum = Object.values(totals).reduce((s, v) => s + v, 0);
+  return { score: round1(Math.max(0, 100 - sum)), penalties };
+}
+
+/**
+ * Find weekly timetables for a set of classes: every session gets a day, a start time and a room
+ * so that no teacher or room is booked twice (existing active classes included), teachers are never
+ * scheduled during their weekly unavailability, rooms hold the class capacity and offer its activity
+ * type, and the sessions of a class fall on different days in the same room. Timetables are
+ * searched by backtracking, most constrained classes first, and ranked by scoreTimetable.
+ * @param {ObjectId} schoolId
+ * @param {Array} entries - [{ key, classId?, name, teacherId, durationMinutes, sessionsPerWeek, capacity,
+ *   activityType?, roomId?, days?, period? ({ from, to } local dates, for leave) }]
+ * @param {Object} options - { days, dayStart, dayEnd, step, limit }
+ * @returns {Promise<Object>} { timetables: [{ score, penalties, placements }], issues: [{ key, name, message }] }
+ */
+async function solveTimetable(schoolId, entries, options = {}) {
+  const { days, dayStart, dayEnd, step, limit } = { ...DEFAULT_OPTIONS, ...options };
+  const context = await loadContext(schoolId, entries);
+  const countLeave = await leaveCounter(schoolId, entries);
+  const issues = [];
+
+  // Static candidates of each class: slots free of existing bookings, rooms that fit
+  const plans = [];
+  for (const entry of entries) {
+    const fail = (message) => issues.push({ key: entry.key, name: entry.name, message });
+    if (!context.teachers.has(String(entry.teacherId))) {
+      fail('Teacher not found');
+      continue;
+    }
+    const rooms = context.rooms.filter(r => (!entry.roomId || r._id.toString() === String(entry.roomId)) && roomFits(r, entry));
+    if (rooms.length === 0) {
+      fail(entry.roomId ? 'The room does not fit the class (capacity or activity type)' : 'No room fits the class (capacity or activity type)');
+      continue;
+    }
+    const classDays = WEEK_DAYS.filter(d => days.includes(d) && (!entry.days || entry.days.includes(d)));
+    const candidates = [];
+    for (const day of classDays) {
+      const teacherSlots = context.busy.get(`teacher:${entry.teacherId}:${day}`);
+      for (let start = toMinutes(dayStart); start + entry.durationMinutes <= toMinutes(dayEnd); start += step) {
+        const end = start + entry.durationMinutes;
+        if (overlapping(teacherSlots, start, end)) continue;
+        for (const room of rooms) {
+          if (!overlapping(context.busy.get(`room:${room._id}:${day}`), start, end)) candidates.push({ day, start, end, room });
+        }
+      }
+    }
+    const freeDays = new Set(candidates.map(c => c.day)).size;
+    if (freeDays < entry.sessionsPerWeek) {
+      fail(`Only ${freeDays} day(s) have a free slot for the teacher and a fitting room; ${entry.sessionsPerWeek} sessions per week are needed`);
+      continue;
+    }
+    plans.push({ entry, candidates });
+  }
+  if (issues.length > 0) return { timetables: [], issues };
+
+  // Most constrained classes first: fewest candidates per session to place
+  plans.sort((a, b) => a.candidates.length / a.entry.sessionsPerWeek - b.candidates.length / b.entry.sessionsPerWeek);
+  const sessions = plans.flatMap(plan => Array.from({ length: plan.entry.sessionsPerWeek }, (_, index) => ({ plan, index })));
+
+  const busy = context.busy;
+  const place = (key, slot) => {
+    if (!busy.has(key)) busy.set(key, []);
+    busy.get(key).push(slot);
+  };
+  const unplace = (key) => busy.get(key).pop();
+
+  // Cost of a placement given what is already placed, used to try the best candidates first
+  const candidateCost = (entry, c, placedDays) => {
+    let cost = countLeave(entry, c.day, c.start, c.end) * PENALTIES.teacherLeave
+      + (1 - entry.capacity / c.room.capacity) * PENALTIES.emptySeats
+      + gapMinutes(busy.get(`teacher:${entry.teacherId}:${c.day}`), c.start, c.end) / 60 * PENALTIES.teacherGaps;
+    const index = WEEK_DAYS.indexOf(c.day);
+    if (placedDays.some(d => Math.abs(d - index) === 1 || Math.abs(d - index) === 6)) cost += PENALTIES.consecutiveDays;
+    return cost;
+  };
+
+  const found = new Map();
+  const attempts = limit * ATTEMPTS_PER_TIMETABLE;
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    // The first attempt follows the costs; later ones add noise to explore other timetables
+    const random = seededRandom(attempt + 1);
+    const noise = attempt === 0 ? 0 : 2 + attempt;
+    const placements = [];
+    let nodes = 0;
+
+    const search = (i) => {
+      if (i === sessions.length) return true;
+      if (++nodes > MAX_NODES) return false;
+      const { plan, index } = sessions[i];
+      const { entry } = plan;
+      // Sessions of a class are placed in weekday order, leaving room for the ones after
+      const own = placements.filter(p => p.entry === entry);
+      const minDay = index === 0 ? 0 : WEEK_DAYS.indexOf(own[own.length - 1].day) + 1;
+      const maxDay = WEEK_DAYS.length - (entry.sessionsPerWeek - index);
+      const placedDays = own.map(p => WEEK_DAYS.indexOf(p.day));
+      const options = plan.candidates
+        .filter(c => {
+          const d = WEEK_DAYS.indexOf(c.day);
+          // A class has one room: its later sessions stay in the room of the first
+          return d >= minDay && d <= maxDay && (index === 0 || c.room === own[0].room)
+            && !overlapping(busy.get(`teacher:${entry.teacherId}:${c.day}`), c.start, c.end)
+            && !overlapping(busy.get(`room:${c.room._id}:${c.day}`), c.start, c.end);
+        })
+        .map(c => ({ c, cost: candidateCost(entry, c, placedDays) + random() * noise }))
+        .sort((a, b) => a.cost - b.cost);
+
+      for (const { c } of options) {
+        const teacherKey = `teacher:${entry.teacherId}:${c.day}`;
+        const roomKey = `room:${c.room._id}:${c.day}`;
+        const slot = { start: c.start, end: c.end, label: `class ${entry.name}` };
+        place(teacherKey, slot);
+        place(roomKey, slot);
+        placements.push({ entry, ...c });
+        if (search(i + 1)) {
+          // Leave the shared occupancy as it was for the next attempt
+          unplace(teacherKey);
+          unplace(roomKey);
+          return true;
+        }
+        placements.pop();
+        unplace(teacherKey);
+        unplace(roomKey);
+        if (nodes > MAX_NODES) return false;
+      }
+      return false;
+    };
+
+    if (!search(0)) continue;
+    const signature = placements.map(p => `${p.entry.key}|${p.day}|${p.start}|${p.room._id}`).sort().join(',');
+    if (!found.has(signature)) found.set(signature, [...placements]);
+  }
+
+  if (found.size === 0) {
+    return { timetables: [], issues: [{ message: 'No conflict-free timetable was found for these classes; try more days, a longer day or fewer sessions' }] };
+  }
+
+  const timetables = [...found.values()]
+    .map(placements => {
+      const { score, penalties } = scoreTimetable(placements, context, countLeave);
+      return { score, penalties, placements };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+  return { timetables, issues: [] };
+}
+
+/**
+ * Schedules and rooms of a solved timetable, grouped per class in the order of the entries
+ * @returns {Array} [{ key, roomId, roomName, schedules: [{ dayOfWeek, startTime, endTime }] }]
+ */
+function timetableClasses(entries, placements) {
+  return entries.map(entry => {
+    const own = placements
+      .filter(p => p.entry.key === entry.key)
+      .sort((a, b) => WEEK_DAYS.indexOf(a.day) - WEEK_DAYS.indexOf(b.day));
+    return {
+      key: entry.key,
+      roomId: own[0].room._id,
+      roomName: own[0].room.name,
+      schedules: own.map(p => ({ dayOfWeek: p.day, startTime: fromMinutes(p.start), endTime: fromMinutes(p.end) })),
+    };
+  });
+}
+
+/**
+ * Check a timetable before it is applied: the same hard constraints as solveTimetable, against the
+ * school as it is now (it may have changed since the timetable was solved).
+ * @param {ObjectId} schoolId
+ * @param {Array} items - [{ key, classId?, name, teacherId, roomId, capacity, activityType?, schedules }]
+ * @returns {Promise<Array>} Conflicts found: [{ key, name, message }]
+ */
+async function checkTimetable(schoolId, items) {
+  const context = await loadContext(schoolId, items);
+  const issues = [];
+  for (const item of items) {
+    const fail = (message) => issues.push({ key: item.key, name: item.name, message });
+    if (!context.teachers.has(String(item.teacherId))) {
+      fail('Teacher not found');
+      continue;
+    }
+    const room = context.rooms.find(r => r._id.toString() === String(item.roomId));
+    if (!room) {
+      fail('Room not found');
+      continue;
+    }
+    if (!roomFits(room, item)) fail(`Room ${room.name} does not fit the class (capacity or activity type)`);
+    const ownDays = new Set();
+    for (const s of item.schedules) {
+      const slotInfo = `${s.dayOfWeek} ${s.startTime}-${s.endTime}`;
+      const start = toMinutes(s.startTime);
+      const end = toMinutes(s.endTime);
+      if (ownDays.has(s.dayOfWeek)) fail(`The class has two sessions on ${s.dayOfWeek}`);
+      ownDays.add(s.dayOfWeek);
+      const teacherKey = `teacher:${item.teacherId}:${s.dayOfWeek}`;
+      const roomKey = `room:${room._id}:${s.dayOfWeek}`;
+      const teacherBusy = overlapping(context.busy.get(teacherKey), start, end);
+      const roomBusy = overlapping(context.busy.get(roomKey), start, end);
+      if (teacherBusy) fail(`Teacher is not available during ${slotInfo} (${teacherBusy.label})`);
+      if (roomBusy) fail(`Room ${room.name} is already booked during ${slotInfo} (${roomBusy.label})`);
+      const slot = { start, end, label: `class ${item.name}` };
+      for (const key of [teacherKey, roomKey]) {
+        if (!context.busy.has(key)) context.busy.set(key, []);
+        context.busy.get(key).push(slot);
+      }
+    }
+  }
+  return issues;
+}
+
+module.exports = {
+  WEEK_DAYS,
+  DEFAULT_OPTIONS,
+  solveTimetable,
+  timetableClasses,
+  checkTimetable,
+};
@@ -17,7 +17,7 @@ function tokenFor(user) {
   return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
 }
 
-async function seedBasic({ absenceRule = false, paymentModel = 'per_session' } = {}) {
+async function seedBasic({ absenceRule = false, paymentModel = 'per_session', billingPolicy } = {}) {
   const school = await School.create({ name: `School-${Date.now()}` });
   const manager = await User.create({ firstName: 'M', lastName: 'G', email: `m${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
   const teacher = await User.create({ firstName: 'T', lastName: 'R', email: `t${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
@@ -29,15 +29,17 @@ async function seedBasic({ absenceRule = false, paymentModel = 'per_session' } =
     catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
     teacherId: teacher._id,
     roomId: room._id,
-    schedules: [{ dayOfWeek: 'monday', startTime: '09:00', endTime: '10:00' }],
+    // Attendance is taken on the class calendar: 2025-08-30 is a Saturday session
+    schedules: [{ dayOfWeek: 'saturday', startTime: '09:00', endTime: '10:00' }],
     capacity: 20,
-    enrollmentPeriod: { startDate: new Date(Date.now() - 86400000), endDate: new Date(Date.now() + 86400000) },
+    enrollmentPeriod: { startDate: new Date(2025, 7, 1), endDate: new Date(2025, 8, 30) },
     paymentModel,
     sessionPrice: paymentModel === 'per_session' ? 100 : undefined,
     cycleSize: paymentModel === 'per_cycle' ? 4 : undefined,
     cyclePrice: paymentModel === 'per_cycle' ? 300 : undefined,
     teacherCut: { mode: 'percentage', value: 50 },
     absenceRule,
+    billingPolicy,
   });
   const enrollment = await Enrollment.create({
     schoolId: school._id,
@@ -84,6 +86,125 @@ describe('Attendance + Payments basic flows', () => {
     expect(count).toBe(0);
   });
 
+  test('bulk marking: all present except some, one pass of deltas, invalid batches write nothing', async () => {
+    const { school, manager, klass, enrollment } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const others = [];
+    for (let i = 0; i < 2; i++) {
+      const student = await User.create({ firstName: `S${i}`, lastName: 'B', role: 'student', password: 'pass', school: school._id });
+      others.push(await Enrollment.create({ schoolId: school._id, studentId: student._id, classId: klass._id, pricingSnapshot: enrollment.pricingSnapshot }));
+    }
+    const date = '2025-08-30';
+
+    let res = await request(app).post('/api/attendance/bulk').set('Authorization', auth).send({
+      classId: klass._id.toString(), date, defaultStatus: 'present',
+      entries: [{ enrollmentId: others[0]._id.toString(), status: 'absent' }],
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.summary).toEqual({ marked: 3, created: 3, updated: 0, unchanged: 0 });
+    expect(res.body.countersDelta).toEqual({ attended: 2, absent: 1, late: 0, leftEarly: 0, excused: 0 });
+    expect(res.body.balanceDelta).toBe(-2);
+    expect(res.body.items).toHaveLength(3);
+
+    // Correcting one mark only moves that enrollment's counters
+    res = await request(app).post('/api/attendance/bulk').set('Authorization', auth).send({
+      classId: klass._id.toString(), date, entries: [{ enrollmentId: others[0]._id.toString(), status: 'present' }],
+    });
+    expect(res.body.summary).toEqual({ marked: 1, created: 0, updated: 1, unchanged: 0 });
+    const corrected = await Enrollment.findById(others[0]._id);
+    expect(corrected.sessionCounters.attended).toBe(1);
+    expect(corrected.sessionCounters.absent).toBe(0);
+    expect(corrected.balance).toBe(-1);
+
+    // An enrollment of another class fails the whole batch
+    const foreign = await Enrollment.create({ schoolId: school._id, studentId: others[0].studentId, classId: new mongoose.Types.ObjectId(), pricingSnapshot: enrollment.pricingSnapshot });
+    res = await request(app).post('/api/attendance/bulk').set('Authorization', auth).send({
+      classId: klass._id.toString(), date: '2025-09-06',
+      entries: [{ enrollmentId: enrollment._id.toString(), status: 'present' }, { enrollmentId: foreign._id.toString(), status: 'present' }],
+    });
+    expect(res.statusCode).toBe(400);
+    expect(await Attendance.countDocuments({ classId: klass._id, date: new Date(Date.UTC(2025, 8, 6)) })).toBe(0);
+  });
+
+  test('overlapping bulk submissions charge each student once', async () => {
+    const { school, manager, klass, enrollment } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const student = await User.create({ firstName: 'S2', lastName: 'B', role: 'student', password: 'pass', school: school._id });
+    const other = await Enrollment.create({ schoolId: school._id, studentId: student._id, classId: klass._id, pricingSnapshot: enrollment.pricingSnapshot });
+    const submit = () => request(app).post('/api/attendance/bulk').set('Authorization', auth)
+      .send({ classId: klass._id.toString(), date: '2025-08-30', entries: [], defaultStatus: 'present' });
+
+    const results = await Promise.all([submit(), submit(), submit()]);
+    expect(results.map(r => r.statusCode)).toEqual([200, 200, 200]);
+    expect(results.reduce((sum, r) => sum + r.body.summary.created, 0)).toBe(2);
+    for (const id of [enrollment._id, other._id]) {
+      const updated = await Enrollment.findById(id);
+      expect(updated.balance).toBe(-1);
+      expect(updated.sessionCounters.attended).toBe(1);
+    }
+    expect(await Attendance.countDocuments({ classId: klass._id })).toBe(2);
+  });
+
+  test('billing policy: late is charged, excused is not, unexcused absences after the free ones', async () => {
+    const { manager, enrollment } = await seedBasic({ billingPolicy: { absent: 'after', freeAbsences: 1 } });
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const mark = (date, status, extra = {}) => request(app).post('/api/attendance/mark').set('Authorization', auth)
+      .send({ enrollmentId: enrollment._id.toString(), date, status, ...extra });
+
+    // Saturdays of August 2025
+    let res = await mark('2025-08-02', 'late', { arrivalTime: '09:20' });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.attendance.arrivalTime).toBe('09:20');
+    expect(res.body.balanceDelta).toBe(-1);
+    expect((await mark('2025-08-09', 'excused')).body.balanceDelta).toBe(0);
+    expect((await mark('2025-08-16', 'absent')).body.balanceDelta).toBe(0);
+    expect((await mark('2025-08-23', 'absent')).body.balanceDelta).toBe(-1);
+
+    // Excusing the charged absence refunds it
+    res = await mark('2025-08-23', 'excused');
+    expect(res.body.balanceDelta).toBe(1);
+
+    const updated = await Enrollment.findById(enrollment._id);
+    expect(updated.balance).toBe(-1);
+    expect(updated.sessionCounters.attended).toBe(1);
+    expect(updated.sessionCounters.late).toBe(1);
+    expect(updated.sessionCounters.excused).toBe(2);
+    expect(updated.sessionCounters.absent).toBe(1);
+
+    const history = await request(app).get('/api/attendance/history').set('Authorization', auth)
+      .query({ enrollmentId: enrollment._id.toString(), status: 'excused' });
+    expect(history.body.items).toHaveLength(2);
+  });
+
+  test('billing policy: excusing or undoing an earlier absence frees a later charged one', async () => {
+    const { manager, enrollment } = await seedBasic({ billingPolicy: { absent: 'after', freeAbsences: 1 } });
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const mark = (date, status) => request(app).post('/api/attendance/mark').set('Authorization', auth)
+      .send({ enrollmentId: enrollment._id.toString(), date, status });
+    const balance = async () => (await Enrollment.findById(enrollment._id)).balance;
+    const charged = async (date) => (await Attendance.findOne({ enrollmentId: enrollment._id, date: new Date(`${date}T00:00:00Z`) })).charged;
+
+    expect((await mark('2025-08-16', 'absent')).body.balanceDelta).toBe(0);
+    expect((await mark('2025-08-23', 'absent')).body.balanceDelta).toBe(-1);
+
+    // The first absence is excused: the second one becomes the free one
+    expect((await mark('2025-08-16', 'excused')).body.balanceDelta).toBe(1);
+    expect(await charged('2025-08-23')).toBe(false);
+    expect(await balance()).toBe(0);
+
+    // Back to absent: the earlier absence is free again and the later one charged
+    expect((await mark('2025-08-16', 'absent')).body.balanceDelta).toBe(-1);
+    expect(await charged('2025-08-16')).toBe(false);
+    expect(await charged('2025-08-23')).toBe(true);
+    expect(await balance()).toBe(-1);
+
+    const res = await request(app).post('/api/attendance/undo').set('Authorization', auth)
+      .send({ enrollmentId: enrollment._id.toString(), date: '2025-08-16' });
+    expect(res.statusCode).toBe(200);
+    expect(await charged('2025-08-23')).toBe(false);
+    expect(await balance()).toBe(0);
+  });
+
   test('payments create and idempotency; list by enrollment', async () => {
     const { manager, enrollment } = await seedBasic();
     const auth = `Bearer ${tokenFor(manager)}`;
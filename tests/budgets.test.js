@@ -0,0 +1,84 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Notification = require('../models/Notification');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+// A fully elapsed month, so burn rate and forecasts are fixed
+function lastMonth() {
+  const now = new Date();
+  const d = new Date(now.getFullYear(), now.getMonth() - 1, 15, 12);
+  return { year: d.getFullYear(), month: d.getMonth() + 1, date: d };
+}
+
+describe('Budgets', () => {
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  test('budget vs actual with threshold and exceeded alerts sent once each', async () => {
+    const school = await School.create({ name: `School-${Date.now()}`, contact: { address: '1 Main St', phone: '0555' } });
+    const manager = await User.create({ firstName: 'M', lastName: 'G', email: `m${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+    school.managers = [manager._id];
+    await school.save();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const { year, month, date } = lastMonth();
+
+    const expense = (category, amount) => request(app).post('/api/finance/transactions/add').set('Authorization', auth)
+      .send({ schoolId: school._id.toString(), type: 'expense', category, description: `${category} expense`, amount, date: date.toISOString() });
+    const alerts = () => Notification.find({ userId: manager._id, type: 'budget_alert' }).sort({ createdAt: 1 }).lean();
+
+    let res = await request(app).post('/api/budgets').set('Authorization', auth)
+      .send({ scope: 'cost_type', period: 'monthly', year, month, amount: 100 });
+    expect(res.statusCode).toBe(400);
+    // Every-month budget, overridden by the month-specific one below
+    res = await request(app).post('/api/budgets').set('Authorization', auth)
+      .send({ scope: 'category', category: 'Rent', period: 'monthly', year, month: null, amount: 5000 });
+    expect(res.statusCode).toBe(201);
+    res = await request(app).post('/api/budgets').set('Authorization', auth)
+      .send({ scope: 'category', category: 'Rent', period: 'monthly', year, month, amount: 1000, alertThreshold: 80 });
+    expect(res.statusCode).toBe(201);
+    const budgetId = res.body.data._id;
+    res = await request(app).post('/api/budgets').set('Authorization', auth)
+      .send({ scope: 'category', category: ' rent ', period: 'monthly', year, month, amount: 900 });
+    expect(res.statusCode).toBe(409);
+
+    expect((await expense('Rent', 700)).statusCode).toBe(201);
+    expect(await alerts()).toHaveLength(0);
+    expect((await expense('rent', 150)).statusCode).toBe(201);
+    expect((await alerts()).map(n => n.data.level)).toEqual(['threshold']);
+    expect((await expense('Rent', 200)).statusCode).toBe(201);
+    expect((await expense('Rent', 10)).statusCode).toBe(201);
+    expect((await alerts()).map(n => n.data.level)).toEqual(['threshold', 'exceeded']);
+    expect((await expense('Cleaning', 40)).statusCode).toBe(201);
+
+    res = await request(app).get(`/api/budgets/vs-actual/${year}/${month}`).set('Authorization', auth);
+    expect(res.statusCode).toBe(200);
+    const report = res.body.data;
+    expect(report.budgets).toHaveLength(1);
+    const [rent] = report.budgets;
+    expect(rent.budgetId).toBe(budgetId);
+    expect(rent).toMatchObject({ budget: 1000, actual: 1060, variance: -60, percentUsed: 106, status: 'exceeded', alert: true });
+    expect(rent.elapsedDays).toBe(rent.totalDays);
+    expect(rent.forecastMonthEnd).toBe(1060);
+    expect(rent.burnRate).toBe(Math.round((1060 / rent.totalDays) * 100) / 100);
+    expect(report.unbudgeted).toEqual([{ category: 'Cleaning', actual: 40 }]);
+    expect(report.totals).toMatchObject({ budget: 1000, actual: 1060, variance: -60 });
+
+    // Raising the budget re-arms its alerts
+    res = await request(app).put(`/api/budgets/${budgetId}`).set('Authorization', auth).send({ amount: 2000 });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.alertsSent).toEqual([]);
+    res = await request(app).get(`/api/budgets/vs-actual/${year}/${month}`).set('Authorization', auth);
+    expect(res.body.data.budgets[0].status).toBe('ok');
+    expect(res.body.data.alerts).toEqual([]);
+  });
+});
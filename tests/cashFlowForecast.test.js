@@ -0,0 +1,68 @@
+process.env.NODE_ENV = 'test';
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const Enrollment = require('../models/Enrollment');
+const { upcomingSessions, enrollmentIncome, forecastCashFlow } = require('../services/cashFlowForecastService');
+
+describe('Cash-flow forecast', () => {
+  test('prepaid sessions are used before new payments, cycles are bought whole', () => {
+    const perSession = { pricing: { paymentModel: 'per_session', sessionPrice: 100 }, balance: 3 };
+    expect(enrollmentIncome(perSession, 5)).toBe(200);
+    expect(perSession.balance).toBe(0);
+
+    const perCycle = { pricing: { paymentModel: 'per_cycle', cycleSize: 4, cyclePrice: 300 }, balance: 1 };
+    expect(enrollmentIncome(perCycle, 6)).toBe(600);
+    expect(perCycle.balance).toBe(3);
+  });
+
+  test('cancelled sessions and sessions after the class ends are left out', () => {
+    const klass = {
+      schedules: [{ dayOfWeek: 'monday', startTime: '09:00', endTime: '10:30' }],
+      enrollmentPeriod: { endDate: new Date(2025, 2, 24) },
+      sessionOverrides: [{ date: new Date(Date.UTC(2025, 2, 10)), startTime: '09:00', endTime: '10:30', cancelled: true }],
+    };
+    const sessions = upcomingSessions(klass, new Date(Date.UTC(2025, 2, 1)), new Date(Date.UTC(2025, 2, 31)));
+    expect(sessions.map(s => s.date.getUTCDate())).toEqual([3, 17, 24]);
+    expect(sessions[0].hours).toBe(1.5);
+  });
+
+  test('an enrollment drop scenario lowers income and per-student teacher cuts', async () => {
+    await connectDB();
+    const school = await School.create({ name: `School-${Date.now()}` });
+    const teacher = await User.create({ firstName: 'T', lastName: 'F', email: `tf${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+    const room = await Room.create({ schoolId: school._id, name: 'R1', capacity: 10 });
+    const klass = await Class.create({
+      name: 'C1',
+      schoolId: school._id,
+      catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+      teacherId: teacher._id,
+      roomId: room._id,
+      schedules: [{ dayOfWeek: 'monday', startTime: '09:00', endTime: '10:00' }],
+      capacity: 10,
+      enrollmentPeriod: { startDate: new Date(2025, 0, 1), endDate: new Date(2025, 11, 31) },
+      paymentModel: 'per_session',
+      sessionPrice: 100,
+      teacherCut: { mode: 'percentage', value: 50 },
+    });
+    for (let i = 0; i < 4; i++) {
+      const student = await User.create({ firstName: `S${i}`, lastName: 'F', role: 'student', password: 'pass', school: school._id });
+      await Enrollment.create({ schoolId: school._id, studentId: student._id, classId: klass._id, pricingSnapshot: { paymentModel: 'per_session', sessionPrice: 100 } });
+    }
+
+    // From Saturday 1 March 2025: the five Mondays of March
+    const now = new Date(2025, 2, 1);
+    const baseline = await forecastCashFlow(school._id, { months: 1, now });
+    expect(baseline.months[0].sessions).toBe(5);
+    expect(baseline.months[0].income.enrollments).toBe(2000);
+    expect(baseline.months[0].outflows.teacherCuts).toBe(1000);
+
+    const scenario = await forecastCashFlow(school._id, { months: 1, enrollmentDrop: 25, now });
+    expect(scenario.months[0].income.enrollments).toBe(1500);
+    expect(scenario.months[0].outflows.teacherCuts).toBe(750);
+  });
+});
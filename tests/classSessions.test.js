@@ -0,0 +1,147 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const Enrollment = require('../models/Enrollment');
+const ClassSession = require('../models/ClassSession');
+const { generateSessions, refreshSessionCounts } = require('../services/classSessionService');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+describe('Class session calendar', () => {
+  let school, manager, teacher, room;
+
+  // Mondays of March 2025: 3, 10, 17, 24, 31
+  const createClass = () => Class.create({
+    name: `C-${new mongoose.Types.ObjectId()}`,
+    schoolId: school._id,
+    catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+    teacherId: teacher._id,
+    roomId: room._id,
+    schedules: [{ dayOfWeek: 'monday', startTime: '09:00', endTime: '10:30' }],
+    capacity: 20,
+    enrollmentPeriod: { startDate: new Date(2025, 2, 1), endDate: new Date(2025, 2, 31) },
+    paymentModel: 'per_session',
+    sessionPrice: 100,
+    teacherCut: { mode: 'percentage', value: 50 },
+  });
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  // Collections are cleared after each test
+  beforeEach(async () => {
+    school = await School.create({ name: `School-${Date.now()}` });
+    manager = await User.create({ firstName: 'M', lastName: 'G', email: `cm${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+    teacher = await User.create({ firstName: 'T', lastName: 'R', email: `ct${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+    room = await Room.create({ schoolId: school._id, name: 'R1', capacity: 20 });
+  });
+
+  test('sessions are generated once within the enrollment period', async () => {
+    const klass = await createClass();
+    expect(await generateSessions(klass)).toBe(5);
+    expect(await generateSessions(klass)).toBe(0);
+    expect(await refreshSessionCounts(klass._id)).toEqual({ totalSessions: 5, completedSessions: 0 });
+  });
+
+  test('holidays cancel sessions and removing them restores the sessions', async () => {
+    const klass = await createClass();
+    await generateSessions(klass);
+    const auth = `Bearer ${tokenFor(manager)}`;
+
+    const created = await request(app).post('/api/holidays').set('Authorization', auth)
+      .send({ name: 'Spring break', type: 'closure', startDate: '2025-03-10', endDate: '2025-03-14' });
+    expect(created.statusCode).toBe(201);
+    const cancelled = await ClassSession.findOne({ classId: klass._id, date: new Date(Date.UTC(2025, 2, 10)) });
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.cancelReason).toBe('holiday');
+    expect((await Class.findById(klass._id)).totalSessions).toBe(4);
+
+    const removed = await request(app).delete(`/api/holidays/${created.body.data._id}`).set('Authorization', auth);
+    expect(removed.statusCode).toBe(200);
+    expect((await ClassSession.findById(cancelled._id)).status).toBe('scheduled');
+    expect((await Class.findById(klass._id)).totalSessions).toBe(5);
+  });
+
+  test('attendance is taken on sessions: cancelled, moved and make-up sessions', async () => {
+    const klass = await createClass();
+    const student = await User.create({ firstName: 'S', lastName: 'T', role: 'student', password: 'pass', school: school._id });
+    const enrollment = await Enrollment.create({ schoolId: school._id, studentId: student._id, classId: klass._id, pricingSnapshot: { paymentModel: 'per_session', sessionPrice: 100 } });
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const mark = (date) => request(app).post('/api/attendance/mark').set('Authorization', auth)
+      .send({ enrollmentId: enrollment._id.toString(), date, status: 'present' });
+
+    // Not a day of the class
+    expect((await mark('2025-03-04')).statusCode).toBe(409);
+
+    const sessions = await request(app).get(`/api/classes/${klass._id}/sessions`).set('Authorization', auth);
+    expect(sessions.statusCode).toBe(200);
+    expect(sessions.body.items).toHaveLength(5);
+    const [, second, third] = sessions.body.items;
+
+    const cancel = await request(app).post(`/api/classes/${klass._id}/sessions/${second._id}/cancel`).set('Authorization', auth).send({ reason: 'Teacher sick' });
+    expect(cancel.statusCode).toBe(200);
+    expect((await mark('2025-03-10')).statusCode).toBe(409);
+
+    const makeup = await request(app).post(`/api/classes/${klass._id}/sessions`).set('Authorization', auth)
+      .send({ date: '2025-03-12', startTime: '14:00', makeupFor: second._id });
+    expect(makeup.statusCode).toBe(201);
+    expect(makeup.body.session.endTime).toBe('15:30');
+    expect((await mark('2025-03-12')).statusCode).toBe(201);
+
+    const moved = await request(app).post(`/api/classes/${klass._id}/sessions/${third._id}/reschedule`).set('Authorization', auth)
+      .send({ date: '2025-03-18', startTime: '09:00' });
+    expect(moved.statusCode).toBe(201);
+    expect((await mark('2025-03-17')).statusCode).toBe(409);
+
+    const updated = await Class.findById(klass._id);
+    expect(updated.totalSessions).toBe(5);
+    expect(updated.completedSessions).toBe(1);
+  });
+
+  test('extra sessions cannot take the slot of a regular session not generated yet', async () => {
+    const klass = await createClass();
+    const auth = `Bearer ${tokenFor(manager)}`;
+
+    const makeup = await request(app).post(`/api/classes/${klass._id}/sessions`).set('Authorization', auth)
+      .send({ date: '2025-03-24', startTime: '09:00', endTime: '10:30' });
+    expect(makeup.statusCode).toBe(409);
+    const regular = await ClassSession.find({ classId: klass._id, date: new Date(Date.UTC(2025, 2, 24)) });
+    expect(regular.map(s => [s.kind, s.status, s.startTime])).toEqual([['regular', 'scheduled', '09:00']]);
+  });
+
+  test('extra sessions cannot reuse the slot of a cancelled or rescheduled session', async () => {
+    const klass = await createClass();
+    await generateSessions(klass);
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const [first, second, third] = await ClassSession.find({ classId: klass._id }).sort({ date: 1 });
+
+    let res = await request(app).post(`/api/classes/${klass._id}/sessions/${first._id}/cancel`).set('Authorization', auth).send({});
+    expect(res.statusCode).toBe(200);
+    res = await request(app).post(`/api/classes/${klass._id}/sessions/${second._id}/reschedule`).set('Authorization', auth)
+      .send({ date: '2025-03-03', startTime: '09:00' });
+    expect(res.statusCode).toBe(409);
+
+    res = await request(app).post(`/api/classes/${klass._id}/sessions/${second._id}/reschedule`).set('Authorization', auth)
+      .send({ date: '2025-03-11', startTime: '09:00' });
+    expect(res.statusCode).toBe(201);
+    res = await request(app).post(`/api/classes/${klass._id}/sessions/${third._id}/reschedule`).set('Authorization', auth)
+      .send({ date: '2025-03-10', startTime: '09:00' });
+    expect(res.statusCode).toBe(409);
+    res = await request(app).post(`/api/classes/${klass._id}/sessions`).set('Authorization', auth)
+      .send({ date: '2025-03-10', startTime: '09:00', makeupFor: first._id });
+    expect(res.statusCode).toBe(409);
+
+    expect(await ClassSession.countDocuments({ classId: klass._id })).toBe(6);
+  });
+});
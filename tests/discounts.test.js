@@ -0,0 +1,141 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const DiscountRule = require('../models/DiscountRule');
+const Payment = require('../models/Payment');
+const StudentFinancial = require('../models/StudentFinancial');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+async function seedBasic() {
+  const school = await School.create({ name: `School-${Date.now()}`, contact: { address: '1 Main St', phone: '0555' } });
+  const manager = await User.create({ firstName: 'M', lastName: 'G', email: `m${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+  const reviewer = await User.create({ firstName: 'R', lastName: 'V', email: `r${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+  school.managers = [manager._id, reviewer._id];
+  await school.save();
+  const teacher = await User.create({ firstName: 'T', lastName: 'R', email: `t${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+  const student = await User.create({ firstName: 'S', lastName: 'T', role: 'student', password: 'pass', school: school._id });
+  const room = await Room.create({ schoolId: school._id, name: 'R1', capacity: 10, activityTypes: [] });
+  const klass = await Class.create({
+    name: 'C1',
+    schoolId: school._id,
+    catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+    teacherId: teacher._id,
+    roomId: room._id,
+    schedules: [{ dayOfWeek: 'monday', startTime: '09:00', endTime: '10:00' }],
+    capacity: 20,
+    enrollmentPeriod: { startDate: new Date(Date.now() - 86400000), endDate: new Date(Date.now() + 86400000) },
+    paymentModel: 'per_session',
+    sessionPrice: 100,
+    teacherCut: { mode: 'percentage', value: 50 },
+  });
+  return { school, manager, reviewer, student, klass };
+}
+
+const approvedRule = (school, student, fields) => DiscountRule.create({
+  schoolId: school._id,
+  type: 'scholarship',
+  beneficiaries: [student._id],
+  status: 'approved',
+  ...fields,
+});
+
+describe('Discount rules', () => {
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  test('rules apply only once approved by someone other than the requester', async () => {
+    const { manager, reviewer, student, klass } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const preview = async () => {
+      const res = await request(app).get('/api/discounts/preview').set('Authorization', auth)
+        .query({ studentId: student._id.toString(), classId: klass._id.toString() });
+      expect(res.statusCode).toBe(200);
+      return res.body.data;
+    };
+
+    const created = await request(app).post('/api/discounts').set('Authorization', auth)
+      .send({ name: 'Merit', type: 'scholarship', valueType: 'percentage', value: 20, beneficiaries: [student._id.toString()], status: 'approved' });
+    expect(created.statusCode).toBe(201);
+    expect(created.body.data.status).toBe('pending');
+    expect((await preview()).sessionPrice).toBe(100);
+
+    const id = created.body.data._id;
+    let res = await request(app).post(`/api/discounts/${id}/approve`).set('Authorization', auth).send({});
+    expect(res.statusCode).toBe(403);
+    res = await request(app).post(`/api/discounts/${id}/approve`).set('Authorization', `Bearer ${tokenFor(reviewer)}`).send({ note: 'ok' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.status).toBe('approved');
+    res = await request(app).post(`/api/discounts/${id}/reject`).set('Authorization', `Bearer ${tokenFor(reviewer)}`).send({});
+    expect(res.statusCode).toBe(409);
+
+    const snapshot = await preview();
+    expect(snapshot.sessionPrice).toBe(80);
+    expect(snapshot.listSessionPrice).toBe(100);
+    expect(snapshot.discounts.map(d => d.amount)).toEqual([20]);
+
+    // Editing an approved rule sends it back for approval
+    res = await request(app).put(`/api/discounts/${id}`).set('Authorization', `Bearer ${tokenFor(reviewer)}`).send({ value: 50 });
+    expect(res.body.data.status).toBe('pending');
+    expect((await preview()).sessionPrice).toBe(100);
+  });
+
+  test('stackable rules combine in priority order; an exclusive rule wins only when larger', async () => {
+    const { school, manager, student, klass } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const preview = () => request(app).get('/api/discounts/preview').set('Authorization', auth)
+      .query({ studentId: student._id.toString(), classId: klass._id.toString() });
+
+    await approvedRule(school, student, { name: 'Scholarship', valueType: 'percentage', value: 10, stackable: true, priority: 1 });
+    await approvedRule(school, student, { name: 'Promo', type: 'promotion', beneficiaries: [], valueType: 'fixed', value: 20, stackable: true, priority: 2 });
+    await approvedRule(school, student, { name: 'Staff child', type: 'staff_child', valueType: 'percentage', value: 25 });
+
+    let res = await preview();
+    expect(res.body.data.discounts.map(d => [d.name, d.amount])).toEqual([['Scholarship', 10], ['Promo', 20]]);
+    expect(res.body.data.sessionPrice).toBe(70);
+
+    await approvedRule(school, student, { name: 'Full grant', valueType: 'percentage', value: 40 });
+    res = await preview();
+    expect(res.body.data.discounts.map(d => d.name)).toEqual(['Full grant']);
+    expect(res.body.data.sessionPrice).toBe(60);
+  });
+
+  test('a payment without an explicit price owes the discounted snapshot price', async () => {
+    const { school, manager, student, klass } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    await approvedRule(school, student, { name: 'Merit', valueType: 'percentage', value: 20 });
+
+    const enrolled = await request(app).post('/api/enrollments').set('Authorization', auth).send({
+      studentId: student._id.toString(),
+      classId: klass._id.toString(),
+      startDate: new Date().toISOString(),
+      endDate: new Date(Date.now() + 30 * 86400000).toISOString(),
+      totalSessions: 10,
+      totalAmount: 800,
+    });
+    expect(enrolled.statusCode).toBe(201);
+    const enrollment = enrolled.body.enrollment;
+    expect(enrollment.pricingSnapshot.sessionPrice).toBe(80);
+
+    const res = await request(app).post('/api/payments').set('Authorization', auth)
+      .send({ enrollmentId: enrollment._id, amount: 100, kind: 'pay_sessions', unitType: 'session', units: 2 });
+    expect(res.statusCode).toBe(201);
+    const payment = await Payment.findById(res.body.payment._id);
+    expect(payment.expectedPrice).toBe(160);
+    expect(payment.debtDelta).toBe(-60);
+    expect(payment.discountAmount).toBe(40);
+    const financial = await StudentFinancial.findOne({ schoolId: school._id, studentId: student._id });
+    expect(financial.debt).toBe(-60);
+  });
+});
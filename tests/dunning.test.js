@@ -0,0 +1,124 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const Enrollment = require('../models/Enrollment');
+const StudentFinancial = require('../models/StudentFinancial');
+const DunningCase = require('../models/DunningCase');
+const Notification = require('../models/Notification');
+const { runDunningForSchool } = require('../services/dunningService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = (n) => new Date(Date.now() + n * DAY_MS);
+const ymd = (d) => d.toISOString().slice(0, 10);
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+async function seedBasic() {
+  const school = await School.create({ name: `School-${Date.now()}`, contact: { address: '1 Main St', phone: '0555' } });
+  const manager = await User.create({ firstName: 'M', lastName: 'G', email: `m${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+  school.managers = [manager._id];
+  await school.save();
+  const teacher = await User.create({ firstName: 'T', lastName: 'R', email: `t${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+  const student = await User.create({ firstName: 'S', lastName: 'T', email: `s${Date.now()}@ex.com`, role: 'student', password: 'pass', school: school._id });
+  const room = await Room.create({ schoolId: school._id, name: 'R1', capacity: 10, activityTypes: [] });
+  const klass = await Class.create({
+    name: 'C1',
+    schoolId: school._id,
+    catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+    teacherId: teacher._id,
+    roomId: room._id,
+    schedules: [{ dayOfWeek: 'monday', startTime: '09:00', endTime: '10:00' }],
+    capacity: 20,
+    enrollmentPeriod: { startDate: new Date(Date.now() - 86400000), endDate: new Date(Date.now() + 86400000) },
+    paymentModel: 'per_session',
+    sessionPrice: 100,
+    teacherCut: { mode: 'percentage', value: 50 },
+  });
+  const enrollment = await Enrollment.create({
+    schoolId: school._id,
+    studentId: student._id,
+    classId: klass._id,
+    balance: -3,
+    pricingSnapshot: { paymentModel: 'per_session', sessionPrice: 100 },
+  });
+  await StudentFinancial.create({ schoolId: school._id, studentId: student._id, debt: 500 });
+  return { school, manager, student, enrollment };
+}
+
+describe('Debt dunning', () => {
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  test('a run opens one case per student and reminds once per interval', async () => {
+    const { manager, student } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+
+    let res = await request(app).put('/api/dunning/settings').set('Authorization', auth).send({ debtThreshold: 100, reminderIntervalDays: 7 });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.debtThreshold).toBe(100);
+
+    res = await request(app).post('/api/dunning/run').set('Authorization', auth).send({});
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toMatchObject({ matched: 1, reminded: 1, resolved: 0 });
+
+    res = await request(app).get('/api/dunning/cases').set('Authorization', auth);
+    expect(res.body.items).toHaveLength(1);
+    const [dunningCase] = res.body.items;
+    expect(dunningCase.level).toBe(1);
+    expect(dunningCase.debt).toBe(500);
+    expect(dunningCase.negativeEnrollments.map(e => e.balance)).toEqual([-3]);
+
+    res = await request(app).get(`/api/dunning/cases/${dunningCase._id}/reminders`).set('Authorization', auth);
+    expect(res.body.items).toHaveLength(1);
+    expect(res.body.items[0].channels.inApp).toBe(true);
+    expect(res.body.items[0].channels.email.to).toBe(student.email);
+    expect(await Notification.countDocuments({ userId: student._id, type: 'debt_reminder' })).toBe(1);
+
+    // Within the interval nothing is sent again
+    res = await request(app).post('/api/dunning/run').set('Authorization', auth).send({});
+    expect(res.body.data.reminded).toBe(0);
+  });
+
+  test('snooze and promise pause reminders; escalation ends in a final notice; paying resolves the case', async () => {
+    const { school, manager, student, enrollment } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    await runDunningForSchool(school._id);
+    const { _id: caseId } = await DunningCase.findOne({ schoolId: school._id, studentId: student._id });
+
+    let res = await request(app).post(`/api/dunning/cases/${caseId}/snooze`).set('Authorization', auth).send({ until: ymd(inDays(-1)) });
+    expect(res.statusCode).toBe(400);
+    res = await request(app).post(`/api/dunning/cases/${caseId}/snooze`).set('Authorization', auth).send({ until: ymd(inDays(20)), note: 'Parent travelling' });
+    expect(res.statusCode).toBe(200);
+    expect((await runDunningForSchool(school._id, { now: inDays(10) })).reminded).toBe(0);
+    expect((await runDunningForSchool(school._id, { now: inDays(21) })).reminded).toBe(1);
+    expect((await DunningCase.findById(caseId)).level).toBe(2);
+
+    res = await request(app).post(`/api/dunning/cases/${caseId}/promise`).set('Authorization', auth).send({ promisedDate: ymd(inDays(30)), amount: 500 });
+    expect(res.statusCode).toBe(200);
+    expect((await runDunningForSchool(school._id, { now: inDays(29) })).reminded).toBe(0);
+    // The promised date passed without payment: escalate to the final notice
+    expect((await runDunningForSchool(school._id, { now: inDays(31) })).reminded).toBe(1);
+    const escalated = await DunningCase.findById(caseId);
+    expect(escalated.status).toBe('open');
+    expect(escalated.level).toBe(3);
+    expect(await Notification.countDocuments({ userId: manager._id, type: 'debt_final_notice' })).toBe(1);
+
+    await StudentFinancial.updateOne({ schoolId: school._id, studentId: student._id }, { $set: { debt: 0 } });
+    await Enrollment.updateOne({ _id: enrollment._id }, { $set: { balance: 0 } });
+    expect((await runDunningForSchool(school._id, { now: inDays(32) })).resolved).toBe(1);
+    expect((await DunningCase.findById(caseId)).status).toBe('resolved');
+    res = await request(app).post(`/api/dunning/cases/${caseId}/promise`).set('Authorization', auth).send({ promisedDate: ymd(inDays(40)) });
+    expect(res.statusCode).toBe(409);
+  });
+});
@@ -0,0 +1,87 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const ManualTransaction = require('../models/ManualTransaction');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+describe('Expense approval', () => {
+  let school, principal, manager, staff;
+  const now = new Date();
+  const [year, month] = [now.getFullYear(), now.getMonth() + 1];
+  const overviewExpenses = async () => {
+    const res = await request(app).get(`/api/finance/overview/${school._id}/${year}/${month}`).set('Authorization', `Bearer ${tokenFor(principal)}`);
+    expect(res.statusCode).toBe(200);
+    return res.body.data.totalExpenses;
+  };
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  // Collections are cleared after each test
+  beforeEach(async () => {
+    school = await School.create({ name: `School-${Date.now()}`, expenseApproval: { managerLimit: 1000 } });
+    principal = await User.create({ firstName: 'P', lastName: 'R', email: `ep${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+    manager = await User.create({ firstName: 'M', lastName: 'G', email: `em${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+    staff = await User.create({ firstName: 'S', lastName: 'F', email: `es${Date.now()}@ex.com`, password: 'pass', role: 'staff', school: school._id });
+    school.principal = principal._id;
+    school.managers = [principal._id, manager._id];
+    await school.save();
+  });
+
+  test('staff expenses wait for an approver within their limit before they count', async () => {
+    const before = await overviewExpenses();
+    const submitted = await request(app).post('/api/finance/expenses').set('Authorization', `Bearer ${tokenFor(staff)}`)
+      .field('category', 'Supplies').field('description', 'Printer toner').field('amount', '5000').field('date', now.toISOString())
+      .attach('receipt', Buffer.from('%PDF-1.4'), { filename: 'toner.pdf', contentType: 'application/pdf' });
+    expect(submitted.statusCode).toBe(201);
+    expect(submitted.body.data.status).toBe('pending');
+    expect(await overviewExpenses()).toBe(before);
+
+    const id = submitted.body.data._id;
+    const overLimit = await request(app).post(`/api/finance/expenses/${id}/review`).set('Authorization', `Bearer ${tokenFor(manager)}`)
+      .send({ action: 'approve' });
+    expect(overLimit.statusCode).toBe(403);
+
+    const approved = await request(app).post(`/api/finance/expenses/${id}/review`).set('Authorization', `Bearer ${tokenFor(principal)}`)
+      .send({ action: 'approve' });
+    expect(approved.statusCode).toBe(200);
+    expect(await overviewExpenses()).toBe(before + 5000);
+  });
+
+  test('two approvers acting at once approve and book an expense once', async () => {
+    const submitted = await request(app).post('/api/finance/expenses').set('Authorization', `Bearer ${tokenFor(staff)}`)
+      .field('category', 'Supplies').field('description', 'Projector lamp').field('amount', '800').field('date', now.toISOString())
+      .attach('receipt', Buffer.from('%PDF-1.4'), { filename: 'lamp.pdf', contentType: 'application/pdf' });
+    expect(submitted.statusCode).toBe(201);
+    const before = await overviewExpenses();
+
+    const review = (user) => request(app).post(`/api/finance/expenses/${submitted.body.data._id}/review`).set('Authorization', `Bearer ${tokenFor(user)}`)
+      .send({ action: 'approve' });
+    const results = await Promise.all([review(principal), review(manager)]);
+    expect(results.map(r => r.statusCode).sort()).toEqual([200, 409]);
+    expect(await overviewExpenses()).toBe(before + 800);
+  });
+
+  test('a manager recording an expense above their limit leaves it pending', async () => {
+    const res = await request(app).post('/api/finance/transactions/add').set('Authorization', `Bearer ${tokenFor(manager)}`)
+      .send({ schoolId: school._id.toString(), type: 'expense', category: 'Repairs', description: 'Air conditioning', amount: 2500, date: now.toISOString() });
+    expect(res.statusCode).toBe(201);
+    const transaction = await ManualTransaction.findById(res.body.data.transaction._id);
+    expect(transaction.status).toBe('pending');
+  });
+
+  test('finance data of another school is refused', async () => {
+    const other = await School.create({ name: `Other-${Date.now()}` });
+    const res = await request(app).get(`/api/finance/overview/${other._id}/${year}/${month}`).set('Authorization', `Bearer ${tokenFor(manager)}`);
+    expect(res.statusCode).toBe(403);
+  });
+});
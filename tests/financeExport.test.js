@@ -0,0 +1,108 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const Enrollment = require('../models/Enrollment');
+const MonthlyFinancialSummary = require('../models/MonthlyFinancialSummary');
+const { summaryChecksum } = require('../services/accountingExportService');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+async function seedBasic() {
+  const school = await School.create({ name: `School-${Date.now()}`, contact: { address: '1 Main St', phone: '0555' } });
+  const manager = await User.create({ firstName: 'M', lastName: 'G', email: `m${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+  const teacher = await User.create({ firstName: 'T', lastName: 'R', email: `t${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+  const student = await User.create({ firstName: 'S', lastName: 'T', role: 'student', password: 'pass', school: school._id });
+  const room = await Room.create({ schoolId: school._id, name: 'R1', capacity: 10, activityTypes: [] });
+  const klass = await Class.create({
+    name: 'C1',
+    schoolId: school._id,
+    catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+    teacherId: teacher._id,
+    roomId: room._id,
+    schedules: [{ dayOfWeek: 'monday', startTime: '09:00', endTime: '10:00' }],
+    capacity: 20,
+    enrollmentPeriod: { startDate: new Date(Date.now() - 86400000), endDate: new Date(Date.now() + 86400000) },
+    paymentModel: 'per_session',
+    sessionPrice: 100,
+    teacherCut: { mode: 'percentage', value: 50 },
+  });
+  const enrollment = await Enrollment.create({
+    schoolId: school._id,
+    studentId: student._id,
+    classId: klass._id,
+    pricingSnapshot: { paymentModel: 'per_session', sessionPrice: 100 },
+  });
+  return { school, manager, enrollment };
+}
+
+describe('Accounting export', () => {
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  test('a frozen month exports stable lines with the summary checksum', async () => {
+    const { school, manager, enrollment } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const now = new Date();
+    const [year, month] = [now.getFullYear(), now.getMonth() + 1];
+    const url = `/api/finance/export/${school._id}/${year}/${month}`;
+
+    const paid = await request(app).post('/api/payments').set('Authorization', auth)
+      .send({ enrollmentId: enrollment._id.toString(), amount: 200, kind: 'pay_sessions', unitType: 'session', units: 2 });
+    expect(paid.statusCode).toBe(201);
+    const expense = await request(app).post('/api/finance/transactions/add').set('Authorization', auth)
+      .send({ schoolId: school._id.toString(), type: 'expense', category: 'Rent', description: '=Room rent', amount: 80, date: now.toISOString() });
+    expect(expense.statusCode).toBe(201);
+
+    let res = await request(app).get(url).set('Authorization', auth);
+    expect(res.statusCode).toBe(409);
+
+    res = await request(app).post(`/api/finance/freeze/${school._id}/${year}/${month}`).set('Authorization', auth).send({});
+    expect(res.statusCode).toBe(200);
+    const summary = await MonthlyFinancialSummary.getFrozenSummary(school._id.toString(), year, month);
+    const checksum = summaryChecksum(summary).value;
+
+    res = await request(app).get(url).set('Authorization', auth).query({ format: 'pdf' });
+    expect(res.statusCode).toBe(400);
+
+    const csv = await request(app).get(url).set('Authorization', auth).query({ format: 'csv' });
+    expect(csv.statusCode).toBe(200);
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+    expect(csv.headers['x-summary-checksum']).toBe(`sha256:${checksum}`);
+    const rows = csv.text.trim().split('\r\n');
+    expect(rows[1]).toContain(checksum);
+    expect(rows[2]).toBe('id,date,type,category,ledgerAccount,counterparty,reference,method,description,amount');
+    expect(rows).toHaveLength(5);
+    const payLine = rows.find(r => r.startsWith(`PAY-${paid.body.payment._id},`));
+    expect(payLine).toContain(paid.body.payment.receiptNumber);
+    expect(payLine.endsWith(',200')).toBe(true);
+    const rentLine = rows.find(r => r.startsWith('MTX-'));
+    expect(rentLine).toContain(",'=Room rent,");
+    expect(rentLine.endsWith(',-80')).toBe(true);
+
+    // Exporting again gives the same file
+    const again = await request(app).get(url).set('Authorization', auth);
+    expect(again.text).toBe(csv.text);
+
+    const ofx = await request(app).get(url).set('Authorization', auth).query({ format: 'ofx' });
+    expect(ofx.statusCode).toBe(200);
+    expect(ofx.text).toContain(`<FITID>PAY-${paid.body.payment._id}</FITID>`);
+    expect(ofx.text).toContain('<TRNAMT>-80.00</TRNAMT>');
+    expect(ofx.text).toContain('<BALAMT>120.00</BALAMT>');
+
+    const xlsx = await request(app).get(url).set('Authorization', auth).query({ format: 'xlsx' }).responseType('blob');
+    expect(xlsx.statusCode).toBe(200);
+    expect(xlsx.headers['content-disposition']).toContain(`finance-${year}-${String(month).padStart(2, '0')}.xlsx`);
+    expect(xlsx.body.subarray(0, 2).toString()).toBe('PK');
+  });
+});
@@ -0,0 +1,124 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const Enrollment = require('../models/Enrollment');
+const Payment = require('../models/Payment');
+const InstallmentPlan = require('../models/InstallmentPlan');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+async function seedBasic() {
+  const school = await School.create({ name: `School-${Date.now()}`, contact: { address: '1 Main St', phone: '0555' } });
+  const manager = await User.create({ firstName: 'M', lastName: 'G', email: `m${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+  const teacher = await User.create({ firstName: 'T', lastName: 'R', email: `t${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+  const student = await User.create({ firstName: 'S', lastName: 'T', role: 'student', password: 'pass', school: school._id });
+  const room = await Room.create({ schoolId: school._id, name: 'R1', capacity: 10, activityTypes: [] });
+  const klass = await Class.create({
+    name: 'C1',
+    schoolId: school._id,
+    catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+    teacherId: teacher._id,
+    roomId: room._id,
+    schedules: [{ dayOfWeek: 'monday', startTime: '09:00', endTime: '10:00' }],
+    capacity: 20,
+    enrollmentPeriod: { startDate: new Date(Date.now() - 86400000), endDate: new Date(Date.now() + 86400000) },
+    paymentModel: 'per_cycle',
+    cycleSize: 4,
+    cyclePrice: 400,
+    teacherCut: { mode: 'percentage', value: 50 },
+  });
+  const enrollment = await Enrollment.create({
+    schoolId: school._id,
+    studentId: student._id,
+    classId: klass._id,
+    pricingSnapshot: { paymentModel: 'per_cycle', cycleSize: 4, cyclePrice: 400 },
+  });
+  return { school, manager, enrollment };
+}
+
+async function openPlan(auth, enrollment) {
+  const res = await request(app).post('/api/installments').set('Authorization', auth)
+    .send({ enrollmentId: enrollment._id.toString(), count: 2 });
+  expect(res.statusCode).toBe(201);
+  expect(res.body.data.installments.map(i => i.amount)).toEqual([200, 200]);
+  return res.body.data._id;
+}
+
+const pay = (auth, enrollment, amount) => request(app).post('/api/payments').set('Authorization', auth)
+  .send({ enrollmentId: enrollment._id.toString(), amount, kind: 'pay_cycles' });
+
+describe('Installment plans', () => {
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  test('concurrent allocations never fill the same installment twice', async () => {
+    const { manager, enrollment } = await seedBasic();
+    const planId = await openPlan(`Bearer ${tokenFor(manager)}`, enrollment);
+    const [a, b] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+    const used = await Promise.all([
+      InstallmentPlan.allocatePayment(planId, 300, a),
+      InstallmentPlan.allocatePayment(planId, 300, b),
+    ]);
+    expect(used[0] + used[1]).toBe(400);
+
+    const plan = await InstallmentPlan.findById(planId);
+    expect(plan.installments.map(i => i.paidAmount)).toEqual([200, 200]);
+    for (const inst of plan.installments) {
+      expect(inst.allocations.reduce((s, x) => s + x.amount, 0)).toBe(inst.paidAmount);
+      expect(inst.status).toBe('paid');
+    }
+    expect(plan.status).toBe('completed');
+
+    expect(await InstallmentPlan.releasePayment(planId, a)).toBe(used[0]);
+    const reopened = await InstallmentPlan.findById(planId);
+    expect(reopened.status).toBe('active');
+    expect(reopened.paidAmount).toBe(used[1]);
+  });
+
+  test('money a concurrent payment left unallocated buys sessions instead', async () => {
+    const { manager, enrollment } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const planId = await openPlan(auth, enrollment);
+    expect((await Enrollment.findById(enrollment._id)).balance).toBe(4);
+
+    const results = await Promise.all([pay(auth, enrollment, 300), pay(auth, enrollment, 300)]);
+    results.forEach(r => expect(r.statusCode).toBe(201));
+
+    const plan = await InstallmentPlan.findById(planId);
+    expect(plan.paidAmount).toBe(400);
+    expect(plan.status).toBe('completed');
+    const payments = await Payment.find({ enrollmentId: enrollment._id });
+    expect(payments.reduce((s, p) => s + (p.installmentAllocated || 0), 0)).toBe(400);
+    // 200 DZD beyond the plan is half a 4-session cycle
+    expect((await Enrollment.findById(enrollment._id)).balance).toBe(6);
+  });
+
+  test('voiding a payment gives its installments back', async () => {
+    const { manager, enrollment } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const planId = await openPlan(auth, enrollment);
+
+    const paid = await pay(auth, enrollment, 300);
+    expect(paid.statusCode).toBe(201);
+    let plan = await InstallmentPlan.findById(planId);
+    expect(plan.installments.map(i => i.status)).toEqual(['paid', 'partial']);
+
+    const res = await request(app).post(`/api/payments/${paid.body.payment._id}/void`).set('Authorization', auth).send({ reason: 'Wrong amount' });
+    expect(res.statusCode).toBe(201);
+    plan = await InstallmentPlan.findById(planId);
+    expect(plan.installments.map(i => [i.paidAmount, i.status, i.allocations.length])).toEqual([[0, 'pending', 0], [0, 'pending', 0]]);
+    expect(plan.installments[0].paidAt).toBeFalsy();
+  });
+});
@@ -0,0 +1,102 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const Enrollment = require('../models/Enrollment');
+const Attendance = require('../models/Attendance');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+describe('Kiosk check-in', () => {
+  let school, manager, student, enrollment;
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  // Collections are cleared after each test
+  beforeEach(async () => {
+    school = await School.create({ name: `School-${Date.now()}` });
+    manager = await User.create({ firstName: 'M', lastName: 'K', email: `km${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+    const teacher = await User.create({ firstName: 'T', lastName: 'K', email: `kt${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+    const room = await Room.create({ schoolId: school._id, name: 'R1', capacity: 20 });
+    // A session today lasting all day, so the scan always falls inside it
+    const now = new Date();
+    const klass = await Class.create({
+      name: 'Kiosk class',
+      schoolId: school._id,
+      catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+      teacherId: teacher._id,
+      roomId: room._id,
+      schedules: [{ dayOfWeek: DAYS[now.getDay()], startTime: '00:00', endTime: '23:59' }],
+      capacity: 20,
+      enrollmentPeriod: {
+        startDate: new Date(now.getFullYear(), now.getMonth(), now.getDate() - 7),
+        endDate: new Date(now.getFullYear(), now.getMonth(), now.getDate() + 7),
+      },
+      paymentModel: 'per_session',
+      sessionPrice: 100,
+      teacherCut: { mode: 'percentage', value: 50 },
+    });
+    student = await User.create({ firstName: 'S', lastName: 'K', role: 'student', password: 'pass', school: school._id });
+    enrollment = await Enrollment.create({ schoolId: school._id, studentId: student._id, classId: klass._id, pricingSnapshot: { paymentModel: 'per_session', sessionPrice: 100 } });
+  });
+
+  test('a registered device checks a student in once and warns about an empty balance', async () => {
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const registered = await request(app).post('/api/kiosk/devices').set('Authorization', auth).send({ name: 'Front desk' });
+    expect(registered.statusCode).toBe(201);
+    expect(registered.body.data.tokenHash).toBeUndefined();
+    const { token } = registered.body;
+
+    const scan = () => request(app).post('/api/kiosk/check-in').set('X-Kiosk-Token', token)
+      .send({ studentCode: student.studentCode.toLowerCase() });
+
+    const first = await scan();
+    expect(first.statusCode).toBe(201);
+    expect(first.body.status).toBe('present');
+    expect(first.body.alreadyCheckedIn).toBe(false);
+    expect(first.body.balance).toBe(-1);
+    expect(first.body.warning).toBe('balance_negative');
+
+    const second = await scan();
+    expect(second.statusCode).toBe(200);
+    expect(second.body.alreadyCheckedIn).toBe(true);
+    expect(await Attendance.countDocuments({ enrollmentId: enrollment._id })).toBe(1);
+    expect((await Enrollment.findById(enrollment._id)).balance).toBe(-1);
+
+    const revoked = await request(app).delete(`/api/kiosk/devices/${registered.body.data._id}`).set('Authorization', auth);
+    expect(revoked.statusCode).toBe(200);
+    expect((await scan()).statusCode).toBe(401);
+  });
+
+  test('simultaneous scans check the student in and charge the balance once', async () => {
+    const registered = await request(app).post('/api/kiosk/devices').set('Authorization', `Bearer ${tokenFor(manager)}`).send({ name: 'Front desk' });
+    const scan = () => request(app).post('/api/kiosk/check-in').set('X-Kiosk-Token', registered.body.token)
+      .send({ studentCode: student.studentCode });
+
+    const results = await Promise.all([scan(), scan(), scan()]);
+    expect(results.map(r => r.statusCode).sort()).toEqual([200, 200, 201]);
+    expect(results.filter(r => r.body.alreadyCheckedIn)).toHaveLength(2);
+    expect(await Attendance.countDocuments({ enrollmentId: enrollment._id })).toBe(1);
+    const updated = await Enrollment.findById(enrollment._id);
+    expect(updated.balance).toBe(-1);
+    expect(updated.sessionCounters.attended).toBe(1);
+  });
+
+  test('check-in needs a kiosk token', async () => {
+    const res = await request(app).post('/api/kiosk/check-in').send({ studentCode: student.studentCode });
+    expect(res.statusCode).toBe(401);
+  });
+});
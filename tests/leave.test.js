@@ -0,0 +1,140 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const Employee = require('../models/Employee');
+const LeaveRequest = require('../models/LeaveRequest');
+const { getLeaveBalance, flagAffectedSessions, unflagSessions } = require('../services/leaveService');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+describe('Leave management', () => {
+  let school;
+  const managerId = new mongoose.Types.ObjectId();
+  const approvedLeave = (subject, fields) => LeaveRequest.create({
+    schoolId: school._id, status: 'approved', requestedBy: managerId, ...subject, ...fields,
+  });
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  // Collections are cleared after each test
+  beforeEach(async () => {
+    // Default Friday/Saturday weekend
+    school = await School.create({ name: `School-${Date.now()}` });
+  });
+
+  test('half days and rest days are not counted as full leave days', () => {
+    // Monday 3 to Sunday 9 March 2025, starting in the afternoon
+    const days = LeaveRequest.countDays({ startDate: new Date(2025, 2, 3), endDate: new Date(2025, 2, 9), halfDayStart: true });
+    expect(days).toBe(4.5);
+  });
+
+  test('unpaid leave reduces a fixed salary pro rata', async () => {
+    const employee = await Employee.create({
+      schoolId: school._id, name: 'Secretary', role: 'admin', salaryType: 'fixed', salaryValue: 42000, hireDate: new Date(2024, 0, 1),
+    });
+    await approvedLeave({ subjectType: 'employee', employeeId: employee._id }, {
+      type: 'unpaid', startDate: new Date(2025, 2, 10), endDate: new Date(2025, 2, 11), days: 2,
+    });
+    const workingDays = LeaveRequest.workingDays(2025, 3, school.leavePolicy.restDays);
+    const salary = await employee.calculateMonthlySalary(2025, 3);
+    expect(salary).toBeCloseTo(42000 - 42000 / workingDays * 2, 2);
+  });
+
+  test('annual leave is taken from the balance earned by contract type', async () => {
+    const employee = await Employee.create({
+      schoolId: school._id, name: 'Cleaner', role: 'cleaning', contractType: 'part_time', salaryType: 'fixed', salaryValue: 20000, hireDate: new Date(2020, 0, 1),
+    });
+    await approvedLeave({ subjectType: 'employee', employeeId: employee._id }, {
+      type: 'annual', startDate: new Date(2024, 5, 2), endDate: new Date(2024, 5, 4), days: 3,
+    });
+    const balance = await getLeaveBalance(school._id, employee, 'employee', 2024);
+    expect(balance.accrued).toBe(15);
+    expect(balance.taken).toBe(3);
+    expect(balance.available).toBe(12);
+  });
+
+  test('approved teacher leave flags the class sessions it covers', async () => {
+    const teacher = await User.create({ firstName: 'T', lastName: 'L', email: `tl${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+    const room = await Room.create({ schoolId: school._id, name: 'R1', capacity: 10, activityTypes: [] });
+    const klass = await Class.create({
+      name: 'C1',
+      schoolId: school._id,
+      catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+      teacherId: teacher._id,
+      roomId: room._id,
+      schedules: [
+        { dayOfWeek: 'monday', startTime: '09:00', endTime: '10:30' },
+        { dayOfWeek: 'wednesday', startTime: '14:00', endTime: '15:00' },
+      ],
+      capacity: 20,
+      enrollmentPeriod: { startDate: new Date(Date.UTC(2025, 0, 1)), endDate: new Date(Date.UTC(2025, 11, 31)) },
+      paymentModel: 'per_session',
+      sessionPrice: 100,
+      teacherCut: { mode: 'per_session', value: 500 },
+    });
+
+    // Monday 3 (afternoon only) to Wednesday 12 March: Monday 3 morning is still taught
+    const leave = await approvedLeave({ subjectType: 'teacher', teacherId: teacher._id }, {
+      type: 'sick', startDate: new Date(2025, 2, 3), endDate: new Date(2025, 2, 12), halfDayStart: true,
+    });
+    const sessions = await flagAffectedSessions(leave);
+    await leave.save();
+    expect(sessions.map(s => s.date.getUTCDate())).toEqual([5, 10, 12]);
+
+    let flagged = await Class.findById(klass._id).lean();
+    expect(flagged.flaggedSessions).toHaveLength(3);
+
+    await unflagSessions(leave);
+    flagged = await Class.findById(klass._id).lean();
+    expect(flagged.flaggedSessions).toHaveLength(0);
+  });
+
+  test('simultaneous reviews and cancellations of a leave apply once', async () => {
+    const schoolDoc = await School.create({ name: `School-${Date.now()}` });
+    const managers = await Promise.all(['A', 'B'].map(tag => User.create({
+      firstName: 'M', lastName: tag, email: `lm${tag}${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: schoolDoc._id,
+    })));
+    const teacher = await User.create({ firstName: 'T', lastName: 'C', email: `tc${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: schoolDoc._id });
+    const room = await Room.create({ schoolId: schoolDoc._id, name: 'R1', capacity: 10, activityTypes: [] });
+    const klass = await Class.create({
+      name: 'C1',
+      schoolId: schoolDoc._id,
+      catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+      teacherId: teacher._id,
+      roomId: room._id,
+      schedules: [{ dayOfWeek: 'monday', startTime: '09:00', endTime: '10:30' }],
+      capacity: 20,
+      enrollmentPeriod: { startDate: new Date(Date.UTC(2025, 0, 1)), endDate: new Date(Date.UTC(2025, 11, 31)) },
+      paymentModel: 'per_session',
+      sessionPrice: 100,
+      teacherCut: { mode: 'per_session', value: 500 },
+    });
+    // Sunday 9 to Thursday 13 March 2025: one Monday session
+    const leave = await LeaveRequest.create({
+      schoolId: schoolDoc._id, subjectType: 'teacher', teacherId: teacher._id, type: 'sick', status: 'pending',
+      startDate: new Date(2025, 2, 9), endDate: new Date(2025, 2, 13), days: 5, requestedBy: teacher._id,
+    });
+    const post = (manager, action) => request(app).post(`/api/leave/${leave._id}/${action}`).set('Authorization', `Bearer ${tokenFor(manager)}`);
+
+    let results = await Promise.all(managers.map(m => post(m, 'review').send({ action: 'approve' })));
+    expect(results.map(r => r.statusCode).sort()).toEqual([200, 409]);
+    expect((await Class.findById(klass._id).lean()).flaggedSessions).toHaveLength(1);
+
+    results = await Promise.all(managers.map(m => post(m, 'cancel').send({})));
+    expect(results.map(r => r.statusCode).sort()).toEqual([200, 409]);
+    expect((await LeaveRequest.findById(leave._id)).status).toBe('cancelled');
+    expect((await Class.findById(klass._id).lean()).flaggedSessions).toHaveLength(0);
+  });
+});
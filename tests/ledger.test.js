@@ -0,0 +1,78 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const Enrollment = require('../models/Enrollment');
+const JournalEntry = require('../models/JournalEntry');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+describe('Ledger', () => {
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  test('payments and manual transactions post balanced entries that trace the overview', async () => {
+    const school = await School.create({ name: `School-${Date.now()}`, contact: { address: '1 Main St', phone: '0555' } });
+    const manager = await User.create({ firstName: 'M', lastName: 'G', email: `lm${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+    const teacher = await User.create({ firstName: 'T', lastName: 'R', email: `lt${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+    const student = await User.create({ firstName: 'S', lastName: 'T', role: 'student', password: 'pass', school: school._id });
+    const room = await Room.create({ schoolId: school._id, name: 'R1', capacity: 10, activityTypes: [] });
+    const klass = await Class.create({
+      name: 'C1',
+      schoolId: school._id,
+      catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+      teacherId: teacher._id,
+      roomId: room._id,
+      schedules: [{ dayOfWeek: 'monday', startTime: '09:00', endTime: '10:00' }],
+      capacity: 20,
+      enrollmentPeriod: { startDate: new Date(Date.now() - 86400000), endDate: new Date(Date.now() + 86400000) },
+      paymentModel: 'per_session',
+      sessionPrice: 100,
+      teacherCut: { mode: 'percentage', value: 50 },
+    });
+    const enrollment = await Enrollment.create({
+      schoolId: school._id,
+      studentId: student._id,
+      classId: klass._id,
+      pricingSnapshot: { paymentModel: 'per_session', sessionPrice: 100 },
+    });
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const now = new Date();
+    const [year, month] = [now.getFullYear(), now.getMonth() + 1];
+
+    const paid = await request(app).post('/api/payments').set('Authorization', auth)
+      .send({ enrollmentId: enrollment._id.toString(), amount: 200, kind: 'pay_sessions', unitType: 'session', units: 2, taken: 200, debtDelta: 0 });
+    expect(paid.statusCode).toBe(201);
+    const expense = await request(app).post('/api/finance/transactions/add').set('Authorization', auth)
+      .send({ schoolId: school._id.toString(), type: 'expense', category: 'Rent', description: 'Room rent', amount: 80, date: now.toISOString() });
+    expect(expense.statusCode).toBe(201);
+
+    expect(await JournalEntry.countDocuments({ schoolId: school._id })).toBe(2);
+
+    const res = await request(app).get(`/api/finance/ledger/trial-balance/${school._id}/${year}/${month}`).set('Authorization', auth);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.balanced).toBe(true);
+    const cash = res.body.data.accounts.find(a => a.account === 'cash');
+    expect(cash.closing).toBe(120);
+    const trace = Object.fromEntries(res.body.data.overviewTrace.map(t => [t.figure, t]));
+    expect(trace.totalIncome.ledger).toBe(200);
+    expect(trace.totalIncome.reconciled).toBe(true);
+    expect(trace.totalExpenses.reconciled).toBe(true);
+
+    const statement = await request(app)
+      .get(`/api/finance/ledger/statement/${school._id}/cash`).set('Authorization', auth);
+    expect(statement.statusCode).toBe(200);
+    expect(statement.body.data.entries).toHaveLength(2);
+    expect(statement.body.data.closing).toBe(120);
+  });
+});
@@ -0,0 +1,107 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const MonthlyFinancialSummary = require('../models/MonthlyFinancialSummary');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+// A past month, so the overview reads the frozen summary instead of live figures
+function lastMonth() {
+  const now = new Date();
+  const d = new Date(now.getFullYear(), now.getMonth() - 1, 15, 12);
+  return { year: d.getFullYear(), month: d.getMonth() + 1, date: d };
+}
+
+async function seedFrozenMonth() {
+  const school = await School.create({ name: `School-${Date.now()}`, contact: { address: '1 Main St', phone: '0555' } });
+  const principal = await User.create({ firstName: 'P', lastName: 'R', email: `p${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+  const manager = await User.create({ firstName: 'M', lastName: 'G', email: `m${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+  school.principal = principal._id;
+  school.managers = [principal._id, manager._id];
+  await school.save();
+
+  const { year, month, date } = lastMonth();
+  const auth = `Bearer ${tokenFor(manager)}`;
+  const income = await request(app).post('/api/finance/transactions/add').set('Authorization', auth)
+    .send({ schoolId: school._id.toString(), type: 'income', category: 'Workshop', description: 'Weekend workshop', amount: 300, date: date.toISOString() });
+  expect(income.statusCode).toBe(201);
+
+  const base = `${school._id}/${year}/${month}`;
+  let res = await request(app).post(`/api/finance/adjustments/${base}`).set('Authorization', auth)
+    .send({ field: 'totalIncome', amount: 150, reason: 'Missed payment' });
+  expect(res.statusCode).toBe(409);
+  res = await request(app).post(`/api/finance/freeze/${base}`).set('Authorization', auth).send({});
+  expect(res.statusCode).toBe(200);
+  return { school, principal, manager, auth, base, year, month };
+}
+
+describe('Frozen month corrections', () => {
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  test('post-freeze adjustments show as deltas and leave the frozen summary untouched', async () => {
+    const { auth, base } = await seedFrozenMonth();
+
+    let res = await request(app).post(`/api/finance/adjustments/${base}`).set('Authorization', auth)
+      .send({ field: 'netBalance', amount: 150, reason: 'Missed payment' });
+    expect(res.statusCode).toBe(400);
+    res = await request(app).post(`/api/finance/adjustments/${base}`).set('Authorization', auth)
+      .send({ field: 'totalIncome', amount: 150, reason: 'Missed payment', reference: 'RCPT-17' });
+    expect(res.statusCode).toBe(201);
+    const adjustmentId = res.body.data._id;
+
+    res = await request(app).get(`/api/finance/overview/${base}`).set('Authorization', auth);
+    expect(res.statusCode).toBe(200);
+    const overview = res.body.data;
+    expect(overview.dataSource).toBe('frozen');
+    expect(overview.adjustments.deltas).toEqual({ totalIncome: 150 });
+    expect(overview.adjusted.totalIncome).toBe(overview.totalIncome + 150);
+    expect(overview.adjusted.netBalance).toBe(overview.netBalance + 150);
+
+    res = await request(app).get(`/api/finance/analytics/trends/${base}`).set('Authorization', auth);
+    expect(res.body.data.monthData.adjusted.income - res.body.data.monthData.income).toBe(150);
+
+    // A frozen month cannot be recalculated in place
+    res = await request(app).post(`/api/finance/calculate/${base}`).set('Authorization', auth).send({});
+    expect(res.statusCode).toBe(409);
+
+    res = await request(app).post(`/api/finance/adjustments/void/${adjustmentId}`).set('Authorization', auth).send({ reason: 'Entered twice' });
+    expect(res.statusCode).toBe(200);
+    res = await request(app).get(`/api/finance/overview/${base}`).set('Authorization', auth);
+    expect(res.body.data.adjusted).toBeNull();
+    res = await request(app).get(`/api/finance/adjustments/${base}`).set('Authorization', auth).query({ includeVoided: 'true' });
+    expect(res.body.data.items.map(i => i.status)).toEqual(['voided']);
+  });
+
+  test('only the principal can reopen a frozen month, with a reason kept in the audit trail', async () => {
+    const { school, principal, auth, base, year, month } = await seedFrozenMonth();
+    const principalAuth = `Bearer ${tokenFor(principal)}`;
+
+    let res = await request(app).post(`/api/finance/reopen/${base}`).set('Authorization', auth).send({ reason: 'Missed payment' });
+    expect(res.statusCode).toBe(403);
+    res = await request(app).post(`/api/finance/reopen/${base}`).set('Authorization', principalAuth).send({});
+    expect(res.statusCode).toBe(400);
+    res = await request(app).post(`/api/finance/reopen/${base}`).set('Authorization', principalAuth).send({ reason: 'Missed payment' });
+    expect(res.statusCode).toBe(200);
+
+    const summary = await MonthlyFinancialSummary.findOne({ schoolId: school._id, year, month });
+    expect(summary.isFrozen).toBe(false);
+    expect(summary.reopenHistory).toHaveLength(1);
+    expect(summary.reopenHistory[0].reason).toBe('Missed payment');
+    expect(summary.reopenHistory[0].reopenedBy.toString()).toBe(principal._id.toString());
+    expect(summary.reopenHistory[0].checksum).toMatch(/^sha256:[0-9a-f]{64}$/);
+
+    res = await request(app).post(`/api/finance/reopen/${base}`).set('Authorization', principalAuth).send({ reason: 'again' });
+    expect(res.statusCode).toBe(409);
+    res = await request(app).post(`/api/finance/freeze/${base}`).set('Authorization', auth).send({});
+    expect(res.statusCode).toBe(200);
+  });
+});
@@ -0,0 +1,70 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const Enrollment = require('../models/Enrollment');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+describe('Payment methods and reconciliation', () => {
+  let manager, enrollment;
+
+  beforeAll(async () => {
+    await connectDB();
+    const school = await School.create({ name: `School-${Date.now()}` });
+    manager = await User.create({ firstName: 'M', lastName: 'P', email: `pm${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+    const teacher = await User.create({ firstName: 'T', lastName: 'P', email: `pt${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+    const student = await User.create({ firstName: 'S', lastName: 'P', role: 'student', password: 'pass', school: school._id });
+    const room = await Room.create({ schoolId: school._id, name: 'R1', capacity: 10 });
+    const klass = await Class.create({
+      name: 'C1',
+      schoolId: school._id,
+      catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+      teacherId: teacher._id,
+      roomId: room._id,
+      schedules: [{ dayOfWeek: 'monday', startTime: '09:00', endTime: '10:00' }],
+      capacity: 10,
+      enrollmentPeriod: { startDate: new Date(Date.now() - 86400000), endDate: new Date(Date.now() + 86400000) },
+      paymentModel: 'per_session',
+      sessionPrice: 100,
+      teacherCut: { mode: 'percentage', value: 50 },
+    });
+    enrollment = await Enrollment.create({ schoolId: school._id, studentId: student._id, classId: klass._id, pricingSnapshot: { paymentModel: 'per_session', sessionPrice: 100 } });
+  });
+
+  test('transfers need a reference and the day reconciles per method', async () => {
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const pay = (extra) => request(app).post('/api/payments').set('Authorization', auth)
+      .send({ enrollmentId: enrollment._id.toString(), amount: 100, kind: 'pay_sessions', unitType: 'session', units: 1, ...extra });
+
+    expect((await pay({ method: 'ccp' })).statusCode).toBe(400);
+    expect((await pay({ method: 'unknown' })).statusCode).toBe(400);
+    const ccp = await pay({ method: 'ccp', reference: 'CCP-42' });
+    expect(ccp.statusCode).toBe(201);
+    expect(ccp.body.payment.method).toBe('ccp');
+    expect(ccp.body.payment.reference).toBe('CCP-42');
+    expect((await pay({})).body.payment.method).toBe('cash');
+
+    const date = new Date().toISOString().slice(0, 10);
+    const day = await request(app).get('/api/payments/reconciliation').set('Authorization', auth).query({ date });
+    expect(day.statusCode).toBe(200);
+    const line = (code) => day.body.lines.find(l => l.method === code);
+    expect(line('cash').expectedAmount).toBe(100);
+    expect(line('ccp').expectedAmount).toBe(100);
+
+    const counted = await request(app).post('/api/payments/reconciliation').set('Authorization', auth)
+      .send({ date, counts: [{ method: 'cash', countedAmount: 90 }, { method: 'ccp', countedAmount: 100 }] });
+    expect(counted.statusCode).toBe(201);
+    expect(counted.body.data.status).toBe('discrepancy');
+    expect(counted.body.data.totalDiscrepancy).toBe(-10);
+  });
+});
@@ -0,0 +1,183 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const Enrollment = require('../models/Enrollment');
+const Payment = require('../models/Payment');
+const Attendance = require('../models/Attendance');
+const StudentFinancial = require('../models/StudentFinancial');
+const VoidedReceipt = require('../models/VoidedReceipt');
+const { allocateReceiptNumber, releaseReceiptNumber, createNumberedPayment } = require('../services/receiptService');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+async function seedBasic() {
+  const school = await School.create({ name: `School-${Date.now()}`, contact: { address: '1 Main St', phone: '0555' } });
+  const manager = await User.create({ firstName: 'M', lastName: 'G', email: `m${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+  const teacher = await User.create({ firstName: 'T', lastName: 'R', email: `t${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+  const student = await User.create({ firstName: 'S', lastName: 'T', role: 'student', password: 'pass', school: school._id });
+  const room = await Room.create({ schoolId: school._id, name: 'R1', capacity: 10, activityTypes: [] });
+  const klass = await Class.create({
+    name: 'C1',
+    schoolId: school._id,
+    catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+    teacherId: teacher._id,
+    roomId: room._id,
+    schedules: [{ dayOfWeek: 'monday', startTime: '09:00', endTime: '10:00' }],
+    capacity: 20,
+    enrollmentPeriod: { startDate: new Date(Date.now() - 86400000), endDate: new Date(Date.now() + 86400000) },
+    paymentModel: 'per_session',
+    sessionPrice: 100,
+    teacherCut: { mode: 'percentage', value: 50 },
+  });
+  const enrollment = await Enrollment.create({
+    schoolId: school._id,
+    studentId: student._id,
+    classId: klass._id,
+    pricingSnapshot: { paymentModel: 'per_session', sessionPrice: 100 },
+  });
+  return { school, manager, student, klass, enrollment };
+}
+
+describe('Payment receipts and reversals', () => {
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  test('receipt numbers are sequential per school and year', async () => {
+    const { manager, enrollment } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const year = new Date().getFullYear();
+
+    const body = { enrollmentId: enrollment._id.toString(), amount: 200, kind: 'pay_sessions', unitType: 'session', units: 2 };
+    const first = await request(app).post('/api/payments').set('Authorization', auth).send(body);
+    const second = await request(app).post('/api/payments').set('Authorization', auth).send(body);
+    expect(first.statusCode).toBe(201);
+    expect(second.statusCode).toBe(201);
+    expect(first.body.payment.receiptNumber).toBe(`${year}-000001`);
+    expect(second.body.payment.receiptNumber).toBe(`${year}-000002`);
+  });
+
+  test('invalid payments use no number; a number that cannot be handed back is recorded as voided', async () => {
+    const { manager, enrollment, school } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const year = new Date().getFullYear();
+
+    await expect(createNumberedPayment(Payment, { schoolId: school._id, enrollmentId: enrollment._id, amount: 100, kind: 'bogus' })).rejects.toThrow();
+    const first = await request(app).post('/api/payments').set('Authorization', auth)
+      .send({ enrollmentId: enrollment._id.toString(), amount: 100, kind: 'pay_sessions', unitType: 'session', units: 1 });
+    expect(first.body.payment.receiptNumber).toBe(`${year}-000001`);
+
+    // A number reserved by a failed write while a later one was issued stays a visible gap
+    const lost = await allocateReceiptNumber(school._id);
+    await allocateReceiptNumber(school._id);
+    expect(await releaseReceiptNumber(lost, 'Payment not saved')).toBe(false);
+    const voided = await request(app).get('/api/payments/receipts/voided').set('Authorization', auth);
+    expect(voided.statusCode).toBe(200);
+    expect(voided.body.items.map(r => r.receiptNumber)).toEqual([`${year}-000002`]);
+    expect(await VoidedReceipt.countDocuments({ schoolId: school._id })).toBe(1);
+  });
+
+  test('first print is the original, reprints are marked duplicate', async () => {
+    const { manager, student, enrollment } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+
+    const created = await request(app).post('/api/payments').set('Authorization', auth)
+      .send({ enrollmentId: enrollment._id.toString(), amount: 100, kind: 'pay_sessions', unitType: 'session', units: 1 });
+    const id = created.body.payment._id;
+
+    let res = await request(app).get(`/api/payments/${id}/receipt`).set('Authorization', auth);
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/html/);
+    expect(res.text).toContain(created.body.payment.receiptNumber);
+    expect(res.text).toContain(student.studentCode);
+    expect(res.text).not.toContain('DUPLICATE');
+
+    res = await request(app).get(`/api/payments/${id}/receipt`).set('Authorization', auth).query({ format: 'json' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.duplicate).toBe(true);
+    expect(res.body.printCount).toBe(2);
+  });
+
+  test('legacy payments are numbered oldest first in their own series, outside the receipt sequence', async () => {
+    const { manager, school, student, klass, enrollment } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const year = new Date().getFullYear();
+    const base = { schoolId: school._id, studentId: student._id, classId: klass._id, enrollmentId: enrollment._id, kind: 'pay_sessions', method: 'cash' };
+    const older = await Payment.create({ ...base, amount: 100, createdAt: new Date(year, 0, 5) });
+    const newer = await Payment.create({ ...base, amount: 200, createdAt: new Date(year, 0, 10) });
+
+    // Printing the newer one first still numbers the older one first
+    const res = await request(app).get(`/api/payments/${newer._id}/receipt`).set('Authorization', auth).query({ format: 'json' });
+    expect(res.statusCode).toBe(200);
+    expect((await Payment.findById(older._id)).receiptNumber).toBe(`L${year}-000001`);
+    expect((await Payment.findById(newer._id)).receiptNumber).toBe(`L${year}-000002`);
+
+    const created = await request(app).post('/api/payments').set('Authorization', auth)
+      .send({ enrollmentId: enrollment._id.toString(), amount: 100, kind: 'pay_sessions', unitType: 'session', units: 1 });
+    expect(created.body.payment.receiptNumber).toBe(`${year}-000001`);
+  });
+
+  test('void posts a linked reversal and undoes balance and debt', async () => {
+    const { manager, enrollment, school, student } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+
+    const created = await request(app).post('/api/payments').set('Authorization', auth)
+      .send({ enrollmentId: enrollment._id.toString(), amount: 200, kind: 'pay_sessions', unitType: 'session', units: 2, expectedPrice: 200, taken: 150 });
+    const id = created.body.payment._id;
+    expect((await Enrollment.findById(enrollment._id)).balance).toBe(2);
+
+    let res = await request(app).post(`/api/payments/${id}/void`).set('Authorization', auth).send({});
+    expect(res.statusCode).toBe(400);
+
+    res = await request(app).post(`/api/payments/${id}/void`).set('Authorization', auth).send({ reason: 'Wrong student' });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.reversal.kind).toBe('reversal');
+    expect(res.body.data.reversal.reversalOf).toBe(id);
+    expect(res.body.data.reversal.taken).toBe(-150);
+
+    const original = await Payment.findById(id);
+    expect(original.status).toBe('voided');
+    expect(original.reversedBy.toString()).toBe(res.body.data.reversal._id);
+    expect((await Enrollment.findById(enrollment._id)).balance).toBe(0);
+    const financial = await StudentFinancial.findOne({ schoolId: school._id, studentId: student._id });
+    expect(financial.debt).toBe(0);
+
+    // Second void and hard delete are refused
+    res = await request(app).post(`/api/payments/${id}/void`).set('Authorization', auth).send({ reason: 'again' });
+    expect(res.statusCode).toBe(409);
+    res = await request(app).delete(`/api/payments/${id}`).set('Authorization', auth);
+    expect(res.statusCode).toBe(405);
+  });
+
+  test('voided payments stop covering sessions in the enrollment summaries', async () => {
+    const { manager, enrollment, school, student, klass } = await seedBasic();
+    const auth = `Bearer ${tokenFor(manager)}`;
+    for (const day of [3, 10]) {
+      await Attendance.create({ schoolId: school._id, classId: klass._id, studentId: student._id, enrollmentId: enrollment._id, date: new Date(Date.UTC(2025, 2, day)), status: 'present', charged: true, createdBy: manager._id });
+    }
+    const created = await request(app).post('/api/payments').set('Authorization', auth)
+      .send({ enrollmentId: enrollment._id.toString(), amount: 200, kind: 'pay_sessions', unitType: 'session', units: 2 });
+
+    const owed = async () => {
+      const summary = await request(app).get(`/api/enrollments/${enrollment._id}/summary`).set('Authorization', auth);
+      const roster = await request(app).get(`/api/enrollments/class/${klass._id}/summaries`).set('Authorization', auth).query({ date: '2025-03-10' });
+      expect(roster.body.items[0].owedSessions).toBe(summary.body.owedSummary.owedSessions);
+      return summary.body.owedSummary.owedSessions;
+    };
+    expect(await owed()).toBe(0);
+
+    const voided = await request(app).post(`/api/payments/${created.body.payment._id}/void`).set('Authorization', auth).send({ reason: 'Cheque bounced' });
+    expect(voided.statusCode).toBe(201);
+    expect(await owed()).toBe(2);
+  });
+});
@@ -0,0 +1,73 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const TeacherPayout = require('../models/TeacherPayout');
+const Payslip = require('../models/Payslip');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+async function seedTeacher(school, manager, tag) {
+  const teacher = await User.create({ firstName: 'T', lastName: tag, email: `t${tag}${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+  const payout = await TeacherPayout.create({
+    schoolId: school._id, teacherId: teacher._id, classId: new mongoose.Types.ObjectId(), year: 2025, month: 3,
+    calculatedIncome: 12000, remainingDebt: 12000,
+    classData: { className: 'Maths', totalStudents: 10, studentsPaid: 8, totalClassIncome: 40000, teacherCutPercentage: 30 },
+  });
+  payout.addPayout(5000, manager._id, 'First part');
+  await payout.save();
+  return teacher;
+}
+
+describe('Payslips', () => {
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  test('viewing shows a numberless draft; numbers are only taken when a payslip is issued', async () => {
+    const school = await School.create({ name: `School-${Date.now()}`, contact: { address: '1 Main St', phone: '0555' } });
+    const manager = await User.create({ firstName: 'M', lastName: 'G', email: `m${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+    const first = await seedTeacher(school, manager, 'A');
+    const second = await seedTeacher(school, manager, 'B');
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const url = (teacher) => `/api/payslips/teacher/${teacher._id}/2025/3`;
+
+    let res = await request(app).get(url(first)).set('Authorization', auth).query({ format: 'json' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.payslip).toEqual({ number: null, draft: true });
+    expect(res.body.net).toBe(12000);
+    res = await request(app).get(url(second)).set('Authorization', auth);
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toContain('Payslip No. DRAFT');
+    expect(await Payslip.countDocuments({ schoolId: school._id })).toBe(0);
+
+    // The teacher only sees issued payslips
+    res = await request(app).get('/api/payslips/me/2025/3').set('Authorization', `Bearer ${tokenFor(first)}`);
+    expect(res.statusCode).toBe(404);
+
+    res = await request(app).post(`${url(second)}/issue`).set('Authorization', auth).send({});
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.payslip.number).toBe('PS-2025-000001');
+    res = await request(app).post(`${url(first)}/issue`).set('Authorization', auth).send({});
+    expect(res.body.data.payslip.number).toBe('PS-2025-000002');
+    res = await request(app).post(`${url(first)}/issue`).set('Authorization', auth).send({});
+    expect(res.body.data.payslip.number).toBe('PS-2025-000002');
+
+    // Nothing to pay that month: nothing is issued
+    res = await request(app).post(`/api/payslips/teacher/${first._id}/2025/4/issue`).set('Authorization', auth).send({});
+    expect(res.statusCode).toBe(404);
+    expect(await Payslip.countDocuments({ schoolId: school._id })).toBe(2);
+
+    res = await request(app).get('/api/payslips/me/2025/3').set('Authorization', `Bearer ${tokenFor(first)}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toContain('Payslip No. PS-2025-000002');
+    expect((await Payslip.findOne({ schoolId: school._id, number: 'PS-2025-000002' })).downloadCount).toBe(1);
+  });
+});
@@ -0,0 +1,62 @@
+process.env.NODE_ENV = 'test';
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+
+const School = require('../models/School');
+const ManualTransaction = require('../models/ManualTransaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const MonthlyFinancialSummary = require('../models/MonthlyFinancialSummary');
+const { materializeRecurringTransactions, skipOccurrence } = require('../services/recurringTransactionService');
+
+describe('Recurring manual transactions', () => {
+  let school;
+  const managerId = new mongoose.Types.ObjectId();
+  const createTemplate = (fields) => RecurringTransaction.create({
+    schoolId: school._id, type: 'expense', category: 'Rent', description: 'Building rent', amount: 50000,
+    frequency: 'monthly', startDate: new Date(2025, 0, 31), createdBy: managerId, ...fields,
+  });
+  const generatedDays = async (template) => {
+    const rows = await ManualTransaction.find({ recurringTransactionId: template._id, generated: true }).sort({ date: 1 }).lean();
+    return rows.map(r => r.date.toLocaleDateString('en-CA'));
+  };
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  // Collections are cleared after each test
+  beforeEach(async () => {
+    school = await School.create({ name: `School-${Date.now()}` });
+  });
+
+  test('due occurrences are generated once, on the last day of shorter months', async () => {
+    const template = await createTemplate({ endDate: new Date(2025, 3, 30) });
+    const now = new Date(2025, 5, 15);
+    await materializeRecurringTransactions(school._id, { now, templateId: template._id });
+    await materializeRecurringTransactions(school._id, { now, templateId: template._id });
+    expect(await generatedDays(template)).toEqual(['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+  });
+
+  test('skipped occurrences are removed and not generated again', async () => {
+    const template = await createTemplate({ frequency: 'quarterly', startDate: new Date(2025, 0, 10) });
+    const now = new Date(2025, 7, 1);
+    await materializeRecurringTransactions(school._id, { now, templateId: template._id });
+    expect(await generatedDays(template)).toEqual(['2025-01-10', '2025-04-10', '2025-07-10']);
+
+    const result = await skipOccurrence(template, new Date(2025, 3, 10), managerId);
+    expect(result.removed).toBe(true);
+    await materializeRecurringTransactions(school._id, { now, templateId: template._id });
+    expect(await generatedDays(template)).toEqual(['2025-01-10', '2025-07-10']);
+  });
+
+  test('frozen months are left out', async () => {
+    await MonthlyFinancialSummary.create({ schoolId: school._id, year: 2024, month: 3, isFrozen: true });
+    const template = await createTemplate({ startDate: new Date(2024, 1, 5), endDate: new Date(2024, 3, 5) });
+    const result = await materializeRecurringTransactions(school._id, { now: new Date(2024, 5, 1), templateId: template._id });
+    expect(result.skippedFrozen).toBe(1);
+    expect(await generatedDays(template)).toEqual(['2024-02-05', '2024-04-05']);
+
+    const skip = await skipOccurrence(template, new Date(2024, 2, 5), managerId);
+    expect(skip.frozen).toBe(true);
+  });
+});
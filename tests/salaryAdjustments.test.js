@@ -0,0 +1,117 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Employee = require('../models/Employee');
+const EmployeeSalaryTransaction = require('../models/EmployeeSalaryTransaction');
+const SalaryAdjustment = require('../models/SalaryAdjustment');
+const { applySalaryAdjustments, refreshSalaryTransaction } = require('../services/salaryAdjustmentService');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+// Salary transaction of a month as payEmployeeSalary builds it, saved with the given paid amount
+async function settle(employee, year, month, paidAmount) {
+  const transaction = new EmployeeSalaryTransaction({
+    schoolId: employee.schoolId,
+    employeeId: employee._id,
+    year,
+    month,
+    calculatedSalary: employee.salaryValue,
+    paidAmount: 0,
+    remaining: employee.salaryValue,
+    paymentMethod: 'cash',
+    transactionDate: new Date(),
+    createdBy: new mongoose.Types.ObjectId(),
+  });
+  await applySalaryAdjustments(transaction);
+  transaction.paidAmount = paidAmount ?? (transaction.netSalary ?? transaction.calculatedSalary);
+  transaction.calculateRemaining();
+  return transaction.save();
+}
+
+describe('Salary adjustments', () => {
+  let employee;
+  const adjust = (type, amount, year, month, extra = {}) => SalaryAdjustment.create({
+    schoolId: employee.schoolId, employeeId: employee._id, type, amount, reason: type, year, month,
+    createdBy: new mongoose.Types.ObjectId(), ...extra,
+  });
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  // Collections are cleared after each test
+  beforeEach(async () => {
+    const school = await School.create({ name: `School-${Date.now()}` });
+    employee = await Employee.create({
+      schoolId: school._id, name: 'Secretary', role: 'admin', salaryType: 'fixed', salaryValue: 40000, hireDate: new Date(2024, 0, 1),
+    });
+  });
+
+  test('bonus and deduction of the month make up the net salary', async () => {
+    await adjust('bonus', 5000, 2025, 1);
+    await adjust('deduction', 2000, 2025, 1);
+    const january = await settle(employee, 2025, 1, 10000);
+    expect(january.netSalary).toBe(43000);
+    expect(january.remaining).toBe(33000);
+  });
+
+  test('an advance is recovered from the following months by installment', async () => {
+    await adjust('advance', 30000, 2025, 2, { paymentMethod: 'cash', monthlyRecovery: 20000 });
+    const february = await settle(employee, 2025, 2);
+    expect(february.netSalary).toBeUndefined();
+
+    const march = await settle(employee, 2025, 3);
+    expect(march.adjustments.advanceRecovery).toBe(-20000);
+    expect(march.netSalary).toBe(20000);
+
+    const april = await settle(employee, 2025, 4);
+    expect(april.adjustments.advanceRecovery).toBe(-10000);
+    expect(april.netSalary).toBe(30000);
+
+    // Recalculating a month does not recover the same advance twice
+    await applySalaryAdjustments(april);
+    expect(april.adjustments.advanceRecovery).toBe(-10000);
+  });
+
+  test('recalculating an earlier month re-caps the recovery booked in the later months', async () => {
+    await adjust('advance', 30000, 2025, 2, { paymentMethod: 'cash', monthlyRecovery: 20000 });
+    const deduction = await adjust('deduction', 35000, 2025, 3);
+    expect((await settle(employee, 2025, 3)).adjustments.advanceRecovery).toBe(-5000);
+    expect((await settle(employee, 2025, 4)).adjustments.advanceRecovery).toBe(-20000);
+    expect((await settle(employee, 2025, 5)).adjustments.advanceRecovery).toBe(-5000);
+
+    // Without the deduction, March recovers its full installment and the later months what is left
+    await SalaryAdjustment.updateOne({ _id: deduction._id }, { $set: { status: 'voided' } });
+    const march = await refreshSalaryTransaction(employee.schoolId, employee._id, 2025, 3);
+    expect(march.adjustments.advanceRecovery).toBe(-20000);
+    const later = await EmployeeSalaryTransaction.find({ employeeId: employee._id, year: 2025, month: { $gt: 3 } }).sort({ month: 1 });
+    expect(later.map(t => t.adjustments?.advanceRecovery ?? 0)).toEqual([-10000, 0]);
+    expect(later[1].netSalary).toBeUndefined();
+  });
+
+  test('salaries are only paid to employees of the manager\'s school', async () => {
+    const school = await School.create({ name: `School-${Date.now()}` });
+    const other = await School.create({ name: `Other-${Date.now()}` });
+    const secretary = await Employee.create({
+      schoolId: school._id, name: 'Secretary', role: 'admin', salaryType: 'fixed', salaryValue: 40000, hireDate: new Date(2024, 0, 1),
+    });
+    const manager = await User.create({ firstName: 'M', lastName: 'G', email: `m${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+    const outsider = await User.create({ firstName: 'O', lastName: 'G', email: `o${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: other._id });
+    const pay = (user) => request(app).post(`/api/employees/${secretary._id}/pay`).set('Authorization', `Bearer ${tokenFor(user)}`)
+      .send({ year: 2025, month: 5, paidAmount: 1000, paymentMethod: 'cash' });
+
+    expect((await pay(outsider)).statusCode).toBe(404);
+    expect(await EmployeeSalaryTransaction.countDocuments({ employeeId: secretary._id })).toBe(0);
+    const res = await pay(manager);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.schoolId).toBe(school._id.toString());
+  });
+});
@@ -0,0 +1,100 @@
+process.env.NODE_ENV = 'test';
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const Attendance = require('../models/Attendance');
+const LeaveRequest = require('../models/LeaveRequest');
+const { calculateAttendanceEarnings, splitClassEarnings } = require('../services/teacherPayoutService');
+
+describe('Substitute teachers and session overrides', () => {
+  let school, room, otherRoom, teacher, substitute;
+  // Monday 3 March 2025
+  const monday = new Date(Date.UTC(2025, 2, 3));
+
+  const createClass = (fields) => Class.create({
+    name: `C-${new mongoose.Types.ObjectId()}`,
+    schoolId: school._id,
+    catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+    teacherId: teacher._id,
+    roomId: room._id,
+    schedules: [{ dayOfWeek: 'monday', startTime: '09:00', endTime: '10:30' }],
+    capacity: 20,
+    enrollmentPeriod: { startDate: new Date(Date.UTC(2025, 0, 1)), endDate: new Date(Date.UTC(2025, 11, 31)) },
+    paymentModel: 'per_session',
+    sessionPrice: 100,
+    teacherCut: { mode: 'per_session', value: 500 },
+    ...fields,
+  });
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  // Collections are cleared after each test
+  beforeEach(async () => {
+    school = await School.create({ name: `School-${Date.now()}` });
+    room = await Room.create({ name: 'R1', capacity: 20, schoolId: school._id });
+    otherRoom = await Room.create({ name: 'R2', capacity: 20, schoolId: school._id });
+    teacher = await User.create({ firstName: 'T', lastName: 'A', email: `ta${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+    substitute = await User.create({ firstName: 'T', lastName: 'B', email: `tb${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+  });
+
+  test('the substitute teaches the session of the override date only', async () => {
+    const klass = await createClass({
+      sessionOverrides: [{ date: monday, startTime: '09:00', endTime: '10:30', substituteTeacherId: substitute._id }],
+    });
+    expect(String(klass.teacherForDate(monday))).toBe(String(substitute._id));
+    expect(String(klass.teacherForDate(new Date(Date.UTC(2025, 2, 10))))).toBe(String(teacher._id));
+    expect(klass.isCancelledOn(monday)).toBe(false);
+  });
+
+  test('a substitute busy with another class or on leave is rejected', async () => {
+    const busyClass = await createClass({ teacherId: substitute._id, roomId: otherRoom._id, schedules: [{ dayOfWeek: 'monday', startTime: '10:00', endTime: '11:00' }] });
+    const klass = await createClass({ schedules: [{ dayOfWeek: 'tuesday', startTime: '09:00', endTime: '10:30' }] });
+
+    const conflict = await klass.overrideConflict({ date: monday, startTime: '09:00', endTime: '10:30', substituteTeacherId: substitute._id });
+    expect(conflict.type).toBe('substitute');
+    expect(String(conflict.conflict._id)).toBe(String(busyClass._id));
+
+    // Free once that class session is cancelled
+    busyClass.sessionOverrides.push({ date: monday, startTime: '10:00', endTime: '11:00', cancelled: true });
+    await busyClass.save();
+    expect(await klass.overrideConflict({ date: monday, startTime: '09:00', endTime: '10:30', substituteTeacherId: substitute._id })).toBeNull();
+
+    await LeaveRequest.create({
+      schoolId: school._id, subjectType: 'teacher', teacherId: substitute._id, type: 'sick', status: 'approved',
+      startDate: new Date(2025, 2, 3), endDate: new Date(2025, 2, 3), requestedBy: teacher._id,
+    });
+    const onLeave = await klass.overrideConflict({ date: monday, startTime: '09:00', endTime: '10:30', substituteTeacherId: substitute._id });
+    expect(onLeave.type).toBe('substitute_leave');
+  });
+
+  test('attendance-based earnings go to whoever taught each session', async () => {
+    const klass = await createClass({ schedules: [{ dayOfWeek: 'monday', startTime: '14:00', endTime: '15:00' }] });
+    const studentId = new mongoose.Types.ObjectId();
+    const mark = (date, teacherId) => Attendance.create({
+      schoolId: school._id, classId: klass._id, studentId, enrollmentId: new mongoose.Types.ObjectId(), date, status: 'present', teacherId, createdBy: teacher._id,
+    });
+    await mark(monday, substitute._id);
+    await mark(new Date(Date.UTC(2025, 2, 10)), teacher._id);
+    await mark(new Date(Date.UTC(2025, 2, 17)), undefined);
+
+    const attendance = await calculateAttendanceEarnings(klass, 2025, 3);
+    expect(attendance.teacherEarning).toBe(1500);
+    const parts = splitClassEarnings(klass, attendance.teacherEarning, attendance);
+    const bySubstitute = Object.fromEntries(parts.map(p => [String(p.substitute), p.teacherEarning]));
+    expect(bySubstitute).toEqual({ true: 500, false: 1000 });
+  });
+
+  test('percentage earnings are split pro rata of the days taught', () => {
+    const klass = { teacherId: teacher._id };
+    const days = new Map([[null, 2], [substitute._id.toString(), 1]]);
+    const parts = splitClassEarnings(klass, 1000, null, days);
+    expect(parts.map(p => p.teacherEarning)).toEqual([666.67, 333.33]);
+    expect(String(parts[0].teacherId)).toBe(String(teacher._id));
+  });
+});
@@ -0,0 +1,113 @@
+process.env.NODE_ENV = 'test';
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const Enrollment = require('../models/Enrollment');
+const Attendance = require('../models/Attendance');
+const Payment = require('../models/Payment');
+const { calculateTeacherEarnings } = require('../services/teacherPayoutService');
+
+async function seedClass(teacherCut) {
+  const school = await School.create({ name: `School-${Date.now()}` });
+  const teacher = await User.create({ firstName: 'T', lastName: 'R', email: `tc${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+  const room = await Room.create({ schoolId: school._id, name: 'R1', capacity: 10, activityTypes: [] });
+  const klass = await Class.create({
+    name: 'C1',
+    schoolId: school._id,
+    catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+    teacherId: teacher._id,
+    roomId: room._id,
+    // Monday 1h30, Wednesday 1h
+    schedules: [
+      { dayOfWeek: 'monday', startTime: '09:00', endTime: '10:30' },
+      { dayOfWeek: 'wednesday', startTime: '14:00', endTime: '15:00' },
+    ],
+    capacity: 20,
+    enrollmentPeriod: { startDate: new Date(Date.UTC(2025, 0, 1)), endDate: new Date(Date.UTC(2025, 11, 31)) },
+    paymentModel: 'per_session',
+    sessionPrice: 100,
+    teacherCut,
+  });
+  const enrollments = [];
+  for (let i = 0; i < 3; i++) {
+    const student = await User.create({ firstName: `S${i}`, lastName: 'T', role: 'student', password: 'pass', school: school._id });
+    enrollments.push(await Enrollment.create({
+      schoolId: school._id,
+      studentId: student._id,
+      classId: klass._id,
+      pricingSnapshot: { paymentModel: 'per_session', sessionPrice: 100 },
+    }));
+  }
+  return { school, teacher, klass, enrollments };
+}
+
+async function mark(klass, enrollment, date, status) {
+  return Attendance.create({
+    schoolId: klass.schoolId,
+    classId: klass._id,
+    studentId: enrollment.studentId,
+    enrollmentId: enrollment._id,
+    date,
+    status,
+    createdBy: klass.teacherId,
+  });
+}
+
+describe('Attendance-based teacher compensation', () => {
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  test('per_hour pays scheduled hours of sessions held and lists each session', async () => {
+    const { school, klass, enrollments } = await seedClass({ mode: 'per_hour', value: 1000 });
+    // 2025-03-03 is a Monday, 2025-03-05 a Wednesday, 2025-03-10 a Monday where nobody came
+    await mark(klass, enrollments[0], '2025-03-03', 'present');
+    await mark(klass, enrollments[1], '2025-03-03', 'present');
+    await mark(klass, enrollments[2], '2025-03-03', 'absent');
+    await mark(klass, enrollments[0], '2025-03-05', 'present');
+    await mark(klass, enrollments[0], '2025-03-10', 'absent');
+
+    const earnings = await calculateTeacherEarnings(school._id.toString(), 2025, 3);
+    const summary = earnings.classSummaries.find(c => c.classId.toString() === klass._id.toString());
+
+    expect(summary.teacherEarning).toBe(2500);
+    expect(summary.attendance.sessionsHeld).toBe(2);
+    expect(summary.attendance.sessions.map(s => [s.date.toISOString().slice(0, 10), s.present, s.hours]))
+      .toEqual([['2025-03-03', 2, 1.5], ['2025-03-05', 1, 1]]);
+  });
+
+  test('per_student_present pays each present student', async () => {
+    const { school, klass, enrollments } = await seedClass({ mode: 'per_student_present', value: 200 });
+    await mark(klass, enrollments[0], '2025-03-03', 'present');
+    await mark(klass, enrollments[1], '2025-03-03', 'present');
+    await mark(klass, enrollments[2], '2025-03-05', 'present');
+
+    const earnings = await calculateTeacherEarnings(school._id.toString(), 2025, 3);
+    const summary = earnings.classSummaries.find(c => c.classId.toString() === klass._id.toString());
+    expect(summary.teacherEarning).toBe(600);
+    expect(summary.attendance.studentsPresent).toBe(3);
+  });
+
+  test('sessions and payments are counted in the same calendar month', async () => {
+    const { school, klass, enrollments } = await seedClass({ mode: 'per_session', value: 500 });
+    await mark(klass, enrollments[0], '2025-02-28', 'present');
+    await mark(klass, enrollments[0], '2025-03-01', 'present');
+    await mark(klass, enrollments[0], '2025-03-31', 'present');
+    await mark(klass, enrollments[0], '2025-04-01', 'present');
+    const base = { schoolId: school._id, classId: klass._id, studentId: enrollments[0].studentId, enrollmentId: enrollments[0]._id, kind: 'pay_sessions', method: 'cash' };
+    // Just after midnight on the first and just before midnight on the last day of the month, server time
+    await Payment.create({ ...base, amount: 100, createdAt: new Date(2025, 2, 1, 0, 30) });
+    await Payment.create({ ...base, amount: 200, createdAt: new Date(2025, 2, 31, 23, 30) });
+    await Payment.create({ ...base, amount: 400, createdAt: new Date(2025, 3, 1, 0, 30) });
+
+    const earnings = await calculateTeacherEarnings(school._id.toString(), 2025, 3);
+    const summary = earnings.classSummaries.find(c => c.classId.toString() === klass._id.toString());
+    expect(summary.totalIncome).toBe(300);
+    expect(summary.attendance.sessions.map(s => s.date.toISOString().slice(0, 10))).toEqual(['2025-03-01', '2025-03-31']);
+    expect(summary.teacherEarning).toBe(1000);
+  });
+});
@@ -0,0 +1,64 @@
+process.env.NODE_ENV = 'test';
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+
+const School = require('../models/School');
+const TeacherPayout = require('../models/TeacherPayout');
+const PayoutDispute = require('../models/PayoutDispute');
+const { buildTeacherStatement, listTeacherStatements } = require('../services/teacherStatementService');
+
+describe('Teacher statements', () => {
+  let schoolId;
+  const teacherId = new mongoose.Types.ObjectId();
+  const managerId = new mongoose.Types.ObjectId();
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  // Collections are cleared after each test
+  beforeEach(async () => {
+    const school = await School.create({ name: `School-${Date.now()}` });
+    schoolId = school._id;
+  });
+
+  test('statement lines show class income, cut, payments and remaining debt', async () => {
+    const payout = await TeacherPayout.create({
+      schoolId, teacherId, classId: new mongoose.Types.ObjectId(), year: 2025, month: 3,
+      calculatedIncome: 12000, remainingDebt: 12000,
+      classData: { className: 'Maths', totalStudents: 10, studentsPaid: 8, totalClassIncome: 40000, teacherCutPercentage: 30 },
+    });
+    payout.addPayout(5000, managerId, 'First part');
+    await payout.save();
+
+    const statement = await buildTeacherStatement(schoolId, teacherId, 2025, 3);
+    expect(statement.lines).toHaveLength(1);
+    expect(statement.lines[0].compensation).toEqual({ mode: 'percentage', value: 30 });
+    expect(statement.lines[0].classIncome).toBe(40000);
+    expect(statement.totals.paidAmount).toBe(5000);
+    expect(statement.totals.remainingDebt).toBe(7000);
+  });
+
+  test('a resolved dispute adjusts the payout and shows on the statement', async () => {
+    const payout = await TeacherPayout.findOne({ schoolId, teacherId, year: 2025, month: 3 });
+    const dispute = await PayoutDispute.create({
+      schoolId, teacherId, payoutId: payout._id, classId: payout.classId, className: 'Maths',
+      year: 2025, month: 3, item: 'class_income', message: 'Two payments are missing', expectedAmount: 15000,
+    });
+
+    payout.addAdjustment(3000, 'Dispute: missing payments', managerId, dispute._id);
+    await payout.save();
+    expect(payout.calculatedIncome).toBe(15000);
+    expect(payout.remainingDebt).toBe(10000);
+    expect(() => payout.addAdjustment(-20000, 'Too much', managerId)).toThrow();
+
+    const statement = await buildTeacherStatement(schoolId, teacherId, 2025, 3);
+    expect(statement.lines[0].calculatedEarnings).toBe(12000);
+    expect(statement.lines[0].earnings).toBe(15000);
+    expect(statement.lines[0].disputes).toHaveLength(1);
+    expect(statement.totals.openDisputes).toBe(1);
+
+    const [month] = await listTeacherStatements(schoolId, teacherId);
+    expect(month).toMatchObject({ year: 2025, month: 3, earnings: 15000, openDisputes: 1 });
+  });
+});
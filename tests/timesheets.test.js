@@ -0,0 +1,63 @@
+process.env.NODE_ENV = 'test';
+const connectDB = require('../config/db');
+
+const School = require('../models/School');
+const Employee = require('../models/Employee');
+const TimesheetEntry = require('../models/TimesheetEntry');
+
+async function shift(employee, start, end, status = 'approved') {
+  return TimesheetEntry.create({
+    schoolId: employee.schoolId,
+    employeeId: employee._id,
+    clockIn: new Date(start),
+    clockOut: new Date(end),
+    status,
+    source: 'manual',
+  });
+}
+
+describe('Hourly employee timesheets', () => {
+  beforeAll(async () => {
+    await connectDB();
+    await TimesheetEntry.init();
+  });
+
+  test('hourly salary is paid from approved hours with daily overtime', async () => {
+    const school = await School.create({ name: `School-${Date.now()}` });
+    const employee = await Employee.create({
+      schoolId: school._id,
+      name: 'Cleaner',
+      role: 'cleaning',
+      salaryType: 'hourly',
+      salaryValue: 500,
+      hireDate: new Date(2024, 0, 1),
+      overtimeRules: { dailyHours: 8, weeklyHours: null, multiplier: 2 },
+    });
+
+    // 10h on Monday (2h overtime), 4h on Tuesday, a pending shift that does not count yet
+    await shift(employee, '2025-03-03T08:00:00', '2025-03-03T18:00:00');
+    await shift(employee, '2025-03-04T08:00:00', '2025-03-04T12:00:00');
+    await shift(employee, '2025-03-05T08:00:00', '2025-03-05T12:00:00', 'pending');
+
+    const totals = await employee.getMonthlyHours(2025, 3);
+    expect(totals.regularHours).toBe(12);
+    expect(totals.overtimeHours).toBe(2);
+    expect(totals.pendingHours).toBe(4);
+    expect(await employee.calculateMonthlySalary(2025, 3)).toBe(12 * 500 + 2 * 500 * 2);
+  });
+
+  test('clock-out closes the open entry for review', async () => {
+    const school = await School.create({ name: `School-${Date.now()}` });
+    const employee = await Employee.create({
+      schoolId: school._id, name: 'Desk', role: 'reception', salaryType: 'hourly', salaryValue: 400, hireDate: new Date(2024, 0, 1),
+    });
+    const entry = await TimesheetEntry.create({ schoolId: school._id, employeeId: employee._id, clockIn: new Date('2025-03-03T08:00:00') });
+    await expect(TimesheetEntry.create({ schoolId: school._id, employeeId: employee._id, clockIn: new Date() })).rejects.toThrow();
+
+    entry.clockOut = new Date('2025-03-03T12:30:00');
+    entry.breakMinutes = 30;
+    await entry.save();
+    expect(entry.status).toBe('pending');
+    expect(entry.hours).toBe(4);
+  });
+});
@@ -0,0 +1,164 @@
+process.env.NODE_ENV = 'test';
+const request = require('supertest');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const app = require('../app');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const Room = require('../models/Room');
+const ClassSession = require('../models/ClassSession');
+const classSessionService = require('../services/classSessionService');
+
+function tokenFor(user) {
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'test_secret_key', { expiresIn: '1h' });
+}
+
+const overlaps = (a, b) => a.dayOfWeek === b.dayOfWeek && a.startTime < b.endTime && a.endTime > b.startTime;
+
+describe('Timetable solver', () => {
+  let school, manager, teacher, room, lab;
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  // Collections are cleared after each test
+  beforeEach(async () => {
+    school = await School.create({ name: `School-${Date.now()}` });
+    manager = await User.create({ firstName: 'M', lastName: 'T', email: `tm${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+    teacher = await User.create({
+      firstName: 'T', lastName: 'T', email: `tt${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id,
+      unavailability: [{ dayOfWeek: 'tuesday', startTime: '08:00', endTime: '20:00', reason: 'Other school' }],
+    });
+    room = await Room.create({ schoolId: school._id, name: 'R1', capacity: 15 });
+    lab = await Room.create({ schoolId: school._id, name: 'Lab', capacity: 12, activityTypes: ['science'] });
+    await Class.create({
+      name: 'Existing',
+      schoolId: school._id,
+      catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+      teacherId: teacher._id,
+      roomId: room._id,
+      schedules: [{ dayOfWeek: 'monday', startTime: '08:00', endTime: '20:00' }],
+      capacity: 10,
+      enrollmentPeriod: { startDate: new Date(2025, 8, 1), endDate: new Date(2026, 5, 30) },
+      paymentModel: 'per_session',
+      sessionPrice: 100,
+      teacherCut: { mode: 'percentage', value: 50 },
+    });
+  });
+
+  test('solved timetables avoid existing classes, unavailability and small rooms, and apply in one step', async () => {
+    const auth = `Bearer ${tokenFor(manager)}`;
+    const newClass = (name, extra) => ({
+      name,
+      teacherId: teacher._id.toString(),
+      catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId().toString() },
+      enrollmentPeriod: { startDate: '2025-09-01', endDate: '2026-06-30' },
+      paymentModel: 'per_session',
+      sessionPrice: 100,
+      teacherCut: { mode: 'percentage', value: 50 },
+      ...extra,
+    });
+    const solved = await request(app).post('/api/classes/timetable/solve').set('Authorization', auth).send({
+      days: ['monday', 'tuesday', 'wednesday', 'thursday'],
+      classes: [
+        newClass('Chemistry', { durationMinutes: 90, sessionsPerWeek: 2, capacity: 12, activityType: 'science' }),
+        newClass('Maths', { durationMinutes: 60, sessionsPerWeek: 1, capacity: 14 }),
+      ],
+    });
+    expect(solved.statusCode).toBe(200);
+    expect(solved.body.timetables.length).toBeGreaterThan(0);
+    const [best] = solved.body.timetables;
+    expect(best.score).toBeLessThanOrEqual(100);
+
+    const [chemistry, maths] = best.classes;
+    expect(chemistry.roomId).toBe(lab._id.toString());
+    expect(maths.roomId).toBe(room._id.toString());
+    const slots = [...chemistry.schedules, ...maths.schedules];
+    expect(slots.every(s => ['wednesday', 'thursday'].includes(s.dayOfWeek))).toBe(true);
+    expect(slots.some((a, i) => slots.some((b, j) => i !== j && overlaps(a, b)))).toBe(false);
+
+    const applied = await request(app).post('/api/classes/timetable/apply').set('Authorization', auth).send({ classes: best.classes });
+    expect(applied.statusCode).toBe(201);
+    expect(applied.body.created).toHaveLength(2);
+    expect(await Class.countDocuments({ schoolId: school._id })).toBe(3);
+
+    // Applying it again would book the teacher twice
+    const again = await request(app).post('/api/classes/timetable/apply').set('Authorization', auth).send({ classes: best.classes });
+    expect(again.statusCode).toBe(409);
+  });
+
+  test('a class no room can hold is reported', async () => {
+    const res = await request(app).post('/api/classes/timetable/solve').set('Authorization', `Bearer ${tokenFor(manager)}`).send({
+      classes: [{ name: 'Lecture', teacherId: teacher._id.toString(), durationMinutes: 60, sessionsPerWeek: 1, capacity: 40 }],
+    });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.issues[0].message).toMatch(/No room fits/);
+  });
+
+  test('a timetable that fails half-way is rolled back; legacy pricing maps to per_cycle', async () => {
+    const school = await School.create({ name: `School-${Date.now()}` });
+    const owner = await User.create({ firstName: 'M', lastName: 'R', email: `rm${Date.now()}@ex.com`, password: 'pass', role: 'manager', school: school._id });
+    const tutor = await User.create({ firstName: 'T', lastName: 'R', email: `rt${Date.now()}@ex.com`, password: 'pass', role: 'teacher', experience: 1, teacherStatus: 'employed', school: school._id });
+    const studio = await Room.create({ schoolId: school._id, name: 'Studio', capacity: 15 });
+    const enrollmentPeriod = { startDate: new Date(), endDate: new Date(Date.now() + 60 * 24 * 60 * 60 * 1000) };
+    const existing = await Class.create({
+      name: 'Piano',
+      schoolId: school._id,
+      catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId() },
+      teacherId: tutor._id,
+      roomId: studio._id,
+      schedules: [{ dayOfWeek: 'monday', startTime: '10:00', endTime: '11:00' }],
+      capacity: 10,
+      enrollmentPeriod,
+      paymentModel: 'per_session',
+      sessionPrice: 100,
+      teacherCut: { mode: 'percentage', value: 50 },
+    });
+    await classSessionService.syncClassCalendar(existing);
+    const classes = [
+      { classId: existing._id.toString(), name: 'Piano', teacherId: tutor._id.toString(), roomId: studio._id.toString(), schedules: [{ dayOfWeek: 'tuesday', startTime: '10:00', endTime: '11:00' }] },
+      {
+        name: 'Guitar',
+        teacherId: tutor._id.toString(),
+        roomId: studio._id.toString(),
+        catalogItem: { type: 'supportLessons', itemId: new mongoose.Types.ObjectId().toString() },
+        capacity: 10,
+        enrollmentPeriod,
+        price: 400,
+        paymentCycle: 4,
+        teacherCut: { mode: 'percentage', value: 50 },
+        schedules: [{ dayOfWeek: 'wednesday', startTime: '10:00', endTime: '11:00' }],
+      },
+    ];
+    const apply = () => request(app).post('/api/classes/timetable/apply').set('Authorization', `Bearer ${tokenFor(owner)}`).send({ classes });
+
+    // The calendar of the second class cannot be written
+    const { syncClassCalendar } = classSessionService;
+    const sync = jest.spyOn(classSessionService, 'syncClassCalendar');
+    sync.mockImplementationOnce(syncClassCalendar).mockRejectedValueOnce(new Error('Connection lost'));
+    let res;
+    try {
+      res = await apply();
+    } finally {
+      sync.mockRestore();
+    }
+    expect(res.statusCode).toBe(500);
+    expect(await Class.countDocuments({ schoolId: school._id })).toBe(1);
+    const restored = await Class.findById(existing._id);
+    expect(restored.schedules.map(s => s.dayOfWeek)).toEqual(['monday']);
+    const sessions = await ClassSession.find({ classId: existing._id });
+    expect(sessions.length).toBeGreaterThan(0);
+    expect(sessions.every(s => s.date.getUTCDay() === 1)).toBe(true);
+    expect(await ClassSession.countDocuments({ classId: { $ne: existing._id } })).toBe(0);
+
+    res = await apply();
+    expect(res.statusCode).toBe(201);
+    const [guitar] = res.body.created;
+    expect(guitar).toMatchObject({ paymentModel: 'per_cycle', cyclePrice: 400, cycleSize: 4 });
+    expect(res.body.updated[0].schedules[0].dayOfWeek).toBe('tuesday');
+  });
+});
@@ -0,0 +1,48 @@
+// server/utils/sendEmail.js
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// Build the SMTP transport once from SMTP_* env vars; null when email is not configured
+function getTransporter() {
+  if (transporter) return transporter;
+  if (!process.env.SMTP_HOST) return null;
+  const port = Number(process.env.SMTP_PORT) || 587;
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE === 'true' || port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return transporter;
+}
+
+/**
+ * Send an email through the configured SMTP server
+ * @param {Object} options - { to, subject, text, html }
+ * @returns {Promise<Object>} { sent: true, messageId } or { sent: false, reason }
+ */
+const sendEmail = async ({ to, subject, text, html }) => {
+  if (!to) return { sent: false, reason: 'missing_recipient' };
+  const transport = getTransporter();
+  if (!transport) {
+    // Email is optional; callers still record the in-app notification
+    return { sent: false, reason: 'smtp_not_configured' };
+  }
+  try {
+    const info = await transport.sendMail({
+      from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text,
+      html,
+    });
+    return { sent: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('sendEmail error:', { to, subject, message: error.message });
+    return { sent: false, reason: error.message };
+  }
+};
+
+module.exports = sendEmail;